@@ -21,7 +21,7 @@ async function main() {
   // Example 1: Simple Chain
   console.log('\n=== Example 1: Job Chain ===');
   const chain = new Chain(client);
-  const chainJobIds = await chain
+  const { chainId, jobIds: chainJobIds } = await chain
     .addJob({
       type: 'validate-order',
       payload: { orderId: '123' },
@@ -36,7 +36,9 @@ async function main() {
     })
     .execute();
 
-  console.log('Chain created:', chainJobIds);
+  // charge-card sees payload.previousResult, send-validation-error sees
+  // payload.previousError
+  console.log('Chain created:', chainId, chainJobIds);
 
   // Example 2: Multi-step Workflow
   console.log('\n=== Example 2: Workflow ===');
@@ -62,6 +64,7 @@ async function main() {
   setTimeout(async () => {
     const status = await workflow.getStatus();
     console.log('Workflow status:', status);
+    console.log('Chain status:', await Chain.getStatus(client, chainId));
   }, 5000);
 
   // Example 3: Transaction with Saga Pattern
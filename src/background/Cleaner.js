@@ -1,4 +1,9 @@
 const JobStorage = require('../storage/JobStorage');
+const MeshStorage = require('../storage/MeshStorage');
+const ServerStorage = require('../storage/ServerStorage');
+const QueueStorage = require('../storage/QueueStorage');
+const BlobStorage = require('../storage/BlobStorage');
+const Namespace = require('../utils/Namespace');
 
 /**
  * Cleaner - Clean up expired data every 5 minutes
@@ -10,11 +15,13 @@ const JobStorage = require('../storage/JobStorage');
  * - Remove cancelled jobs older than TTL
  * - Remove dead server registrations
  * - Clean up orphaned data structures
+ * - Delete offloaded blobs of deleted or expired jobs (BlobStorage)
  * - Prune old metrics data
  * 
  * FEATURES:
  * - Configurable TTL per job status
  * - Batch deletion to avoid blocking
+ * - Walks job and server registries instead of scanning the keyspace
  * - Cleanup statistics tracking
  * - Graceful shutdown
  */
@@ -32,6 +39,7 @@ class Cleaner {
       failedJobTTL: options.failedJobTTL || 604800000, // 7 days
       cancelledJobTTL: options.cancelledJobTTL || 86400000, // 24 hours
       deadServerTTL: options.deadServerTTL || 300000, // 5 minutes
+      blobGraceMs: options.blobGraceMs || 300000, // Skip blobs of jobs still being created
       batchSize: options.batchSize || 100,
       enabled: options.enabled !== false,
     };
@@ -41,6 +49,7 @@ class Cleaner {
     this.stats = {
       jobsDeleted: 0,
       serversRemoved: 0,
+      blobsDeleted: 0,
       errors: 0,
       lastRun: null,
     };
@@ -88,6 +97,7 @@ class Cleaner {
       await this._cleanupCompletedJobs();
       await this._cleanupCancelledJobs();
       await this._cleanupDeadServers();
+      await this._cleanupOrphanedBlobs();
 
       this.stats.lastRun = Date.now();
     } catch (error) {
@@ -132,24 +142,53 @@ class Cleaner {
    * @returns {Promise<number>} Number of deleted jobs
    */
   async _deleteOldJobs(status, cutoffTime) {
-    const pattern = 'bridgemq:job:*:meta';
-    const keys = await this.redis.keys(pattern);
+    const meshIds = await MeshStorage.listMeshIds(this.redis);
     
     let deleted = 0;
 
-    for (const key of keys) {
-      const jobMeta = await this.redis.hgetall(key);
-      
-      if (
-        jobMeta.status === status &&
-        parseInt(jobMeta.completedAt || jobMeta.updatedAt, 10) < cutoffTime
-      ) {
-        const jobId = key.split(':')[3];
-        await JobStorage.deleteJob(this.redis, jobId);
-        deleted++;
+    for (const meshId of meshIds) {
+      const mp = Namespace.mesh(this.redis, meshId);
+      const indexKey = `${mp}:jobs`;
+      let offset = 0;
+
+      // Only jobs created before the cutoff can have finished before it
+      while (deleted < this.options.batchSize) {
+        const jobIds = await this.redis.zrangebyscore(
+          indexKey,
+          '-inf',
+          cutoffTime,
+          'LIMIT',
+          offset,
+          this.options.batchSize,
+        );
+
+        if (jobIds.length === 0) {
+          break;
+        }
+
+        for (const jobId of jobIds) {
+          const jobMeta = await this.redis.hgetall(`${mp}:job:${jobId}:meta`);
+
+          if (Object.keys(jobMeta).length === 0) {
+            // Expired via lifecycle TTL - drop the dangling index entry
+            await this.redis.zrem(indexKey, jobId);
+          } else if (
+            jobMeta.status === status &&
+            parseInt(jobMeta.completedAt || jobMeta.updatedAt, 10) < cutoffTime
+          ) {
+            await JobStorage.deleteJob(this.redis, jobId, meshId);
+            deleted++;
+          } else {
+            offset++;
+          }
+
+          // Batch processing
+          if (deleted >= this.options.batchSize) {
+            break;
+          }
+        }
       }
 
-      // Batch processing
       if (deleted >= this.options.batchSize) {
         break;
       }
@@ -163,21 +202,34 @@ class Cleaner {
    * @private
    */
   async _cleanupDeadServers() {
-    const pattern = 'bridgemq:server:*';
-    const keys = await this.redis.keys(pattern);
+    const ns = Namespace.of(this.redis);
+    const serverIds = await ServerStorage.listServerIds(this.redis);
+    const meshIds = await MeshStorage.listMeshIds(this.redis);
     const now = Date.now();
     const cutoffTime = now - this.options.deadServerTTL;
     
     let removed = 0;
 
-    for (const key of keys) {
+    for (const serverId of serverIds) {
+      const key = `${ns}:server:${serverId}`;
       const server = await this.redis.hgetall(key);
       const lastHeartbeat = parseInt(server.lastHeartbeat || 0, 10);
 
       if (lastHeartbeat < cutoffTime) {
-        await this.redis.del(key);
-        removed++;
-        console.log(`[Cleaner] Removed dead server: ${server.serverId}`);
+        if (Object.keys(server).length > 0) {
+          await this.redis.del(key);
+          removed++;
+          console.log(`[Cleaner] Removed dead server: ${serverId}`);
+        }
+
+        // Leave servers with active jobs (in any mesh) registered for the stall detector
+        let activeCount = 0;
+        for (const meshId of meshIds) {
+          activeCount += await QueueStorage.getActiveCount(this.redis, meshId, serverId);
+        }
+        if (activeCount === 0) {
+          await ServerStorage.unregisterServerId(this.redis, serverId);
+        }
       }
     }
 
@@ -186,6 +238,45 @@ class Cleaner {
     }
   }
 
+  /**
+   * Delete blobs whose job no longer exists (removed by removeOnComplete or
+   * its lifecycle TTL; deleteJob removes its blobs itself), except those a
+   * running chain holds
+   * @private
+   */
+  async _cleanupOrphanedBlobs() {
+    if (!BlobStorage.of(this.redis)) {
+      return;
+    }
+
+    const cutoffTime = Date.now() - this.options.blobGraceMs;
+    let offset = 0;
+    let deleted = 0;
+
+    while (deleted < this.options.batchSize) {
+      const jobIds = await BlobStorage.listBlobJobs(this.redis, cutoffTime, offset, this.options.batchSize);
+
+      if (jobIds.length === 0) {
+        break;
+      }
+
+      for (const jobId of jobIds) {
+        // Blobs of a running chain's jobs are held until the chain is over
+        if (await JobStorage.findMesh(this.redis, jobId)
+          || !(await BlobStorage.deleteJobBlobs(this.redis, jobId))) {
+          offset += 1;
+        } else {
+          deleted += 1;
+        }
+      }
+    }
+
+    if (deleted > 0) {
+      this.stats.blobsDeleted += deleted;
+      console.log(`[Cleaner] Deleted blobs of ${deleted} removed jobs`);
+    }
+  }
+
   /**
    * Get service statistics
    * @returns {Object} Statistics
@@ -203,6 +294,7 @@ class Cleaner {
   resetStats() {
     this.stats.jobsDeleted = 0;
     this.stats.serversRemoved = 0;
+    this.stats.blobsDeleted = 0;
     this.stats.errors = 0;
     this.stats.lastRun = null;
   }
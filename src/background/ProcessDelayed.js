@@ -1,4 +1,5 @@
 const scripts = require('../scripts');
+const MeshStorage = require('../storage/MeshStorage');
 
 /**
  * ProcessDelayed - Process delayed jobs every second
@@ -13,7 +14,7 @@ const scripts = require('../scripts');
  * - Performance monitoring
  * 
  * LOGIC:
- * 1. Every 1 second, scan delayed sorted set
+ * 1. Every 1 second, scan each mesh's delayed sorted set
  * 2. Find jobs with scheduledFor <= now
  * 3. Move to pending queues via Lua script
  * 4. Update job status to 'pending'
@@ -81,16 +82,21 @@ class ProcessDelayed {
    */
   async _processDelayed() {
     try {
-      const result = await scripts.processDelayed(
-        this.redis,
-        this.options.batchSize,
-      );
+      const meshIds = await MeshStorage.listMeshIds(this.redis);
 
-      if (result.processed > 0) {
-        this.stats.processed += result.processed;
-        console.log(
-          `[ProcessDelayed] Processed ${result.processed} delayed jobs`,
+      for (const meshId of meshIds) {
+        const result = await scripts.processDelayed(
+          this.redis,
+          meshId,
+          this.options.batchSize,
         );
+
+        if (result.processed > 0) {
+          this.stats.processed += result.processed;
+          console.log(
+            `[ProcessDelayed] Processed ${result.processed} delayed jobs in mesh ${meshId}`,
+          );
+        }
       }
 
       this.stats.lastRun = Date.now();
@@ -1,5 +1,6 @@
 const scripts = require('../scripts');
 const ServerStorage = require('../storage/ServerStorage');
+const MeshStorage = require('../storage/MeshStorage');
 
 /**
  * StallDetector - Detect and recover stalled jobs every 30 seconds
@@ -10,17 +11,28 @@ const ServerStorage = require('../storage/ServerStorage');
  * - Periodic stall checking (30 seconds)
  * - Configurable stall timeout
  * - Automatic retry or DLQ movement
- * - Per-server active job scanning
+ * - Per-mesh, per-server active job scanning
+ * - Dead servers leave the server registry once no mesh holds their jobs
  * - Stall statistics tracking
+ * - Poison message quarantine: crash fingerprints per job, quarantine
+ *   after quarantineAfter worker deaths (see core/Quarantine)
  * 
  * STALL DETECTION:
- * - Job claimed but not completed within timeout
+ * - Job lease (job:{jobId}:lock) expired - the worker stopped renewing it
+ * - Claims without a lease: not completed within stallTimeoutMs
  * - Server crashed or network partition
  * - Worker stuck in infinite loop
  * - Unhandled exceptions
  * 
  * RECOVERY:
  * - Increment stall counter
+ * - Lease expired: record a crash fingerprint; if the server's heartbeat
+ *   is gone too (its process died with the job active), count a crash and
+ *   quarantine once the job was active in quarantineAfter crashes
+ *   (publishes job.quarantined)
+ * - The lease usually expires before the heartbeat: a lease lost while the
+ *   server still looked alive counts as a crash too if the heartbeat is
+ *   gone within crashWindowMs (heartbeat TTL plus one check interval)
  * - Retry if under stall limit
  * - Move to DLQ if limit exceeded
  */
@@ -29,13 +41,21 @@ class StallDetector {
    * Create StallDetector service
    * @param {Redis} redis - Redis client
    * @param {Object} options - Service options
+   * @param {number} options.quarantineAfter - Worker crashes before a job is
+   *   quarantined (default 3, 0 = never)
+   * @param {number} options.crashWindowMs - How long after a lease loss the
+   *   server's heartbeat may disappear for it to count as a crash
+   *   (default 30000 heartbeat TTL + intervalMs)
    */
   constructor(redis, options = {}) {
     this.redis = redis;
+    const intervalMs = options.intervalMs || 30000; // Check every 30 seconds
     this.options = {
-      intervalMs: options.intervalMs || 30000, // Check every 30 seconds
-      stallTimeoutMs: options.stallTimeoutMs || 300000, // 5 minutes
+      intervalMs,
+      stallTimeoutMs: options.stallTimeoutMs || 300000, // 5 minutes, claims without a lease only
       maxStallCount: options.maxStallCount || 3,
+      quarantineAfter: options.quarantineAfter !== undefined ? options.quarantineAfter : 3,
+      crashWindowMs: options.crashWindowMs || 30000 + intervalMs,
       batchSize: options.batchSize || 100,
       enabled: options.enabled !== false,
     };
@@ -46,6 +66,7 @@ class StallDetector {
       detected: 0,
       recovered: 0,
       dlqMoved: 0,
+      quarantined: 0,
       errors: 0,
       lastRun: null,
     };
@@ -90,11 +111,21 @@ class StallDetector {
    */
   async _detectStalled() {
     try {
-      // Get all servers to scan their active jobs
+      // Get all servers to scan their active jobs in every mesh
       const servers = await this._getAllServers();
+      const meshIds = await MeshStorage.listMeshIds(this.redis);
 
       for (const serverId of servers) {
-        await this._checkServerActiveJobs(serverId);
+        const serverAlive = await ServerStorage.isAlive(this.redis, serverId);
+        let active = 0;
+
+        for (const meshId of meshIds) {
+          active += await this._checkServerActiveJobs(meshId, serverId, serverAlive);
+        }
+
+        if (!serverAlive && active === 0) {
+          await ServerStorage.unregisterServerId(this.redis, serverId);
+        }
       }
 
       this.stats.lastRun = Date.now();
@@ -108,49 +139,54 @@ class StallDetector {
   }
 
   /**
-   * Get all server IDs
+   * Get all server IDs (including expired servers that still hold active jobs)
    * @private
    * @returns {Promise<Array<string>>} Server IDs
    */
   async _getAllServers() {
-    const pattern = 'bridgemq:server:*';
-    const keys = await this.redis.keys(pattern);
-    
-    return keys.map((key) => {
-      const parts = key.split(':');
-      return parts[parts.length - 1];
-    });
+    return ServerStorage.listServerIds(this.redis);
   }
 
   /**
-   * Check active jobs for a server
+   * Check a server's active jobs in one mesh
    * @private
+   * @param {string} meshId - Mesh ID
    * @param {string} serverId - Server ID
+   * @param {boolean} serverAlive - Server heartbeat still present
+   * @returns {Promise<number>} Jobs the server still holds in the mesh
+   *   (1 if the check failed, so the server stays registered)
    */
-  async _checkServerActiveJobs(serverId) {
+  async _checkServerActiveJobs(meshId, serverId, serverAlive) {
     try {
       const result = await scripts.detectStalled(
         this.redis,
+        meshId,
         serverId,
+        serverAlive,
         this.options.stallTimeoutMs,
         this.options.maxStallCount,
-        this.options.batchSize,
+        this.options.quarantineAfter,
+        this.options.crashWindowMs,
       );
 
       if (result.detected > 0) {
         this.stats.detected += result.detected;
         this.stats.recovered += result.recovered;
-        this.stats.dlqMoved += result.dlqMoved;
+        this.stats.dlqMoved += result.movedToDLQ;
+        this.stats.quarantined += result.quarantined;
 
         console.log(
-          `[StallDetector] Server ${serverId}: ${result.detected} stalled, ${result.recovered} recovered, ${result.dlqMoved} to DLQ`,
+          `[StallDetector] Server ${serverId} in mesh ${meshId}: ${result.detected} stalled, ${result.recovered} recovered, ${result.movedToDLQ} to DLQ, ${result.quarantined} quarantined`,
         );
       }
+
+      return result.active;
     } catch (error) {
       console.error(
         `[StallDetector] Error checking server ${serverId}:`,
         error.message,
       );
+      return 1;
     }
   }
 
@@ -172,6 +208,7 @@ class StallDetector {
     this.stats.detected = 0;
     this.stats.recovered = 0;
     this.stats.dlqMoved = 0;
+    this.stats.quarantined = 0;
     this.stats.errors = 0;
     this.stats.lastRun = null;
   }
@@ -0,0 +1,147 @@
+const Transaction = require('../workflow/Transaction');
+const TransactionStorage = require('../storage/TransactionStorage');
+const MeshStorage = require('../storage/MeshStorage');
+
+/**
+ * TransactionRecovery - Resume unfinished sagas every 30 seconds
+ *
+ * PURPOSE: Keep sagas moving when the node that would have advanced them
+ * died, lost the advance lock race, or failed to reach Redis
+ *
+ * FEATURES:
+ * - Periodic scan of every mesh's transactions:active (running or
+ *   compensating sagas)
+ * - Advances each saga under its lock (safe on every node at once)
+ * - Recovery statistics tracking
+ *
+ * RECOVERY:
+ * - Forward job finished but next action never enqueued -> enqueue it
+ * - Forward job failed while nobody was watching -> start compensating
+ * - Compensation interrupted mid-way -> continue from the saved cursor
+ */
+class TransactionRecovery {
+  /**
+   * Create TransactionRecovery service
+   * @param {Object} client - BridgeMQ client instance
+   * @param {Object} options - Service options
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.options = {
+      intervalMs: options.intervalMs || 30000, // Check every 30 seconds
+      enabled: options.enabled !== false,
+    };
+
+    this.running = false;
+    this.intervalId = null;
+    this.stats = {
+      scanned: 0,
+      advanced: 0,
+      errors: 0,
+      lastRun: null,
+    };
+  }
+
+  /**
+   * Start the service
+   */
+  start() {
+    if (this.running || !this.options.enabled) {
+      return;
+    }
+
+    this.running = true;
+    console.log('[TransactionRecovery] Starting service');
+
+    this.intervalId = setInterval(async () => {
+      await this._recover();
+    }, this.options.intervalMs);
+  }
+
+  /**
+   * Stop the service
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    console.log('[TransactionRecovery] Stopping service');
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Advance every active saga (internal)
+   * @private
+   */
+  async _recover() {
+    try {
+      const meshIds = await MeshStorage.listMeshIds(this.client.redis);
+
+      for (const meshId of meshIds) {
+        const transactionIds = await TransactionStorage.listActiveTransactionIds(this.client.redis, meshId);
+
+        for (const transactionId of transactionIds) {
+          this.stats.scanned++;
+
+          try {
+            // null means another node holds the saga's lock right now
+            if (await Transaction.advance(this.client, transactionId, meshId)) {
+              this.stats.advanced++;
+            }
+          } catch (error) {
+            this.stats.errors++;
+            console.error(
+              `[TransactionRecovery] Error advancing transaction ${transactionId}:`,
+              error.message,
+            );
+          }
+        }
+      }
+
+      this.stats.lastRun = Date.now();
+    } catch (error) {
+      this.stats.errors++;
+      console.error(
+        '[TransactionRecovery] Error listing transactions:',
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      running: this.running,
+    };
+  }
+
+  /**
+   * Reset statistics
+   */
+  resetStats() {
+    this.stats.scanned = 0;
+    this.stats.advanced = 0;
+    this.stats.errors = 0;
+    this.stats.lastRun = null;
+  }
+
+  /**
+   * Check if service is running
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.running;
+  }
+}
+
+module.exports = TransactionRecovery;
@@ -1,4 +1,5 @@
 const RedisConnection = require('./RedisConnection');
+const Namespace = require('../utils/Namespace');
 const { throwError } = require('../utils/Errors');
 
 /**
@@ -13,6 +14,7 @@ const { throwError } = require('../utils/Errors');
  * - Acquire/release pattern with timeout
  * - Automatic pool exhaustion handling
  * - Connection reuse and recycling
+ * - Pooled clients bound to the config's key namespace (utils/Namespace)
  * 
  * LOGIC:
  * 1. Create pool of N connections on initialization
@@ -71,7 +73,8 @@ class ConnectionPool {
       promises.push(this._createConnection());
     }
 
-    await Promise.all(promises);
+    const connections = await Promise.all(promises);
+    this.availableConnections.push(...connections);
 
     // Start health check timer
     this._startHealthCheck();
@@ -191,7 +194,7 @@ class ConnectionPool {
   }
 
   /**
-   * Create a new connection and add to pool
+   * Create a new connection (the caller adds it to a pool list)
    * @private
    * @returns {Promise<RedisConnection>}
    */
@@ -199,8 +202,8 @@ class ConnectionPool {
     const conn = new RedisConnection(this.opts.redis);
     await conn.connect();
 
+    Namespace.bind(conn.getClient(), Namespace.fromConfig(this.opts.redis));
     this.totalConnections += 1;
-    this.availableConnections.push(conn);
 
     return conn;
   }
@@ -297,7 +300,7 @@ class ConnectionPool {
     // Maintain minimum connections
     while (this.totalConnections < this.opts.minConnections) {
       try {
-        await this._createConnection();
+        this.availableConnections.push(await this._createConnection());
       } catch (error) {
         console.error('[ConnectionPool] Failed to create connection during health check:', error.message);
         break;
@@ -11,26 +11,30 @@ const { throwError } = require('../utils/Errors');
  * 
  * FEATURES:
  * - Separate Redis connection for Pub/Sub (required by ioredis)
+ * - Redis Cluster connections when opts.cluster lists seed nodes
+ * - Redis Sentinel connections when opts.sentinels lists Sentinel nodes
  * - MessagePack serialization for efficient data transfer
+ *   (JSON events published by Lua scripts are decoded too)
  * - Pattern-based subscriptions with wildcards
- * - Automatic reconnection handling
+ * - Automatic reconnection handling (every channel and pattern is
+ *   subscribed again once the subscriber is back, e.g. after a failover)
  * - Message handler registration and deregistration
  * - Graceful unsubscribe on shutdown
  * 
- * CHANNELS:
- * - bridgemq:events:global - All system events
- * - bridgemq:events:mesh:{meshId} - Mesh-specific events
- * - bridgemq:events:job:{jobId} - Job-specific events
- * - bridgemq:events:server:{serverId} - Server-specific events
- * - bridgemq:events:type:{jobType} - Job type events
+ * CHANNELS ({ns} = config.redis.keyPrefix, default 'bridgemq'):
+ * - {ns}:events:global - All system events
+ * - {ns}:events:mesh:{meshId} - Mesh-specific events
+ * - {ns}:events:job:{jobId} - Job-specific events
+ * - {ns}:events:server:{serverId} - Server-specific events
+ * - {ns}:events:type:{jobType} - Job type events
  * 
  * LOGIC:
  * 1. Create separate Redis connection for Pub/Sub
  * 2. subscribe() registers channel and handler
- * 3. Messages deserialized from MessagePack
+ * 3. Messages deserialized from MessagePack (or JSON)
  * 4. Handlers invoked with parsed data
  * 5. publish() serializes and broadcasts messages
- * 6. Automatic reconnection preserves subscriptions
+ * 6. On reconnect the subscriber re-subscribes from handlers/patterns
  * 
  * ERROR CODES:
  * - 9001: REDISFAILURE - Connection or subscription failure
@@ -47,6 +51,14 @@ class PubSub {
    * @param {string} opts.password - Redis password (optional)
    * @param {Object} opts.tls - TLS configuration (optional)
    * @param {number} opts.connectionTimeoutMs - Connection timeout (default: 5000ms)
+   * @param {Array} opts.cluster - Redis Cluster seed nodes [{ host, port }] (optional)
+   * @param {Object} opts.clusterOptions - Extra ioredis Cluster options (optional)
+   * @param {Array} opts.sentinels - Sentinel nodes [{ host, port }] (optional)
+   * @param {string} opts.sentinelName - Monitored primary name (default: 'mymaster')
+   * @param {string} opts.sentinelUsername - Sentinel username (optional)
+   * @param {string} opts.sentinelPassword - Sentinel password (optional)
+   * @param {Object} opts.driver - Storage driver to duplicate instead of
+   *   connecting to Redis (optional, see storage/drivers)
    */
   constructor(opts = {}) {
     this.opts = {
@@ -237,6 +249,11 @@ class PubSub {
    * @returns {Promise<Redis>}
    */
   async _createRedisClient() {
+    // Non-Redis storage: another connection to the same driver
+    if (this.opts.driver) {
+      return this.opts.driver.duplicate();
+    }
+
     const config = {
       host: this.opts.host,
       port: this.opts.port,
@@ -246,12 +263,25 @@ class PubSub {
       connectTimeout: this.opts.connectionTimeoutMs,
       enableReadyCheck: true,
       maxRetriesPerRequest: null, // Important for Pub/Sub
+      autoResubscribe: false, // _resubscribe() restores handlers and patterns
       retryStrategy: (times) => {
         const delay = Math.min(times * 1000, 30000);
         return delay;
       },
     };
 
+    // Let Sentinel resolve the primary (and follow it on +switch-master)
+    if (Array.isArray(this.opts.sentinels) && this.opts.sentinels.length > 0) {
+      Object.assign(config, {
+        sentinels: this.opts.sentinels,
+        name: this.opts.sentinelName || 'mymaster',
+        sentinelUsername: this.opts.sentinelUsername,
+        sentinelPassword: this.opts.sentinelPassword,
+        role: 'master',
+        failoverDetector: true,
+      });
+    }
+
     // Add TLS if configured
     if (this.opts.tls && this.opts.tls.enabled) {
       config.tls = {
@@ -260,7 +290,9 @@ class PubSub {
       };
     }
 
-    const client = new Redis(config);
+    const client = Array.isArray(this.opts.cluster) && this.opts.cluster.length > 0
+      ? this._createCluster(config)
+      : new Redis(config);
 
     // Wait for ready
     await new Promise((resolve, reject) => {
@@ -282,19 +314,42 @@ class PubSub {
     return client;
   }
 
+  /**
+   * Create a Redis Cluster connection (Pub/Sub is broadcast cluster-wide,
+   * so any node can serve the subscriber)
+   * @private
+   * @param {Object} config - Single-node ioredis options
+   * @returns {Redis.Cluster} Cluster client
+   */
+  _createCluster(config) {
+    const { retryStrategy, ...redisOptions } = config;
+
+    // Nodes come from opts.cluster, and a cluster has no SELECT
+    delete redisOptions.host;
+    delete redisOptions.port;
+    delete redisOptions.db;
+
+    return new Redis.Cluster(this.opts.cluster, {
+      redisOptions,
+      enableReadyCheck: true,
+      clusterRetryStrategy: retryStrategy,
+      ...this.opts.clusterOptions,
+    });
+  }
+
   /**
    * Setup message event handlers
    * @private
    */
   _setupMessageHandlers() {
-    // Regular message handler
-    this.subscriber.on('message', (channel, message) => {
-      this._handleMessage(channel, message);
+    // Regular message handler (raw buffers - MessagePack is binary)
+    this.subscriber.on('messageBuffer', (channel, message) => {
+      this._handleMessage(channel.toString(), message);
     });
 
     // Pattern message handler
-    this.subscriber.on('pmessage', (pattern, channel, message) => {
-      this._handlePatternMessage(pattern, channel, message);
+    this.subscriber.on('pmessageBuffer', (pattern, channel, message) => {
+      this._handlePatternMessage(pattern.toString(), channel.toString(), message);
     });
 
     // Subscription events
@@ -319,6 +374,43 @@ class PubSub {
     this.subscriber.on('reconnecting', () => {
       console.log('[PubSub] Reconnecting subscriber...');
     });
+
+    // A fresh connection has no subscriptions: restore them once the
+    // subscriber is ready again after losing its connection
+    let lost = false;
+    this.subscriber.on('close', () => {
+      lost = true;
+    });
+    this.subscriber.on('ready', () => {
+      if (lost) {
+        lost = false;
+        this._resubscribe();
+      }
+    });
+  }
+
+  /**
+   * Subscribe again to every channel and pattern with a handler
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _resubscribe() {
+    const channels = [...this.handlers.keys()];
+    const patterns = [...this.patterns.keys()];
+
+    try {
+      if (channels.length > 0) {
+        await this.subscriber.subscribe(...channels);
+      }
+
+      if (patterns.length > 0) {
+        await this.subscriber.psubscribe(...patterns);
+      }
+
+      console.log(`[PubSub] Resubscribed to ${channels.length} channels and ${patterns.length} patterns`);
+    } catch (error) {
+      console.error('[PubSub] Failed to resubscribe:', error.message);
+    }
   }
 
   /**
@@ -329,8 +421,7 @@ class PubSub {
    */
   _handleMessage(channel, message) {
     try {
-      // Deserialize MessagePack
-      const data = msgpack.decode(message);
+      const data = this._decode(message);
 
       // Call registered handler for this channel
       const handler = this.handlers.get(channel);
@@ -347,6 +438,22 @@ class PubSub {
     }
   }
 
+  /**
+   * Deserialize a message
+   * Lua scripts publish cjson output; everything else is MessagePack, whose
+   * maps never start with '{'
+   * @private
+   * @param {Buffer} message - Message buffer
+   * @returns {Object} Message data
+   */
+  _decode(message) {
+    if (message[0] === 0x7b) {
+      return JSON.parse(message.toString());
+    }
+
+    return msgpack.decode(message);
+  }
+
   /**
    * Handle pattern message
    * @private
@@ -356,8 +463,7 @@ class PubSub {
    */
   _handlePatternMessage(pattern, channel, message) {
     try {
-      // Deserialize MessagePack
-      const data = msgpack.decode(message);
+      const data = this._decode(message);
 
       // Call pattern handler
       const handler = this.patterns.get(pattern);
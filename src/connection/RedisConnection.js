@@ -9,6 +9,12 @@ const { throwError } = require('../utils/Errors');
  * 
  * FEATURES:
  * - TLS/SSL support with certificate validation
+ * - Redis Cluster (opts.cluster node list) via ioredis Cluster; keys then
+ *   share the namespace hash tag (see utils/Namespace)
+ * - Redis Sentinel (opts.sentinels): connects to the current primary and
+ *   follows it when Sentinel promotes a replica
+ * - Failover notification (opts.onFailover) when the connection comes back
+ *   on a different primary
  * - Exponential backoff for reconnection attempts
  * - Connection timeout configuration
  * - Ping/health check capability
@@ -32,6 +38,16 @@ class RedisConnection {
    * @param {boolean} opts.tls.rejectUnauthorized - Reject unauthorized certs
    * @param {number} opts.connectionTimeoutMs - Connection timeout (default: 5000ms)
    * @param {number} opts.maxRetries - Max reconnection attempts (default: 10)
+   * @param {Array<Object>} opts.cluster - Cluster seed nodes [{ host, port }]
+   *   (optional, host/port/db are ignored when set)
+   * @param {Object} opts.clusterOptions - Extra ioredis Cluster options (optional)
+   * @param {Array<Object>} opts.sentinels - Sentinel nodes [{ host, port }]
+   *   (optional, host/port are ignored when set)
+   * @param {string} opts.sentinelName - Monitored primary name (default: 'mymaster')
+   * @param {string} opts.sentinelUsername - Sentinel username (optional)
+   * @param {string} opts.sentinelPassword - Sentinel password (optional)
+   * @param {Function} opts.onFailover - Called with { previous, current }
+   *   ('host:port') after reconnecting to a different primary (optional)
    */
   constructor(opts = {}) {
     this.opts = {
@@ -49,6 +65,9 @@ class RedisConnection {
     this.connected = false;
     this.reconnecting = false;
     this.retryCount = 0;
+
+    // 'host:port' of the primary we were last ready on
+    this.primary = null;
   }
 
   /**
@@ -75,6 +94,18 @@ class RedisConnection {
       reconnectOnError: (err) => this._reconnectOnError(err),
     };
 
+    // Let Sentinel resolve the primary (and follow it on +switch-master)
+    if (this.isSentinel()) {
+      Object.assign(redisConfig, {
+        sentinels: this.opts.sentinels,
+        name: this.opts.sentinelName || 'mymaster',
+        sentinelUsername: this.opts.sentinelUsername,
+        sentinelPassword: this.opts.sentinelPassword,
+        role: 'master',
+        failoverDetector: true,
+      });
+    }
+
     // Add TLS configuration if enabled
     if (this.opts.tls && this.opts.tls.enabled) {
       redisConfig.tls = {
@@ -84,7 +115,9 @@ class RedisConnection {
     }
 
     try {
-      this.client = new Redis(redisConfig);
+      this.client = this.isCluster()
+        ? this._createCluster(redisConfig)
+        : new Redis(redisConfig);
 
       // Setup event handlers
       this._setupEventHandlers();
@@ -160,6 +193,22 @@ class RedisConnection {
     return this.client;
   }
 
+  /**
+   * Is this a Redis Cluster connection?
+   * @returns {boolean} True when cluster seed nodes are configured
+   */
+  isCluster() {
+    return Array.isArray(this.opts.cluster) && this.opts.cluster.length > 0;
+  }
+
+  /**
+   * Is this a Redis Sentinel connection?
+   * @returns {boolean} True when Sentinel nodes are configured
+   */
+  isSentinel() {
+    return Array.isArray(this.opts.sentinels) && this.opts.sentinels.length > 0;
+  }
+
   /**
    * Check if connection is active
    * @returns {boolean} Connection status
@@ -168,6 +217,29 @@ class RedisConnection {
     return this.connected && this.client && this.client.status === 'ready';
   }
 
+  /**
+   * Create a cluster client from the single-node options
+   * @private
+   * @param {Object} redisConfig - Per-node options (auth, TLS, timeouts)
+   * @returns {Redis.Cluster} ioredis Cluster client
+   */
+  _createCluster(redisConfig) {
+    const { retryStrategy, ...redisOptions } = redisConfig;
+
+    // Nodes come from opts.cluster, and a cluster has no SELECT
+    delete redisOptions.host;
+    delete redisOptions.port;
+    delete redisOptions.db;
+
+    return new Redis.Cluster(this.opts.cluster, {
+      redisOptions,
+      enableReadyCheck: true,
+      enableOfflineQueue: true,
+      clusterRetryStrategy: retryStrategy,
+      ...this.opts.clusterOptions,
+    });
+  }
+
   /**
    * Setup event handlers for Redis client
    * @private
@@ -180,6 +252,7 @@ class RedisConnection {
     this.client.on('ready', () => {
       this.connected = true;
       this.retryCount = 0;
+      this._trackPrimary();
     });
 
     this.client.on('error', (error) => {
@@ -201,6 +274,35 @@ class RedisConnection {
     });
   }
 
+  /**
+   * Record the primary we are connected to and report a failover when a
+   * reconnect lands on a different one
+   * @private
+   */
+  _trackPrimary() {
+    // Cluster clients follow failovers per slot (MOVED) and have no single primary
+    const { stream } = this.client;
+    if (!stream || !stream.remoteAddress) {
+      return;
+    }
+
+    const current = `${stream.remoteAddress}:${stream.remotePort}`;
+    const previous = this.primary;
+    this.primary = current;
+
+    if (previous && previous !== current) {
+      console.log(`[RedisConnection] Failover: ${previous} -> ${current}`);
+
+      if (typeof this.opts.onFailover === 'function') {
+        try {
+          this.opts.onFailover({ previous, current });
+        } catch (error) {
+          console.error('[RedisConnection] onFailover handler failed:', error.message);
+        }
+      }
+    }
+  }
+
   /**
    * Wait for Redis connection to be ready
    * @private
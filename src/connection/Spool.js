@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const { throwError } = require('../utils/Errors');
+
+/**
+ * Spool - Durable local job spool for producers while Redis is unreachable
+ *
+ * PURPOSE: Let createJob() accept jobs during a Redis outage and hand them
+ * to Redis, in order, once the connection is back
+ *
+ * FEATURES:
+ * - Append-only JSON lines file (one built job per line)
+ * - fsync after every append (opts.fsync, default on)
+ * - Survives process restarts: leftover entries are replayed on next start
+ * - Ordered drain that stops at the first failure and keeps the rest
+ * - A torn last line (crash mid-append) is ignored
+ *
+ * LOGIC:
+ * 1. open() creates the directory and counts spooled entries
+ * 2. append() writes one line under the spool lock
+ * 3. drain(fn) hands entries to fn oldest first; entries fn accepted are
+ *    removed by rewriting the file (temp file + rename)
+ * 4. drain() repeats while entries were appended during the replay
+ *
+ * Replay is at-least-once: an entry can reach fn again if the process dies
+ * before the file is rewritten, so callers must make fn idempotent (Client
+ * gives every spooled job an idempotency key).
+ *
+ * ERROR CODES:
+ * - 1002: INVALID_CONFIG - No spool path
+ * - 9004: STORAGE_WRITE_FAILURE - Spool file could not be written
+ * - 9005: STORAGE_READ_FAILURE - Spool file could not be read
+ */
+class Spool {
+  /**
+   * Create spool
+   * @param {Object} opts - Spool options
+   * @param {string} opts.path - Spool file path
+   * @param {boolean} opts.fsync - fsync after each append (default: true)
+   */
+  constructor(opts = {}) {
+    if (!opts.path || typeof opts.path !== 'string') {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: 'spool.path is required',
+      });
+    }
+
+    this.opts = {
+      path: opts.path,
+      fsync: opts.fsync !== false,
+    };
+
+    this.handle = null;
+    this.pending = 0;
+
+    // Serializes appends and rewrites on the file
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * Open the spool file (creating it and its directory if needed)
+   * @returns {Promise<void>}
+   */
+  async open() {
+    try {
+      await fs.promises.mkdir(path.dirname(this.opts.path), { recursive: true });
+      this.handle = await fs.promises.open(this.opts.path, 'a');
+      this.pending = (await this._readEntries()).length;
+    } catch (error) {
+      throwError(9005, 'STORAGE_READ_FAILURE', {
+        message: 'Failed to open spool',
+        path: this.opts.path,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Close the spool file
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this._exclusive(async () => {
+      if (this.handle) {
+        await this.handle.close();
+        this.handle = null;
+      }
+    });
+  }
+
+  /**
+   * Append a job
+   * @param {Object} job - Built job (Client._buildJob), JSON-serializable
+   * @returns {Promise<void>}
+   */
+  async append(job) {
+    await this._exclusive(async () => {
+      try {
+        await this.handle.write(`${JSON.stringify({ spooledAt: Date.now(), job })}\n`);
+
+        if (this.opts.fsync) {
+          await this.handle.sync();
+        }
+
+        this.pending += 1;
+      } catch (error) {
+        throwError(9004, 'STORAGE_WRITE_FAILURE', {
+          message: 'Failed to spool job',
+          jobId: job.jobId,
+          path: this.opts.path,
+          error: error.message,
+        });
+      }
+    });
+  }
+
+  /**
+   * Hand spooled jobs to fn, oldest first, until the spool is empty
+   * @param {Function} fn - async (job) => void; throwing stops the drain and
+   *   keeps that job and everything after it
+   * @returns {Promise<number>} Number of jobs removed from the spool
+   */
+  async drain(fn) {
+    let drained = 0;
+
+    while (this.pending > 0) {
+      const entries = await this._exclusive(() => this._readEntries());
+      let done = 0;
+
+      try {
+        for (const entry of entries) {
+          await fn(entry.job);
+          done += 1;
+        }
+      } finally {
+        if (done > 0) {
+          await this._exclusive(() => this._removeFirst(done));
+          drained += done;
+        }
+      }
+    }
+
+    return drained;
+  }
+
+  /**
+   * Run fn while holding the spool lock
+   * @private
+   * @param {Function} fn - async () => result
+   * @returns {Promise<any>} fn's result
+   */
+  _exclusive(fn) {
+    const run = this.lock.then(fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Read every complete entry
+   * @private
+   * @returns {Promise<Object[]>} Entries { spooledAt, job }
+   */
+  async _readEntries() {
+    let content;
+
+    try {
+      content = await fs.promises.readFile(this.opts.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+
+    for (const line of content.split('\n')) {
+      if (!line) {
+        continue;
+      }
+
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Torn write from a crash: the job was never acknowledged
+        console.error('[Spool] Skipping unreadable entry:', error.message);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Drop the oldest entries by rewriting the file
+   * @private
+   * @param {number} count - Entries to drop
+   * @returns {Promise<void>}
+   */
+  async _removeFirst(count) {
+    const rest = (await this._readEntries()).slice(count);
+    const tmpPath = `${this.opts.path}.tmp`;
+
+    const tmp = await fs.promises.open(tmpPath, 'w');
+    try {
+      await tmp.write(rest.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+      await tmp.sync();
+    } finally {
+      await tmp.close();
+    }
+
+    await this.handle.close();
+    await fs.promises.rename(tmpPath, this.opts.path);
+    this.handle = await fs.promises.open(this.opts.path, 'a');
+    this.pending = rest.length;
+  }
+}
+
+module.exports = Spool;
@@ -1,13 +1,26 @@
 const { v4: uuidv4 } = require('uuid');
-const RedisConnection = require('../connection/RedisConnection');
 const PubSub = require('../connection/PubSub');
+const ConnectionPool = require('../connection/ConnectionPool');
+const Spool = require('../connection/Spool');
 const scripts = require('../scripts');
 const JobStorage = require('../storage/JobStorage');
 const ServerStorage = require('../storage/ServerStorage');
 const QueueStorage = require('../storage/QueueStorage');
 const MetricsStorage = require('../storage/MetricsStorage');
-const { throwError } = require('../utils/Errors');
+const BlobStorage = require('../storage/BlobStorage');
+const { connectDriver } = require('../storage/drivers');
+const Namespace = require('../utils/Namespace');
+const Transaction = require('../workflow/Transaction');
+const RetryManager = require('../retry/RetryManager');
+const RetryBudget = require('../retry/RetryBudget');
+const { ErrorCodes, BridgeMQError, throwError } = require('../utils/Errors');
 const EventEmitter = require('./EventEmitter');
+const DeadLetterQueue = require('./DeadLetterQueue');
+const Quarantine = require('./Quarantine');
+
+// Job channel events that settle waitForJob() (jobs may still be released
+// from quarantine or a retry budget later, but the wait ends)
+const WAIT_EVENTS = ['job.completed', 'job.failed', 'job.cancelled', 'job.quarantined', 'job.parked'];
 
 /**
  * Client - Main BridgeMQ client (primary user-facing API)
@@ -21,22 +34,55 @@ const EventEmitter = require('./EventEmitter');
  * 
  * FEATURES:
  * - Job creation with idempotency and deduplication
+ * - Waiting for job results (job channel events + fallback read)
+ * - Parent/child flows (parent waits for its children's results)
+ * - Saga transaction status (forward and compensation step progress)
  * - Job querying and management (get, cancel, replay)
+ * - Dead Letter Queue triage: client.dlq (see core/DeadLetterQueue)
+ * - Poison message quarantine: client.quarantine (see core/Quarantine)
+ * - Retry budget state and parked jobs (config.retry.budget, see retry/RetryBudget)
  * - Queue operations (pause, resume, info)
  * - Event streaming and monitoring
  * - Server/mesh management
+ * - Pluggable storage (config.storage: 'redis' or 'memory', see storage/drivers)
+ * - Key namespace (config.redis.keyPrefix) for every key, script and channel
+ * - Sentinel failover: 'connection.failover' on client.events when the
+ *   connection comes back on a new primary
+ * - Local spool (config.spool): createJob() keeps accepting jobs while Redis
+ *   is unreachable and replays them in order once it reconnects
+ * - Blob offload (config.blobs): large payloads and results live in a blob
+ *   store, Redis keeps references (see storage/BlobStorage)
+ *
+ * CONNECTIONS (Redis storage):
+ * - redis - Producer commands, events and background services
+ * - claimRedis - Dedicated to the Worker claim loop
+ * - pool - ConnectionPool (config.redis.pool) for bulk and long-running
+ *   reads (createJobs, createFlow, listJobs, getStats), so they never delay claims
+ * Other storage backends serve all three from the one driver.
  */
 class Client {
   /**
    * Create BridgeMQ client
    * @param {Object} config - Client configuration
+   * @param {string|Object} config.storage - 'redis' (default), 'memory',
+   *   a MemoryStore or a driver instance
+   * @param {Object} config.redis.pool - ConnectionPool options
+   *   (minConnections, maxConnections, acquireTimeoutMs, healthCheckIntervalMs)
+   * @param {Object} config.spool - Local spool for createJob() during Redis
+   *   outages (optional): { path, fsync } (see connection/Spool)
+   * @param {Object} config.blobs - Blob offload (optional): { store, thresholdBytes }
+   *   (see storage/BlobStorage)
    */
   constructor(config) {
     this.config = {
+      storage: config.storage || 'redis',
       redis: config.redis || {},
       server: config.server || {},
       mesh: config.mesh || {},
       behavior: config.behavior || {},
+      retry: config.retry || {},
+      spool: config.spool || null,
+      blobs: config.blobs || null,
     };
 
     // Validate required config
@@ -50,12 +96,27 @@ class Client {
       });
     }
 
+    // Key and channel prefix (config.redis.keyPrefix, default 'bridgemq')
+    this.namespace = Namespace.fromConfig(this.config.redis);
+
+    // The mesh ID becomes the hash tag of every mesh key, so reject braces now
+    Namespace.mesh(null, this.config.mesh.meshId);
+
     // Internal state
     this.redis = null;
+    this.claimRedis = null;
+    this.pool = null;
+    this.spool = null;
+    this.spoolReplay = null;
     this.pubsub = null;
+    this.dlq = null;
+    this.quarantine = null;
     this.initialized = false;
     this.events = new EventEmitter();
     this.heartbeatInterval = null;
+
+    // jobId -> { waiters: Set, subscribed: Promise } for waitForJob()
+    this.jobWaiters = new Map();
   }
 
   /**
@@ -68,16 +129,35 @@ class Client {
     }
 
     try {
-      // Connect to Redis
-      const connection = new RedisConnection(this.config.redis);
-      await connection.connect();
-      this.redis = connection.getClient();
+      // Connect to Redis (or the configured storage driver)
+      this.redis = await connectDriver(this.config.storage, {
+        ...this.config.redis,
+        onFailover: (info) => this._onFailover(info),
+      });
+      BlobStorage.bind(this.redis, this.config.blobs);
 
       // Load Lua scripts
       await scripts.load(this.redis);
+      this.dlq = new DeadLetterQueue(this.redis, this.config.mesh.meshId);
+      this.quarantine = new Quarantine(this.redis, this.config.mesh.meshId);
 
-      // Setup Pub/Sub
-      this.pubsub = new PubSub(this.config.redis);
+      // Keep claims and long commands off the shared connection
+      if (this.config.storage === 'redis') {
+        this.claimRedis = BlobStorage.bind(Namespace.duplicate(this.redis), this.config.blobs);
+        this.pool = new ConnectionPool({
+          ...this.config.redis.pool,
+          redis: this.config.redis,
+        });
+        await this.pool.createPool();
+      } else {
+        this.claimRedis = this.redis;
+      }
+
+      // Setup Pub/Sub (on the same driver unless it is Redis)
+      this.pubsub = new PubSub({
+        ...this.config.redis,
+        driver: this.config.storage === 'redis' ? null : this.redis,
+      });
       await this.pubsub.connect();
 
       // Subscribe to events
@@ -97,6 +177,14 @@ class Client {
         metadata: this.config.server.metadata || {},
       });
 
+      // Replay jobs spooled by an earlier process, and after every reconnect
+      if (this.config.spool) {
+        this.spool = new Spool(this.config.spool);
+        await this.spool.open();
+        this.redis.on('ready', () => this._replaySpool());
+        await this._replaySpool();
+      }
+
       // Start heartbeat
       const heartbeatInterval = this.config.server.heartbeatIntervalMs || 10000;
       this.heartbeatInterval = ServerStorage.startHeartbeat(
@@ -136,11 +224,42 @@ class Client {
         this.config.server.serverId,
       );
 
+      // Pending waitForJob() calls can no longer be notified
+      for (const { waiters } of this.jobWaiters.values()) {
+        for (const waiter of waiters) {
+          waiter({
+            error: new BridgeMQError(9001, 'REDIS_FAILURE', {
+              message: 'Client shut down while waiting for job',
+            }),
+          });
+        }
+      }
+
       // Disconnect Pub/Sub
       if (this.pubsub) {
         await this.pubsub.disconnect();
       }
 
+      // Leave unreplayed jobs on disk for the next start
+      if (this.spoolReplay) {
+        await this.spoolReplay;
+      }
+      if (this.spool) {
+        await this.spool.close();
+        this.spool = null;
+      }
+
+      // Close the pool and the claim connection
+      if (this.pool) {
+        await this.pool.close();
+        this.pool = null;
+      }
+
+      if (this.claimRedis && this.claimRedis !== this.redis) {
+        await this.claimRedis.quit();
+      }
+      this.claimRedis = null;
+
       // Close Redis connection
       if (this.redis) {
         await this.redis.quit();
@@ -154,7 +273,11 @@ class Client {
 
   /**
    * Create a new job
+   * With config.spool the job is written to the local spool instead while
+   * Redis is unreachable (or older spooled jobs are still being replayed);
+   * its payload must then be JSON-serializable.
    * @param {Object} jobData - Job creation data
+   * @param {string} jobData.jobId - Preassigned job ID (default random UUID)
    * @returns {Promise<string>} Job ID
    */
   async createJob(jobData) {
@@ -164,6 +287,191 @@ class Client {
       });
     }
 
+    const job = this._buildJob(jobData);
+
+    if (!this.spool) {
+      return await JobStorage.createJob(this.redis, scripts, job);
+    }
+
+    // Replays must not create the job twice, even if this attempt reached
+    // Redis but its reply was lost
+    if (!job.idempotencyKey) {
+      job.idempotencyKey = `spool:${job.jobId}`;
+    }
+
+    // Queue behind spooled jobs so creation order is kept
+    if (this.spool.pending > 0 || !this._isConnected()) {
+      return await this._spoolJob(job);
+    }
+
+    try {
+      return await JobStorage.createJob(this.redis, scripts, job);
+    } catch (error) {
+      if (this._isConnected()) {
+        throw error;
+      }
+
+      return await this._spoolJob(job);
+    }
+  }
+
+  /**
+   * Create many jobs, one MULTI/EXEC round-trip per chunk
+   * Idempotency keys and deduplication fingerprints are honoured per item.
+   * Every item is validated before the first chunk is written; a chunk that
+   * fails to write fails its items only, the other chunks still go through.
+   * @param {Object[]} jobs - Job creation data (same shape as createJob)
+   * @param {Object} options - Bulk options
+   * @param {number} options.chunkSize - Jobs per round-trip (default 500)
+   * @returns {Promise<Object[]>} Per-item results in input order:
+   *   { index, jobId, created, deduplicated, reason } or { index, error }
+   */
+  async createJobs(jobs, options = {}) {
+    if (!this.initialized) {
+      throwError(9001, 'REDIS_FAILURE', {
+        message: 'Client not initialized',
+      });
+    }
+
+    if (!Array.isArray(jobs)) {
+      throwError(1001, 'INVALID_PAYLOAD', {
+        message: 'createJobs expects an array of jobs',
+      });
+    }
+
+    const chunkSize = options.chunkSize || 500;
+    const built = jobs.map((jobData) => this._buildJob(jobData));
+    const results = [];
+    const countsByMesh = new Map();
+
+    for (let start = 0; start < built.length; start += chunkSize) {
+      const chunk = built.slice(start, start + chunkSize);
+      let outcomes;
+
+      try {
+        outcomes = await this._withPooledConnection(
+          (redis) => JobStorage.createJobs(redis, scripts, chunk),
+        );
+      } catch (error) {
+        outcomes = chunk.map(() => ({ error: error.message }));
+      }
+
+      outcomes.forEach((outcome, offset) => {
+        const { meshId } = chunk[offset];
+        const counts = countsByMesh.get(meshId) || { deduplicated: 0, failed: 0 };
+        countsByMesh.set(meshId, counts);
+
+        if (outcome.error) {
+          counts.failed += 1;
+          results.push({ index: start + offset, error: outcome.error });
+          return;
+        }
+
+        if (!outcome.created) {
+          counts.deduplicated += 1;
+        }
+
+        results.push({
+          index: start + offset,
+          jobId: outcome.jobId,
+          created: outcome.created === true,
+          deduplicated: outcome.existing === true,
+          reason: outcome.reason,
+        });
+      });
+    }
+
+    for (const [meshId, counts] of countsByMesh) {
+      await MetricsStorage.recordBulkCreate(this.redis, meshId, counts);
+    }
+
+    return results;
+  }
+
+  /**
+   * Create a parent job whose children must finish before it runs
+   * The whole tree is created atomically; nodes with children wait in
+   * 'waiting-children' and read their children's results with
+   * job.getChildrenResults(). Idempotency and deduplication are not applied
+   * to flow jobs, and every job of the flow must be in the root's mesh.
+   * @param {Object} flow - Root job data (same shape as createJob) plus:
+   * @param {Object[]} flow.children - Child job data (may nest children)
+   * @param {string} flow.onChildFailure - 'fail' (default), 'ignore' or 'continue'
+   * @returns {Promise<Object>} Job ID tree { jobId, children: [...] }
+   */
+  async createFlow(flow) {
+    if (!this.initialized) {
+      throwError(9001, 'REDIS_FAILURE', {
+        message: 'Client not initialized',
+      });
+    }
+
+    const nodes = [];
+    const tree = this._flattenFlow(flow, null, nodes);
+
+    await this._withPooledConnection(
+      (redis) => JobStorage.createFlow(redis, scripts, nodes),
+    );
+
+    return tree;
+  }
+
+  /**
+   * Flatten a flow tree into JobStorage job data, parents before children
+   * @private
+   * @param {Object} node - Flow node
+   * @param {string|null} parentId - Parent job ID
+   * @param {Object[]} nodes - Accumulated job data
+   * @returns {Object} Job ID tree
+   * @throws {BridgeMQError} 1002 INVALID_CONFIG
+   */
+  _flattenFlow(node, parentId, nodes) {
+    const {
+      children = [],
+      onChildFailure,
+      config = {},
+      ...jobData
+    } = node;
+
+    if (onChildFailure && !['fail', 'ignore', 'continue'].includes(onChildFailure)) {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: `Unknown onChildFailure policy: ${onChildFailure} (expected 'fail', 'ignore' or 'continue')`,
+      });
+    }
+
+    const job = this._buildJob({
+      ...jobData,
+      idempotency: null,
+      config: onChildFailure
+        ? { ...config, flow: { ...config.flow, onChildFailure } }
+        : config,
+    });
+
+    // One mesh per flow: the tree is created in one MULTI on the mesh's slot
+    if (nodes.length > 0 && job.meshId !== nodes[0].meshId) {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: `Flow job ${job.type} is in mesh ${job.meshId}, the flow root in ${nodes[0].meshId}`,
+      });
+    }
+
+    job.fingerprintHash = null;
+    job.parentId = parentId;
+    job.waitingChildren = children.length > 0;
+    nodes.push(job);
+
+    return {
+      jobId: job.jobId,
+      children: children.map((child) => this._flattenFlow(child, job.jobId, nodes)),
+    };
+  }
+
+  /**
+   * Build the JobStorage input for a createJob() call
+   * @private
+   * @param {Object} jobData - Job creation data
+   * @returns {Object} JobStorage job data
+   */
+  _buildJob(jobData) {
     const {
       type,
       payload,
@@ -171,7 +479,7 @@ class Client {
       config = {},
     } = jobData;
 
-    const jobId = uuidv4();
+    const jobId = jobData.jobId || uuidv4();
 
     // Calculate fingerprint for auto-dedup if enabled
     let fingerprintHash = null;
@@ -181,7 +489,7 @@ class Client {
       fingerprintHash = crypto.createHash('sha256').update(fingerprint).digest('hex');
     }
 
-    return await JobStorage.createJob(this.redis, scripts, {
+    return {
       jobId,
       type,
       version: jobData.version || '1.0',
@@ -189,12 +497,13 @@ class Client {
       config: {
         ...this.config.behavior,
         ...config,
+        ...(config.retry ? { retry: RetryManager.validateRetryConfig(config.retry) } : {}),
         priority: config.priority || 5,
       },
       meshId: config.meshId || this.config.mesh.meshId,
       idempotencyKey: idempotency ? idempotency.key : null,
       fingerprintHash,
-    });
+    };
   }
 
   /**
@@ -257,6 +566,96 @@ class Client {
     return await JobStorage.getJobErrors(this.redis, jobId);
   }
 
+  /**
+   * Get a saga transaction's status (see Transaction)
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Object|null>} { transactionId, status, failedStep, steps: [{ forward, compensation }] }
+   */
+  async getTransaction(transactionId) {
+    if (!this.initialized) {
+      throwError(9001, 'REDIS_FAILURE', {
+        message: 'Client not initialized',
+      });
+    }
+
+    return await Transaction.getStatus(this, transactionId);
+  }
+
+  /**
+   * Create a job and wait for it to finish
+   * @param {Object} jobData - Job creation data (see createJob)
+   * @param {Object} options - Wait options (see waitForJob)
+   * @returns {Promise<any>} Job result
+   */
+  async createJobAndWait(jobData, options = {}) {
+    const jobId = await this.createJob(jobData);
+    return await this.waitForJob(jobId, options);
+  }
+
+  /**
+   * Wait for a job to finish
+   * Subscribes to the job's event channel first, then reads the job once so
+   * jobs that finished before the subscription still settle. A job that does
+   * not exist yet (e.g. a chain link with an assigned ID) is waited for too.
+   * @param {string} jobId - Job ID
+   * @param {Object} options - Wait options
+   * @param {number} options.timeoutMs - Max wait, 0 for none (default 0)
+   * @returns {Promise<any>} Job result; rejects with JOB_FAILED (with the
+   *   stored errors), JOB_CANCELLED, JOB_QUARANTINED or JOB_PARKED (the job
+   *   may still run once released; wait again to follow it) or WAIT_TIMEOUT
+   */
+  async waitForJob(jobId, options = {}) {
+    if (!this.initialized) {
+      throwError(9001, 'REDIS_FAILURE', {
+        message: 'Client not initialized',
+      });
+    }
+
+    const { timeoutMs = 0 } = options;
+
+    return await new Promise((resolve, reject) => {
+      let timer = null;
+      let settled = false;
+
+      const waiter = (outcome) => {
+        if (settled) {
+          return;
+        }
+
+        settled = true;
+        clearTimeout(timer);
+        this._removeJobWaiter(jobId, waiter);
+
+        if (outcome.error) {
+          reject(outcome.error);
+        } else {
+          resolve(outcome.result);
+        }
+      };
+
+      if (timeoutMs > 0) {
+        timer = setTimeout(() => {
+          waiter({
+            error: new BridgeMQError(ErrorCodes.WAIT_TIMEOUT, 'WAIT_TIMEOUT', {
+              message: `Job did not finish within ${timeoutMs}ms`,
+              jobId,
+              timeoutMs,
+            }),
+          });
+        }, timeoutMs);
+      }
+
+      this._addJobWaiter(jobId, waiter)
+        .then(() => this._readJobOutcome(jobId))
+        .then((outcome) => {
+          if (outcome) {
+            waiter(outcome);
+          }
+        })
+        .catch((error) => waiter({ error }));
+    });
+  }
+
   /**
    * Cancel a job
    * @param {string} jobId - Job ID
@@ -314,10 +713,10 @@ class Client {
       });
     }
 
-    return await JobStorage.listJobs(this.redis, {
+    return await this._withPooledConnection((redis) => JobStorage.listJobs(redis, {
       meshId: this.config.mesh.meshId,
       ...filters,
-    });
+    }));
   }
 
   /**
@@ -331,7 +730,9 @@ class Client {
       });
     }
 
-    return await MetricsStorage.getStats(this.redis, this.config.mesh.meshId);
+    return await this._withPooledConnection(
+      (redis) => MetricsStorage.getStats(redis, this.config.mesh.meshId),
+    );
   }
 
   /**
@@ -349,7 +750,7 @@ class Client {
   }
 
   /**
-   * Get active job count for this server
+   * Get active job count for this server in its mesh
    * @returns {Promise<number>} Active count
    */
   async getActiveCount() {
@@ -359,11 +760,15 @@ class Client {
       });
     }
 
-    return await QueueStorage.getActiveCount(this.redis, this.config.server.serverId);
+    return await QueueStorage.getActiveCount(
+      this.redis,
+      this.config.mesh.meshId,
+      this.config.server.serverId,
+    );
   }
 
   /**
-   * Get delayed job count
+   * Get delayed job count for this mesh
    * @returns {Promise<number>} Delayed count
    */
   async getDelayedCount() {
@@ -373,7 +778,39 @@ class Client {
       });
     }
 
-    return await QueueStorage.getDelayedCount(this.redis);
+    return await QueueStorage.getDelayedCount(this.redis, this.config.mesh.meshId);
+  }
+
+  /**
+   * Get retry budget state (config.retry.budget)
+   * @param {string} key - Budget key (job type or config.retry.budgetKey)
+   * @returns {Promise<Object>} { key, attempts, retries, limit, remaining, parked, ... }
+   */
+  async getRetryBudget(key) {
+    if (!this.initialized) {
+      throwError(9001, 'REDIS_FAILURE', {
+        message: 'Client not initialized',
+      });
+    }
+
+    const budget = new RetryBudget(this.redis, this.config.retry.budget || {});
+    return await budget.getState(this.config.mesh.meshId, key);
+  }
+
+  /**
+   * List jobs parked by the retry budget, oldest first
+   * @param {Object} options - { offset, count } (default 0, 50)
+   * @returns {Promise<Array<Object>>} [{ jobId, type, budgetKey, attempt, parkedAt }]
+   */
+  async listParkedJobs(options = {}) {
+    if (!this.initialized) {
+      throwError(9001, 'REDIS_FAILURE', {
+        message: 'Client not initialized',
+      });
+    }
+
+    const budget = new RetryBudget(this.redis, this.config.retry.budget || {});
+    return await budget.listParked(this.config.mesh.meshId, options);
   }
 
   /**
@@ -414,21 +851,298 @@ class Client {
     );
   }
 
+  /**
+   * Is the main connection usable right now?
+   * @private
+   * @returns {boolean} True when ready (drivers without a status count as ready)
+   */
+  _isConnected() {
+    return Boolean(this.redis) && (this.redis.status === undefined || this.redis.status === 'ready');
+  }
+
+  /**
+   * Write a job to the local spool
+   * @private
+   * @param {Object} job - Built job
+   * @returns {Promise<string>} Job ID
+   */
+  async _spoolJob(job) {
+    // Reject what replay would reject (e.g. PAYLOAD_TOO_LARGE) while the caller can still see it
+    await JobStorage.encodePayload(job.payload, job.config);
+
+    await this.spool.append(job);
+
+    this.events.emit('job.spooled', {
+      event: 'job.spooled',
+      jobId: job.jobId,
+      type: job.type,
+      pending: this.spool.pending,
+      timestamp: Date.now(),
+    });
+
+    // Connected but behind older entries: make sure a replay is running
+    if (this._isConnected()) {
+      this._replaySpool();
+    }
+
+    return job.jobId;
+  }
+
+  /**
+   * Replay spooled jobs through JobStorage.createJob, oldest first
+   * Stops (keeping the rest on disk) when Redis drops again; jobs Redis
+   * rejects while connected are dropped so they cannot block the spool,
+   * and handed to 'spool.dropped' listeners with the error.
+   * @private
+   * @returns {Promise<void>}
+   */
+  _replaySpool() {
+    if (!this.spool || this.spoolReplay) {
+      return this.spoolReplay;
+    }
+
+    this.spoolReplay = this.spool.drain(async (job) => {
+      try {
+        await JobStorage.createJob(this.redis, scripts, job);
+      } catch (error) {
+        if (!this._isConnected()) {
+          throw error;
+        }
+
+        console.error(`[Client] Dropping spooled job ${job.jobId}:`, error.message);
+        this.events.emit('spool.dropped', {
+          event: 'spool.dropped',
+          jobId: job.jobId,
+          type: job.type,
+          job,
+          error,
+          timestamp: Date.now(),
+        });
+      }
+    })
+      .then((count) => {
+        if (count > 0) {
+          this.events.emit('spool.replayed', {
+            event: 'spool.replayed',
+            count,
+            timestamp: Date.now(),
+          });
+        }
+      })
+      .catch((error) => {
+        console.error('[Client] Spool replay stopped:', error.message);
+      })
+      .finally(() => {
+        this.spoolReplay = null;
+
+        // Spooled after the drain's last pass
+        if (this.spool && this.spool.pending > 0 && this._isConnected()) {
+          this._replaySpool();
+        }
+      });
+
+    return this.spoolReplay;
+  }
+
+  /**
+   * Run commands on a pooled connection (the shared one without a pool)
+   * @private
+   * @param {Function} fn - async (redis) => result
+   * @returns {Promise<any>} fn's result
+   */
+  async _withPooledConnection(fn) {
+    if (!this.pool) {
+      return await fn(this.redis);
+    }
+
+    const redis = BlobStorage.bind(await this.pool.acquire(), this.config.blobs);
+
+    try {
+      return await fn(redis);
+    } finally {
+      await this.pool.release(redis);
+    }
+  }
+
+  /**
+   * Register a waitForJob() callback, subscribing to the job channel once per job
+   * @private
+   * @param {string} jobId - Job ID
+   * @param {Function} waiter - Callback receiving { result } or { error }
+   * @returns {Promise<void>} Resolves once the subscription is active
+   */
+  async _addJobWaiter(jobId, waiter) {
+    const ns = this.namespace;
+    let entry = this.jobWaiters.get(jobId);
+
+    if (!entry) {
+      entry = {
+        waiters: new Set(),
+        subscribed: this.pubsub.subscribe(`${ns}:events:job:${jobId}`, (data) => {
+          this._onJobEvent(jobId, data);
+        }),
+      };
+      this.jobWaiters.set(jobId, entry);
+    }
+
+    entry.waiters.add(waiter);
+    await entry.subscribed;
+  }
+
+  /**
+   * Drop a waitForJob() callback, unsubscribing when it was the last one
+   * @private
+   * @param {string} jobId - Job ID
+   * @param {Function} waiter - Callback
+   */
+  _removeJobWaiter(jobId, waiter) {
+    const ns = this.namespace;
+    const entry = this.jobWaiters.get(jobId);
+
+    if (!entry) {
+      return;
+    }
+
+    entry.waiters.delete(waiter);
+
+    if (entry.waiters.size === 0) {
+      this.jobWaiters.delete(jobId);
+      entry.subscribed
+        .then(() => this.pubsub.unsubscribe(`${ns}:events:job:${jobId}`))
+        .catch(() => {});
+    }
+  }
+
+  /**
+   * Settle waiters on a terminal job event
+   * @private
+   * @param {string} jobId - Job ID
+   * @param {Object} data - Event data
+   */
+  async _onJobEvent(jobId, data) {
+    const entry = this.jobWaiters.get(jobId);
+
+    if (!entry) {
+      return;
+    }
+
+    let outcome;
+
+    try {
+      if (data.event === 'job.completed' && data.result !== undefined) {
+        outcome = { result: await BlobStorage.resolve(this.redis, JSON.parse(data.result)) };
+      } else if (WAIT_EVENTS.includes(data.event)) {
+        outcome = await this._readJobOutcome(jobId, data.event.slice('job.'.length));
+      }
+    } catch (error) {
+      outcome = { error };
+    }
+
+    if (outcome) {
+      for (const waiter of entry.waiters) {
+        waiter(outcome);
+      }
+    }
+  }
+
+  /**
+   * Read a job's final outcome from storage
+   * @private
+   * @param {string} jobId - Job ID
+   * @param {string} eventStatus - Status from a job event, used when the job
+   *   is already gone (removed on completion or failure)
+   * @returns {Promise<Object|null>} { result } or { error }, null while
+   *   unfinished or not created yet
+   */
+  async _readJobOutcome(jobId, eventStatus = null) {
+    const meta = await JobStorage.getJobMeta(this.redis, jobId) || { status: eventStatus };
+
+    switch (meta.status) {
+      case 'completed':
+        return { result: await JobStorage.getJobResult(this.redis, jobId) };
+
+      case 'failed': {
+        const errors = await JobStorage.getJobErrors(this.redis, jobId);
+        const last = errors[errors.length - 1];
+        let message = 'Job failed';
+
+        try {
+          message = JSON.parse(last.error).message || message;
+        } catch (error) {
+          // No stored error (e.g. moved to DLQ by the stall detector)
+        }
+
+        return {
+          error: new BridgeMQError(ErrorCodes.JOB_FAILED, 'JOB_FAILED', {
+            message,
+            jobId,
+            errors,
+          }),
+        };
+      }
+
+      case 'cancelled':
+        return {
+          error: new BridgeMQError(ErrorCodes.JOB_CANCELLED, 'JOB_CANCELLED', {
+            message: 'Job was cancelled',
+            jobId,
+          }),
+        };
+
+      case 'quarantined':
+        return {
+          error: new BridgeMQError(ErrorCodes.JOB_QUARANTINED, 'JOB_QUARANTINED', {
+            message: 'Job was quarantined after crashing workers',
+            jobId,
+            crashCount: parseInt(meta.crashCount, 10) || 0,
+          }),
+        };
+
+      case 'parked':
+        return {
+          error: new BridgeMQError(ErrorCodes.JOB_PARKED, 'JOB_PARKED', {
+            message: 'Job was parked: retry budget exhausted',
+            jobId,
+            budgetKey: meta.budgetKey,
+          }),
+        };
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Tell the application the Redis primary changed (scripts reload on
+   * NOSCRIPT and PubSub re-subscribes on its own)
+   * @private
+   * @param {Object} info - { previous, current } primary addresses
+   */
+  _onFailover(info) {
+    this.events.emit('connection.failover', {
+      event: 'connection.failover',
+      serverId: this.config.server.serverId,
+      previous: info.previous,
+      current: info.current,
+      timestamp: Date.now(),
+    });
+  }
+
   /**
    * Setup event subscriptions
    * @private
    */
   async _setupEventSubscriptions() {
-    const NS = 'bridgemq';
+    const ns = this.namespace;
 
     // Subscribe to global events
-    await this.pubsub.subscribe(`${NS}:events:global`, (data) => {
+    await this.pubsub.subscribe(`${ns}:events:global`, (data) => {
       this.events.emit(data.event, data);
     });
 
     // Subscribe to mesh events
     await this.pubsub.subscribe(
-      `${NS}:events:mesh:${this.config.mesh.meshId}`,
+      `${ns}:events:mesh:${this.config.mesh.meshId}`,
       (data) => {
         this.events.emit(data.event, data);
       },
@@ -436,7 +1150,7 @@ class Client {
 
     // Subscribe to server events
     await this.pubsub.subscribe(
-      `${NS}:events:server:${this.config.server.serverId}`,
+      `${ns}:events:server:${this.config.server.serverId}`,
       (data) => {
         this.events.emit(data.event, data);
       },
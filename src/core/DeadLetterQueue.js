@@ -0,0 +1,270 @@
+const scripts = require('../scripts');
+const JobStorage = require('../storage/JobStorage');
+const QueueStorage = require('../storage/QueueStorage');
+const JobList = require('./JobList');
+
+/**
+ * DeadLetterQueue - Triage of a mesh's failed jobs (client.dlq)
+ *
+ * PURPOSE: List, inspect, requeue and purge jobs that ran out of retries
+ * (or stalled too often) without touching Redis by hand
+ *
+ * FEATURES:
+ * - Filters: job type, error code, failure time window
+ * - Cursor pagination over the DLQ list (oldest failure first, see JobList)
+ * - Inspect: metadata, config, payload, error history and DLQ position
+ * - Requeue by job IDs or by filter, optionally resetting attempts or
+ *   replacing the payload (same job ID, see requeueJob.lua); flow children
+ *   and saga steps whose flow or saga finished without them are refused
+ * - Purge deletes the jobs (and their blobs), not just the DLQ entries
+ * - Export of full records for offline analysis
+ *
+ * FILTER:
+ * - type - Job type (string or array)
+ * - errorCode - Last error's code or type, e.g. 2002 or 'JOB_TIMEOUT'
+ *   (string, number or array); jobs moved by the stall detector have no
+ *   error and match 'JOB_STALLED'
+ * - since / until - Failure time bounds (ms timestamp or Date)
+ *
+ * CURSORS:
+ * Cursors are list positions. Requeues and purges shift later entries, so a
+ * page may skip or repeat jobs while the DLQ is being changed.
+ *
+ * ERROR CODES:
+ * - 1002: INVALID_CONFIG - requeue() without job IDs or a filter
+ */
+
+const STALLED_ERROR_CODE = 'JOB_STALLED';
+
+class DeadLetterQueue extends JobList {
+  /**
+   * Create DLQ handle
+   * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh whose DLQ is managed
+   */
+  constructor(redis, meshId) {
+    super(redis, meshId, 'errors');
+  }
+
+  /**
+   * Full record of a job, with its DLQ position
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Entry fields plus config, payload, errors
+   *   and position (-1 if not in the DLQ), or null if the job is gone
+   */
+  async inspect(jobId) {
+    const meta = await JobStorage.getJobMeta(this.redis, jobId, this.meshId);
+
+    if (!meta) {
+      return null;
+    }
+
+    const [job, position] = await Promise.all([
+      JobStorage.getJob(this.redis, jobId, this.meshId),
+      QueueStorage.getDLQPosition(this.redis, this.meshId, jobId),
+    ]);
+
+    return {
+      ...this._toEntry(jobId, meta, job.errors),
+      status: meta.status,
+      createdAt: meta.createdAt,
+      position,
+      config: job.config,
+      payload: job.payload,
+      errors: job.errors.map((entry) => ({ ...entry, error: this._parseError(entry.error) })),
+    };
+  }
+
+  /**
+   * Move jobs back to their pending queues
+   * @param {string|string[]|Object} target - Job ID(s), or a filter (see FILTER)
+   * @param {Object} options - Requeue options
+   * @param {boolean} options.resetAttempts - Restart the attempt count at 0
+   *   (otherwise the next failure goes straight back to the DLQ)
+   * @param {any} options.newPayload - Replacement payload for every job
+   * @returns {Promise<Object>} { requeued, results: [{ jobId, requeued, status, error }] }
+   */
+  async requeue(target, options = {}) {
+    const jobIds = await this._targets(target, 'requeue');
+    const results = [];
+
+    for (const jobId of jobIds) {
+      try {
+        results.push(await JobStorage.requeueJob(this.redis, scripts, jobId, options, this.meshId));
+      } catch (error) {
+        results.push({ jobId, requeued: false, error: error.message });
+      }
+    }
+
+    return {
+      requeued: results.filter((result) => result.requeued).length,
+      results,
+    };
+  }
+
+  /**
+   * Delete matching DLQ jobs (all of them without a filter)
+   * @param {Object} filter - Filter (see FILTER)
+   * @returns {Promise<Object>} { purged, jobIds }
+   */
+  async purge(filter = {}) {
+    const jobIds = await this._collect(filter);
+    const purged = [];
+
+    for (const jobId of jobIds) {
+      // Only jobs still in the DLQ: a concurrent requeue keeps its job
+      if (await QueueStorage.removeFromDLQ(this.redis, this.meshId, jobId) > 0) {
+        await JobStorage.deleteJob(this.redis, jobId, this.meshId);
+        purged.push(jobId);
+      }
+    }
+
+    return { purged: purged.length, jobIds: purged };
+  }
+
+  /**
+   * Full records of matching DLQ jobs (JSON-serializable)
+   * @param {Object} filter - Filter (see FILTER)
+   * @returns {Promise<Object[]>} inspect() records, oldest failure first
+   */
+  async export(filter = {}) {
+    const records = [];
+
+    for (const jobId of await this._collect(filter)) {
+      const record = await this.inspect(jobId);
+      if (record) {
+        records.push(record);
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Job counts per type
+   * @returns {Promise<Object>} { [type]: count }
+   */
+  async countByType() {
+    return QueueStorage.countDLQByType(this.redis, this.meshId);
+  }
+
+  /**
+   * DLQ job IDs by position
+   * @protected
+   * @param {number} start - First position
+   * @param {number} stop - Last position
+   * @returns {Promise<string[]>} Job IDs
+   */
+  _range(start, stop) {
+    return QueueStorage.listDLQ(this.redis, this.meshId, start, stop);
+  }
+
+  /**
+   * DLQ length
+   * @protected
+   * @returns {Promise<number>} Size
+   */
+  _size() {
+    return QueueStorage.getDLQSize(this.redis, this.meshId);
+  }
+
+  /**
+   * Build an entry from metadata and the errors list
+   * @protected
+   * @param {string} jobId - Job ID
+   * @param {Object|null} meta - Job metadata (null if the job is gone)
+   * @param {Object[]} errors - Errors list
+   * @returns {Object} { jobId, type, meshId, attempt, stalledCount, failedAt,
+   *   error, errorCode, missing }
+   */
+  _toEntry(jobId, meta, errors) {
+    if (!meta) {
+      return {
+        jobId,
+        type: null,
+        error: null,
+        errorCode: null,
+        missing: true,
+      };
+    }
+
+    const last = errors.length > 0 ? errors[errors.length - 1] : null;
+    const error = last ? this._parseError(last.error) : null;
+    let errorCode = null;
+
+    if (error) {
+      errorCode = error.code !== undefined && error.code !== null ? error.code : error.type || null;
+    } else if (meta.stalledCount > 0) {
+      errorCode = STALLED_ERROR_CODE;
+    }
+
+    return {
+      jobId,
+      type: meta.type,
+      meshId: meta.meshId,
+      attempt: meta.attempt,
+      stalledCount: meta.stalledCount || 0,
+      failedAt: meta.completedAt || meta.updatedAt,
+      error,
+      errorCode,
+      missing: false,
+    };
+  }
+
+  /**
+   * Does an entry match a filter?
+   * @protected
+   * @param {Object} entry - Entry
+   * @param {Object} filter - Filter
+   * @returns {boolean} True if every given criterion matches
+   */
+  _matches(entry, filter) {
+    const oneOf = (value) => (Array.isArray(value) ? value : [value]).map(String);
+
+    if (filter.type !== undefined && !oneOf(filter.type).includes(String(entry.type))) {
+      return false;
+    }
+
+    if (filter.errorCode !== undefined) {
+      const codes = oneOf(filter.errorCode);
+      const error = entry.error || {};
+      const candidates = [entry.errorCode, error.code, error.type]
+        .filter((value) => value !== undefined && value !== null)
+        .map(String);
+
+      if (!candidates.some((candidate) => codes.includes(candidate))) {
+        return false;
+      }
+    }
+
+    if (filter.since !== undefined && !(entry.failedAt >= Number(filter.since))) {
+      return false;
+    }
+
+    if (filter.until !== undefined && !(entry.failedAt <= Number(filter.until))) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Parse a stored error (retryJob.lua keeps it as a JSON string)
+   * @private
+   * @param {string|Object} raw - Stored error
+   * @returns {Object|null} Error { code, type, message, ... }
+   */
+  _parseError(raw) {
+    if (!raw || typeof raw !== 'string') {
+      return raw || null;
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return { message: raw };
+    }
+  }
+}
+
+module.exports = DeadLetterQueue;
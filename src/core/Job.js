@@ -1,4 +1,5 @@
 const JobStorage = require('../storage/JobStorage');
+const Namespace = require('../utils/Namespace');
 
 /**
  * Job - Job instance representation with helper methods
@@ -115,8 +116,7 @@ class Job {
       throw new Error('Progress must be between 0 and 100');
     }
 
-    const NS = 'bridgemq';
-    const metaKey = `${NS}:job:${this.jobId}:meta`;
+    const metaKey = `${Namespace.mesh(this.redis, this.meshId)}:job:${this.jobId}:meta`;
     
     await this.redis.hset(metaKey, 'progress', percent);
     this.progress = percent;
@@ -227,12 +227,13 @@ class Job {
    * Create Job instance from job ID
    * @param {Redis} redis - Redis client
    * @param {string} jobId - Job ID
+   * @param {string} meshId - Job's mesh ID (optional, looked up if omitted)
    * @returns {Promise<Job|null>} Job instance or null
    */
-  static async fromId(redis, jobId) {
-    const jobData = await JobStorage.getJob(redis, jobId);
+  static async fromId(redis, jobId, meshId = null) {
+    const jobData = await JobStorage.getJob(redis, jobId, meshId);
     
-    if (!jobData) {
+    if (!jobData || !jobData.jobId) {
       return null;
     }
 
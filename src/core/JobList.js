@@ -0,0 +1,134 @@
+const JobStorage = require('../storage/JobStorage');
+const { throwError } = require('../utils/Errors');
+
+/**
+ * JobList - Paged, filtered view of a mesh's list of job IDs
+ *
+ * PURPOSE: Shared listing behind DeadLetterQueue (the DLQ list) and
+ * Quarantine (the quarantine set)
+ *
+ * LOGIC:
+ * 1. list() reads job IDs a batch at a time (_range)
+ * 2. A batch's metadata and errors or crashes arrive in one pipeline
+ *    (JobStorage.getJobSummaries) and become entries (_toEntry)
+ * 3. Entries that pass _matches() fill the page; the cursor is the position
+ *    after the last job read, null once the list is exhausted
+ *
+ * Subclasses implement _range(start, stop), _size() and
+ * _toEntry(jobId, meta, list), and may narrow _matches(entry, filter).
+ *
+ * ERROR CODES:
+ * - 1002: INVALID_CONFIG - _targets() without job IDs or a filter
+ */
+class JobList {
+  /**
+   * Create list handle
+   * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh whose list is read
+   * @param {string} listName - Job list read with the metadata ('errors' or 'crashes')
+   */
+  constructor(redis, meshId, listName) {
+    this.redis = redis;
+    this.meshId = meshId;
+    this.listName = listName;
+  }
+
+  /**
+   * List entries
+   * @param {Object} options - Filter (see _matches) and paging
+   * @param {number} options.cursor - Position to continue from (default 0)
+   * @param {number} options.count - Max entries per page (default 50)
+   * @returns {Promise<Object>} { entries, cursor } (cursor is null on the last page)
+   */
+  async list(options = {}) {
+    const count = options.count || 50;
+    const batchSize = Math.max(count, 100);
+    const entries = [];
+    let cursor = options.cursor || 0;
+
+    while (entries.length < count) {
+      const jobIds = await this._range(cursor, cursor + batchSize - 1);
+
+      if (jobIds.length === 0) {
+        return { entries, cursor: null };
+      }
+
+      const summaries = await JobStorage.getJobSummaries(this.redis, jobIds, this.meshId, this.listName);
+
+      for (let i = 0; i < jobIds.length && entries.length < count; i += 1) {
+        const entry = this._toEntry(jobIds[i], summaries[i].meta, summaries[i].list);
+
+        cursor += 1;
+        if (this._matches(entry, options)) {
+          entries.push(entry);
+        }
+      }
+    }
+
+    const size = await this._size();
+
+    return { entries, cursor: cursor < size ? cursor : null };
+  }
+
+  /**
+   * Does an entry match a filter? (every entry, unless narrowed)
+   * @protected
+   * @param {Object} _entry - Entry
+   * @param {Object} _filter - Filter
+   * @returns {boolean} True if it matches
+   */
+  _matches(_entry, _filter) {
+    return true;
+  }
+
+  /**
+   * Job IDs an action applies to
+   * @protected
+   * @param {string|string[]|Object} target - Job ID(s) or filter
+   * @param {string} action - Action name for the error message
+   * @returns {Promise<string[]>} Job IDs
+   */
+  async _targets(target, action) {
+    if (typeof target === 'string') {
+      return [target];
+    }
+
+    if (Array.isArray(target)) {
+      return target;
+    }
+
+    if (!target || typeof target !== 'object') {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: `${action} expects job IDs or a filter`,
+      });
+    }
+
+    return this._collect(target);
+  }
+
+  /**
+   * IDs of every matching job
+   * @protected
+   * @param {Object} filter - Filter
+   * @returns {Promise<string[]>} Job IDs (each once: a flow parent can be
+   *   listed twice)
+   */
+  async _collect(filter) {
+    const jobIds = new Set();
+    let cursor = 0;
+
+    do {
+      const page = await this.list({ ...filter, cursor, count: 500 });
+
+      for (const entry of page.entries) {
+        jobIds.add(entry.jobId);
+      }
+
+      ({ cursor } = page);
+    } while (cursor !== null);
+
+    return [...jobIds];
+  }
+}
+
+module.exports = JobList;
@@ -0,0 +1,181 @@
+const scripts = require('../scripts');
+const JobStorage = require('../storage/JobStorage');
+const QueueStorage = require('../storage/QueueStorage');
+const JobList = require('./JobList');
+
+/**
+ * Quarantine - Poison messages of a mesh (client.quarantine)
+ *
+ * PURPOSE: Inspect and release jobs that took their worker process down with
+ * them. Such jobs never reach the retry path; StallDetector records a crash
+ * fingerprint each time one loses its lease, counts a crash when the
+ * worker's server is gone too (then or within crashWindowMs), and
+ * quarantines it after quarantineAfter crashes (job.quarantined event).
+ *
+ * FEATURES:
+ * - List quarantined jobs (oldest quarantine first, see JobList), filtered
+ *   by job type
+ * - Inspect: metadata, config, payload, errors and crash fingerprints
+ * - Release by job IDs or by filter back to the pending queue (same job
+ *   ID, see releaseQuarantined.lua)
+ * - cancelJob() drops a quarantined job for good
+ *
+ * CRASH FINGERPRINT:
+ * { serverId, serverAlive, attempt, claimedAt, detectedAt, elapsed,
+ *   coActive, coActiveCount, confirmedAt }
+ * - serverAlive - Server heartbeat still present (the worker froze rather
+ *   than exited); such fingerprints do not count towards quarantineAfter.
+ *   It turns false, with confirmedAt set, when the heartbeat expires within
+ *   StallDetector's crashWindowMs after all
+ * - coActive - Up to 10 other jobs the server was running at the time;
+ *   a job that crashes alone, or with different neighbours each time, is
+ *   the likely culprit
+ *
+ * ERROR CODES:
+ * - 1002: INVALID_CONFIG - release() without job IDs or a filter
+ */
+class Quarantine extends JobList {
+  /**
+   * Create quarantine handle
+   * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh whose quarantine set is managed
+   */
+  constructor(redis, meshId) {
+    super(redis, meshId, 'crashes');
+  }
+
+  /**
+   * Full record of a quarantined job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Entry fields plus status, config, payload,
+   *   errors and crashes, or null if the job is gone
+   */
+  async inspect(jobId) {
+    const meta = await JobStorage.getJobMeta(this.redis, jobId, this.meshId);
+
+    if (!meta) {
+      return null;
+    }
+
+    const [job, crashes] = await Promise.all([
+      JobStorage.getJob(this.redis, jobId, this.meshId),
+      JobStorage.getJobCrashes(this.redis, jobId, this.meshId),
+    ]);
+
+    return {
+      ...this._toEntry(jobId, meta, crashes),
+      status: meta.status,
+      createdAt: meta.createdAt,
+      config: job.config,
+      payload: job.payload,
+      errors: job.errors,
+      crashes,
+    };
+  }
+
+  /**
+   * Move quarantined jobs back to their pending queues
+   * @param {string|string[]|Object} target - Job ID(s), or a filter { type }
+   * @param {Object} options - Release options
+   * @param {boolean} options.resetCrashes - Restart the crash and stall
+   *   counts at 0 (default true; otherwise the next crash quarantines it again)
+   * @returns {Promise<Object>} { released, results: [{ jobId, released, status, error }] }
+   */
+  async release(target, options = {}) {
+    const jobIds = await this._targets(target, 'release');
+    const results = [];
+
+    for (const jobId of jobIds) {
+      try {
+        const outcome = await scripts.releaseQuarantined(this.redis, jobId, this.meshId, {
+          resetCrashes: options.resetCrashes !== false,
+        });
+        results.push({ jobId, ...outcome });
+      } catch (error) {
+        results.push({ jobId, released: false, error: error.message });
+      }
+    }
+
+    return {
+      released: results.filter((result) => result.released).length,
+      results,
+    };
+  }
+
+  /**
+   * Number of quarantined jobs
+   * @returns {Promise<number>} Count
+   */
+  async count() {
+    return QueueStorage.getQuarantineSize(this.redis, this.meshId);
+  }
+
+  /**
+   * Quarantined job IDs by position
+   * @protected
+   * @param {number} start - First position
+   * @param {number} stop - Last position
+   * @returns {Promise<string[]>} Job IDs
+   */
+  _range(start, stop) {
+    return QueueStorage.listQuarantine(this.redis, this.meshId, start, stop);
+  }
+
+  /**
+   * Quarantine set size
+   * @protected
+   * @returns {Promise<number>} Size
+   */
+  _size() {
+    return QueueStorage.getQuarantineSize(this.redis, this.meshId);
+  }
+
+  /**
+   * Build an entry from metadata and the crashes list
+   * @protected
+   * @param {string} jobId - Job ID
+   * @param {Object|null} meta - Job metadata (null if the job is gone)
+   * @param {Object[]} crashes - Crash fingerprints
+   * @returns {Object} { jobId, type, meshId, attempt, crashCount, stalledCount,
+   *   quarantinedAt, lastCrash, missing }
+   */
+  _toEntry(jobId, meta, crashes) {
+    if (!meta) {
+      return {
+        jobId,
+        type: null,
+        lastCrash: null,
+        missing: true,
+      };
+    }
+
+    return {
+      jobId,
+      type: meta.type,
+      meshId: meta.meshId,
+      attempt: meta.attempt,
+      crashCount: meta.crashCount,
+      stalledCount: meta.stalledCount || 0,
+      quarantinedAt: meta.quarantinedAt ? parseInt(meta.quarantinedAt, 10) : null,
+      lastCrash: crashes.length > 0 ? crashes[crashes.length - 1] : null,
+      missing: false,
+    };
+  }
+
+  /**
+   * Does an entry match a filter?
+   * @protected
+   * @param {Object} entry - Entry
+   * @param {Object} filter - Filter { type }
+   * @returns {boolean} True if the job type matches (or none is given)
+   */
+  _matches(entry, filter) {
+    if (filter.type === undefined) {
+      return true;
+    }
+
+    return (Array.isArray(filter.type) ? filter.type : [filter.type]).map(String).includes(String(entry.type));
+  }
+}
+
+module.exports = Quarantine;
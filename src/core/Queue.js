@@ -65,7 +65,7 @@ class Queue {
    * @returns {Promise<void>}
    */
   async moveToActive(jobId, serverId) {
-    await QueueStorage.moveToActive(this.redis, jobId, serverId);
+    await QueueStorage.moveToActive(this.redis, jobId, serverId, this.meshId);
   }
 
   /**
@@ -94,7 +94,7 @@ class Queue {
    * @returns {Promise<void>}
    */
   async moveToDelayed(jobId, serverId, timestamp) {
-    await QueueStorage.moveToDelayed(this.redis, jobId, serverId, timestamp);
+    await QueueStorage.moveToDelayed(this.redis, jobId, serverId, this.meshId, timestamp);
   }
 
   /**
@@ -1,7 +1,13 @@
 const JobStorage = require('../storage/JobStorage');
+const QueueStorage = require('../storage/QueueStorage');
+const WorkflowStorage = require('../storage/WorkflowStorage');
 const scripts = require('../scripts');
-const { throwError } = require('../utils/Errors');
+const { ErrorCodes, BridgeMQError, throwError } = require('../utils/Errors');
+const Namespace = require('../utils/Namespace');
 const EventEmitter = require('./EventEmitter');
+const SandboxPool = require('../sandbox/SandboxPool');
+const RetryManager = require('../retry/RetryManager');
+const Transaction = require('../workflow/Transaction');
 
 /**
  * Worker - Job processing worker with concurrency control
@@ -10,18 +16,27 @@ const EventEmitter = require('./EventEmitter');
  * 
  * FEATURES:
  * - Handler registration per job type
+ * - Sandboxed handlers in worker_threads or child processes
  * - Concurrent job processing with limit
  * - Automatic job claiming from queues
  * - Progress tracking and reporting
+ * - Job lease renewal while handlers run (see StallDetector); a lost lease
+ *   stops renewal and aborts job.signal with JOB_LOCK_LOST
+ * - Cooperative cancellation through job.signal (AbortSignal)
+ * - Per-job execution timeout (config.timeoutMs) aborts the handler
  * - Graceful shutdown (finish active jobs)
- * - Error handling and retry coordination
+ * - Error handling and retry coordination (handlers may throw
+ *   UnrecoverableError or RetryAfterError, see utils/Errors)
+ * - Retry budget (config.retry.budget): counts first attempts and releases
+ *   parked jobs as budget frees up (see RetryBudget)
  * 
  * LOGIC:
  * 1. start() begins claim loop
  * 2. Claim job if under concurrency limit
- * 3. Execute handler with job data
- * 4. Complete or fail job based on result
- * 5. Repeat until stop() called
+ * 3. If nothing was claimed, block on the mesh wake list until a job lands
+ * 4. Execute handler with job data
+ * 5. Complete or fail job based on result (failures go through RetryManager)
+ * 6. Repeat until stop() called
  */
 class Worker {
   /**
@@ -35,18 +50,53 @@ class Worker {
     this.activeJobs = new Set();
     this.concurrency = client.config.server.concurrency || 1;
     this.events = new EventEmitter();
-    this.claimInterval = null;
+    this.claimBlockTimeoutMs = client.config.server.claimBlockTimeoutMs || 5000;
+    this.lockDurationMs = client.config.server.lockDurationMs || 30000;
+    this.lockRenewIntervalMs = client.config.server.lockRenewIntervalMs
+      || Math.floor(this.lockDurationMs / 2);
+    this.blockingRedis = null;
+    this.claimLoop = null;
+    this.slotWaiter = null;
+    this.sandboxPools = new Map();
+    this.killTimeoutMs = client.config.server.killTimeoutMs || 5000;
+    this.abortControllers = new Map();
+    this.onCancel = (data) => this._abortJob(data && data.jobId);
+    this.retryManager = null;
+    this.budgetTimer = null;
   }
 
   /**
    * Register job handler
    * @param {string} type - Job type
-   * @param {Function} handler - Handler function(job)
+   * @param {Function|Object} handler - Handler function(job), or sandbox options
+   * @param {string} handler.file - Module exporting the handler function
+   * @param {string} handler.sandbox - 'thread' or 'process' (default 'thread')
+   * @param {number} handler.concurrency - Sandbox pool size (default worker concurrency)
+   * @param {number} handler.killTimeoutMs - Grace period before a cancelled sandbox is
+   *   killed (default config.server.killTimeoutMs, 5000)
    */
   registerHandler(type, handler) {
+    if (handler && typeof handler === 'object') {
+      const pool = new SandboxPool({
+        file: handler.file,
+        sandbox: handler.sandbox,
+        size: handler.concurrency || this.concurrency,
+        killTimeoutMs: handler.killTimeoutMs || this.killTimeoutMs,
+      });
+
+      const previous = this.sandboxPools.get(type);
+      if (previous) {
+        previous.close();
+      }
+
+      this.sandboxPools.set(type, pool);
+      this.handlers.set(type, (job) => pool.run(job));
+      return;
+    }
+
     if (typeof handler !== 'function') {
       throwError(1002, 'INVALID_CONFIG', {
-        message: 'Handler must be a function',
+        message: 'Handler must be a function or { file, sandbox } options',
       });
     }
 
@@ -79,6 +129,15 @@ class Worker {
     }
 
     this.running = true;
+    this.retryManager = new RetryManager(this.client.redis, this.client.config.retry);
+
+    // Cancellations for jobs we run arrive on this server's event channel
+    this.client.events.on('job.cancel', this.onCancel);
+
+    if (this.retryManager.budget) {
+      this._startBudgetRelease();
+    }
+
     this.events.emit('worker.started', {
       serverId: this.client.config.server.serverId,
       concurrency: this.concurrency,
@@ -100,10 +159,21 @@ class Worker {
 
     this.running = false;
 
-    // Stop claiming new jobs
-    if (this.claimInterval) {
-      clearInterval(this.claimInterval);
-      this.claimInterval = null;
+    if (this.budgetTimer) {
+      clearInterval(this.budgetTimer);
+      this.budgetTimer = null;
+    }
+
+    // Stop claiming new jobs (unblocks a pending BLPOP)
+    if (this.blockingRedis) {
+      this.blockingRedis.disconnect();
+      this.blockingRedis = null;
+    }
+    this._notifySlot();
+
+    if (this.claimLoop) {
+      await this.claimLoop;
+      this.claimLoop = null;
     }
 
     // Wait for active jobs to complete
@@ -118,6 +188,13 @@ class Worker {
       await new Promise((resolve) => setTimeout(resolve, 100));
     }
 
+    this.client.events.off('job.cancel', this.onCancel);
+
+    // Tear down sandboxes (kills any still running after the timeout)
+    for (const pool of this.sandboxPools.values()) {
+      await pool.close();
+    }
+
     this.events.emit('worker.stopped', {
       serverId: this.client.config.server.serverId,
     });
@@ -135,6 +212,7 @@ class Worker {
     }
 
     this.concurrency = n;
+    this._notifySlot();
   }
 
   /**
@@ -143,6 +221,7 @@ class Worker {
    */
   increaseConcurrency(n = 1) {
     this.concurrency += n;
+    this._notifySlot();
   }
 
   /**
@@ -158,71 +237,168 @@ class Worker {
    * @private
    */
   _startClaimLoop() {
-    const claimIntervalMs = 100; // Check every 100ms
+    // BLPOP holds its connection, so blocking waits get a dedicated one
+    this.blockingRedis = Namespace.duplicate(this.client.redis);
 
-    this.claimInterval = setInterval(async () => {
-      if (!this.running) {
-        return;
-      }
+    this.claimLoop = this._runClaimLoop().catch((error) => {
+      console.error('Claim loop terminated:', error.message);
+    });
+  }
 
-      // Check if we can claim more jobs
+  /**
+   * Claim jobs while work is available, sleep on the wake list otherwise
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _runClaimLoop() {
+    while (this.running) {
+      // Wait for a free concurrency slot
       if (this.activeJobs.size >= this.concurrency) {
-        return;
+        await this._waitForSlot();
+        continue;
       }
 
+      let claimed = false;
+
       try {
-        await this._claimAndProcess();
+        claimed = await this._claimAndProcess();
       } catch (error) {
         console.error('Error in claim loop:', error.message);
       }
-    }, claimIntervalMs);
+
+      if (!claimed && this.running) {
+        await this._waitForWork();
+      }
+    }
+  }
+
+  /**
+   * Block until a job is signalled on the mesh wake list or the timeout passes
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _waitForWork() {
+    try {
+      await QueueStorage.waitForWork(
+        this.blockingRedis,
+        this.client.config.mesh.meshId,
+        this.claimBlockTimeoutMs,
+      );
+    } catch (error) {
+      if (!this.running) {
+        return; // Connection closed by stop()
+      }
+
+      console.error('Error waiting for work:', error.message);
+
+      // Back off instead of spinning while Redis is unavailable
+      await new Promise((resolve) => setTimeout(resolve, this.claimBlockTimeoutMs));
+    }
+  }
+
+  /**
+   * Wait until an active job finishes or concurrency is raised
+   * @private
+   * @returns {Promise<void>}
+   */
+  _waitForSlot() {
+    return new Promise((resolve) => {
+      this.slotWaiter = resolve;
+    });
+  }
+
+  /**
+   * Wake the claim loop if it is waiting for a slot
+   * @private
+   */
+  _notifySlot() {
+    if (this.slotWaiter) {
+      const resolve = this.slotWaiter;
+      this.slotWaiter = null;
+      resolve();
+    }
   }
 
   /**
    * Claim and process a job
    * @private
+   * @returns {Promise<boolean>} True if a job was claimed
    */
   async _claimAndProcess() {
     // Claim job
-    const jobId = await JobStorage.claimJob(
-      this.client.redis,
+    // Claims use the client's dedicated connection (never queued behind listJobs etc.)
+    const claim = await JobStorage.claimJob(
+      this.client.claimRedis,
       scripts,
       {
         serverId: this.client.config.server.serverId,
         meshId: this.client.config.mesh.meshId,
         capabilities: this.client.config.server.capabilities || [],
+        lockDurationMs: this.lockDurationMs,
       },
     );
 
-    if (!jobId) {
-      return; // No job available
+    if (!claim) {
+      return false; // No job available
     }
 
+    const { jobId, lockToken } = claim;
+
     // Track active job
     this.activeJobs.add(jobId);
 
     // Process job asynchronously
-    this._processJob(jobId)
+    this._processJob(jobId, lockToken)
       .finally(() => {
         this.activeJobs.delete(jobId);
+        this._notifySlot();
       });
+
+    return true;
   }
 
   /**
    * Process a claimed job
    * @private
    * @param {string} jobId - Job ID
+   * @param {string} lockToken - Lease token from claim
    */
-  async _processJob(jobId) {
+  async _processJob(jobId, lockToken) {
+    const abortController = new AbortController();
+    this.abortControllers.set(jobId, abortController);
+
+    // Keep the lease alive for as long as the handler runs
+    const lockRenewal = this._startLockRenewal(jobId, lockToken, abortController);
+    let transaction = null;
+
     try {
       // Get full job data
-      const job = await JobStorage.getJob(this.client.redis, jobId);
+      const job = await JobStorage.getJob(this.client.redis, jobId, this.client.config.mesh.meshId);
 
-      if (!job) {
+      if (!job || !job.jobId) {
         console.error(`Job ${jobId} not found after claiming`);
         return;
       }
 
+      transaction = job.config && job.config.transaction;
+
+      // First attempts set the retry budget (a stalled rerun is not one).
+      // Only workers with config.retry.budget count them, so every worker of
+      // the mesh must share the same budget config (see RetryBudget)
+      const budget = this.retryManager.budget;
+      if (budget && !job.attempt && !job.stalledCount && budget.appliesTo(job)) {
+        try {
+          await budget.recordAttempt(job);
+        } catch (error) {
+          console.error(`Failed to record attempt for job ${jobId}:`, error.message);
+        }
+      }
+
+      // Workflow steps receive their upstream steps' results
+      if (job.config && job.config.workflow) {
+        await this._injectWorkflowResults(job);
+      }
+
       // Emit start event
       this.events.emit('job.start', { jobId, type: job.type });
 
@@ -237,52 +413,266 @@ class Worker {
           message: `No handler registered for job type: ${job.type}`,
         };
 
-        await this._failJob(jobId, error);
+        await this._failJob(jobId, error, lockToken);
         return;
       }
 
       // Create job wrapper with helper methods
-      const jobWrapper = this._createJobWrapper(job);
+      const jobWrapper = this._createJobWrapper(job, abortController.signal);
+
+      // Cancelled between claim and now
+      if (job.status === 'cancelled') {
+        abortController.abort(this._cancelReason(jobId));
+      }
 
-      // Execute handler
-      const result = await handler(jobWrapper);
+      // Execute handler (bounded by config.timeoutMs)
+      const result = await this._runWithTimeout(
+        Promise.resolve().then(() => handler(jobWrapper)),
+        job.config && job.config.timeoutMs,
+        jobId,
+        abortController,
+      );
 
       // Complete job
-      await JobStorage.completeJob(
+      const outcome = await JobStorage.completeJob(
         this.client.redis,
         scripts,
         jobId,
         this.client.config.server.serverId,
         result,
+        lockToken,
+        job.meshId,
+        job.config,
       );
 
+      if (outcome && outcome.cancelled) {
+        // Handler ignored the signal and finished anyway - result is discarded
+        this.events.emit('job.cancelled', { jobId, result });
+        return;
+      }
+
+      if (outcome && outcome.success === false) {
+        // Lease was lost (job recovered elsewhere) - result is discarded
+        if (!abortController.signal.aborted) {
+          this.events.emit('job.lockLost', { jobId, reason: outcome.error });
+        }
+        return;
+      }
+
       // Emit complete event
       this.events.emit('job.complete', { jobId, result });
     } catch (error) {
-      // Handler threw error - fail job
+      // Handler threw error - fail job (cancelled jobs are only released)
       await this._failJob(jobId, {
+        code: error.code,
+        type: error.type,
+        name: error.name,
         message: error.message,
         stack: error.stack,
-      });
+        retryAfterMs: error.retryAfterMs,
+      }, lockToken);
+
+      const { reason } = abortController.signal;
 
-      this.events.emit('job.fail', { jobId, error });
+      if (reason && reason.code === ErrorCodes.JOB_CANCELLED) {
+        this.events.emit('job.cancelled', { jobId, error });
+      } else if (reason && reason.code === ErrorCodes.JOB_LOCK_LOST) {
+        // Already reported as job.lockLost; the job is no longer ours to fail
+      } else {
+        this.events.emit('job.fail', { jobId, error });
+      }
+    } finally {
+      clearInterval(lockRenewal);
+      this.abortControllers.delete(jobId);
+
+      // Saga steps move their transaction on as soon as they settle
+      if (transaction) {
+        await this._advanceTransaction(transaction.transactionId, jobId, this.client.config.mesh.meshId);
+      }
+    }
+  }
+
+  /**
+   * Record a saga job's outcome and advance the saga after the job settled
+   * Errors are logged only - TransactionRecovery picks the saga up later
+   * @private
+   * @param {string} transactionId - Transaction ID
+   * @param {string} jobId - Saga job that settled
+   * @param {string} meshId - Mesh of the saga's jobs
+   * @returns {Promise<void>}
+   */
+  async _advanceTransaction(transactionId, jobId, meshId) {
+    try {
+      await Transaction.recordOutcome(this.client, transactionId, jobId, meshId);
+      await Transaction.advance(this.client, transactionId, meshId);
+    } catch (error) {
+      console.error(`Failed to advance transaction ${transactionId}:`, error.message);
+    }
+  }
+
+  /**
+   * Add dependency results to a workflow step's payload (payload._workflow.results)
+   * @private
+   * @param {Object} job - Job data (payload is replaced)
+   * @returns {Promise<void>}
+   */
+  async _injectWorkflowResults(job) {
+    const { workflowId, dependsOn = [] } = job.config.workflow;
+    const results = await WorkflowStorage.getStepResults(
+      this.client.redis,
+      workflowId,
+      job.meshId,
+      dependsOn,
+    );
+    const payload = job.payload || {};
+
+    job.payload = {
+      ...payload,
+      _workflow: {
+        ...payload._workflow,
+        results,
+      },
+    };
+  }
+
+  /**
+   * Reject with JOB_TIMEOUT (and abort job.signal) if the handler outlives timeoutMs
+   * @private
+   * @param {Promise<any>} execution - Handler promise
+   * @param {number} timeoutMs - Timeout (no timeout when unset)
+   * @param {string} jobId - Job ID
+   * @param {AbortController} abortController - Job's abort controller
+   * @returns {Promise<any>} Handler result
+   */
+  _runWithTimeout(execution, timeoutMs, jobId, abortController) {
+    if (!timeoutMs) {
+      return execution;
     }
+
+    let timer = null;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new BridgeMQError(ErrorCodes.JOB_TIMEOUT, 'JOB_TIMEOUT', {
+          message: `Job exceeded timeout of ${timeoutMs}ms`,
+          jobId,
+          timeoutMs,
+        });
+
+        abortController.abort(error);
+        reject(error);
+      }, timeoutMs);
+    });
+
+    // The handler may still settle after the timeout fired
+    execution.catch(() => {});
+
+    return Promise.race([execution, timeout]).finally(() => clearTimeout(timer));
   }
 
   /**
-   * Fail a job
+   * Abort a running job's signal (job.cancel event)
+   * @private
+   * @param {string} jobId - Job ID
+   */
+  _abortJob(jobId) {
+    const controller = this.abortControllers.get(jobId);
+
+    if (controller && !controller.signal.aborted) {
+      controller.abort(this._cancelReason(jobId));
+    }
+  }
+
+  /**
+   * Build the abort reason handed to handlers
+   * @private
+   * @param {string} jobId - Job ID
+   * @returns {BridgeMQError} Cancellation error
+   */
+  _cancelReason(jobId) {
+    return new BridgeMQError(ErrorCodes.JOB_CANCELLED, 'JOB_CANCELLED', {
+      message: 'Job was cancelled',
+      jobId,
+    });
+  }
+
+  /**
+   * Periodically renew a job's lease
+   * A rejected renewal means the job was recovered elsewhere: renewal stops
+   * and the job's signal is aborted with JOB_LOCK_LOST
+   * @private
+   * @param {string} jobId - Job ID
+   * @param {string} lockToken - Lease token from claim
+   * @param {AbortController} abortController - Job's abort controller
+   * @returns {NodeJS.Timer} Renewal interval ID
+   */
+  _startLockRenewal(jobId, lockToken, abortController) {
+    const timer = setInterval(async () => {
+      try {
+        const renewed = await JobStorage.extendLock(
+          this.client.redis,
+          scripts,
+          jobId,
+          lockToken,
+          this.lockDurationMs,
+          this.client.config.mesh.meshId,
+        );
+
+        if (!renewed && !abortController.signal.aborted) {
+          clearInterval(timer);
+          this.events.emit('job.lockLost', { jobId, reason: 'Lease renewal rejected' });
+          abortController.abort(new BridgeMQError(ErrorCodes.JOB_LOCK_LOST, 'JOB_LOCK_LOST', {
+            message: 'Job lease was lost',
+            jobId,
+          }));
+        }
+      } catch (error) {
+        console.error(`Failed to renew lock for job ${jobId}:`, error.message);
+      }
+    }, this.lockRenewIntervalMs);
+
+    return timer;
+  }
+
+  /**
+   * Periodically release parked jobs the retry budget allows again
+   * @private
+   */
+  _startBudgetRelease() {
+    const budget = this.retryManager.budget;
+    let releasing = false;
+
+    this.budgetTimer = setInterval(async () => {
+      if (releasing) {
+        return;
+      }
+
+      releasing = true;
+      try {
+        await budget.releaseParked(this.client.config.mesh.meshId);
+      } catch (error) {
+        console.error('Failed to release parked jobs:', error.message);
+      } finally {
+        releasing = false;
+      }
+    }, budget.options.releaseIntervalMs);
+  }
+
+  /**
+   * Fail a job (retry, DLQ, park or release as decided by RetryManager)
    * @private
    * @param {string} jobId - Job ID
    * @param {Object} error - Error object
+   * @param {string} lockToken - Lease token from claim
    */
-  async _failJob(jobId, error) {
+  async _failJob(jobId, error, lockToken) {
     try {
-      await JobStorage.failJob(
-        this.client.redis,
-        scripts,
+      await this.retryManager.handleFailure(
         jobId,
         this.client.config.server.serverId,
         error,
+        lockToken,
+        this.client.config.mesh.meshId,
       );
     } catch (err) {
       console.error(`Failed to fail job ${jobId}:`, err.message);
@@ -293,9 +683,10 @@ class Worker {
    * Create job wrapper with helper methods
    * @private
    * @param {Object} job - Job data
+   * @param {AbortSignal} signal - Aborted when the job is cancelled
    * @returns {Object} Job wrapper
    */
-  _createJobWrapper(job) {
+  _createJobWrapper(job, signal) {
     const self = this;
 
     return {
@@ -309,6 +700,9 @@ class Worker {
       createdAt: job.createdAt,
       claimedAt: job.claimedAt,
 
+      // Cancellation signal
+      signal,
+
       // Get methods
       getMetadata() {
         return {
@@ -331,8 +725,7 @@ class Worker {
 
       // Progress tracking
       async setProgress(percent) {
-        const NS = 'bridgemq';
-        const metaKey = `${NS}:job:${job.jobId}:meta`;
+        const metaKey = `${Namespace.mesh(self.client.redis, job.meshId)}:job:${job.jobId}:meta`;
         
         await self.client.redis.hset(metaKey, 'progress', percent);
         
@@ -342,6 +735,11 @@ class Worker {
         });
       },
 
+      // Flow parents: results recorded by finished children
+      async getChildrenResults() {
+        return await JobStorage.getChildrenResults(self.client.redis, job.jobId, job.meshId);
+      },
+
       // Logging
       async log(message) {
         console.log(`[Job ${job.jobId}] ${message}`);
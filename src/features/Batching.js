@@ -1,4 +1,5 @@
 const scripts = require('../scripts');
+const Namespace = require('../utils/Namespace');
 
 /**
  * Batching - Aggregate multiple jobs into batches
@@ -27,15 +28,16 @@ class Batching {
   constructor(redis, options = {}) {
     this.redis = redis;
     this.options = {
-      namespace: options.namespace || 'bridgemq',
+      meshId: options.meshId || 'default',
       defaultMaxSize: options.defaultMaxSize || 10,
       defaultMaxWaitMs: options.defaultMaxWaitMs || 5000,
     };
+    this.prefix = Namespace.mesh(redis, this.options.meshId);
     this.timers = new Map();
   }
 
   async addToBatch(batchKey, jobId) {
-    const key = `${this.options.namespace}:batch:${batchKey}`;
+    const key = `${this.prefix}:batch:${batchKey}`;
     await this.redis.sadd(key, jobId);
     
     const size = await this.redis.scard(key);
@@ -52,19 +54,19 @@ class Batching {
   }
 
   async getBatchMembers(batchKey) {
-    const key = `${this.options.namespace}:batch:${batchKey}`;
+    const key = `${this.prefix}:batch:${batchKey}`;
     return await this.redis.smembers(key);
   }
 
   async clearBatch(batchKey) {
-    const key = `${this.options.namespace}:batch:${batchKey}`;
+    const key = `${this.prefix}:batch:${batchKey}`;
     await this.redis.del(key);
   }
 
   startAutoFinalize(batchKey, maxSize, maxWaitMs, meshId, type) {
     const timer = setInterval(async () => {
       const size = await this.redis.scard(
-        `${this.options.namespace}:batch:${batchKey}`,
+        `${this.prefix}:batch:${batchKey}`,
       );
       
       if (size >= maxSize) {
@@ -1,3 +1,5 @@
+const Namespace = require('../utils/Namespace');
+
 /**
  * Idempotency - Prevent duplicate job processing
  * 
@@ -16,9 +18,9 @@
  * 4. If not, process and store result
  * 5. Set TTL on key (default 24 hours)
  * 
- * REDIS KEYS:
- * - idempotency:{key} -> jobId
- * - job:{jobId}:result -> result
+ * REDIS KEYS (mp = {ns}:{meshId}, see Namespace.mesh):
+ * - {mp}:idempotency:{key} -> jobId
+ * - {mp}:job:{jobId}:result -> result
  */
 class Idempotency {
   /**
@@ -30,8 +32,9 @@ class Idempotency {
     this.redis = redis;
     this.options = {
       ttlSeconds: options.ttlSeconds || 86400, // 24 hours
-      namespace: options.namespace || 'bridgemq',
+      meshId: options.meshId || 'default',
     };
+    this.prefix = Namespace.mesh(redis, this.options.meshId);
   }
 
   /**
@@ -40,7 +43,7 @@ class Idempotency {
    * @returns {Promise<string|null>} Job ID or null
    */
   async checkKey(key) {
-    const redisKey = `${this.options.namespace}:idempotency:${key}`;
+    const redisKey = `${this.prefix}:idempotency:${key}`;
     return await this.redis.get(redisKey);
   }
 
@@ -51,7 +54,7 @@ class Idempotency {
    * @returns {Promise<boolean>} True if registered (false if already exists)
    */
   async registerKey(key, jobId) {
-    const redisKey = `${this.options.namespace}:idempotency:${key}`;
+    const redisKey = `${this.prefix}:idempotency:${key}`;
     
     // Use SETNX to set only if not exists
     const result = await this.redis.set(
@@ -80,7 +83,7 @@ class Idempotency {
    * @returns {Promise<void>}
    */
   async removeKey(key) {
-    const redisKey = `${this.options.namespace}:idempotency:${key}`;
+    const redisKey = `${this.prefix}:idempotency:${key}`;
     await this.redis.del(redisKey);
   }
 
@@ -91,7 +94,7 @@ class Idempotency {
    * @returns {Promise<void>}
    */
   async extendTTL(key, seconds) {
-    const redisKey = `${this.options.namespace}:idempotency:${key}`;
+    const redisKey = `${this.prefix}:idempotency:${key}`;
     await this.redis.expire(redisKey, seconds);
   }
 
@@ -1,4 +1,5 @@
 const scripts = require('../scripts');
+const Namespace = require('../utils/Namespace');
 
 /**
  * RateLimiter - Enforce rate limits across distributed system
@@ -24,13 +25,15 @@ class RateLimiter {
   constructor(redis, options = {}) {
     this.redis = redis;
     this.options = {
-      namespace: options.namespace || 'bridgemq',
+      meshId: options.meshId || 'default',
     };
+    this.prefix = Namespace.mesh(redis, this.options.meshId);
   }
 
   async checkLimit(key, max, windowSeconds) {
     return await scripts.rateLimitCheck(
       this.redis,
+      this.options.meshId,
       key,
       max,
       windowSeconds,
@@ -41,6 +44,7 @@ class RateLimiter {
   async checkAndQueue(key, max, windowSeconds, jobId) {
     return await scripts.rateLimitCheck(
       this.redis,
+      this.options.meshId,
       key,
       max,
       windowSeconds,
@@ -49,12 +53,12 @@ class RateLimiter {
   }
 
   async getCount(key) {
-    const redisKey = `${this.options.namespace}:ratelimit:${key}`;
+    const redisKey = `${this.prefix}:ratelimit:${key}`;
     return parseInt(await this.redis.get(redisKey) || 0, 10);
   }
 
   async reset(key) {
-    const redisKey = `${this.options.namespace}:ratelimit:${key}`;
+    const redisKey = `${this.prefix}:ratelimit:${key}`;
     await this.redis.del(redisKey);
   }
 }
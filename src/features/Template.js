@@ -1,3 +1,5 @@
+const Namespace = require('../utils/Namespace');
+
 /**
  * Template - Job template management
  * 
@@ -30,13 +32,14 @@ class Template {
   constructor(redis, options = {}) {
     this.redis = redis;
     this.options = {
-      namespace: options.namespace || 'bridgemq',
+      namespace: options.namespace || Namespace.of(redis),
     };
   }
 
   async save(name, template) {
     const key = `${this.options.namespace}:template:${name}`;
     await this.redis.set(key, JSON.stringify(template));
+    await this.redis.sadd(`${this.options.namespace}:templates`, name);
   }
 
   async get(name) {
@@ -48,12 +51,11 @@ class Template {
   async delete(name) {
     const key = `${this.options.namespace}:template:${name}`;
     await this.redis.del(key);
+    await this.redis.srem(`${this.options.namespace}:templates`, name);
   }
 
   async list() {
-    const pattern = `${this.options.namespace}:template:*`;
-    const keys = await this.redis.keys(pattern);
-    return keys.map((key) => key.split(':').pop());
+    return this.redis.smembers(`${this.options.namespace}:templates`);
   }
 
   async apply(name, overrides = {}) {
@@ -8,14 +8,25 @@
 const Client = require('./core/Client');
 const Worker = require('./core/Worker');
 const Queue = require('./core/Queue');
+const DeadLetterQueue = require('./core/DeadLetterQueue');
+const Quarantine = require('./core/Quarantine');
 const Job = require('./core/Job');
 
+// Sandboxed Processors
+const SandboxPool = require('./sandbox/SandboxPool');
+
 // Storage Layer
 const JobStorage = require('./storage/JobStorage');
 const QueueStorage = require('./storage/QueueStorage');
 const ServerStorage = require('./storage/ServerStorage');
 const MeshStorage = require('./storage/MeshStorage');
 const MetricsStorage = require('./storage/MetricsStorage');
+const WorkflowStorage = require('./storage/WorkflowStorage');
+const TransactionStorage = require('./storage/TransactionStorage');
+const ChainStorage = require('./storage/ChainStorage');
+const { MemoryStore, MemoryDriver } = require('./storage/drivers');
+const BlobStorage = require('./storage/BlobStorage');
+const { FsBlobStore, S3BlobStore } = require('./storage/blobs');
 
 // Routing
 const Router = require('./routing/Router');
@@ -27,7 +38,11 @@ const RegionRouter = require('./routing/RegionRouter');
 const RetryStrategy = require('./retry/RetryStrategy');
 const ExponentialBackoff = require('./retry/ExponentialBackoff');
 const LinearBackoff = require('./retry/LinearBackoff');
+const DecorrelatedJitter = require('./retry/DecorrelatedJitter');
+const FibonacciBackoff = require('./retry/FibonacciBackoff');
+const FixedSchedule = require('./retry/FixedSchedule');
 const RetryManager = require('./retry/RetryManager');
+const RetryBudget = require('./retry/RetryBudget');
 
 // Advanced Features
 const Idempotency = require('./features/Idempotency');
@@ -47,6 +62,7 @@ const ProcessDelayed = require('./background/ProcessDelayed');
 const StallDetector = require('./background/StallDetector');
 const Cleaner = require('./background/Cleaner');
 const MetricsAggregator = require('./background/MetricsAggregator');
+const TransactionRecovery = require('./background/TransactionRecovery');
 
 // Scheduling
 const DelayedScheduler = require('./scheduler/DelayedScheduler');
@@ -70,10 +86,18 @@ const UUID = require('./utils/UUID');
 const Time = require('./utils/Time');
 const Hash = require('./utils/Hash');
 const Validation = require('./utils/Validation');
-const { BridgeMQError, throwError } = require('./utils/Errors');
+const Namespace = require('./utils/Namespace');
+const Compression = require('./utils/Compression');
+const {
+  ErrorCodes,
+  BridgeMQError,
+  UnrecoverableError,
+  RetryAfterError,
+  throwError,
+} = require('./utils/Errors');
 
 // Redis Connection
-const RedisConnection = require('./redis/RedisConnection');
+const RedisConnection = require('./connection/RedisConnection');
 
 // Lua Scripts
 const scripts = require('./scripts');
@@ -86,14 +110,27 @@ module.exports = {
   Client,
   Worker,
   Queue,
+  DeadLetterQueue,
+  Quarantine,
   Job,
 
+  // Sandbox
+  SandboxPool,
+
   // Storage
   JobStorage,
   QueueStorage,
   ServerStorage,
   MeshStorage,
   MetricsStorage,
+  WorkflowStorage,
+  TransactionStorage,
+  ChainStorage,
+  MemoryStore,
+  MemoryDriver,
+  BlobStorage,
+  FsBlobStore,
+  S3BlobStore,
 
   // Routing
   Router,
@@ -105,7 +142,11 @@ module.exports = {
   RetryStrategy,
   ExponentialBackoff,
   LinearBackoff,
+  DecorrelatedJitter,
+  FibonacciBackoff,
+  FixedSchedule,
   RetryManager,
+  RetryBudget,
 
   // Features
   Idempotency,
@@ -125,6 +166,7 @@ module.exports = {
   StallDetector,
   Cleaner,
   MetricsAggregator,
+  TransactionRecovery,
 
   // Scheduling
   DelayedScheduler,
@@ -148,7 +190,12 @@ module.exports = {
   Time,
   Hash,
   Validation,
+  Namespace,
+  Compression,
+  ErrorCodes,
   BridgeMQError,
+  UnrecoverableError,
+  RetryAfterError,
   throwError,
 
   // Redis
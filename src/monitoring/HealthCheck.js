@@ -8,9 +8,10 @@ const QueueStorage = require('../storage/QueueStorage');
  * 
  * HEALTH CHECKS:
  * - Redis connectivity
+ * - Connection pool usage (client.pool)
  * - Server heartbeat validation
  * - Queue health (pending, active counts)
- * - DLQ threshold alerts
+ * - DLQ threshold alerts (with per-type counts)
  * - Memory usage
  * - Worker capacity
  * 
@@ -24,12 +25,14 @@ class HealthCheck {
    * Create health check instance
    * @param {Redis} redis - Redis client
    * @param {Object} options - Health check options
+   * @param {ConnectionPool} options.pool - Connection pool to report on (optional)
    */
   constructor(redis, options = {}) {
     this.redis = redis;
     this.options = {
       meshId: options.meshId,
       serverId: options.serverId,
+      pool: options.pool || null,
       thresholds: {
         maxPendingJobs: options.maxPendingJobs || 10000,
         maxDLQSize: options.maxDLQSize || 100,
@@ -45,6 +48,7 @@ class HealthCheck {
   async check() {
     const checks = {
       redis: await this._checkRedis(),
+      pool: this._checkPool(),
       heartbeat: await this._checkHeartbeat(),
       queues: await this._checkQueues(),
       dlq: await this._checkDLQ(),
@@ -80,6 +84,47 @@ class HealthCheck {
     }
   }
 
+  /**
+   * Check connection pool usage
+   * @private
+   * @returns {Object} Check result
+   */
+  _checkPool() {
+    const { pool } = this.options;
+
+    if (!pool) {
+      return {
+        status: 'healthy',
+        message: 'No connection pool configured',
+      };
+    }
+
+    const stats = pool.getStats();
+
+    if (stats.total === 0) {
+      return {
+        status: 'unhealthy',
+        message: 'Connection pool has no connections',
+        data: stats,
+      };
+    }
+
+    // Callers queued for a connection: every pooled connection is busy
+    if (stats.waiting > 0) {
+      return {
+        status: 'degraded',
+        message: `Connection pool exhausted (${stats.waiting} waiting)`,
+        data: stats,
+      };
+    }
+
+    return {
+      status: 'healthy',
+      message: `Pool: ${stats.inUse}/${stats.total} in use`,
+      data: stats,
+    };
+  }
+
   /**
    * Check server heartbeat
    * @private
@@ -170,7 +215,7 @@ class HealthCheck {
   }
 
   /**
-   * Check DLQ size
+   * Check DLQ size, with counts per job type for triage
    * @private
    * @returns {Promise<Object>} Check result
    */
@@ -183,27 +228,30 @@ class HealthCheck {
     }
 
     try {
-      const dlqJobs = await QueueStorage.listDLQ(
+      const byType = await QueueStorage.countDLQByType(
         this.redis,
         this.options.meshId,
-        0,
-        -1,
       );
 
-      const dlqSize = dlqJobs.length;
+      const dlqSize = Object.values(byType).reduce((sum, count) => sum + count, 0);
+      const breakdown = Object.entries(byType)
+        .sort(([, a], [, b]) => b - a)
+        .map(([type, count]) => `${type}: ${count}`)
+        .join(', ');
+      const detail = breakdown ? ` (${breakdown})` : '';
 
       if (dlqSize > this.options.thresholds.maxDLQSize) {
         return {
           status: 'degraded',
-          message: `High DLQ size: ${dlqSize}`,
-          data: { dlqSize },
+          message: `High DLQ size: ${dlqSize}${detail}`,
+          data: { dlqSize, byType },
         };
       }
 
       return {
         status: 'healthy',
-        message: `DLQ size: ${dlqSize}`,
-        data: { dlqSize },
+        message: `DLQ size: ${dlqSize}${detail}`,
+        data: { dlqSize, byType },
       };
     } catch (error) {
       return {
@@ -0,0 +1,51 @@
+const RetryStrategy = require('./RetryStrategy');
+
+/**
+ * DecorrelatedJitter - "Decorrelated jitter" backoff (AWS Architecture Blog)
+ *
+ * PURPOSE: Spread retries of many failing jobs while still backing off,
+ * without the synchronised waves plain exponential backoff produces
+ *
+ * FORMULA: min(maxDelay, random_between(baseDelay, previousDelay * 3))
+ * (previousDelay starts at baseDelay)
+ *
+ * EXAMPLES (baseDelay=1000ms, maxDelay=60000ms):
+ * - Attempt 1: 1000-3000ms
+ * - Attempt 2: 1000ms to 3x the first delay
+ * - ...each delay is drawn from a range that grows with the previous one
+ *
+ * NOTES:
+ * - The randomness is the jitter, so no further jitter is applied
+ * - The previous delay is read from the job (retryJob.lua keeps it), so
+ *   every worker continues the same sequence
+ */
+class DecorrelatedJitter extends RetryStrategy {
+  /**
+   * Create decorrelated jitter strategy
+   * @param {Object} options - Strategy options
+   */
+  constructor(options = {}) {
+    super({
+      ...options,
+      jitterFactor: 0,
+    });
+  }
+
+  /**
+   * Calculate next delay from the previous one
+   * @param {number} attempt - Attempt number (1-based)
+   * @param {Object} context - { previousDelayMs } (optional)
+   * @returns {number} Delay in milliseconds
+   */
+  calculateDelay(attempt, context = {}) {
+    const base = this.options.baseDelayMs;
+    const previous = attempt > 1 && context.previousDelayMs > 0
+      ? context.previousDelayMs
+      : base;
+    const upper = Math.max(previous * 3, base);
+
+    return Math.min(Math.floor(base + Math.random() * (upper - base)), this.options.maxDelayMs);
+  }
+}
+
+module.exports = DecorrelatedJitter;
@@ -31,7 +31,7 @@ class ExponentialBackoff extends RetryStrategy {
       baseDelayMs: options.baseDelayMs || 1000,
       maxDelayMs: options.maxDelayMs || 60000,
       maxAttempts: options.maxAttempts || 3,
-      jitterFactor: options.jitterFactor || 0.2,
+      jitterFactor: options.jitterFactor !== undefined ? options.jitterFactor : 0.2,
       multiplier: options.multiplier || 2,
     });
   }
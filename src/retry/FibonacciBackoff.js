@@ -0,0 +1,52 @@
+const RetryStrategy = require('./RetryStrategy');
+
+/**
+ * FibonacciBackoff - Fibonacci backoff retry strategy
+ *
+ * PURPOSE: Back off faster than linear but gentler than exponential
+ *
+ * FORMULA: min(baseDelay * fib(attempt), maxDelay), fib = 1, 1, 2, 3, 5, 8...
+ *
+ * EXAMPLES (baseDelay=1000ms, maxDelay=60000ms):
+ * - Attempt 1: 1000ms (1s)
+ * - Attempt 2: 1000ms (1s)
+ * - Attempt 3: 2000ms (2s)
+ * - Attempt 4: 3000ms (3s)
+ * - Attempt 5: 5000ms (5s)
+ * - Attempt 6: 8000ms (8s)
+ * - Attempt 10: 55000ms (55s)
+ */
+class FibonacciBackoff extends RetryStrategy {
+  /**
+   * Calculate Fibonacci delay
+   * @param {number} attempt - Attempt number (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  calculateDelay(attempt) {
+    let previous = 0;
+    let current = 1;
+
+    // Stop once the cap is reached: large attempts would overflow
+    for (let i = 1; i < attempt && this.options.baseDelayMs * current < this.options.maxDelayMs; i++) {
+      [previous, current] = [current, previous + current];
+    }
+
+    return Math.min(this.options.baseDelayMs * current, this.options.maxDelayMs);
+  }
+
+  /**
+   * Get delay schedule
+   * @returns {Array<number>} Delay for each attempt
+   */
+  getDelaySchedule() {
+    const schedule = [];
+
+    for (let i = 1; i <= this.options.maxAttempts; i++) {
+      schedule.push(this.calculateDelay(i));
+    }
+
+    return schedule;
+  }
+}
+
+module.exports = FibonacciBackoff;
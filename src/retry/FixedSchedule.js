@@ -0,0 +1,76 @@
+const RetryStrategy = require('./RetryStrategy');
+const { throwError } = require('../utils/Errors');
+
+/**
+ * FixedSchedule - Retry after explicitly listed delays
+ *
+ * PURPOSE: Exact, auditable retry timing (e.g. 1 min, 5 min, 30 min) for
+ * jobs whose downstream systems have known recovery windows
+ *
+ * FORMULA: delays[attempt - 1], the last delay repeating once the list
+ * runs out
+ *
+ * EXAMPLE (delays=[60000, 300000, 1800000]):
+ * - Attempt 1: 60000ms (1m)
+ * - Attempt 2: 300000ms (5m)
+ * - Attempt 3+: 1800000ms (30m)
+ *
+ * NOTES:
+ * - No jitter unless jitterFactor is set
+ * - maxDelayMs does not apply: the listed delays are the schedule
+ *
+ * ERROR CODES:
+ * - 1002: INVALID_CONFIG - delays missing, empty or not non-negative numbers
+ */
+class FixedSchedule extends RetryStrategy {
+  /**
+   * Create fixed schedule strategy
+   * @param {Object} options - Strategy options
+   * @param {number[]} options.delays - Delay (ms) before each retry
+   */
+  constructor(options = {}) {
+    const { delays } = options;
+
+    if (!Array.isArray(delays) || delays.length === 0
+      || delays.some((delay) => typeof delay !== 'number' || !(delay >= 0))) {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: 'FixedSchedule requires delays: a non-empty array of non-negative numbers',
+      });
+    }
+
+    const jitterFactor = options.jitterFactor !== undefined ? options.jitterFactor : 0;
+
+    super({
+      ...options,
+      // Listed delays are never capped (only jitter can stretch them)
+      maxDelayMs: Math.ceil(Math.max(...delays) * (1 + jitterFactor)),
+      jitterFactor,
+    });
+  }
+
+  /**
+   * Delay listed for an attempt
+   * @param {number} attempt - Attempt number (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  calculateDelay(attempt) {
+    const { delays } = this.options;
+    return delays[Math.min(Math.max(attempt, 1), delays.length) - 1];
+  }
+
+  /**
+   * Get delay schedule
+   * @returns {Array<number>} Delay for each attempt
+   */
+  getDelaySchedule() {
+    const schedule = [];
+
+    for (let i = 1; i <= this.options.maxAttempts; i++) {
+      schedule.push(this.calculateDelay(i));
+    }
+
+    return schedule;
+  }
+}
+
+module.exports = FixedSchedule;
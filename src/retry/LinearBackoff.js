@@ -29,8 +29,8 @@ class LinearBackoff extends RetryStrategy {
       baseDelayMs: options.baseDelayMs || 1000,
       maxDelayMs: options.maxDelayMs || 60000,
       maxAttempts: options.maxAttempts || 3,
-      jitterFactor: options.jitterFactor || 0.2,
-      stepMs: options.stepMs || 2000,
+      jitterFactor: options.jitterFactor !== undefined ? options.jitterFactor : 0.2,
+      stepMs: options.stepMs !== undefined ? options.stepMs : 2000, // 0: fixed delay
     });
   }
 
@@ -40,7 +40,7 @@ class LinearBackoff extends RetryStrategy {
    * @returns {number} Delay in milliseconds
    */
   calculateDelay(attempt) {
-    const step = this.options.stepMs || 2000;
+    const step = this.options.stepMs !== undefined ? this.options.stepMs : 2000;
     const delay = this.options.baseDelayMs + (attempt - 1) * step;
     return Math.min(delay, this.options.maxDelayMs);
   }
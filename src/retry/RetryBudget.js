@@ -0,0 +1,266 @@
+const scripts = require('../scripts');
+const Namespace = require('../utils/Namespace');
+const { throwError } = require('../utils/Errors');
+
+/**
+ * RetryBudget - Mesh-wide cap on retries relative to first attempts
+ *
+ * PURPOSE: Keep a failing dependency from turning into a retry storm. Each
+ * budget key (job type, or config.retry.budgetKey) may retry at most
+ * `ratio` of its recent first attempts, e.g. 20% over the last minute.
+ *
+ * FEATURES:
+ * - Sliding window of buckets, shared by every worker in the mesh
+ * - minRetries floor so quiet job types can still retry
+ * - Per-key overrides (options.keys)
+ * - Jobs over budget are parked, then released in order as budget frees up
+ * - Queryable state: getState(), listParked()
+ *
+ * LOGIC:
+ * 1. Workers record each first attempt (recordAttempt)
+ * 2. RetryManager.handleFailure asks tryRetry() before scheduling a retry
+ *    (and refundRetry()s it if the job did not retry after all, e.g. it was
+ *    cancelled meanwhile)
+ * 3. Denied: the job is parked (status 'parked') instead of retrying
+ * 4. releaseParked() re-checks the budget for each key's parked jobs,
+ *    oldest first, and moves the ones it allows back to their pending queue
+ *
+ * Attempts are counted by the worker that claims a job, not by claimJob.lua
+ * (which does not know the bucket size): every worker of a mesh must run
+ * with the same config.retry.budget, or first attempts taken by workers
+ * without it go uncounted and the budget denies retries too early.
+ *
+ * REDIS KEYS (mp = {ns}:{meshId}, see Namespace.mesh):
+ * - {mp}:retry-budget:{budgetKey} - Hash of a:{bucket} / r:{bucket} counts
+ * - {mp}:parked - Sorted set of parked job IDs (score = parkedAt)
+ * - {mp}:parked:{budgetKey} - Sorted set of a key's parked job IDs
+ * - {mp}:parked-keys - Set of budget keys with parked jobs
+ *
+ * ERROR CODES:
+ * - 1002: INVALID_CONFIG - ratio, windowMs or bucketMs out of range
+ */
+class RetryBudget {
+  /**
+   * Create retry budget
+   * @param {Redis} redis - Redis client
+   * @param {Object} options - Budget options (config.retry.budget)
+   * @param {number} options.ratio - Retries allowed per first attempt (default 0.2)
+   * @param {number} options.windowMs - Sliding window (default 60000)
+   * @param {number} options.bucketMs - Window resolution (default windowMs / 10)
+   * @param {number} options.minRetries - Retries always allowed per window (default 10)
+   * @param {number} options.releaseIntervalMs - How often workers release parked jobs (default 1000)
+   * @param {Object} options.keys - Per-key overrides, e.g. { email: { ratio: 0.1 } }
+   */
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.options = {
+      ratio: options.ratio !== undefined ? options.ratio : 0.2,
+      windowMs: options.windowMs || 60000,
+      bucketMs: options.bucketMs,
+      minRetries: options.minRetries !== undefined ? options.minRetries : 10,
+      releaseIntervalMs: options.releaseIntervalMs || 1000,
+      keys: options.keys || {},
+    };
+
+    this.settingsFor(null);
+    for (const key of Object.keys(this.options.keys)) {
+      this.settingsFor(key);
+    }
+  }
+
+  /**
+   * Budget settings for a key (defaults merged with options.keys[key])
+   * @param {string} key - Budget key
+   * @returns {Object} { ratio, windowMs, bucketMs, minRetries }
+   * @throws {BridgeMQError} 1002 INVALID_CONFIG
+   */
+  settingsFor(key) {
+    const overrides = (key && this.options.keys[key]) || {};
+    const windowMs = overrides.windowMs || this.options.windowMs;
+    const settings = {
+      ratio: overrides.ratio !== undefined ? overrides.ratio : this.options.ratio,
+      windowMs,
+      bucketMs: overrides.bucketMs || this.options.bucketMs || Math.max(1, Math.floor(windowMs / 10)),
+      minRetries: overrides.minRetries !== undefined ? overrides.minRetries : this.options.minRetries,
+    };
+
+    if (!(settings.ratio >= 0) || !(settings.minRetries >= 0)
+      || !(settings.windowMs > 0) || !(settings.bucketMs > 0) || settings.bucketMs > settings.windowMs) {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: 'Retry budget needs ratio >= 0, minRetries >= 0 and 0 < bucketMs <= windowMs',
+        key,
+      });
+    }
+
+    return settings;
+  }
+
+  /**
+   * Budget key for a job
+   * @param {Object} job - Job metadata (with config)
+   * @returns {string} config.retry.budgetKey, else the job type
+   */
+  keyFor(job) {
+    const retryConfig = (job.config && job.config.retry) || {};
+    return retryConfig.budgetKey || job.type;
+  }
+
+  /**
+   * Does the budget apply to a job? (config.retry.budget: false opts out)
+   * @param {Object} job - Job metadata (with config)
+   * @returns {boolean} True if counted against the budget
+   */
+  appliesTo(job) {
+    const retryConfig = (job.config && job.config.retry) || {};
+    return retryConfig.budget !== false;
+  }
+
+  /**
+   * Count a first attempt
+   * @param {Object} job - Job metadata
+   * @returns {Promise<Object>} Budget state
+   */
+  async recordAttempt(job) {
+    const key = this.keyFor(job);
+    return scripts.retryBudget(this.redis, 'attempt', job.meshId || 'default', key, this.settingsFor(key));
+  }
+
+  /**
+   * Take one retry from the budget, if any is left
+   * @param {Object} job - Job metadata
+   * @returns {Promise<Object>} { allowed, attempts, retries, limit }
+   */
+  async tryRetry(job) {
+    const key = this.keyFor(job);
+    return scripts.retryBudget(this.redis, 'retry', job.meshId || 'default', key, this.settingsFor(key));
+  }
+
+  /**
+   * Give back a retry taken by tryRetry() that the job did not use
+   * @param {Object} job - Job metadata
+   * @returns {Promise<Object>} { allowed, attempts, retries, limit }
+   */
+  async refundRetry(job) {
+    const key = this.keyFor(job);
+    return scripts.retryBudget(this.redis, 'refund', job.meshId || 'default', key, this.settingsFor(key));
+  }
+
+  /**
+   * Release parked jobs the budget now allows, oldest first per key
+   * A key stops at the first job it denies so younger jobs under the same
+   * key don't jump the queue; other keys carry on
+   * @param {string} meshId - Mesh ID
+   * @param {number} limit - Max parked jobs to look at per key (default 100)
+   * @returns {Promise<number>} Jobs released
+   */
+  async releaseParked(meshId, limit = 100) {
+    const mp = Namespace.mesh(this.redis, meshId);
+    const keys = await this.redis.smembers(`${mp}:parked-keys`);
+    let released = 0;
+
+    for (const key of keys) {
+      released += await this._releaseKey(meshId, key, limit);
+    }
+
+    return released;
+  }
+
+  /**
+   * Release one key's parked jobs, oldest first, until the budget denies one
+   * @private
+   * @param {string} meshId - Mesh ID
+   * @param {string} key - Budget key
+   * @param {number} limit - Max parked jobs to look at
+   * @returns {Promise<number>} Jobs released
+   */
+  async _releaseKey(meshId, key, limit) {
+    const mp = Namespace.mesh(this.redis, meshId);
+    const jobIds = await this.redis.zrange(`${mp}:parked:${key}`, 0, limit - 1);
+    const settings = this.settingsFor(key);
+    let released = 0;
+
+    for (const jobId of jobIds) {
+      const result = await scripts.retryBudget(this.redis, 'release', meshId, key, settings, jobId);
+
+      if (result.released) {
+        released += 1;
+      } else if (result.status === undefined) {
+        // Denied: the key is out of budget
+        return released;
+      }
+    }
+
+    return released;
+  }
+
+  /**
+   * Current state of a budget
+   * @param {string} meshId - Mesh ID
+   * @param {string} key - Budget key (job type or config.retry.budgetKey)
+   * @returns {Promise<Object>} { key, attempts, retries, limit, remaining,
+   *   parked, ratio, windowMs, minRetries }
+   */
+  async getState(meshId, key) {
+    const mp = Namespace.mesh(this.redis, meshId);
+    const settings = this.settingsFor(key);
+    const [state, parked] = await Promise.all([
+      scripts.retryBudget(this.redis, 'peek', meshId, key, settings),
+      this.redis.zcard(`${mp}:parked:${key}`),
+    ]);
+
+    return {
+      key,
+      attempts: state.attempts,
+      retries: state.retries,
+      limit: state.limit,
+      remaining: Math.max(0, state.limit - state.retries),
+      parked,
+      ratio: settings.ratio,
+      windowMs: settings.windowMs,
+      minRetries: settings.minRetries,
+    };
+  }
+
+  /**
+   * Parked jobs, oldest first
+   * @param {string} meshId - Mesh ID
+   * @param {Object} options - { offset, count }
+   * @param {number} options.offset - Skip this many (default 0)
+   * @param {number} options.count - Max entries (default 50)
+   * @returns {Promise<Array<Object>>} [{ jobId, type, budgetKey, attempt, parkedAt }]
+   */
+  async listParked(meshId, options = {}) {
+    const mp = Namespace.mesh(this.redis, meshId);
+    const offset = options.offset || 0;
+    const count = options.count || 50;
+    const entries = await this.redis.zrange(
+      `${mp}:parked`,
+      offset,
+      offset + count - 1,
+      'WITHSCORES',
+    );
+
+    const parked = [];
+    for (let i = 0; i < entries.length; i += 2) {
+      const jobId = entries[i];
+      const [type, budgetKey, attempt] = await this.redis.hmget(
+        `${mp}:job:${jobId}:meta`,
+        'type',
+        'budgetKey',
+        'attempt',
+      );
+
+      parked.push({
+        jobId,
+        type,
+        budgetKey,
+        attempt: parseInt(attempt, 10) || 0,
+        parkedAt: parseInt(entries[i + 1], 10),
+      });
+    }
+
+    return parked;
+  }
+}
+
+module.exports = RetryBudget;
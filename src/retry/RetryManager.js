@@ -1,8 +1,15 @@
 const JobStorage = require('../storage/JobStorage');
 const QueueStorage = require('../storage/QueueStorage');
 const scripts = require('../scripts');
+const RetryStrategy = require('./RetryStrategy');
 const ExponentialBackoff = require('./ExponentialBackoff');
 const LinearBackoff = require('./LinearBackoff');
+const DecorrelatedJitter = require('./DecorrelatedJitter');
+const FibonacciBackoff = require('./FibonacciBackoff');
+const FixedSchedule = require('./FixedSchedule');
+const RetryBudget = require('./RetryBudget');
+const Namespace = require('../utils/Namespace');
+const { ErrorCodes, throwError } = require('../utils/Errors');
 
 /**
  * RetryManager - Manage retry decisions and execution
@@ -10,23 +17,71 @@ const LinearBackoff = require('./LinearBackoff');
  * PURPOSE: Centralized retry management with strategy support
  * 
  * FEATURES:
- * - Multiple retry strategies (exponential, linear, fixed)
+ * - Strategy registry: exponential, linear, fixed, decorrelated-jitter,
+ *   fibonacci, schedule, plus any registerStrategy(name, Class)
  * - Retry eligibility checking
  * - Backoff delay calculation with jitter
  * - DLQ movement for exhausted retries
  * - Error categorization (retryable vs non-retryable)
+ * - Timeout policy: JOB_TIMEOUT is retryable or fatal (timeoutPolicy)
+ * - Per-error retry policies (config.retry.policies on the job, then on
+ *   the manager): own strategy, attempts and delay, or straight to the DLQ
+ * - UnrecoverableError skips retries; RetryAfterError sets the exact delay
+ * - Retry budget (options.budget): retries over budget are parked instead
+ *   of scheduled (see RetryBudget)
+ * 
+ * RETRY POLICIES:
+ * { match: { code, name, message }, retry, strategy, maxAttempts,
+ *   baseDelayMs, maxDelayMs, delayMs }
+ * - match.code - Error code or type (value or array)
+ * - match.name - Error name, e.g. 'TypeError' (value or array)
+ * - match.message - RegExp, or a pattern string (+ match.flags) for policies
+ *   stored in job config
+ * Every given match field must match; the first matching policy wins.
+ * retry: false sends the job to the DLQ; delayMs is a fixed delay; otherwise
+ * strategy/baseDelayMs/maxDelayMs pick the backoff.
  * 
  * LOGIC:
- * 1. Check if job is eligible for retry
- * 2. Calculate next retry delay using strategy
- * 3. Move job to delayed queue or DLQ
- * 4. Update job metadata (attempt, nextRetry)
+ * 1. Check if job is eligible for retry (error class, policy, attempts)
+ * 2. Calculate next retry delay using the policy or RetryAfterError
+ *    (otherwise retryJob.lua applies config.retry's backoff)
+ * 3. Take the retry from the budget, if one is configured; over budget,
+ *    the job is parked
+ * 4. Move job to delayed queue, parked set or DLQ
+ * 5. Update job metadata (attempt, nextRetry)
+ * 
+ * STRATEGY CONFIG (config.retry, or a policy):
+ * { strategy: 'fibonacci', baseDelayMs: 500, maxDelayMs: 30000 }
+ * { strategy: 'schedule', delays: [60000, 300000, 1800000] }
+ * The config is plain JSON stored with the job, so every worker computes
+ * the same schedule as long as each registers the same custom strategies.
+ * Without a strategy, retryJob.lua applies config.retry.backoff itself.
+ * 
+ * ERROR CODES:
+ * - 1002: INVALID_CONFIG - Malformed retry policy, strategy class, or a
+ *   strategy name not registered in this process
  */
+// Config fields that belong to the retry config, not to the strategy
+const NON_STRATEGY_FIELDS = ['strategy', 'backoff', 'policies', 'match', 'retry', 'enabled', 'timeoutPolicy', 'delayMs'];
+
+// name -> { StrategyClass, defaults }
+const strategies = new Map([
+  ['exponential', { StrategyClass: ExponentialBackoff, defaults: {} }],
+  ['linear', { StrategyClass: LinearBackoff, defaults: {} }],
+  ['fixed', { StrategyClass: LinearBackoff, defaults: { stepMs: 0 } }],
+  ['decorrelated-jitter', { StrategyClass: DecorrelatedJitter, defaults: {} }],
+  ['fibonacci', { StrategyClass: FibonacciBackoff, defaults: {} }],
+  ['schedule', { StrategyClass: FixedSchedule, defaults: {} }],
+]);
+
 class RetryManager {
   /**
    * Create retry manager
    * @param {Redis} redis - Redis client
    * @param {Object} options - Manager options
+   * @param {string} options.timeoutPolicy - 'retry' or 'fatal' for JOB_TIMEOUT (default 'retry')
+   * @param {Object[]} options.policies - Retry policies for every job (see RETRY POLICIES)
+   * @param {Object} options.budget - Retry budget options (see RetryBudget; default none)
    */
   constructor(redis, options = {}) {
     this.redis = redis;
@@ -36,10 +91,14 @@ class RetryManager {
       baseDelayMs: options.baseDelayMs || 1000,
       maxDelayMs: options.maxDelayMs || 60000,
       enableDLQ: options.enableDLQ !== false,
+      timeoutPolicy: options.timeoutPolicy || 'retry',
+      policies: RetryManager.validatePolicies(options.policies || []),
     };
 
     // Initialize default strategy
-    this.defaultStrategy = this._createStrategy(this.options.defaultStrategy);
+    this.defaultStrategy = this._createStrategy(this.options.defaultStrategy, options);
+
+    this.budget = options.budget ? new RetryBudget(redis, options.budget) : null;
   }
 
   /**
@@ -58,17 +117,29 @@ class RetryManager {
       return false;
     }
 
+    // Non-retryable errors (cancelled, unrecoverable, ...) are never retried,
+    // whatever policy matches them
+    if (error && !this.isRetryableError(error)) {
+      return false;
+    }
+
+    const policy = error ? this.resolvePolicy(job, error) : null;
+
+    if (policy && policy.retry === false) {
+      return false;
+    }
+
     // Check attempt count
-    const maxAttempts = retryConfig.maxAttempts || this.options.maxAttempts;
     const currentAttempt = job.attempt || 0;
 
-    if (currentAttempt >= maxAttempts) {
+    if (currentAttempt >= this.getMaxAttempts(job, policy)) {
       return false; // Exhausted retries
     }
 
-    // Check if error is retryable
-    if (error && !this.isRetryableError(error)) {
-      return false;
+    // Timeouts follow the job's (or manager's) timeout policy
+    if (error && error.code === ErrorCodes.JOB_TIMEOUT && !policy) {
+      const timeoutPolicy = retryConfig.timeoutPolicy || this.options.timeoutPolicy;
+      return timeoutPolicy !== 'fatal';
     }
 
     return true;
@@ -84,6 +155,8 @@ class RetryManager {
     const nonRetryableCodes = [
       1001, // INVALID_PAYLOAD
       1002, // INVALID_CONFIG
+      2001, // JOB_CANCELLED
+      2005, // UNRECOVERABLE
       3003, // WORKER_CAPABILITY_MISMATCH
     ];
 
@@ -100,6 +173,66 @@ class RetryManager {
     return true;
   }
 
+  /**
+   * First retry policy matching an error (job policies before manager policies)
+   * @param {Object} job - Job metadata (with config)
+   * @param {Object} error - Error object { code, type, name, message }
+   * @returns {Object|null} Policy, or null if none matches
+   */
+  resolvePolicy(job, error) {
+    const retryConfig = (job.config && job.config.retry) || {};
+    const policies = [
+      ...(Array.isArray(retryConfig.policies) ? retryConfig.policies : []),
+      ...this.options.policies,
+    ];
+
+    return policies.find((policy) => this._matchesPolicy(policy, error)) || null;
+  }
+
+  /**
+   * Attempt limit for a job: the matching policy's, then config.retry's,
+   * then the manager's maxAttempts
+   * @param {Object} job - Job metadata (with config)
+   * @param {Object|null} policy - Matching retry policy
+   * @returns {number} Max attempts
+   */
+  getMaxAttempts(job, policy = null) {
+    const retryConfig = (job.config && job.config.retry) || {};
+    return (policy && policy.maxAttempts) || retryConfig.maxAttempts || this.options.maxAttempts;
+  }
+
+  /**
+   * Retry delay and attempt limit for a failure, where the caller decides
+   * them instead of retryJob.lua (RetryAfterError, a policy, or a
+   * registered strategy named in config.retry.strategy)
+   * @param {Object} job - Job metadata (with config)
+   * @param {Object} error - Error object
+   * @returns {Object} { delayMs, maxAttempts } (no delayMs: retryJob.lua
+   *   applies config.retry's backoff)
+   */
+  getRetryOverrides(job, error) {
+    const retryConfig = (job.config && job.config.retry) || {};
+    const policy = error ? this.resolvePolicy(job, error) : null;
+    // Always passed, so retryJob.lua uses the same limit as shouldRetry()
+    const overrides = { maxAttempts: this.getMaxAttempts(job, policy) };
+
+    if (error && error.code === ErrorCodes.RETRY_AFTER && error.retryAfterMs >= 0) {
+      overrides.delayMs = error.retryAfterMs;
+    } else if (policy && policy.delayMs !== undefined) {
+      overrides.delayMs = policy.delayMs;
+    } else if ((policy && (policy.strategy || policy.baseDelayMs || policy.maxDelayMs)) || retryConfig.strategy) {
+      const strategy = this._createStrategy(
+        (policy && policy.strategy) || retryConfig.strategy || this.options.defaultStrategy,
+        { ...retryConfig, ...policy },
+      );
+      overrides.delayMs = strategy.calculateDelayWithJitter((job.attempt || 0) + 1, {
+        previousDelayMs: parseInt(job.retryDelayMs, 10) || 0,
+      });
+    }
+
+    return overrides;
+  }
+
   /**
    * Calculate next retry delay
    * @param {Object} job - Job metadata
@@ -115,24 +248,27 @@ class RetryManager {
 
     // Calculate delay with jitter
     const attempt = (job.attempt || 0) + 1;
-    return strategy.calculateDelayWithJitter(attempt);
+    return strategy.calculateDelayWithJitter(attempt, {
+      previousDelayMs: parseInt(job.retryDelayMs, 10) || 0,
+    });
   }
 
   /**
    * Schedule retry for job
    * @param {string} jobId - Job ID
    * @param {number} delayMs - Delay in milliseconds
+   * @param {string} meshId - Job's mesh ID
    * @returns {Promise<void>}
    */
-  async scheduleRetry(jobId, delayMs) {
+  async scheduleRetry(jobId, delayMs, meshId) {
     const now = Date.now();
     const scheduledFor = now + delayMs;
 
     // Move job to delayed queue
-    await QueueStorage.pushToDelayed(this.redis, jobId, scheduledFor);
+    await QueueStorage.pushToDelayed(this.redis, meshId, jobId, scheduledFor);
 
     // Update job metadata
-    const metaKey = `bridgemq:v1:job:${jobId}:meta`;
+    const metaKey = `${Namespace.mesh(this.redis, meshId)}:job:${jobId}:meta`;
     await this.redis.hmset(metaKey, {
       status: 'scheduled',
       scheduledFor,
@@ -150,94 +286,310 @@ class RetryManager {
     await QueueStorage.pushToDLQ(this.redis, meshId, jobId);
 
     // Update job status
-    await JobStorage.setJobStatus(this.redis, jobId, 'failed');
+    await JobStorage.setJobStatus(this.redis, jobId, 'failed', meshId);
   }
 
   /**
    * Handle job failure with retry logic
+   * Non-retryable errors go through the retry script as fatal so the job's
+   * lease and active entry are released atomically with the DLQ move
    * @param {string} jobId - Job ID
    * @param {string} serverId - Server ID
    * @param {Object} error - Error object
-   * @returns {Promise<Object>} Result { retried, dlq, delay }
+   * @param {string} lockToken - Lease token from claim
+   * @param {string} meshId - Job's mesh ID (optional)
+   * @returns {Promise<Object>} Result { retried, dlq, parked, delay }
    */
-  async handleFailure(jobId, serverId, error) {
-    // Get job metadata
-    const job = await JobStorage.getJob(this.redis, jobId);
-
-    if (!job) {
+  async handleFailure(jobId, serverId, error, lockToken = '', meshId = null) {
+    // Metadata and config only, so a job whose payload cannot be read
+    // (e.g. offloaded to a blob store this process lacks) still fails
+    const [meta, config] = await Promise.all([
+      JobStorage.getJobMeta(this.redis, jobId, meshId),
+      JobStorage.getJobConfig(this.redis, jobId, meshId),
+    ]);
+
+    if (!meta || !meta.jobId) {
       return { retried: false, dlq: false };
     }
 
-    // Check if should retry
-    if (this.shouldRetry(job, error)) {
-      // Calculate delay
-      const delayMs = this.calculateRetryDelay(job);
+    const job = { ...meta, config };
+
+    let fatal = !this.shouldRetry(job, error);
+    let overrides = {};
+
+    if (!fatal) {
+      try {
+        overrides = this.getRetryOverrides(job, error);
+      } catch (err) {
+        if (err.code !== ErrorCodes.INVALID_CONFIG) {
+          throw err;
+        }
+        // Strategy not registered in this process: no retry can be scheduled
+        // here, so the job goes to the DLQ (requeue it once registered)
+        fatal = true;
+      }
+    }
+
+    // A retry (not a DLQ move) must fit in the budget, else the job parks
+    let budgetTaken = false;
+
+    if (!fatal && this.budget && this.budget.appliesTo(job) && (job.attempt || 0) + 1 < overrides.maxAttempts) {
+      const budget = await this.budget.tryRetry(job);
+
+      if (budget.allowed) {
+        budgetTaken = true;
+      } else {
+        overrides.parkKey = this.budget.keyFor(job);
+      }
+    }
+
+    const outcome = await scripts.retryJob(
+      this.redis,
+      jobId,
+      job.meshId,
+      serverId,
+      error,
+      lockToken,
+      fatal,
+      overrides,
+    );
+
+    // The retry was taken but not used (cancelled, stale lease, or out of
+    // attempts after all): give it back
+    if (budgetTaken && !outcome.willRetry) {
+      await this.budget.refundRetry(job);
+    }
 
-      // Use retry script
-      await scripts.retryJob(this.redis, jobId, serverId, error);
+    if (outcome.parked) {
+      return {
+        retried: false,
+        dlq: false,
+        parked: true,
+      };
+    }
 
+    if (outcome.willRetry) {
       return {
         retried: true,
         dlq: false,
-        delay: delayMs,
-        nextAttempt: (job.attempt || 0) + 1,
+        delay: outcome.delay,
+        nextAttempt: outcome.attempt + 1,
       };
     }
 
-    // Move to DLQ if enabled
-    if (this.options.enableDLQ) {
-      await this.moveToDLQ(jobId, job.meshId);
-      
+    // DLQ disabled: leave the job failed but out of the DLQ
+    if (outcome.movedToDLQ && !this.options.enableDLQ) {
+      await QueueStorage.removeFromDLQ(this.redis, job.meshId, jobId);
+
       return {
         retried: false,
-        dlq: true,
+        dlq: false,
       };
     }
 
-    // Just mark as failed
-    await JobStorage.setJobStatus(this.redis, jobId, 'failed');
-
     return {
       retried: false,
-      dlq: false,
+      dlq: outcome.movedToDLQ === true,
+      cancelled: outcome.cancelled === true,
     };
   }
 
+  /**
+   * Check a job's retry config (strategy names and policies) and make it
+   * storable in job config
+   * @param {Object} retry - config.retry
+   * @returns {Object} Retry config, JSON-safe
+   * @throws {BridgeMQError} 1002 INVALID_CONFIG
+   */
+  static validateRetryConfig(retry) {
+    RetryManager._checkStrategy(retry.strategy);
+
+    if (retry.policies === undefined) {
+      return retry;
+    }
+
+    return { ...retry, policies: RetryManager.validatePolicies(retry.policies) };
+  }
+
+  /**
+   * Check retry policies and make them storable in job config (a RegExp
+   * match.message becomes its pattern string and match.flags)
+   * @param {Object[]} policies - Retry policies
+   * @returns {Object[]} Policies, JSON-safe
+   * @throws {BridgeMQError} 1002 INVALID_CONFIG
+   */
+  static validatePolicies(policies) {
+    if (!Array.isArray(policies)) {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: 'retry.policies must be an array',
+      });
+    }
+
+    return policies.map((policy, index) => {
+      const match = policy && policy.match;
+
+      if (!match || typeof match !== 'object'
+        || (match.code === undefined && match.name === undefined && match.message === undefined)) {
+        throwError(1002, 'INVALID_CONFIG', {
+          message: 'Retry policy needs a match on code, name or message',
+          index,
+        });
+      }
+
+      RetryManager._checkStrategy(policy.strategy, { index });
+
+      if (match.message instanceof RegExp) {
+        return {
+          ...policy,
+          match: { ...match, message: match.message.source, flags: match.message.flags },
+        };
+      }
+
+      return policy;
+    });
+  }
+
+  /**
+   * Does a policy match an error?
+   * @private
+   * @param {Object} policy - Retry policy
+   * @param {Object} error - Error object
+   * @returns {boolean} True if every given match field matches
+   */
+  _matchesPolicy(policy, error) {
+    const match = (policy && policy.match) || {};
+    const oneOf = (value) => (Array.isArray(value) ? value : [value]).map(String);
+
+    if (match.code === undefined && match.name === undefined && match.message === undefined) {
+      return false;
+    }
+
+    if (match.code !== undefined) {
+      const codes = oneOf(match.code);
+      const candidates = [error.code, error.type]
+        .filter((value) => value !== undefined && value !== null)
+        .map(String);
+
+      if (!candidates.some((candidate) => codes.includes(candidate))) {
+        return false;
+      }
+    }
+
+    if (match.name !== undefined && !oneOf(match.name).includes(String(error.name))) {
+      return false;
+    }
+
+    if (match.message !== undefined) {
+      const pattern = match.message instanceof RegExp
+        ? match.message
+        : new RegExp(match.message, match.flags || '');
+
+      if (!pattern.test(String(error.message || ''))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Register a retry strategy under a name usable in config.retry.strategy
+   * (register it in every process that runs or retries jobs)
+   * @param {string} name - Strategy name
+   * @param {Function} StrategyClass - RetryStrategy subclass
+   * @param {Object} defaults - Options applied before config.retry (optional)
+   * @returns {void}
+   * @throws {BridgeMQError} 1002 INVALID_CONFIG
+   */
+  static registerStrategy(name, StrategyClass, defaults = {}) {
+    if (!name || typeof name !== 'string') {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: 'Retry strategy name must be a non-empty string',
+      });
+    }
+
+    if (typeof StrategyClass !== 'function' || !(StrategyClass.prototype instanceof RetryStrategy)) {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: 'Retry strategy must be a RetryStrategy subclass',
+        name,
+      });
+    }
+
+    strategies.set(name, { StrategyClass, defaults });
+  }
+
+  /**
+   * Throw unless a strategy name is registered in this process
+   * @private
+   * @param {string} name - Strategy name (undefined: nothing to check)
+   * @param {Object} details - Extra error details, e.g. { index }
+   * @returns {void}
+   * @throws {BridgeMQError} 1002 INVALID_CONFIG
+   */
+  static _checkStrategy(name, details = {}) {
+    if (name !== undefined && !strategies.has(name)) {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: `Unknown retry strategy '${name}'`,
+        strategy: name,
+        registered: [...strategies.keys()],
+        ...details,
+      });
+    }
+  }
+
+  /**
+   * Strategy class by registered name or class name
+   * @param {string} name - Strategy name ('fibonacci') or class name ('FibonacciBackoff')
+   * @returns {Function|null} RetryStrategy subclass, null if unknown
+   */
+  static getStrategyClass(name) {
+    if (strategies.has(name)) {
+      return strategies.get(name).StrategyClass;
+    }
+
+    for (const { StrategyClass } of strategies.values()) {
+      if (StrategyClass.name === name) {
+        return StrategyClass;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Registered strategy names
+   * @returns {string[]} Names
+   */
+  static getStrategyNames() {
+    return [...strategies.keys()];
+  }
+
   /**
    * Create retry strategy instance
    * @private
-   * @param {string} type - Strategy type
-   * @param {Object} config - Strategy config
+   * @param {string} type - Strategy name (see registerStrategy)
+   * @param {Object} config - Retry config (its strategy options are passed on)
    * @returns {RetryStrategy} Strategy instance
+   * @throws {BridgeMQError} 1002 INVALID_CONFIG - Strategy not registered
    */
   _createStrategy(type, config = {}) {
-    const options = {
+    RetryManager._checkStrategy(type);
+    const entry = strategies.get(type);
+
+    const strategyOptions = {};
+    for (const [field, value] of Object.entries(config)) {
+      if (!NON_STRATEGY_FIELDS.includes(field)) {
+        strategyOptions[field] = value;
+      }
+    }
+
+    return new entry.StrategyClass({
+      ...entry.defaults,
+      ...strategyOptions,
       baseDelayMs: config.baseDelayMs || this.options.baseDelayMs,
       maxDelayMs: config.maxDelayMs || this.options.maxDelayMs,
       maxAttempts: config.maxAttempts || this.options.maxAttempts,
-      jitterFactor: config.jitterFactor || 0.2,
-    };
-
-    switch (type) {
-      case 'exponential':
-        return new ExponentialBackoff(options);
-      
-      case 'linear':
-        return new LinearBackoff({
-          ...options,
-          stepMs: config.stepMs || 2000,
-        });
-      
-      case 'fixed':
-        // Fixed delay (no backoff)
-        return new LinearBackoff({
-          ...options,
-          stepMs: 0, // No increase
-        });
-      
-      default:
-        return new ExponentialBackoff(options);
-    }
+    });
   }
 
   /**
@@ -246,9 +598,7 @@ class RetryManager {
    * @returns {Object} Retry stats
    */
   getRetryStats(job) {
-    const jobConfig = job.config || {};
-    const retryConfig = jobConfig.retry || {};
-    const maxAttempts = retryConfig.maxAttempts || this.options.maxAttempts;
+    const maxAttempts = this.getMaxAttempts(job);
     const currentAttempt = job.attempt || 0;
 
     return {
@@ -12,6 +12,12 @@
  * JITTER:
  * Adds randomness to prevent all retries happening simultaneously
  * Formula: delay ± (delay * jitterFactor * random(-1, 1))
+ * 
+ * CUSTOM STRATEGIES:
+ * Subclass, implement calculateDelay(attempt, context) and register the
+ * class with RetryManager.registerStrategy(name, Class) in every process.
+ * Options come from config.retry (JSON), so keep them serialisable.
+ * context.previousDelayMs is the delay before the failed attempt (if any).
  */
 class RetryStrategy {
   /**
@@ -20,10 +26,11 @@ class RetryStrategy {
    */
   constructor(options = {}) {
     this.options = {
+      ...options, // Strategy-specific settings (multiplier, stepMs, ...)
       baseDelayMs: options.baseDelayMs || 1000,
       maxDelayMs: options.maxDelayMs || 60000,
       maxAttempts: options.maxAttempts || 3,
-      jitterFactor: options.jitterFactor || 0.2, // 20% jitter
+      jitterFactor: options.jitterFactor !== undefined ? options.jitterFactor : 0.2, // 20% jitter
     };
   }
 
@@ -39,10 +46,11 @@ class RetryStrategy {
   /**
    * Calculate delay with jitter
    * @param {number} attempt - Attempt number
+   * @param {Object} context - { previousDelayMs } (optional)
    * @returns {number} Delay with jitter applied
    */
-  calculateDelayWithJitter(attempt) {
-    const baseDelay = this.calculateDelay(attempt);
+  calculateDelayWithJitter(attempt, context = {}) {
+    const baseDelay = this.calculateDelay(attempt, context);
     const jitter = this._applyJitter(baseDelay);
     return Math.min(jitter, this.options.maxDelayMs);
   }
@@ -113,26 +121,21 @@ class RetryStrategy {
 
   /**
    * Create strategy from config
-   * @param {Object} config - Strategy config
+   * @param {Object} config - Strategy config (toJSON() output)
    * @returns {RetryStrategy} Strategy instance
    */
   static fromJSON(config) {
     const { type, options } = config;
-    
-    // Import strategy class dynamically
-    const ExponentialBackoff = require('./ExponentialBackoff');
-    const LinearBackoff = require('./LinearBackoff');
 
-    switch (type) {
-      case 'ExponentialBackoff':
-        return new ExponentialBackoff(options);
-      
-      case 'LinearBackoff':
-        return new LinearBackoff(options);
-      
-      default:
-        throw new Error(`Unknown retry strategy: ${type}`);
+    // Registered strategies (see RetryManager.registerStrategy)
+    const RetryManager = require('./RetryManager');
+    const StrategyClass = RetryManager.getStrategyClass(type);
+
+    if (!StrategyClass) {
+      throw new Error(`Unknown retry strategy: ${type}`);
     }
+
+    return new StrategyClass(options);
   }
 }
 
@@ -0,0 +1,435 @@
+const path = require('path');
+const { fork } = require('child_process');
+const { Worker: ThreadWorker } = require('worker_threads');
+const { BridgeMQError, throwError } = require('../utils/Errors');
+
+const RUNNER = path.join(__dirname, 'sandboxRunner.js');
+
+/**
+ * SandboxPool - Managed pool of isolated job handlers
+ *
+ * PURPOSE: Run a handler file outside the main event loop so CPU-heavy or
+ * crashing handlers cannot stall heartbeats or other jobs in flight
+ *
+ * FEATURES:
+ * - worker_threads ('thread') or forked processes ('process')
+ * - Lazy spawning up to a fixed pool size, FIFO wait when saturated
+ * - job.setProgress()/job.log()/job.getChildrenResults() proxied back to the
+ *   parent job wrapper
+ * - Crashed sandbox becomes a normal job failure and is replaced on demand
+ * - job.signal aborts are forwarded; sandboxes that ignore them are killed
+ *
+ * LOGIC:
+ * 1. run(job) acquires an idle sandbox (spawning one if under size)
+ * 2. Job metadata, config and payload are posted to the sandbox
+ * 3. Progress/log messages are forwarded to the job wrapper
+ * 4. 'completed' resolves, 'failed' rejects with the handler's error
+ * 5. Sandbox exit mid-job rejects with SANDBOX_CRASHED
+ * 6. On abort the sandbox gets { cmd: 'abort' }; if it is still busy after
+ *    killTimeoutMs it is killed and the run rejects with JOB_CANCELLED
+ *
+ * ERROR CODES:
+ * - 1002: INVALID_CONFIG
+ * - 2001: JOB_CANCELLED
+ * - 3004: SANDBOX_CRASHED
+ */
+class SandboxPool {
+  /**
+   * Create sandbox pool
+   * @param {Object} options - Pool options
+   * @param {string} options.file - Handler file (resolved against cwd)
+   * @param {string} options.sandbox - 'thread' or 'process' (default 'thread')
+   * @param {number} options.size - Max sandboxes (default 1)
+   * @param {number} options.killTimeoutMs - Grace period after abort before the
+   *   sandbox is killed (default 5000)
+   */
+  constructor(options = {}) {
+    const mode = options.sandbox || 'thread';
+
+    if (!options.file || typeof options.file !== 'string') {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: 'Sandboxed handler requires a file path',
+      });
+    }
+
+    if (mode !== 'thread' && mode !== 'process') {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: `Unknown sandbox mode: ${mode} (expected 'thread' or 'process')`,
+      });
+    }
+
+    this.options = {
+      file: path.resolve(options.file),
+      mode,
+      size: options.size || 1,
+      killTimeoutMs: options.killTimeoutMs || 5000,
+    };
+
+    this.sandboxes = new Set();
+    this.idle = [];
+    this.waiting = [];
+  }
+
+  /**
+   * Run a job in a sandbox
+   * @param {Object} job - Job wrapper from Worker._createJobWrapper
+   * @returns {Promise<any>} Handler result
+   */
+  async run(job) {
+    const sandbox = await this._acquire();
+
+    try {
+      return await this._execute(sandbox, job);
+    } finally {
+      this._release(sandbox);
+    }
+  }
+
+  /**
+   * Terminate every sandbox (running jobs fail) and reject queued runs.
+   * The pool stays usable and respawns sandboxes lazily.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    for (const waiter of this.waiting.splice(0)) {
+      waiter.reject(new Error('Sandbox pool closed'));
+    }
+
+    for (const sandbox of this.sandboxes) {
+      this._kill(sandbox);
+    }
+  }
+
+  /**
+   * Get pool statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return {
+      mode: this.options.mode,
+      size: this.options.size,
+      live: this.sandboxes.size,
+      idle: this.idle.length,
+      waiting: this.waiting.length,
+    };
+  }
+
+  /**
+   * Get an idle sandbox, spawn one, or wait for one to free up
+   * @private
+   * @returns {Promise<Object>} Sandbox
+   */
+  _acquire() {
+    if (this.idle.length > 0) {
+      return Promise.resolve(this.idle.pop());
+    }
+
+    if (this.sandboxes.size < this.options.size) {
+      return this._spawn();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ resolve, reject });
+    });
+  }
+
+  /**
+   * Return a sandbox to the pool (or replace it if it died)
+   * @private
+   * @param {Object} sandbox - Sandbox
+   */
+  _release(sandbox) {
+    // Dead sandboxes are replaced for waiters by _onExit
+    if (sandbox.dead) {
+      return;
+    }
+
+    const waiter = this.waiting.shift();
+
+    if (waiter) {
+      waiter.resolve(sandbox);
+    } else {
+      this.idle.push(sandbox);
+    }
+  }
+
+  /**
+   * Spawn a sandbox and wait until its handler file has loaded
+   * @private
+   * @returns {Promise<Object>} Sandbox
+   */
+  _spawn() {
+    const { file, mode } = this.options;
+    const child = mode === 'thread'
+      ? new ThreadWorker(RUNNER, { workerData: { file } })
+      : fork(RUNNER, [file], { serialization: 'advanced' });
+
+    const sandbox = {
+      child,
+      mode,
+      dead: false,
+      current: null,
+    };
+
+    this.sandboxes.add(sandbox);
+
+    return new Promise((resolve, reject) => {
+      sandbox.current = {
+        starting: true,
+        resolve: () => resolve(sandbox),
+        reject,
+      };
+
+      child.on('message', (message) => this._onMessage(sandbox, message));
+      child.on('error', (error) => this._onExit(sandbox, error));
+      child.on('exit', (code, signal) => this._onExit(sandbox, null, code, signal));
+    });
+  }
+
+  /**
+   * Post a job to a sandbox and wait for its outcome
+   * @private
+   * @param {Object} sandbox - Sandbox
+   * @param {Object} job - Job wrapper
+   * @returns {Promise<any>} Handler result
+   */
+  _execute(sandbox, job) {
+    return new Promise((resolve, reject) => {
+      const { signal } = job;
+      let killTimer = null;
+
+      const onAbort = () => {
+        this._send(sandbox, { cmd: 'abort' });
+
+        killTimer = setTimeout(() => {
+          if (sandbox.current && sandbox.current.job === job) {
+            sandbox.current.cancelled = true;
+            this._kill(sandbox);
+          }
+        }, this.options.killTimeoutMs);
+      };
+
+      const settle = (fn) => (value) => {
+        clearTimeout(killTimer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        fn(value);
+      };
+
+      sandbox.current = { job, resolve: settle(resolve), reject: settle(reject) };
+
+      this._send(sandbox, {
+        cmd: 'run',
+        job: {
+          metadata: job.getMetadata(),
+          config: job.getConfig(),
+          payload: job.getPayload(),
+        },
+      });
+
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+        } else {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      }
+    });
+  }
+
+  /**
+   * Handle protocol message from a sandbox
+   * @private
+   * @param {Object} sandbox - Sandbox
+   * @param {Object} message - Protocol message
+   */
+  _onMessage(sandbox, message) {
+    const { current } = sandbox;
+
+    if (!current || !message) {
+      return;
+    }
+
+    switch (message.cmd) {
+      case 'ready':
+        sandbox.current = null;
+        current.resolve();
+        break;
+
+      case 'progress':
+        Promise.resolve(current.job && current.job.setProgress(message.percent)).catch((error) => {
+          console.error('[SandboxPool] Failed to record progress:', error.message);
+        });
+        break;
+
+      case 'log':
+        if (current.job) {
+          current.job.log(message.message);
+        }
+        break;
+
+      case 'call':
+        this._answerCall(sandbox, current.job, message);
+        break;
+
+      case 'completed':
+        sandbox.current = null;
+        current.resolve(message.result);
+        break;
+
+      case 'failed': {
+        sandbox.current = null;
+        current.reject(this._deserializeError(message.error));
+
+        // A file that failed to load is useless - drop the sandbox
+        if (current.starting) {
+          this._kill(sandbox);
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Run a job wrapper method for the sandbox and post back the reply
+   * @private
+   * @param {Object} sandbox - Sandbox
+   * @param {Object} job - Job wrapper
+   * @param {Object} message - Call message { id, method }
+   */
+  _answerCall(sandbox, job, message) {
+    const { id, method } = message;
+
+    if (!job || !SandboxPool.CALLABLE.includes(method)) {
+      this._send(sandbox, { cmd: 'reply', id, error: { message: `Unsupported job method: ${method}` } });
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => job[method]())
+      .then(
+        (result) => this._send(sandbox, { cmd: 'reply', id, result }),
+        (error) => this._send(sandbox, {
+          cmd: 'reply',
+          id,
+          error: { message: error.message, code: error.code, type: error.type },
+        }),
+      )
+      .catch(() => {
+        // Sandbox went away before the reply
+      });
+  }
+
+  /**
+   * Handle sandbox exit or spawn error
+   * @private
+   * @param {Object} sandbox - Sandbox
+   * @param {Error|null} error - Spawn/runtime error
+   * @param {number} code - Exit code
+   * @param {string} signal - Exit signal (process mode)
+   */
+  _onExit(sandbox, error, code, signal) {
+    if (!sandbox.dead) {
+      sandbox.dead = true;
+      this.sandboxes.delete(sandbox);
+
+      const idleIndex = this.idle.indexOf(sandbox);
+      if (idleIndex !== -1) {
+        this.idle.splice(idleIndex, 1);
+      }
+
+      // Replace the lost sandbox for anyone queued behind it
+      while (this.waiting.length > 0 && this.sandboxes.size < this.options.size) {
+        const waiter = this.waiting.shift();
+        this._spawn().then(waiter.resolve, waiter.reject);
+      }
+    }
+
+    const { current } = sandbox;
+
+    if (!current) {
+      return;
+    }
+
+    sandbox.current = null;
+
+    if (current.cancelled) {
+      current.reject(new BridgeMQError(2001, 'JOB_CANCELLED', {
+        message: 'Sandbox killed after ignoring cancellation',
+        file: this.options.file,
+        jobId: current.job.jobId,
+      }));
+      return;
+    }
+
+    const reason = error
+      ? error.message
+      : `exited with ${signal ? `signal ${signal}` : `code ${code}`}`;
+
+    current.reject(new BridgeMQError(3004, 'SANDBOX_CRASHED', {
+      message: `Sandbox ${reason}`,
+      file: this.options.file,
+      jobId: current.job ? current.job.jobId : undefined,
+    }));
+  }
+
+  /**
+   * Send message to sandbox
+   * @private
+   * @param {Object} sandbox - Sandbox
+   * @param {Object} message - Protocol message
+   */
+  _send(sandbox, message) {
+    if (sandbox.mode === 'thread') {
+      sandbox.child.postMessage(message);
+    } else {
+      sandbox.child.send(message);
+    }
+  }
+
+  /**
+   * Forcefully stop a sandbox
+   * @private
+   * @param {Object} sandbox - Sandbox
+   */
+  _kill(sandbox) {
+    if (sandbox.mode === 'thread') {
+      sandbox.child.terminate();
+    } else {
+      sandbox.child.kill('SIGKILL');
+    }
+  }
+
+  /**
+   * Rebuild an Error from its serialized form
+   * @private
+   * @param {Object} data - Serialized error
+   * @returns {Error} Error instance
+   */
+  _deserializeError(data = {}) {
+    const error = new Error(data.message);
+    error.name = data.name || 'Error';
+    error.stack = data.stack || error.stack;
+
+    if (data.code !== undefined) {
+      error.code = data.code;
+    }
+    if (data.type !== undefined) {
+      error.type = data.type;
+    }
+    if (data.retryAfterMs !== undefined) {
+      error.retryAfterMs = data.retryAfterMs;
+    }
+
+    return error;
+  }
+}
+
+// Job wrapper methods a sandbox may call in the parent
+SandboxPool.CALLABLE = ['getChildrenResults'];
+
+module.exports = SandboxPool;
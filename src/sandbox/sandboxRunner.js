@@ -0,0 +1,183 @@
+const { parentPort, workerData } = require('worker_threads');
+
+/**
+ * sandboxRunner - Entry point executed inside a sandbox (thread or process)
+ *
+ * PURPOSE: Load a handler file in isolation and run jobs sent by SandboxPool
+ *
+ * PROTOCOL (parent -> sandbox):
+ * - { cmd: 'run', job: { metadata, config, payload } }
+ * - { cmd: 'abort' } - Job was cancelled; aborts the running job's signal
+ * - { cmd: 'reply', id, result | error } - Answer to a 'call'
+ *
+ * PROTOCOL (sandbox -> parent):
+ * - { cmd: 'ready' } - Handler file loaded
+ * - { cmd: 'progress', percent } - job.setProgress() called
+ * - { cmd: 'log', message } - job.log() called
+ * - { cmd: 'call', id, method } - Job wrapper method run by the parent (getChildrenResults)
+ * - { cmd: 'completed', result } - Handler resolved
+ * - { cmd: 'failed', error } - Handler threw (or file failed to load)
+ *
+ * The same file runs under worker_threads (parentPort) and child_process.fork (process.send).
+ */
+
+const isThread = parentPort !== null;
+const handlerFile = isThread ? workerData.file : process.argv[2];
+
+/**
+ * Send message to the owning SandboxPool
+ * @param {Object} message - Protocol message
+ */
+function send(message) {
+  if (isThread) {
+    parentPort.postMessage(message);
+  } else {
+    process.send(message);
+  }
+}
+
+const pendingCalls = new Map();
+let nextCallId = 0;
+
+/**
+ * Call a job wrapper method in the parent and wait for the reply
+ * @param {string} method - Method name
+ * @returns {Promise<any>} Method result
+ */
+function call(method) {
+  nextCallId += 1;
+  const id = nextCallId;
+
+  return new Promise((resolve, reject) => {
+    pendingCalls.set(id, { resolve, reject });
+    send({ cmd: 'call', id, method });
+  });
+}
+
+/**
+ * Convert a thrown value into a structured-clone safe error
+ * @param {any} error - Thrown value
+ * @returns {Object} Serialized error
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { message: String(error) };
+  }
+
+  return {
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+    code: error.code,
+    type: error.type,
+    retryAfterMs: error.retryAfterMs,
+  };
+}
+
+/**
+ * Build the job object handed to the handler (mirrors Worker._createJobWrapper)
+ * @param {Object} data - Job data sent by the parent
+ * @param {AbortSignal} signal - Aborted on { cmd: 'abort' }
+ * @returns {Object} Job proxy
+ */
+function createJobProxy(data, signal) {
+  const { metadata, config, payload } = data;
+
+  return {
+    ...metadata,
+
+    signal,
+
+    getMetadata() {
+      return metadata;
+    },
+
+    getConfig() {
+      return config;
+    },
+
+    getPayload() {
+      return payload;
+    },
+
+    async setProgress(percent) {
+      send({ cmd: 'progress', percent });
+    },
+
+    async log(message) {
+      send({ cmd: 'log', message });
+    },
+
+    getChildrenResults() {
+      return call('getChildrenResults');
+    },
+  };
+}
+
+let handler = null;
+let abortController = null;
+
+try {
+  const loaded = require(handlerFile);
+  handler = typeof loaded === 'function' ? loaded : loaded && loaded.default;
+
+  if (typeof handler !== 'function') {
+    throw new Error(`Sandbox handler file must export a function: ${handlerFile}`);
+  }
+
+  send({ cmd: 'ready' });
+} catch (error) {
+  send({ cmd: 'failed', error: serializeError(error) });
+}
+
+/**
+ * Run one job and report the outcome, abort the running one, or settle a call
+ * @param {Object} message - Run/abort/reply command
+ */
+async function onMessage(message) {
+  if (message && message.cmd === 'reply') {
+    const pending = pendingCalls.get(message.id);
+
+    if (pending) {
+      pendingCalls.delete(message.id);
+
+      if (message.error) {
+        pending.reject(Object.assign(new Error(message.error.message), message.error));
+      } else {
+        pending.resolve(message.result);
+      }
+    }
+    return;
+  }
+
+  if (message && message.cmd === 'abort') {
+    if (abortController) {
+      const reason = new Error('Job was cancelled');
+      reason.code = 2001;
+      reason.type = 'JOB_CANCELLED';
+      abortController.abort(reason);
+    }
+    return;
+  }
+
+  if (!message || message.cmd !== 'run' || !handler) {
+    return;
+  }
+
+  abortController = new AbortController();
+
+  try {
+    const result = await handler(createJobProxy(message.job, abortController.signal));
+    send({ cmd: 'completed', result });
+  } catch (error) {
+    send({ cmd: 'failed', error: serializeError(error) });
+  } finally {
+    abortController = null;
+  }
+}
+
+if (isThread) {
+  parentPort.on('message', onMessage);
+} else {
+  process.on('message', onMessage);
+}
@@ -35,7 +35,7 @@ const scripts = require('../scripts');
  * EXAMPLES:
  * '0 * * * *'      - Every hour at minute 0
  * '0 0 * * *'      - Every day at midnight
- * '*/5 * * * *'    - Every 5 minutes
+ * '*\/5 * * * *'   - Every 5 minutes
  * '0 9 * * 1-5'    - Weekdays at 9am
  */
 class CronScheduler {
@@ -1,4 +1,5 @@
 const scripts = require('../scripts');
+const MeshStorage = require('../storage/MeshStorage');
 
 /**
  * DelayedScheduler - Process delayed jobs every second
@@ -12,7 +13,7 @@ const scripts = require('../scripts');
  * - Event emission for monitoring
  * 
  * LOGIC:
- * 1. Every interval, call processDelayed Lua script
+ * 1. Every interval, call processDelayed Lua script for each mesh
  * 2. Script moves jobs with scheduledFor <= now to pending
  * 3. Emit events for each processed job
  * 4. Continue until stopped
@@ -71,13 +72,18 @@ class DelayedScheduler {
    */
   async _processDelayed() {
     try {
-      const result = await scripts.processDelayed(
-        this.redis,
-        this.options.batchSize,
-      );
+      const meshIds = await MeshStorage.listMeshIds(this.redis);
 
-      if (result.processed > 0) {
-        console.log(`[DelayedScheduler] Processed ${result.processed} delayed jobs`);
+      for (const meshId of meshIds) {
+        const result = await scripts.processDelayed(
+          this.redis,
+          meshId,
+          this.options.batchSize,
+        );
+
+        if (result.processed > 0) {
+          console.log(`[DelayedScheduler] Processed ${result.processed} delayed jobs in mesh ${meshId}`);
+        }
       }
     } catch (error) {
       console.error('[DelayedScheduler] Error processing delayed jobs:', error.message);
@@ -1,5 +1,6 @@
 const JobStorage = require('../storage/JobStorage');
 const QueueStorage = require('../storage/QueueStorage');
+const Namespace = require('../utils/Namespace');
 
 /**
  * DependencyResolver - Manage job dependencies and execution ordering
@@ -18,19 +19,26 @@ const QueueStorage = require('../storage/QueueStorage');
  * 3. When parent completes, check if all deps satisfied
  * 4. If yes, move to pending queue
  * 5. If no, remain waiting
+ * 6. When a parent fails for good (DLQ), its waiters are cancelled, and
+ *    theirs in turn (retryJob.lua / detectStalled.lua, see lifecycle.lua)
  * 
- * REDIS KEYS:
- * - job:{jobId}:depends - Set of dependency job IDs
- * - job:{parentId}:waiters - Set of jobs waiting on this job
+ * A job and the jobs it waits for live in the same mesh (their keys share
+ * the mesh's hash tag, so createJob.lua and completeJob.lua can touch both)
+ * 
+ * REDIS KEYS (mp = {ns}:{meshId}, see Namespace.mesh):
+ * - {mp}:job:{jobId}:depends - Set of dependency job IDs
+ * - {mp}:job:{parentId}:waiters - Set of jobs waiting on this job
  */
 class DependencyResolver {
   /**
    * Create dependency resolver
    * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh the jobs belong to (default 'default')
    */
-  constructor(redis) {
+  constructor(redis, meshId = 'default') {
     this.redis = redis;
-    this.NS = 'bridgemq';
+    this.meshId = meshId;
+    this.prefix = Namespace.mesh(redis, meshId);
   }
 
   /**
@@ -40,8 +48,8 @@ class DependencyResolver {
    * @returns {Promise<void>}
    */
   async addDependency(jobId, parentJobId) {
-    const dependsKey = `${this.NS}:job:${jobId}:depends`;
-    const waitersKey = `${this.NS}:job:${parentJobId}:waiters`;
+    const dependsKey = `${this.prefix}:job:${jobId}:depends`;
+    const waitersKey = `${this.prefix}:job:${parentJobId}:waiters`;
 
     await this.redis.sadd(dependsKey, parentJobId);
     await this.redis.sadd(waitersKey, jobId);
@@ -54,8 +62,8 @@ class DependencyResolver {
    * @returns {Promise<void>}
    */
   async removeDependency(jobId, parentJobId) {
-    const dependsKey = `${this.NS}:job:${jobId}:depends`;
-    const waitersKey = `${this.NS}:job:${parentJobId}:waiters`;
+    const dependsKey = `${this.prefix}:job:${jobId}:depends`;
+    const waitersKey = `${this.prefix}:job:${parentJobId}:waiters`;
 
     await this.redis.srem(dependsKey, parentJobId);
     await this.redis.srem(waitersKey, jobId);
@@ -67,7 +75,7 @@ class DependencyResolver {
    * @returns {Promise<Array>} Parent job IDs
    */
   async getDependencies(jobId) {
-    const dependsKey = `${this.NS}:job:${jobId}:depends`;
+    const dependsKey = `${this.prefix}:job:${jobId}:depends`;
     return await this.redis.smembers(dependsKey);
   }
 
@@ -77,7 +85,7 @@ class DependencyResolver {
    * @returns {Promise<Array>} Waiting job IDs
    */
   async getWaiters(parentJobId) {
-    const waitersKey = `${this.NS}:job:${parentJobId}:waiters`;
+    const waitersKey = `${this.prefix}:job:${parentJobId}:waiters`;
     return await this.redis.smembers(waitersKey);
   }
 
@@ -95,7 +103,7 @@ class DependencyResolver {
 
     // Check each dependency
     for (const depId of dependencies) {
-      const depMeta = await JobStorage.getJobMeta(this.redis, depId);
+      const depMeta = await JobStorage.getJobMeta(this.redis, depId, this.meshId);
 
       if (!depMeta) {
         // Dependency job not found - consider satisfied
@@ -123,7 +131,7 @@ class DependencyResolver {
     }
 
     // Get job metadata
-    const meta = await JobStorage.getJobMeta(this.redis, jobId);
+    const meta = await JobStorage.getJobMeta(this.redis, jobId, this.meshId);
 
     if (!meta) {
       return false;
@@ -140,7 +148,7 @@ class DependencyResolver {
     );
 
     // Update status
-    await JobStorage.setJobStatus(this.redis, jobId, 'pending');
+    await JobStorage.setJobStatus(this.redis, jobId, 'pending', this.meshId);
 
     return true;
   }
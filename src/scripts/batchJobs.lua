@@ -4,15 +4,20 @@
 -- PURPOSE: Implement smart batching for efficient processing of grouped jobs
 -- 
 -- INPUTS:
---   KEYS[1] = 'bridgemq:batch:{batchKey}'
---   KEYS[2] = 'bridgemq:batch:{batchId}:meta'
+--   KEYS[1] = 'mp:batch:{batchKey}'
+--   KEYS[2] = 'mp:batch:{batchId}:meta'
 --   ARGV[1] = batchKey
 --   ARGV[2] = batchId
 --   ARGV[3] = meshId
 --   ARGV[4] = jobType
 --   ARGV[5] = priority
 --   ARGV[6] = current timestamp (ms)
---   ARGV[7] = namespace prefix (bridgemq)
+--   ARGV[7] = namespace (bridgemq), for event channels
+--   ARGV[8] = mesh key prefix ('bridgemq:{meshId}')
+-- 
+-- UNDECLARED KEYS (built from ARGV mesh prefix, see scripts/index.js):
+--   mp:job:{jobId}:meta, mp:batch:{batchId}:jobs,
+--   mp:queue:{type}:p{priority}, mp:queues, mp:pending, mp:wake
 -- 
 -- RETURNS: { batchId: string, jobIds: [jobIds], count: number }
 -- 
@@ -30,6 +35,15 @@ local jobType = ARGV[4]
 local priority = tonumber(ARGV[5]) or 5
 local now = tonumber(ARGV[6])
 local ns = ARGV[7]
+local mp = ARGV[8]
+
+-- Every key lives under the mesh key prefix (hash tag {meshId}): KEYS are
+-- checked here, derived keys are built from mp, so all share one slot
+for _, key in ipairs(KEYS) do
+  if string.sub(key, 1, #mp + 1) ~= mp .. ':' then
+    return redis.error_reply('CROSSSLOT ' .. key .. ' is outside mesh ' .. mp)
+  end
+end
 
 local batchListKey = KEYS[1]
 local batchMetaKey = KEYS[2]
@@ -62,7 +76,7 @@ redis.call('HMSET', batchMetaKey,
 redis.call('EXPIRE', batchMetaKey, 86400) -- 24 hours
 
 -- 3. Store job IDs in batch
-local batchJobsKey = ns .. ':batch:' .. batchId .. ':jobs'
+local batchJobsKey = mp .. ':batch:' .. batchId .. ':jobs'
 for _, jobId in ipairs(jobIds) do
   redis.call('RPUSH', batchJobsKey, jobId)
 end
@@ -71,7 +85,7 @@ redis.call('EXPIRE', batchJobsKey, 86400)
 -- 4. Remove individual jobs from their pending queues
 for _, jobId in ipairs(jobIds) do
   -- Get job metadata
-  local jobMetaKey = ns .. ':job:' .. jobId .. ':meta'
+  local jobMetaKey = mp .. ':job:' .. jobId .. ':meta'
   local meta = redis.call('HGETALL', jobMetaKey)
   
   if #meta > 0 then
@@ -81,7 +95,7 @@ for _, jobId in ipairs(jobIds) do
     end
     
     -- Remove from queue
-    local queueKey = ns .. ':queue:' .. meshId .. ':' .. jobType .. ':p' .. priority
+    local queueKey = mp .. ':queue:' .. jobType .. ':p' .. priority
     redis.call('ZREM', queueKey, jobId)
     
     -- Update job metadata to reference batch
@@ -97,13 +111,21 @@ end
 redis.call('DEL', batchListKey)
 
 -- 6. Create the batch job itself in pending queue
-local batchQueueKey = ns .. ':queue:' .. meshId .. ':' .. jobType .. ':p' .. priority
+local batchQueueKey = mp .. ':queue:' .. jobType .. ':p' .. priority
 redis.call('ZADD', batchQueueKey, now, batchId)
 
+-- Register queue for claimers
+redis.call('ZADD', mp .. ':queues', priority, batchQueueKey)
+
 -- Add to pending index
-local pendingKey = ns .. ':pending:' .. meshId
+local pendingKey = mp .. ':pending'
 redis.call('ZADD', pendingKey, priority, batchId)
 
+-- Wake one blocked worker in this mesh
+local wakeKey = mp .. ':wake'
+redis.call('RPUSH', wakeKey, batchId)
+redis.call('LTRIM', wakeKey, -1000, -1)
+
 -- 7. Publish batch-created event
 local eventChannel = ns .. ':events:global'
 local eventData = cjson.encode({
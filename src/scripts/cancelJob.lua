@@ -0,0 +1,128 @@
+-- cancelJob.lua
+-- Atomically cancel a job and notify the worker running it
+-- 
+-- PURPOSE: Cancel queued jobs outright and signal running handlers to abort
+-- 
+-- INPUTS:
+--   KEYS[1] = 'mp:job:{jobId}:meta'
+--   KEYS[2] = 'mp:delayed'
+--   ARGV[1] = jobId
+--   ARGV[2] = current timestamp (ms)
+--   ARGV[3] = namespace (bridgemq), for event channels
+--   ARGV[4] = mesh key prefix ('bridgemq:{meshId}')
+-- 
+-- UNDECLARED KEYS (built from ARGV mesh prefix, see scripts/index.js):
+--   mp:queue:{type}:p{priority}, mp:pending, mp:quarantine,
+--   mp:parked, mp:parked:{budgetKey}, mp:parked-keys, mp:stats:counters
+-- 
+-- RETURNS: { cancelled: boolean, status: string, serverId: string }
+-- 
+-- LOGIC:
+-- 1. Only pending, scheduled, parked, quarantined, waiting(-children) or active jobs
+--    can be cancelled
+-- 2. Pending/scheduled/parked/quarantined: remove from queue, pending index, delayed,
+--    parked and quarantine sets
+--    (flow parents and dependent jobs that are still waiting are not queued yet)
+-- 3. Active: mark cancelled and publish job.cancel (MessagePack) on the
+--    owning server's channel so the worker aborts the handler; the worker's
+--    complete/fail call then releases the job
+-- 4. Update metrics and publish job-cancelled event
+
+local jobId = ARGV[1]
+local now = tonumber(ARGV[2])
+local ns = ARGV[3]
+local mp = ARGV[4]
+
+-- Every key lives under the mesh key prefix (hash tag {meshId}): KEYS are
+-- checked here, derived keys are built from mp, so all share one slot
+for _, key in ipairs(KEYS) do
+  if string.sub(key, 1, #mp + 1) ~= mp .. ':' then
+    return redis.error_reply('CROSSSLOT ' .. key .. ' is outside mesh ' .. mp)
+  end
+end
+
+-- 1. Get job metadata
+local meta = redis.call('HGETALL', KEYS[1])
+
+if #meta == 0 then
+  return cjson.encode({
+    cancelled = false,
+    error = 'Job not found'
+  })
+end
+
+local metaData = {}
+for i = 1, #meta, 2 do
+  metaData[meta[i]] = meta[i + 1]
+end
+
+local status = metaData.status
+
+local queued = status == 'pending' or status == 'scheduled' or status == 'parked'
+  or status == 'quarantined' or status == 'waiting' or status == 'waiting-children'
+
+if not queued and status ~= 'active' then
+  return cjson.encode({
+    cancelled = false,
+    status = status
+  })
+end
+
+-- 2. Queued jobs: drop from every structure a claimer could find them in
+if queued then
+  local queueKey = mp .. ':queue:' .. metaData.type .. ':p' .. (metaData.priority or 5)
+  redis.call('ZREM', queueKey, jobId)
+  redis.call('ZREM', mp .. ':pending', jobId)
+  redis.call('ZREM', KEYS[2], jobId)
+  redis.call('ZREM', mp .. ':parked', jobId)
+  if metaData.budgetKey then
+    local parkedKey = mp .. ':parked:' .. metaData.budgetKey
+    redis.call('ZREM', parkedKey, jobId)
+    if redis.call('ZCARD', parkedKey) == 0 then
+      redis.call('SREM', mp .. ':parked-keys', metaData.budgetKey)
+    end
+  end
+  redis.call('ZREM', mp .. ':quarantine', jobId)
+  
+  redis.call('HMSET', KEYS[1],
+    'status', 'cancelled',
+    'completedAt', now,
+    'updatedAt', now
+  )
+end
+
+-- 3. Running jobs: keep ownership so the worker can release it, then notify
+if status == 'active' then
+  redis.call('HMSET', KEYS[1],
+    'status', 'cancelled',
+    'updatedAt', now
+  )
+  
+  if metaData.processedBy and metaData.processedBy ~= '' then
+    local serverChannel = ns .. ':events:server:' .. metaData.processedBy
+    redis.call('PUBLISH', serverChannel, cmsgpack.pack({
+      event = 'job.cancel',
+      jobId = jobId,
+      timestamp = now
+    }))
+  end
+end
+
+-- 4. Metrics and event
+redis.call('HINCRBY', mp .. ':stats:counters', 'total:cancelled', 1)
+
+local eventData = cjson.encode({
+  event = 'job.cancelled',
+  jobId = jobId,
+  previousStatus = status,
+  serverId = metaData.processedBy or '',
+  timestamp = now
+})
+redis.call('PUBLISH', ns .. ':events:global', eventData)
+redis.call('PUBLISH', ns .. ':events:job:' .. jobId, eventData)
+
+return cjson.encode({
+  cancelled = true,
+  status = status,
+  serverId = metaData.processedBy or ''
+})
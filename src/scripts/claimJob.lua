@@ -4,26 +4,34 @@
 -- PURPOSE: Ensures only ONE server claims a job, preventing race conditions
 -- 
 -- INPUTS:
---   KEYS[1] = 'bridgemq:pending:{meshId}' - Pending jobs index
---   KEYS[2] = 'bridgemq:active:{serverId}' - Server's active jobs
---   KEYS[3] = 'bridgemq:queue:{meshId}:{type}:p{priority}' - Queue key pattern (constructed)
+--   KEYS[1] = 'mp:pending' - Pending jobs index
+--   KEYS[2] = 'mp:active:{serverId}' - Server's active jobs
+--   KEYS[3] = 'mp:queues' - Registry of active queues (score = priority)
 --   ARGV[1] = serverId
 --   ARGV[2] = meshId
 --   ARGV[3] = JSON array of capabilities
 --   ARGV[4] = current timestamp (ms)
---   ARGV[5] = namespace prefix (bridgemq)
+--   ARGV[5] = namespace (bridgemq), for event channels
+--   ARGV[6] = lease token (unique per claim)
+--   ARGV[7] = lease duration (ms)
+--   ARGV[8] = mesh key prefix ('bridgemq:{meshId}')
+-- 
+-- UNDECLARED KEYS (built from ARGV mesh prefix, see scripts/index.js):
+--   mp:job:{jobId}:meta|config|lock for each candidate,
+--   mp:queue:{type}:p{priority} (read from KEYS[3]), mp:ratelimit:{key}
 -- 
 -- RETURNS: jobId or nil if no eligible job found
 -- 
 -- LOGIC:
--- 1. Scan priority queues from highest (10) to lowest (1)
--- 2. For each queue, get jobs with scheduledFor <= now
+-- 1. Read registered queues from highest priority (10) to lowest (1)
+-- 2. For each queue, get jobs with scheduledFor <= now (unregister empty queues)
 -- 3. Check if job requires specific capabilities
 -- 4. Check if job is rate-limited
 -- 5. If eligible, atomically:
 --    - Remove from pending queue
 --    - Add to server's active set
---    - Update job metadata (status=active, claimedAt, processedBy)
+--    - Take the job lease (job:{jobId}:lock = token, PX lease duration)
+--    - Update job metadata (status=active, claimedAt, processedBy, lockToken)
 --    - Publish job-claimed event
 -- 6. Return jobId
 
@@ -32,6 +40,17 @@ local meshId = ARGV[2]
 local capabilities = cjson.decode(ARGV[3])
 local now = tonumber(ARGV[4])
 local ns = ARGV[5]
+local lockToken = ARGV[6]
+local lockDuration = tonumber(ARGV[7]) or 30000
+local mp = ARGV[8]
+
+-- Every key lives under the mesh key prefix (hash tag {meshId}): KEYS are
+-- checked here, derived keys are built from mp, so all share one slot
+for _, key in ipairs(KEYS) do
+  if string.sub(key, 1, #mp + 1) ~= mp .. ':' then
+    return redis.error_reply('CROSSSLOT ' .. key .. ' is outside mesh ' .. mp)
+  end
+end
 
 -- Helper: Check if server has required capability
 local function hasCapability(required, available)
@@ -48,7 +67,7 @@ end
 
 -- Helper: Check if job is rate-limited
 local function isRateLimited(jobId)
-  local configKey = ns .. ':job:' .. jobId .. ':config'
+  local configKey = mp .. ':job:' .. jobId .. ':config'
   local configJson = redis.call('GET', configKey)
   if not configJson then
     return false
@@ -59,25 +78,26 @@ local function isRateLimited(jobId)
     return false
   end
   
-  local rateLimitKey = ns .. ':ratelimit:' .. config.rateLimit.key
+  local rateLimitKey = mp .. ':ratelimit:' .. config.rateLimit.key
   local count = tonumber(redis.call('GET', rateLimitKey) or 0)
   
   return count >= config.rateLimit.max
 end
 
--- Scan priority queues from highest to lowest
-for priority = 10, 1, -1 do
-  -- Get all job types for this mesh and priority
-  local queuePattern = ns .. ':queue:' .. meshId .. ':*:p' .. priority
-  local queueKeys = redis.call('KEYS', queuePattern)
-  
-  for _, queueKey in ipairs(queueKeys) do
+-- Registered queues, highest priority first
+local queueKeys = redis.call('ZREVRANGE', KEYS[3], 0, -1)
+
+for _, queueKey in ipairs(queueKeys) do
+  -- Drop queues that have drained since they were registered
+  if redis.call('ZCARD', queueKey) == 0 then
+    redis.call('ZREM', KEYS[3], queueKey)
+  else
     -- Get jobs with scheduledFor <= now
     local jobs = redis.call('ZRANGEBYSCORE', queueKey, 0, now, 'LIMIT', 0, 1)
     
     for _, jobId in ipairs(jobs) do
       -- Check job metadata
-      local metaKey = ns .. ':job:' .. jobId .. ':meta'
+      local metaKey = mp .. ':job:' .. jobId .. ':meta'
       local meta = redis.call('HGETALL', metaKey)
       
       if #meta > 0 then
@@ -90,7 +110,7 @@ for priority = 10, 1, -1 do
         -- Check if job is already claimed
         if metaData.status == 'pending' or metaData.status == 'scheduled' then
           -- Get job config to check capability requirements
-          local configKey = ns .. ':job:' .. jobId .. ':config'
+          local configKey = mp .. ':job:' .. jobId .. ':config'
           local configJson = redis.call('GET', configKey)
           local requiredCapability = nil
           
@@ -115,15 +135,19 @@ for priority = 10, 1, -1 do
               -- 3. Add to server's active set
               redis.call('HSET', KEYS[2], jobId, now)
               
-              -- 4. Update job metadata
+              -- 4. Take the lease (renewed by the worker while the handler runs)
+              redis.call('SET', mp .. ':job:' .. jobId .. ':lock', lockToken, 'PX', lockDuration)
+              
+              -- 5. Update job metadata
               redis.call('HMSET', metaKey,
                 'status', 'active',
                 'claimedAt', now,
                 'processedBy', serverId,
+                'lockToken', lockToken,
                 'updatedAt', now
               )
               
-              -- 5. Publish event
+              -- 6. Publish event
               local eventChannel = ns .. ':events:global'
               local eventData = cjson.encode({
                 event = 'job.claimed',
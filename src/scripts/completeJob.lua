@@ -1,30 +1,42 @@
 -- completeJob.lua
--- Atomically complete a job and trigger dependent jobs/chains
+-- Atomically complete a job and trigger dependent jobs/chain links
 -- 
 -- PURPOSE: Ensure job completion is atomic and triggers cascading actions
 -- 
 -- INPUTS:
---   KEYS[1] = 'bridgemq:job:{jobId}:meta'
---   KEYS[2] = 'bridgemq:active:{serverId}'
---   KEYS[3] = 'bridgemq:job:{jobId}:result'
+--   KEYS[1] = 'mp:job:{jobId}:meta'
+--   KEYS[2] = 'mp:active:{serverId}'
+--   KEYS[3] = 'mp:job:{jobId}:result'
 --   ARGV[1] = jobId
 --   ARGV[2] = serverId
 --   ARGV[3] = result (JSON string)
 --   ARGV[4] = status (completed|failed|cancelled)
 --   ARGV[5] = current timestamp (ms)
---   ARGV[6] = namespace prefix (bridgemq)
+--   ARGV[6] = namespace (bridgemq), for event channels
+--   ARGV[7] = lease token from claim
+--   ARGV[8] = mesh key prefix ('bridgemq:{meshId}')
+-- 
+-- UNDECLARED KEYS (built from ARGV mesh prefix, see scripts/index.js):
+--   mp:job:{jobId}:* (config, lock, payload, errors, crashes,
+--   depends, waiters, input), waiter and flow parent job keys,
+--   mp:chain:{chainId}, mp:workflow:{workflowId}:results,
+--   mp:queue:{type}:p{priority}, mp:queues, mp:pending, mp:wake, mp:jobs,
+--   mp:stats:counters, plus the lifecycle.lua keys
 -- 
 -- RETURNS: { success: boolean, triggered: [jobIds] }
 -- 
 -- LOGIC:
--- 1. Verify job ownership (processedBy == serverId)
--- 2. Update job status and result
--- 3. Remove from active set
--- 4. Update metrics/counters
--- 5. Trigger dependent jobs (waiters)
--- 6. Execute job chains (onSuccess/onFailure)
--- 7. Clean up if removeOnComplete
--- 8. Publish job-completed event
+-- 1. Verify job ownership (processedBy == serverId) and lease token
+-- 2. Release cancelled jobs without storing a result
+-- 3. Update job status and result
+-- 4. Remove from active set
+-- 5. Update metrics/counters
+-- 6. Trigger dependent jobs (waiters) and flow parents whose children are done
+--    and record workflow step results for downstream steps
+-- 7. Enqueue the next chain link with a copy of this job's result as
+--    payload.previousResult (or mark the chain completed after its last link)
+-- 8. Clean up if removeOnComplete
+-- 9. Publish job-completed event (the job channel also carries the result)
 
 local jobId = ARGV[1]
 local serverId = ARGV[2]
@@ -32,6 +44,18 @@ local resultJson = ARGV[3]
 local finalStatus = ARGV[4]
 local now = tonumber(ARGV[5])
 local ns = ARGV[6]
+local lockToken = ARGV[7] or ''
+local mp = ARGV[8]
+
+-- Every key lives under the mesh key prefix (hash tag {meshId}): KEYS are
+-- checked here, derived keys are built from mp, so all share one slot
+for _, key in ipairs(KEYS) do
+  if string.sub(key, 1, #mp + 1) ~= mp .. ':' then
+    return redis.error_reply('CROSSSLOT ' .. key .. ' is outside mesh ' .. mp)
+  end
+end
+
+-- @include lifecycle.lua
 
 -- 1. Get job metadata
 local metaKey = KEYS[1]
@@ -59,6 +83,31 @@ if metaData.processedBy ~= serverId then
   })
 end
 
+-- Reject stale lease holders (job was recovered and re-claimed meanwhile)
+if (metaData.lockToken or '') ~= lockToken then
+  return cjson.encode({
+    success = false,
+    error = 'Lock token mismatch'
+  })
+end
+
+-- Cancelled while running: release the job and drop the result
+if metaData.status == 'cancelled' then
+  redis.call('HDEL', KEYS[2], jobId)
+  redis.call('DEL', mp .. ':job:' .. jobId .. ':lock')
+  redis.call('HMSET', metaKey,
+    'completedAt', now,
+    'updatedAt', now,
+    'lockToken', ''
+  )
+  
+  return cjson.encode({
+    success = false,
+    cancelled = true,
+    error = 'Job was cancelled'
+  })
+end
+
 -- 3. Verify job is active
 if metaData.status ~= 'active' then
   return cjson.encode({
@@ -68,18 +117,20 @@ if metaData.status ~= 'active' then
   })
 end
 
--- 4. Update job metadata
+-- 4. Update job metadata and release the lease
 redis.call('HMSET', metaKey,
   'status', finalStatus,
   'completedAt', now,
-  'updatedAt', now
+  'updatedAt', now,
+  'lockToken', ''
 )
+redis.call('DEL', mp .. ':job:' .. jobId .. ':lock')
 
 -- 5. Store result
 redis.call('SET', KEYS[3], resultJson)
 
 -- Get config for TTL
-local configKey = ns .. ':job:' .. jobId .. ':config'
+local configKey = mp .. ':job:' .. jobId .. ':config'
 local configJson = redis.call('GET', configKey)
 if configJson then
   local config = cjson.decode(configJson)
@@ -92,8 +143,7 @@ end
 redis.call('HDEL', KEYS[2], jobId)
 
 -- 7. Update metrics
-local meshId = metaData.meshId or 'default'
-local statsKey = ns .. ':stats:' .. meshId .. ':counters'
+local statsKey = mp .. ':stats:counters'
 
 if finalStatus == 'completed' then
   redis.call('HINCRBY', statsKey, 'total:completed', 1)
@@ -109,11 +159,11 @@ local processingTime = now - claimedAt
 
 -- 9. Trigger dependent jobs (waiters)
 local triggered = {}
-local waitersKey = ns .. ':job:' .. jobId .. ':waiters'
+local waitersKey = mp .. ':job:' .. jobId .. ':waiters'
 local waiters = redis.call('SMEMBERS', waitersKey)
 
 for _, waiterId in ipairs(waiters) do
-  local waiterDependsKey = ns .. ':job:' .. waiterId .. ':depends'
+  local waiterDependsKey = mp .. ':job:' .. waiterId .. ':depends'
   
   -- Remove this job from waiter's dependencies
   redis.call('SREM', waiterDependsKey, jobId)
@@ -123,49 +173,87 @@ for _, waiterId in ipairs(waiters) do
   
   if remainingDeps == 0 then
     -- All dependencies resolved, move to pending
-    local waiterMetaKey = ns .. ':job:' .. waiterId .. ':meta'
+    local waiterMetaKey = mp .. ':job:' .. waiterId .. ':meta'
     local waiterMeta = redis.call('HGETALL', waiterMetaKey)
     
-    if #waiterMeta > 0 then
-      local waiterData = {}
-      for i = 1, #waiterMeta, 2 do
-        waiterData[waiterMeta[i]] = waiterMeta[i + 1]
-      end
-      
+    local waiterData = {}
+    for i = 1, #waiterMeta, 2 do
+      waiterData[waiterMeta[i]] = waiterMeta[i + 1]
+    end
+    
+    -- Only jobs still held back by their dependencies are released
+    if waiterData.status == 'waiting' then
+
       -- Update status to pending
       redis.call('HSET', waiterMetaKey, 'status', 'pending')
       
       -- Add to pending queue
-      local queueKey = ns .. ':queue:' .. waiterData.meshId .. ':' .. waiterData.type .. ':p' .. (waiterData.priority or 5)
+      local queueKey = mp .. ':queue:' .. waiterData.type .. ':p' .. (waiterData.priority or 5)
       redis.call('ZADD', queueKey, now, waiterId)
       
+      -- Register queue for claimers
+      redis.call('ZADD', mp .. ':queues', waiterData.priority or 5, queueKey)
+      
       -- Add to pending index
-      local pendingKey = ns .. ':pending:' .. waiterData.meshId
+      local pendingKey = mp .. ':pending'
       redis.call('ZADD', pendingKey, waiterData.priority or 5, waiterId)
       
+      -- Wake one blocked worker in the waiter's mesh
+      local wakeKey = mp .. ':wake'
+      redis.call('RPUSH', wakeKey, waiterId)
+      redis.call('LTRIM', wakeKey, -1000, -1)
+      
       table.insert(triggered, waiterId)
     end
   end
 end
 
--- 10. Execute job chains (onSuccess/onFailure)
-if configJson then
+-- Record flow child result for the parent's getChildrenResults()
+if finalStatus == 'completed' and metaData.parentId and metaData.parentId ~= '' then
+  local parentPrefix = mp .. ':job:' .. metaData.parentId
+  
+  redis.call('HSET', parentPrefix .. ':children-results', jobId, cjson.encode({
+    status = 'completed',
+    result = resultJson
+  }))
+  redis.call('SREM', parentPrefix .. ':pending-children', jobId)
+  
+  if releaseFlowParent(metaData.parentId) then
+    table.insert(triggered, metaData.parentId)
+  end
+end
+
+-- Record workflow step result (passed to downstream steps by the Worker)
+if finalStatus == 'completed' and configJson then
   local config = cjson.decode(configJson)
-  local chainJobs = {}
   
-  if finalStatus == 'completed' and config.chain and config.chain.onSuccess then
-    chainJobs = config.chain.onSuccess
-  elseif finalStatus == 'failed' and config.chain and config.chain.onFailure then
-    chainJobs = config.chain.onFailure
+  if config.workflow and config.workflow.workflowId then
+    local resultsKey = mp .. ':workflow:' .. config.workflow.workflowId .. ':results'
+    redis.call('HSET', resultsKey, config.workflow.stepId, resultJson)
   end
+end
+
+-- 10. Enqueue the next chain link (failure branches end the chain) with a
+--     copy of this job's result
+if finalStatus == 'completed' and configJson then
+  local config = cjson.decode(configJson)
+  local chain = config.chain
   
-  -- Create chain jobs (simplified - actual creation would need full job data)
-  for _, chainJob in ipairs(chainJobs) do
-    -- Mark that chain jobs should be created
-    -- This is typically handled by the application layer
-    local chainKey = ns .. ':chain:' .. jobId
-    redis.call('RPUSH', chainKey, cjson.encode(chainJob))
-    redis.call('EXPIRE', chainKey, 300) -- 5 minutes TTL
+  if chain and chain.chainId and chain.branch ~= 'failure' then
+    local chainKey = mp .. ':chain:' .. chain.chainId
+    local nextIndex = chain.index + 1
+    local chainNextJobId = enqueueChainLink(chain.chainId, tostring(nextIndex), 'previousResult', resultJson)
+    
+    if chainNextJobId then
+      redis.call('HMSET', chainKey, 'current', nextIndex, 'updatedAt', now)
+      table.insert(triggered, chainNextJobId)
+    else
+      redis.call('HMSET', chainKey,
+        'status', 'completed',
+        'completedAt', now,
+        'updatedAt', now
+      )
+    end
   end
 end
 
@@ -176,11 +264,14 @@ if configJson then
     -- Schedule for cleanup (immediate or delayed)
     redis.call('DEL', metaKey)
     redis.call('DEL', configKey)
-    redis.call('DEL', ns .. ':job:' .. jobId .. ':payload')
+    redis.call('DEL', mp .. ':job:' .. jobId .. ':payload')
+    redis.call('DEL', mp .. ':job:' .. jobId .. ':input')
     redis.call('DEL', KEYS[3])
     redis.call('DEL', waitersKey)
-    redis.call('DEL', ns .. ':job:' .. jobId .. ':depends')
-    redis.call('DEL', ns .. ':job:' .. jobId .. ':errors')
+    redis.call('DEL', mp .. ':job:' .. jobId .. ':depends')
+    redis.call('DEL', mp .. ':job:' .. jobId .. ':errors')
+    redis.call('DEL', mp .. ':job:' .. jobId .. ':crashes')
+    redis.call('ZREM', mp .. ':jobs', jobId)
   end
 end
 
@@ -197,7 +288,11 @@ local eventData = cjson.encode({
   timestamp = now
 })
 redis.call('PUBLISH', eventChannel, eventData)
-redis.call('PUBLISH', jobEventChannel, eventData)
+
+-- Job channel subscribers (waitForJob) get the result even if it is removed
+local jobEventData = cjson.decode(eventData)
+jobEventData.result = resultJson
+redis.call('PUBLISH', jobEventChannel, cjson.encode(jobEventData))
 
 -- 13. Return success
 return cjson.encode({
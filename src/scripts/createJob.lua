@@ -4,11 +4,14 @@
 -- PURPOSE: Prevent race conditions, duplicate jobs, and ensure atomic job creation
 -- 
 -- INPUTS:
---   KEYS[1] = 'bridgemq:job:{jobId}:meta'
---   KEYS[2] = 'bridgemq:job:{jobId}:config'
---   KEYS[3] = 'bridgemq:job:{jobId}:payload'
---   KEYS[4] = 'bridgemq:queue:{meshId}:{type}:p{priority}' (or delayed)
---   KEYS[5] = 'bridgemq:pending:{meshId}' (if not delayed)
+--   KEYS[1] = 'mp:job:{jobId}:meta'
+--   KEYS[2] = 'mp:job:{jobId}:config'
+--   KEYS[3] = 'mp:job:{jobId}:payload'
+--   KEYS[4] = 'mp:queue:{type}:p{priority}' (declared for cluster
+--             routing; delayed jobs go to mp:delayed instead)
+--   KEYS[5] = 'mp:pending' (if not delayed)
+--   KEYS[6] = 'mp:queues' - Registry of active queues
+--   KEYS[7] = 'mp:jobs' - Job index (score = createdAt)
 --   ARGV[1] = jobId
 --   ARGV[2] = JSON metadata object
 --   ARGV[3] = JSON config object
@@ -16,17 +19,29 @@
 --   ARGV[5] = idempotency key (optional)
 --   ARGV[6] = fingerprint hash (optional)
 --   ARGV[7] = current timestamp (ms)
---   ARGV[8] = namespace prefix (bridgemq)
+--   ARGV[8] = namespace (bridgemq), for event channels
+--   ARGV[9] = mesh key prefix ('bridgemq:{meshId}')
+-- 
+-- UNDECLARED KEYS (built from ARGV mesh prefix, see scripts/index.js):
+--   mp:job:{jobId}:depends|errors, flow parent and
+--   dependency job keys, mp:idempotency:{key}, mp:fingerprint:{hash},
+--   mp:capability:{name}, mp:delayed, mp:wake, mp:stats:counters
 -- 
 -- RETURNS: { jobId: string, created: boolean, existing: boolean }
 -- 
 -- LOGIC:
 -- 1. Check idempotency key - return existing job if found
 -- 2. Check fingerprint - return existing job if duplicate
+--    Jobs with unfinished dependencies (waitFor) are created 'waiting'
 -- 3. Create job metadata, config, payload
 -- 4. Add to delayed queue OR pending queue based on scheduledFor
--- 5. Update indexes (capability, mesh, type)
+--    (pending jobs also push a token to the mesh wake list); flow parents
+--    in 'waiting-children' and jobs 'waiting' on dependencies are not
+--    queued until completeJob releases them
+-- 5. Update indexes (queue registry, job index, capability, mesh, type)
+--    and the mesh's total:created counter
 -- 6. Set idempotency and fingerprint keys with TTL
+--    Flow children register with their parent (job:{parentId}:children)
 -- 7. Publish job-created event
 -- 8. Return jobId
 
@@ -38,6 +53,15 @@ local idempotencyKey = ARGV[5]
 local fingerprintHash = ARGV[6]
 local now = tonumber(ARGV[7])
 local ns = ARGV[8]
+local mp = ARGV[9]
+
+-- Every key lives under the mesh key prefix (hash tag {meshId}): KEYS are
+-- checked here, derived keys are built from mp, so all share one slot
+for _, key in ipairs(KEYS) do
+  if string.sub(key, 1, #mp + 1) ~= mp .. ':' then
+    return redis.error_reply('CROSSSLOT ' .. key .. ' is outside mesh ' .. mp)
+  end
+end
 
 -- Parse metadata and config
 local meta = cjson.decode(metaJson)
@@ -45,7 +69,7 @@ local config = cjson.decode(configJson)
 
 -- 1. Check idempotency key
 if idempotencyKey and idempotencyKey ~= '' then
-  local idempKey = ns .. ':idempotency:' .. idempotencyKey
+  local idempKey = mp .. ':idempotency:' .. idempotencyKey
   local existingJobId = redis.call('GET', idempKey)
   
   if existingJobId then
@@ -60,7 +84,7 @@ end
 
 -- 2. Check fingerprint for auto-deduplication
 if fingerprintHash and fingerprintHash ~= '' then
-  local fingerprintKey = ns .. ':fingerprint:' .. fingerprintHash
+  local fingerprintKey = mp .. ':fingerprint:' .. fingerprintHash
   local existingJobId = redis.call('GET', fingerprintKey)
   
   if existingJobId then
@@ -73,10 +97,28 @@ if fingerprintHash and fingerprintHash ~= '' then
   end
 end
 
+-- Dependencies that are not completed yet keep the job out of the queues
+local waitFor = {}
+if config.dependencies and config.dependencies.waitFor then
+  for _, parentId in ipairs(config.dependencies.waitFor) do
+    local parentStatus = redis.call('HGET', mp .. ':job:' .. parentId .. ':meta', 'status')
+    
+    -- Missing parents count as satisfied (see DependencyResolver)
+    if parentStatus and parentStatus ~= 'completed' then
+      table.insert(waitFor, parentId)
+    end
+  end
+end
+
+if #waitFor > 0 and meta.status ~= 'waiting-children' then
+  meta.status = 'waiting'
+end
+
 -- 3. Create job metadata
 redis.call('HMSET', KEYS[1],
   'jobId', meta.jobId,
   'type', meta.type,
+  'meshId', meta.meshId,
   'version', meta.version or '1.0',
   'priority', meta.priority or 5,
   'status', meta.status,
@@ -88,6 +130,10 @@ redis.call('HMSET', KEYS[1],
   'stalledCount', 0
 )
 
+if meta.parentId then
+  redis.call('HSET', KEYS[1], 'parentId', meta.parentId)
+end
+
 -- Set TTL if specified
 if config.lifecycle and config.lifecycle.ttl then
   redis.call('EXPIRE', KEYS[1], config.lifecycle.ttl)
@@ -106,56 +152,76 @@ if config.lifecycle and config.lifecycle.ttl then
 end
 
 -- 6. Initialize empty errors list
-local errorsKey = ns .. ':job:' .. jobId .. ':errors'
+local errorsKey = mp .. ':job:' .. jobId .. ':errors'
 redis.call('DEL', errorsKey)
 
 -- 7. Add to appropriate queue
 local scheduledFor = tonumber(meta.scheduledFor) or now
 local isDelayed = scheduledFor > now
 
-if isDelayed then
+if meta.status == 'waiting-children' or meta.status == 'waiting' then
+  -- Flow parent or dependent job: queued once its children/dependencies finish
+elseif isDelayed then
   -- Add to delayed queue
-  local delayedKey = ns .. ':delayed'
+  local delayedKey = mp .. ':delayed'
   redis.call('ZADD', delayedKey, scheduledFor, jobId)
 else
   -- Add to priority queue
-  local queueKey = ns .. ':queue:' .. meta.meshId .. ':' .. meta.type .. ':p' .. (meta.priority or 5)
+  local queueKey = mp .. ':queue:' .. meta.type .. ':p' .. (meta.priority or 5)
   redis.call('ZADD', queueKey, scheduledFor, jobId)
   
+  -- Register queue so claimers can find it without scanning keys
+  redis.call('ZADD', KEYS[6], meta.priority or 5, queueKey)
+  
   -- Add to pending index
   redis.call('ZADD', KEYS[5], meta.priority or 5, jobId)
+  
+  -- Wake one blocked worker in this mesh
+  local wakeKey = mp .. ':wake'
+  redis.call('RPUSH', wakeKey, jobId)
+  redis.call('LTRIM', wakeKey, -1000, -1)
 end
 
--- 8. Update capability index if specified
+-- 8. Add to mesh job index (used for listing and cleanup)
+redis.call('ZADD', KEYS[7], now, jobId)
+redis.call('HINCRBY', mp .. ':stats:counters', 'total:created', 1)
+
+-- Update capability index if specified
 if config.target and config.target.capabilities then
   for _, capability in ipairs(config.target.capabilities) do
-    local capKey = ns .. ':capability:' .. capability
+    local capKey = mp .. ':capability:' .. capability
     redis.call('SADD', capKey, jobId)
   end
 end
 
 -- 9. Set idempotency key with TTL
 if idempotencyKey and idempotencyKey ~= '' then
-  local idempKey = ns .. ':idempotency:' .. idempotencyKey
+  local idempKey = mp .. ':idempotency:' .. idempotencyKey
   local ttl = (config.idempotency and config.idempotency.window) or 3600
   redis.call('SETEX', idempKey, ttl, jobId)
 end
 
 -- 10. Set fingerprint key with TTL
 if fingerprintHash and fingerprintHash ~= '' then
-  local fingerprintKey = ns .. ':fingerprint:' .. fingerprintHash
+  local fingerprintKey = mp .. ':fingerprint:' .. fingerprintHash
   local ttl = 3600 -- Default 1 hour dedup window
   redis.call('SETEX', fingerprintKey, ttl, jobId)
 end
 
--- 11. Handle dependencies (waitFor)
-if config.dependencies and config.dependencies.waitFor then
-  local dependsKey = ns .. ':job:' .. jobId .. ':depends'
-  for _, parentId in ipairs(config.dependencies.waitFor) do
+-- Register flow child with its parent
+if meta.parentId then
+  redis.call('SADD', mp .. ':job:' .. meta.parentId .. ':children', jobId)
+  redis.call('SADD', mp .. ':job:' .. meta.parentId .. ':pending-children', jobId)
+end
+
+-- 11. Handle dependencies (waitFor) that are still unfinished
+if #waitFor > 0 then
+  local dependsKey = mp .. ':job:' .. jobId .. ':depends'
+  for _, parentId in ipairs(waitFor) do
     redis.call('SADD', dependsKey, parentId)
     
     -- Add to parent's waiters
-    local waitersKey = ns .. ':job:' .. parentId .. ':waiters'
+    local waitersKey = mp .. ':job:' .. parentId .. ':waiters'
     redis.call('SADD', waitersKey, jobId)
   end
 end
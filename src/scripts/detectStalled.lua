@@ -1,135 +1,347 @@
 -- detectStalled.lua
--- Detect and recover stalled jobs (jobs claimed but not completed)
+-- Detect and recover stalled jobs (jobs claimed but not completed) for one server
 -- 
 -- PURPOSE: Prevent jobs from being stuck forever if a worker crashes
 -- 
+-- A job is only stalled once its lease (job:{jobId}:lock) has expired, so jobs
+-- that run longer than the timeout keep running while their worker renews it.
+-- 
 -- INPUTS:
+--   KEYS[1] = 'mp:active:{serverId}' - Server's active jobs
+--   KEYS[2] = 'mp:suspects:{serverId}' - Jobs whose lease the server lost
+--             while its heartbeat was still present (jobId -> detectedAt)
 --   ARGV[1] = current timestamp (ms)
---   ARGV[2] = stall timeout (ms, default 300000 = 5 minutes)
+--   ARGV[2] = stall timeout for claims without a lease (ms, default 300000 = 5 minutes)
 --   ARGV[3] = max stall count (default 3)
---   ARGV[4] = namespace prefix (bridgemq)
+--   ARGV[4] = namespace (bridgemq), for event channels
+--   ARGV[5] = serverId
+--   ARGV[6] = crashes before quarantine (0 = never quarantine, default 3)
+--   ARGV[7] = server alive flag ('1' while server:{serverId} exists; checked
+--             by the caller, the server registry is outside the mesh slot)
+--   ARGV[8] = mesh key prefix ('bridgemq:{meshId}')
+--   ARGV[9] = crash window (ms): a lease loss counts as a crash if the
+--             server's heartbeat is gone within it (default 60000)
+-- 
+-- UNDECLARED KEYS (built from ARGV mesh prefix, see scripts/index.js):
+--   mp:job:{jobId}:meta|config|lock|errors|crashes for each
+--   active job, mp:queue:{type}:p{priority}, mp:queues, mp:pending, mp:wake,
+--   mp:dlq, mp:quarantine, mp:stats:counters, plus the lifecycle.lua keys
 -- 
--- RETURNS: { detected: number, recovered: number, movedToDLQ: number }
+-- RETURNS: { detected: number, recovered: number, movedToDLQ: number,
+--            quarantined: number, active: number }
 -- 
 -- LOGIC:
--- 1. Scan all active job sets (active:{serverId})
--- 2. For each active job:
---    - Check if (now - claimedAt) > stallTimeout
+-- 1. Server gone: its suspects died with it after all (the lease usually
+--    expires before the heartbeat does). Count a crash for each one the
+--    server did not claim again, mark its fingerprint serverAlive false,
+--    and quarantine it if it is pending and over the threshold
+-- 2. Read the server's active job set (active:{serverId})
+-- 3. For each active job:
+--    - Skip if its lease is still held
+--    - Stalled if the lease expired (or, for claims without a lease, (now - claimedAt) > stallTimeout)
 --    - If stalled:
 --      - Increment stalledCount
+--      - Lease expired: its worker died (or froze) with the job active, so
+--        record a crash fingerprint; crashCount only goes up once the
+--        server's heartbeat is gone too (serverAlive false, or within the
+--        crash window, see 1), so a frozen or slow worker never
+--        quarantines the job it was running
+--      - If the job was cancelled: release it without requeueing
+--      - If crashCount >= quarantine threshold: move to the quarantine set
+--        (status 'quarantined') and publish job-quarantined event
 --      - If stalledCount < maxStallCount: Move back to pending
---      - If stalledCount >= maxStallCount: Move to DLQ
+--      - If stalledCount >= maxStallCount: Move to DLQ with the stall error
+--        in its errors list (cancel the jobs waiting on it and notify flow
+--        parent; chain links start their chain's onFailure branch)
 --      - Publish job-stalled event
+-- 4. Return the jobs still active, so the caller can unregister a server
+--    that is gone and holds none
 
 local now = tonumber(ARGV[1])
 local stallTimeout = tonumber(ARGV[2]) or 300000 -- 5 minutes
 local maxStallCount = tonumber(ARGV[3]) or 3
 local ns = ARGV[4]
+local serverId = ARGV[5]
+local quarantineAfter = tonumber(ARGV[6]) or 3
+local serverAlive = ARGV[7] == '1'
+local mp = ARGV[8]
+local crashWindow = tonumber(ARGV[9]) or 60000
 
+-- Every key lives under the mesh key prefix (hash tag {meshId}): KEYS are
+-- checked here, derived keys are built from mp, so all share one slot
+for _, key in ipairs(KEYS) do
+  if string.sub(key, 1, #mp + 1) ~= mp .. ':' then
+    return redis.error_reply('CROSSSLOT ' .. key .. ' is outside mesh ' .. mp)
+  end
+end
+
+-- @include lifecycle.lua
+
+local activeKey = KEYS[1]
+local suspectsKey = KEYS[2]
 local detectedCount = 0
 local recoveredCount = 0
 local dlqCount = 0
+local quarantinedCount = 0
 
--- Get all active job sets
-local activePattern = ns .. ':active:*'
-local activeKeys = redis.call('KEYS', activePattern)
+-- Move a job to the quarantine set and publish job.quarantined
+local function quarantine(jobId, metaData, crashCount, stalledCount)
+  local metaKey = mp .. ':job:' .. jobId .. ':meta'
+  local meshId = metaData.meshId or 'default'
+  redis.call('ZADD', mp .. ':quarantine', now, jobId)
+  
+  redis.call('HMSET', metaKey,
+    'status', 'quarantined',
+    'stalledCount', stalledCount,
+    'quarantinedAt', now,
+    'updatedAt', now,
+    'processedBy', '',
+    'lockToken', ''
+  )
+  redis.call('HINCRBY', mp .. ':stats:counters', 'total:quarantined', 1)
+  
+  quarantinedCount = quarantinedCount + 1
+  
+  local eventData = cjson.encode({
+    event = 'job.quarantined',
+    jobId = jobId,
+    type = metaData.type,
+    meshId = meshId,
+    serverId = serverId,
+    crashCount = crashCount,
+    stalledCount = stalledCount,
+    timestamp = now
+  })
+  redis.call('PUBLISH', ns .. ':events:global', eventData)
+  redis.call('PUBLISH', ns .. ':events:job:' .. jobId, eventData)
+end
 
-for _, activeKey in ipairs(activeKeys) do
-  -- Extract serverId from key
-  local serverId = string.match(activeKey, ns .. ':active:(.+)')
+-- Mark the fingerprint this server left at detectedAt as a crash
+local function confirmCrash(jobId, detectedAt)
+  local crashesKey = mp .. ':job:' .. jobId .. ':crashes'
+  local crashes = redis.call('LRANGE', crashesKey, 0, -1)
   
-  -- Get all active jobs for this server
-  local activeJobs = redis.call('HGETALL', activeKey)
+  for j = #crashes, 1, -1 do
+    local crash = cjson.decode(crashes[j])
+    
+    if crash.serverId == serverId and crash.detectedAt == detectedAt then
+      crash.serverAlive = false
+      crash.confirmedAt = now
+      redis.call('LSET', crashesKey, j - 1, cjson.encode(crash))
+      return
+    end
+  end
+end
+
+-- 1. Suspects of a server that is gone
+if not serverAlive then
+  local suspects = redis.call('HGETALL', suspectsKey)
   
-  for i = 1, #activeJobs, 2 do
-    local jobId = activeJobs[i]
-    local claimedAt = tonumber(activeJobs[i + 1])
+  for i = 1, #suspects, 2 do
+    local jobId = suspects[i]
+    local metaKey = mp .. ':job:' .. jobId .. ':meta'
+    local meta = redis.call('HGETALL', metaKey)
     
-    -- Check if stalled
-    local elapsed = now - claimedAt
+    -- Claimed again by this server: it was still alive after the lease loss
+    if #meta > 0 and redis.call('HEXISTS', activeKey, jobId) == 0 then
+      local metaData = {}
+      for j = 1, #meta, 2 do
+        metaData[meta[j]] = meta[j + 1]
+      end
+      
+      local crashCount = (tonumber(metaData.crashCount) or 0) + 1
+      redis.call('HSET', metaKey, 'crashCount', crashCount)
+      confirmCrash(jobId, tonumber(suspects[i + 1]))
+      
+      if metaData.status == 'pending' and quarantineAfter > 0 and crashCount >= quarantineAfter then
+        local priority = tonumber(metaData.priority) or 5
+        redis.call('ZREM', mp .. ':queue:' .. (metaData.type or 'default') .. ':p' .. priority, jobId)
+        redis.call('ZREM', mp .. ':pending', jobId)
+        quarantine(jobId, metaData, crashCount, tonumber(metaData.stalledCount) or 0)
+      end
+    end
+  end
+  
+  redis.call('DEL', suspectsKey)
+end
+
+-- Get all active jobs for this server
+local activeJobs = redis.call('HGETALL', activeKey)
+
+for i = 1, #activeJobs, 2 do
+  local jobId = activeJobs[i]
+  local claimedAt = tonumber(activeJobs[i + 1])
+  
+  local metaKey = mp .. ':job:' .. jobId .. ':meta'
+  local elapsed = now - claimedAt
+  
+  -- Check if stalled: a held lease means the worker is alive
+  local stalled = false
+  local leaseLost = false
+  
+  if redis.call('EXISTS', mp .. ':job:' .. jobId .. ':lock') == 0 then
+    leaseLost = (redis.call('HGET', metaKey, 'lockToken') or '') ~= ''
+    stalled = leaseLost or elapsed > stallTimeout
+  end
+  
+  -- Only a dead server counts as a crash (its process went down with the job)
+  local crashed = leaseLost and not serverAlive
+  
+  if stalled then
+    detectedCount = detectedCount + 1
+    
+    -- Get job metadata
+    local meta = redis.call('HGETALL', metaKey)
     
-    if elapsed > stallTimeout then
-      detectedCount = detectedCount + 1
+    if #meta > 0 then
+      local metaData = {}
+      for j = 1, #meta, 2 do
+        metaData[meta[j]] = meta[j + 1]
+      end
       
-      -- Get job metadata
-      local metaKey = ns .. ':job:' .. jobId .. ':meta'
-      local meta = redis.call('HGETALL', metaKey)
+      -- Increment stall count
+      local stalledCount = tonumber(metaData.stalledCount) or 0
+      stalledCount = stalledCount + 1
       
-      if #meta > 0 then
-        local metaData = {}
-        for j = 1, #meta, 2 do
-          metaData[meta[j]] = meta[j + 1]
+      -- Remove from active set
+      redis.call('HDEL', activeKey, jobId)
+      
+      -- Crash fingerprint: where it was running and what ran beside it
+      local crashCount = tonumber(metaData.crashCount) or 0
+      
+      if leaseLost then
+        local coActive = {}
+        for j = 1, #activeJobs, 2 do
+          if activeJobs[j] ~= jobId and #coActive < 10 then
+            table.insert(coActive, activeJobs[j])
+          end
         end
         
-        -- Increment stall count
-        local stalledCount = tonumber(metaData.stalledCount) or 0
-        stalledCount = stalledCount + 1
+        local crashesKey = mp .. ':job:' .. jobId .. ':crashes'
+        redis.call('RPUSH', crashesKey, cjson.encode({
+          serverId = serverId,
+          serverAlive = serverAlive,
+          attempt = tonumber(metaData.attempt) or 0,
+          claimedAt = claimedAt,
+          detectedAt = now,
+          elapsed = elapsed,
+          coActive = coActive,
+          coActiveCount = #activeJobs / 2 - 1
+        }))
+        redis.call('LTRIM', crashesKey, -20, -1) -- Keep last 20 crashes
         
-        -- Remove from active set
-        redis.call('HDEL', activeKey, jobId)
+        -- Counted after all if the heartbeat is gone within the window
+        if serverAlive then
+          redis.call('HSET', suspectsKey, jobId, now)
+          redis.call('PEXPIRE', suspectsKey, crashWindow)
+        end
+      end
+      
+      if crashed then
+        crashCount = crashCount + 1
+        redis.call('HSET', metaKey, 'crashCount', crashCount)
+      end
+      
+      if metaData.status == 'cancelled' then
+        -- Cancelled while its worker died: release it, never requeue
+        redis.call('HMSET', metaKey,
+          'completedAt', now,
+          'updatedAt', now,
+          'processedBy', '',
+          'lockToken', ''
+        )
+      elseif crashed and quarantineAfter > 0 and crashCount >= quarantineAfter then
+        -- Poison message: keep it away from workers until released
+        quarantine(jobId, metaData, crashCount, stalledCount)
+      elseif stalledCount >= maxStallCount then
+        -- Move to DLQ
+        local dlqKey = mp .. ':dlq'
+        redis.call('RPUSH', dlqKey, jobId)
+        
+        -- Update status
+        redis.call('HMSET', metaKey,
+          'status', 'failed',
+          'stalledCount', stalledCount,
+          'updatedAt', now,
+          'processedBy', '',
+          'lockToken', ''
+        )
+        
+        dlqCount = dlqCount + 1
         
-        if stalledCount >= maxStallCount then
-          -- Move to DLQ
-          local dlqKey = ns .. ':dlq:' .. metaData.meshId
-          redis.call('RPUSH', dlqKey, jobId)
-          
-          -- Update status
-          redis.call('HMSET', metaKey,
-            'status', 'failed',
-            'stalledCount', stalledCount,
-            'updatedAt', now,
-            'processedBy', ''
-          )
-          
-          dlqCount = dlqCount + 1
-          
-          -- Publish failed event
-          local eventChannel = ns .. ':events:global'
-          local eventData = cjson.encode({
-            event = 'job.failed',
-            jobId = jobId,
-            serverId = serverId,
-            reason = 'stall_limit_exceeded',
-            stalledCount = stalledCount,
-            timestamp = now
-          })
-          redis.call('PUBLISH', eventChannel, eventData)
-        else
-          -- Move back to pending for retry
-          local meshId = metaData.meshId or 'default'
-          local jobType = metaData.type or 'default'
-          local priority = tonumber(metaData.priority) or 5
-          
-          -- Add to pending queue
-          local queueKey = ns .. ':queue:' .. meshId .. ':' .. jobType .. ':p' .. priority
-          redis.call('ZADD', queueKey, now, jobId)
-          
-          -- Add to pending index
-          local pendingKey = ns .. ':pending:' .. meshId
-          redis.call('ZADD', pendingKey, priority, jobId)
-          
-          -- Update status
-          redis.call('HMSET', metaKey,
-            'status', 'pending',
-            'stalledCount', stalledCount,
-            'updatedAt', now,
-            'processedBy', ''
-          )
-          
-          recoveredCount = recoveredCount + 1
-          
-          -- Publish stalled event
-          local eventChannel = ns .. ':events:global'
-          local eventData = cjson.encode({
-            event = 'job.stalled',
-            jobId = jobId,
-            serverId = serverId,
-            stalledCount = stalledCount,
-            elapsed = elapsed,
-            timestamp = now
-          })
-          redis.call('PUBLISH', eventChannel, eventData)
+        -- Publish failed event
+        local eventChannel = ns .. ':events:global'
+        local eventData = cjson.encode({
+          event = 'job.failed',
+          jobId = jobId,
+          serverId = serverId,
+          reason = 'stall_limit_exceeded',
+          stalledCount = stalledCount,
+          timestamp = now
+        })
+        redis.call('PUBLISH', eventChannel, eventData)
+        redis.call('PUBLISH', ns .. ':events:job:' .. jobId, eventData)
+        
+        local stallErrorJson = cjson.encode({
+          message = 'Job exceeded max stall count'
+        })
+        redis.call('RPUSH', mp .. ':job:' .. jobId .. ':errors', cjson.encode({
+          attempt = tonumber(metaData.attempt) or 0,
+          error = stallErrorJson,
+          timestamp = now,
+          serverId = serverId
+        }))
+        redis.call('LTRIM', mp .. ':job:' .. jobId .. ':errors', -10, -1)
+        cancelDependents(jobId)
+        failFlowChild(jobId, metaData.parentId, stallErrorJson)
+        
+        local configJson = redis.call('GET', mp .. ':job:' .. jobId .. ':config')
+        if configJson then
+          failChainLink(cjson.decode(configJson).chain, stallErrorJson)
         end
+      else
+        -- Move back to pending for retry
+        local jobType = metaData.type or 'default'
+        local priority = tonumber(metaData.priority) or 5
+        
+        -- Add to pending queue
+        local queueKey = mp .. ':queue:' .. jobType .. ':p' .. priority
+        redis.call('ZADD', queueKey, now, jobId)
+        
+        -- Register queue for claimers
+        redis.call('ZADD', mp .. ':queues', priority, queueKey)
+        
+        -- Add to pending index
+        local pendingKey = mp .. ':pending'
+        redis.call('ZADD', pendingKey, priority, jobId)
+        
+        -- Wake one blocked worker in this mesh
+        local wakeKey = mp .. ':wake'
+        redis.call('RPUSH', wakeKey, jobId)
+        redis.call('LTRIM', wakeKey, -1000, -1)
+        
+        -- Update status
+        redis.call('HMSET', metaKey,
+          'status', 'pending',
+          'stalledCount', stalledCount,
+          'updatedAt', now,
+          'processedBy', '',
+          'lockToken', ''
+        )
+        
+        recoveredCount = recoveredCount + 1
+        
+        -- Publish stalled event
+        local eventChannel = ns .. ':events:global'
+        local eventData = cjson.encode({
+          event = 'job.stalled',
+          jobId = jobId,
+          serverId = serverId,
+          stalledCount = stalledCount,
+          elapsed = elapsed,
+          timestamp = now
+        })
+        redis.call('PUBLISH', eventChannel, eventData)
       end
     end
   end
@@ -139,5 +351,7 @@ return cjson.encode({
   detected = detectedCount,
   recovered = recoveredCount,
   movedToDLQ = dlqCount,
+  quarantined = quarantinedCount,
+  active = redis.call('HLEN', activeKey),
   timestamp = now
 })
@@ -0,0 +1,53 @@
+-- extendLock.lua
+-- Renew the lease on an active job while its handler is still running
+-- 
+-- PURPOSE: Keep long-running jobs from being recovered by the stall detector
+-- 
+-- INPUTS:
+--   KEYS[1] = 'mp:job:{jobId}:lock'
+--   KEYS[2] = 'mp:job:{jobId}:meta'
+--   ARGV[1] = lease token from claim
+--   ARGV[2] = lease duration (ms)
+--   ARGV[3] = mesh key prefix ('bridgemq:{meshId}')
+-- 
+-- RETURNS: 1 if the lease was renewed, 0 if the token is stale
+-- 
+-- LOGIC:
+-- 1. If the lock holds our token, push its expiry out
+-- 2. If the lock lapsed but the job is still active under our token
+--    (stall detector has not recovered it yet), take it back
+-- 3. Otherwise the lease belongs to someone else (or the job finished)
+
+local lockToken = ARGV[1]
+local lockDuration = tonumber(ARGV[2]) or 30000
+local mp = ARGV[3]
+
+-- Every key lives under the mesh key prefix (hash tag {meshId}): KEYS are
+-- checked here, derived keys are built from mp, so all share one slot
+for _, key in ipairs(KEYS) do
+  if string.sub(key, 1, #mp + 1) ~= mp .. ':' then
+    return redis.error_reply('CROSSSLOT ' .. key .. ' is outside mesh ' .. mp)
+  end
+end
+
+-- 1. Lock still held by us
+local current = redis.call('GET', KEYS[1])
+
+if current == lockToken then
+  redis.call('PEXPIRE', KEYS[1], lockDuration)
+  return 1
+end
+
+-- 2. Lock lapsed, job not yet recovered
+if not current then
+  local status = redis.call('HGET', KEYS[2], 'status')
+  local metaToken = redis.call('HGET', KEYS[2], 'lockToken')
+  
+  if status == 'active' and metaToken == lockToken then
+    redis.call('SET', KEYS[1], lockToken, 'PX', lockDuration)
+    return 1
+  end
+end
+
+-- 3. Stale token
+return 0
@@ -1,5 +1,5 @@
-const fs = require('fs');
-const path = require('path');
+const Namespace = require('../utils/Namespace');
+const { readScript } = require('./source');
 
 /**
  * Lua Script Loader and Manager
@@ -9,10 +9,50 @@ const path = require('path');
  * FEATURES:
  * - Lazy loading of Lua scripts
  * - SHA caching for performance
- * - Script reload capability
+ * - Script reload capability (automatic on NOSCRIPT, e.g. after a restart
+ *   or a failover to a replica whose script cache is empty)
  * - Type-safe function wrappers
+ * - Keys use the mesh key prefix of the connection's namespace
+ *   (Namespace.mesh), the ns argument is only used for event channels
+ *
+ * REDIS CLUSTER:
+ * Every script works on one mesh. Only the keys known before the call are
+ * passed in KEYS; the rest (job keys of IDs read from queues, flow parents,
+ * chain links, and mesh-wide keys such as pending, queues, wake, parked,
+ * dlq, quarantine and stats) are built inside the script from the mesh key
+ * prefix passed as the last argument. Each script lists them under
+ * UNDECLARED KEYS. They land in the same slot as KEYS only because the
+ * prefix's hash tag is the mesh ID, which is what makes the scripts run on
+ * a cluster: key names must keep that tag. Each script checks that its KEYS
+ * carry the prefix and fails with CROSSSLOT otherwise. Cross-mesh
+ * registries (meshes, servers) are maintained by the callers instead.
  */
 
+const SCRIPT_FILES = {
+  claimJob: 'claimJob.lua',
+  createJob: 'createJob.lua',
+  completeJob: 'completeJob.lua',
+  retryJob: 'retryJob.lua',
+  processDelayed: 'processDelayed.lua',
+  detectStalled: 'detectStalled.lua',
+  rateLimitCheck: 'rateLimitCheck.lua',
+  batchJobs: 'batchJobs.lua',
+  extendLock: 'extendLock.lua',
+  cancelJob: 'cancelJob.lua',
+  requeueJob: 'requeueJob.lua',
+  retryBudget: 'retryBudget.lua',
+  releaseQuarantined: 'releaseQuarantined.lua',
+};
+
+/**
+ * Is this the server's "script not in cache" error?
+ * @param {Error} error - Command error
+ * @returns {boolean} True for NOSCRIPT
+ */
+function isNoScript(error) {
+  return Boolean(error && error.message && error.message.startsWith('NOSCRIPT'));
+}
+
 class LuaScripts {
   constructor() {
     this.scripts = {};
@@ -21,7 +61,7 @@ class LuaScripts {
 
   /**
    * Load all Lua scripts into Redis
-   * @param {Redis} redis - ioredis client instance
+   * @param {Redis|Redis.Cluster} redis - ioredis client instance
    * @returns {Promise<void>}
    */
   async load(redis) {
@@ -29,50 +69,81 @@ class LuaScripts {
       return;
     }
 
-    const scriptsDir = __dirname;
-    const scriptFiles = {
-      claimJob: 'claimJob.lua',
-      createJob: 'createJob.lua',
-      completeJob: 'completeJob.lua',
-      retryJob: 'retryJob.lua',
-      processDelayed: 'processDelayed.lua',
-      detectStalled: 'detectStalled.lua',
-      rateLimitCheck: 'rateLimitCheck.lua',
-      batchJobs: 'batchJobs.lua',
-    };
-
-    for (const [name, filename] of Object.entries(scriptFiles)) {
-      const scriptPath = path.join(scriptsDir, filename);
-      const scriptContent = fs.readFileSync(scriptPath, 'utf8');
-      
-      // Load script and get SHA
-      const sha = await redis.script('LOAD', scriptContent);
-      
+    for (const [name, filename] of Object.entries(SCRIPT_FILES)) {
+      const scriptContent = readScript(filename);
+
       this.scripts[name] = {
         content: scriptContent,
-        sha,
+        sha: await this._loadScript(redis, scriptContent),
       };
     }
 
     this.loaded = true;
   }
 
+  /**
+   * SCRIPT LOAD a script source
+   * @private
+   * @param {Redis|Redis.Cluster} redis - ioredis client instance
+   * @param {string} content - Lua source
+   * @returns {Promise<string>} SHA1 (the same on every node)
+   */
+  async _loadScript(redis, content) {
+    // SCRIPT LOAD has no key to route by: on a cluster, load on every primary
+    const targets = typeof redis.nodes === 'function' ? redis.nodes('master') : [redis];
+
+    let sha;
+    for (const target of targets) {
+      sha = await target.script('LOAD', content);
+    }
+
+    return sha;
+  }
+
+  /**
+   * Run a loaded script, loading it again and retrying once on NOSCRIPT
+   * (the server restarted, failed over or had its script cache flushed)
+   * @private
+   * @param {Redis} redis - Redis client
+   * @param {string} name - Script name
+   * @param {string[]} keys - KEYS
+   * @param {string[]} args - ARGV
+   * @returns {Promise<*>} Script reply
+   */
+  async _evalsha(redis, name, keys, args) {
+    const script = this.scripts[name];
+
+    try {
+      return await redis.evalsha(script.sha, keys.length, ...keys, ...args);
+    } catch (error) {
+      if (!isNoScript(error)) {
+        throw error;
+      }
+
+      await this._loadScript(redis, script.content);
+      return redis.evalsha(script.sha, keys.length, ...keys, ...args);
+    }
+  }
+
   /**
    * Claim a job from pending queues
    * @param {Redis} redis - Redis client
    * @param {string} serverId - Server ID claiming the job
    * @param {string} meshId - Mesh ID to claim from
    * @param {string[]} capabilities - Server capabilities
+   * @param {string} lockToken - Lease token for this claim
+   * @param {number} lockDurationMs - Lease duration (default 30000)
    * @returns {Promise<string|null>} Job ID or null
    */
-  async claimJob(redis, serverId, meshId, capabilities) {
+  async claimJob(redis, serverId, meshId, capabilities, lockToken, lockDurationMs = 30000) {
     const now = Date.now();
-    const ns = 'bridgemq';
+    const ns = Namespace.of(redis);
+    const mp = Namespace.mesh(redis, meshId);
     
     const keys = [
-      `${ns}:pending:${meshId}`,
-      `${ns}:active:${serverId}`,
-      '', // Queue key pattern (constructed in Lua)
+      `${mp}:pending`,
+      `${mp}:active:${serverId}`,
+      `${mp}:queues`,
     ];
     
     const args = [
@@ -81,9 +152,12 @@ class LuaScripts {
       JSON.stringify(capabilities),
       now.toString(),
       ns,
+      lockToken,
+      lockDurationMs.toString(),
+      mp,
     ];
 
-    return redis.evalsha(this.scripts.claimJob.sha, keys.length, ...keys, ...args);
+    return this._evalsha(redis, 'claimJob', keys, args);
   }
 
   /**
@@ -93,6 +167,82 @@ class LuaScripts {
    * @returns {Promise<Object>} Creation result
    */
   async createJob(redis, jobData) {
+    const { keys, args } = this._createJobArgs(redis, jobData, Date.now());
+
+    const result = await this._evalsha(redis, 'createJob', keys, args);
+
+    return JSON.parse(result);
+  }
+
+  /**
+   * Create many jobs with one MULTI/EXEC round-trip per mesh
+   * Each job still runs createJob.lua, so idempotency and fingerprint checks
+   * apply per item (including duplicates within the same chunk)
+   * @param {Redis} redis - Redis client
+   * @param {Object[]} jobs - Job data (same shape as createJob)
+   * @returns {Promise<Object[]>} Per-job results (or { error } for failed items)
+   */
+  async createJobs(redis, jobs) {
+    const now = Date.now();
+    const results = new Array(jobs.length);
+
+    // A MULTI must stay in one slot: one transaction per mesh
+    const byMesh = new Map();
+    jobs.forEach((jobData, index) => {
+      const { meshId } = jobData.meta;
+      if (!byMesh.has(meshId)) {
+        byMesh.set(meshId, []);
+      }
+      byMesh.get(meshId).push(index);
+    });
+
+    for (const indexes of byMesh.values()) {
+      const meshJobs = indexes.map((index) => jobs[index]);
+      let replies = await this._execCreateJobs(redis, meshJobs, now);
+
+      // Every EVALSHA of the MULTI fails on NOSCRIPT (e.g. after a failover
+      // to a replica without the script): reload it and run the MULTI again
+      if (replies.some(([error]) => isNoScript(error))) {
+        await this._loadScript(redis, this.scripts.createJob.content);
+        replies = await this._execCreateJobs(redis, meshJobs, now);
+      }
+
+      replies.forEach(([error, result], position) => {
+        results[indexes[position]] = error ? { error: error.message } : JSON.parse(result);
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Run createJob.lua for jobs of one mesh in a single MULTI/EXEC
+   * @private
+   * @param {Redis} redis - Redis client
+   * @param {Object[]} jobs - Job data (all in the same mesh)
+   * @param {number} now - Current timestamp (ms)
+   * @returns {Promise<Array>} [[error, result], ...] in job order
+   */
+  async _execCreateJobs(redis, jobs, now) {
+    const multi = redis.multi();
+
+    for (const jobData of jobs) {
+      const { keys, args } = this._createJobArgs(redis, jobData, now);
+      multi.evalsha(this.scripts.createJob.sha, keys.length, ...keys, ...args);
+    }
+
+    return multi.exec();
+  }
+
+  /**
+   * Build createJob.lua keys and arguments
+   * @private
+   * @param {Redis} redis - Redis client (for its namespace)
+   * @param {Object} jobData - Job data
+   * @param {number} now - Current timestamp (ms)
+   * @returns {Object} { keys, args }
+   */
+  _createJobArgs(redis, jobData, now) {
     const {
       jobId,
       meta,
@@ -102,15 +252,17 @@ class LuaScripts {
       fingerprintHash,
     } = jobData;
 
-    const now = Date.now();
-    const ns = 'bridgemq';
+    const ns = Namespace.of(redis);
+    const mp = Namespace.mesh(redis, meta.meshId);
     
     const keys = [
-      `${ns}:job:${jobId}:meta`,
-      `${ns}:job:${jobId}:config`,
-      `${ns}:job:${jobId}:payload`,
-      '', // Queue key (constructed in Lua)
-      `${ns}:pending:${meta.meshId}`,
+      `${mp}:job:${jobId}:meta`,
+      `${mp}:job:${jobId}:config`,
+      `${mp}:job:${jobId}:payload`,
+      `${mp}:queue:${meta.type}:p${meta.priority || 5}`,
+      `${mp}:pending`,
+      `${mp}:queues`,
+      `${mp}:jobs`,
     ];
     
     const args = [
@@ -122,52 +274,47 @@ class LuaScripts {
       fingerprintHash || '',
       now.toString(),
       ns,
+      mp,
     ];
 
-    const result = await redis.evalsha(
-      this.scripts.createJob.sha,
-      keys.length,
-      ...keys,
-      ...args,
-    );
-
-    return JSON.parse(result);
+    return { keys, args };
   }
 
   /**
    * Complete a job
    * @param {Redis} redis - Redis client
    * @param {string} jobId - Job ID
+   * @param {string} meshId - Mesh the job belongs to
    * @param {string} serverId - Server ID that processed the job
    * @param {Object} result - Job result
    * @param {string} status - Final status (completed|failed|cancelled)
+   * @param {string} lockToken - Lease token from claim
    * @returns {Promise<Object>} Completion result
    */
-  async completeJob(redis, jobId, serverId, result, status = 'completed') {
+  async completeJob(redis, jobId, meshId, serverId, result, status = 'completed', lockToken = '') {
     const now = Date.now();
-    const ns = 'bridgemq';
+    const ns = Namespace.of(redis);
+    const mp = Namespace.mesh(redis, meshId);
     
     const keys = [
-      `${ns}:job:${jobId}:meta`,
-      `${ns}:active:${serverId}`,
-      `${ns}:job:${jobId}:result`,
+      `${mp}:job:${jobId}:meta`,
+      `${mp}:active:${serverId}`,
+      `${mp}:job:${jobId}:result`,
     ];
     
     const args = [
       jobId,
       serverId,
-      JSON.stringify(result),
+      // A handler that returns nothing stores null, so readers can always parse it
+      JSON.stringify(result === undefined ? null : result),
       status,
       now.toString(),
       ns,
+      lockToken,
+      mp,
     ];
 
-    const resultJson = await redis.evalsha(
-      this.scripts.completeJob.sha,
-      keys.length,
-      ...keys,
-      ...args,
-    );
+    const resultJson = await this._evalsha(redis, 'completeJob', keys, args);
 
     return JSON.parse(resultJson);
   }
@@ -176,18 +323,26 @@ class LuaScripts {
    * Retry a failed job
    * @param {Redis} redis - Redis client
    * @param {string} jobId - Job ID
+   * @param {string} meshId - Mesh the job belongs to
    * @param {string} serverId - Server ID
    * @param {Object} error - Error object
+   * @param {string} lockToken - Lease token from claim
+   * @param {boolean} fatal - Skip remaining attempts and move straight to DLQ
+   * @param {Object} overrides - Retry policy decisions (optional)
+   * @param {number} overrides.delayMs - Exact retry delay (default: config.retry backoff)
+   * @param {number} overrides.maxAttempts - Max attempts (default: config.retry.maxAttempts)
+   * @param {string} overrides.parkKey - Park under this retry budget key instead of retrying
    * @returns {Promise<Object>} Retry result
    */
-  async retryJob(redis, jobId, serverId, error) {
+  async retryJob(redis, jobId, meshId, serverId, error, lockToken = '', fatal = false, overrides = {}) {
     const now = Date.now();
-    const ns = 'bridgemq';
+    const ns = Namespace.of(redis);
+    const mp = Namespace.mesh(redis, meshId);
     
     const keys = [
-      `${ns}:job:${jobId}:meta`,
-      `${ns}:active:${serverId}`,
-      `${ns}:job:${jobId}:errors`,
+      `${mp}:job:${jobId}:meta`,
+      `${mp}:active:${serverId}`,
+      `${mp}:job:${jobId}:errors`,
     ];
     
     const args = [
@@ -196,64 +351,245 @@ class LuaScripts {
       JSON.stringify(error),
       now.toString(),
       ns,
+      lockToken,
+      fatal ? '1' : '0',
+      overrides.delayMs !== undefined && overrides.delayMs !== null ? String(overrides.delayMs) : '',
+      overrides.maxAttempts ? String(overrides.maxAttempts) : '',
+      overrides.parkKey || '',
+      mp,
     ];
 
-    const result = await redis.evalsha(
-      this.scripts.retryJob.sha,
-      keys.length,
-      ...keys,
-      ...args,
-    );
+    const result = await this._evalsha(redis, 'retryJob', keys, args);
 
     return JSON.parse(result);
   }
 
   /**
-   * Process delayed jobs (move to pending when ready)
+   * Renew the lease on an active job
    * @param {Redis} redis - Redis client
+   * @param {string} jobId - Job ID
+   * @param {string} meshId - Mesh the job belongs to
+   * @param {string} lockToken - Lease token from claim
+   * @param {number} lockDurationMs - New lease duration
+   * @returns {Promise<boolean>} True if renewed, false if the token is stale
+   */
+  async extendLock(redis, jobId, meshId, lockToken, lockDurationMs) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    const keys = [
+      `${mp}:job:${jobId}:lock`,
+      `${mp}:job:${jobId}:meta`,
+    ];
+
+    const args = [
+      lockToken,
+      lockDurationMs.toString(),
+      mp,
+    ];
+
+    const result = await this._evalsha(redis, 'extendLock', keys, args);
+
+    return result === 1;
+  }
+
+  /**
+   * Cancel a job (running jobs are signalled via their server's channel)
+   * @param {Redis} redis - Redis client
+   * @param {string} jobId - Job ID
+   * @param {string} meshId - Mesh the job belongs to
+   * @returns {Promise<Object>} Cancel result { cancelled, status, serverId }
+   */
+  async cancelJob(redis, jobId, meshId) {
+    const ns = Namespace.of(redis);
+    const mp = Namespace.mesh(redis, meshId);
+
+    const keys = [
+      `${mp}:job:${jobId}:meta`,
+      `${mp}:delayed`,
+    ];
+
+    const args = [
+      jobId,
+      Date.now().toString(),
+      ns,
+      mp,
+    ];
+
+    const result = await this._evalsha(redis, 'cancelJob', keys, args);
+
+    return JSON.parse(result);
+  }
+
+  /**
+   * Move a failed job from the DLQ back to its pending queue
+   * @param {Redis} redis - Redis client
+   * @param {string} jobId - Job ID
+   * @param {string} meshId - Mesh whose DLQ holds the job
+   * @param {Object} options - Requeue options
+   * @param {boolean} options.resetAttempts - Restart the attempt count at 0
+   * @param {string} options.payload - Replacement stored payload (optional)
+   * @returns {Promise<Object>} Requeue result { requeued, status, attempt }
+   */
+  async requeueJob(redis, jobId, meshId, options = {}) {
+    const ns = Namespace.of(redis);
+    const mp = Namespace.mesh(redis, meshId);
+
+    const keys = [
+      `${mp}:job:${jobId}:meta`,
+      `${mp}:dlq`,
+      `${mp}:job:${jobId}:payload`,
+    ];
+
+    const args = [
+      jobId,
+      Date.now().toString(),
+      ns,
+      options.resetAttempts ? '1' : '0',
+      options.payload || '',
+      mp,
+    ];
+
+    const result = await this._evalsha(redis, 'requeueJob', keys, args);
+
+    return JSON.parse(result);
+  }
+
+  /**
+   * Move a quarantined job back to its pending queue
+   * @param {Redis} redis - Redis client
+   * @param {string} jobId - Job ID
+   * @param {string} meshId - Mesh whose quarantine set holds the job
+   * @param {Object} options - Release options
+   * @param {boolean} options.resetCrashes - Restart the crash and stall counts at 0
+   * @returns {Promise<Object>} { released, status, crashCount, error }
+   */
+  async releaseQuarantined(redis, jobId, meshId, options = {}) {
+    const ns = Namespace.of(redis);
+    const mp = Namespace.mesh(redis, meshId);
+
+    const keys = [
+      `${mp}:job:${jobId}:meta`,
+      `${mp}:quarantine`,
+    ];
+
+    const args = [
+      jobId,
+      Date.now().toString(),
+      ns,
+      options.resetCrashes ? '1' : '0',
+      mp,
+    ];
+
+    const result = await this._evalsha(redis, 'releaseQuarantined', keys, args);
+
+    return JSON.parse(result);
+  }
+
+  /**
+   * Count or check against a retry budget (see retryBudget.lua)
+   * @param {Redis} redis - Redis client
+   * @param {string} mode - 'attempt', 'retry', 'refund', 'release' or 'peek'
+   * @param {string} meshId - Mesh ID
+   * @param {string} budgetKey - Budget key (job type or config.retry.budgetKey)
+   * @param {Object} budget - { windowMs, bucketMs, ratio, minRetries }
+   * @param {string} jobId - Parked job to release (release mode)
+   * @returns {Promise<Object>} { allowed, attempts, retries, limit, released }
+   */
+  async retryBudget(redis, mode, meshId, budgetKey, budget, jobId = '') {
+    const ns = Namespace.of(redis);
+    const mp = Namespace.mesh(redis, meshId);
+
+    const keys = [
+      `${mp}:retry-budget:${budgetKey}`,
+      `${mp}:parked`,
+      `${mp}:job:${jobId}:meta`,
+      `${mp}:parked:${budgetKey}`,
+      `${mp}:parked-keys`,
+    ];
+
+    const args = [
+      mode,
+      Date.now().toString(),
+      budget.windowMs.toString(),
+      budget.bucketMs.toString(),
+      budget.ratio.toString(),
+      budget.minRetries.toString(),
+      ns,
+      jobId,
+      mp,
+      budgetKey,
+    ];
+
+    const result = await this._evalsha(redis, 'retryBudget', keys, args);
+
+    return JSON.parse(result);
+  }
+
+  /**
+   * Process a mesh's delayed jobs (move to pending when ready)
+   * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh ID
    * @param {number} limit - Max jobs to process (default 100)
    * @returns {Promise<Object>} Processing result
    */
-  async processDelayed(redis, limit = 100) {
+  async processDelayed(redis, meshId, limit = 100) {
     const now = Date.now();
-    const ns = 'bridgemq';
+    const ns = Namespace.of(redis);
+    const mp = Namespace.mesh(redis, meshId);
     
-    const keys = [`${ns}:delayed`];
-    const args = [now.toString(), ns, limit.toString()];
+    const keys = [`${mp}:delayed`];
+    const args = [now.toString(), ns, limit.toString(), mp];
 
-    const result = await redis.evalsha(
-      this.scripts.processDelayed.sha,
-      keys.length,
-      ...keys,
-      ...args,
-    );
+    const result = await this._evalsha(redis, 'processDelayed', keys, args);
 
     return JSON.parse(result);
   }
 
   /**
-   * Detect stalled jobs
+   * Detect stalled jobs a server holds in one mesh
    * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh ID
+   * @param {string} serverId - Server whose active jobs are checked
+   * @param {boolean} serverAlive - Server heartbeat still present
    * @param {number} stallTimeoutMs - Stall timeout in milliseconds (default 300000 = 5 min)
    * @param {number} maxStallCount - Max stall count before DLQ (default 3)
-   * @returns {Promise<Object>} Detection result
+   * @param {number} quarantineAfter - Worker crashes before quarantine (default 3, 0 = never)
+   * @param {number} crashWindowMs - A lease lost while the server looked alive
+   *   counts as a crash if its heartbeat is gone within this window (default 60000)
+   * @returns {Promise<Object>} Detection result (active = jobs the server still holds)
    */
-  async detectStalled(redis, stallTimeoutMs = 300000, maxStallCount = 3) {
+  async detectStalled(
+    redis,
+    meshId,
+    serverId,
+    serverAlive,
+    stallTimeoutMs = 300000,
+    maxStallCount = 3,
+    quarantineAfter = 3,
+    crashWindowMs = 60000,
+  ) {
     const now = Date.now();
-    const ns = 'bridgemq';
+    const ns = Namespace.of(redis);
+    const mp = Namespace.mesh(redis, meshId);
     
+    const keys = [
+      `${mp}:active:${serverId}`,
+      `${mp}:suspects:${serverId}`,
+    ];
+
     const args = [
       now.toString(),
       stallTimeoutMs.toString(),
       maxStallCount.toString(),
       ns,
+      serverId,
+      quarantineAfter.toString(),
+      serverAlive ? '1' : '0',
+      mp,
+      crashWindowMs.toString(),
     ];
 
-    const result = await redis.evalsha(
-      this.scripts.detectStalled.sha,
-      0, // No keys
-      ...args,
-    );
+    const result = await this._evalsha(redis, 'detectStalled', keys, args);
 
     return JSON.parse(result);
   }
@@ -261,19 +597,21 @@ class LuaScripts {
   /**
    * Check rate limit
    * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh whose jobs the limit applies to
    * @param {string} key - Rate limit key
    * @param {number} max - Max requests
    * @param {number} windowSeconds - Time window in seconds
    * @param {string} jobId - Job ID to queue if limit exceeded (optional)
    * @returns {Promise<Object>} Rate limit check result
    */
-  async rateLimitCheck(redis, key, max, windowSeconds, jobId = '') {
+  async rateLimitCheck(redis, meshId, key, max, windowSeconds, jobId = '') {
     const now = Date.now();
-    const ns = 'bridgemq';
+    const ns = Namespace.of(redis);
+    const mp = Namespace.mesh(redis, meshId);
     
     const keys = [
-      `${ns}:ratelimit:${key}`,
-      `${ns}:ratelimitqueue:${key}`,
+      `${mp}:ratelimit:${key}`,
+      `${mp}:ratelimitqueue:${key}`,
     ];
     
     const args = [
@@ -283,14 +621,10 @@ class LuaScripts {
       jobId,
       now.toString(),
       ns,
+      mp,
     ];
 
-    const result = await redis.evalsha(
-      this.scripts.rateLimitCheck.sha,
-      keys.length,
-      ...keys,
-      ...args,
-    );
+    const result = await this._evalsha(redis, 'rateLimitCheck', keys, args);
 
     return JSON.parse(result);
   }
@@ -307,11 +641,12 @@ class LuaScripts {
    */
   async finalizeBatch(redis, batchKey, batchId, meshId, jobType, priority = 5) {
     const now = Date.now();
-    const ns = 'bridgemq';
+    const ns = Namespace.of(redis);
+    const mp = Namespace.mesh(redis, meshId);
     
     const keys = [
-      `${ns}:batch:${batchKey}`,
-      `${ns}:batch:${batchId}:meta`,
+      `${mp}:batch:${batchKey}`,
+      `${mp}:batch:${batchId}:meta`,
     ];
     
     const args = [
@@ -322,14 +657,10 @@ class LuaScripts {
       priority.toString(),
       now.toString(),
       ns,
+      mp,
     ];
 
-    const result = await redis.evalsha(
-      this.scripts.batchJobs.sha,
-      keys.length,
-      ...keys,
-      ...args,
-    );
+    const result = await this._evalsha(redis, 'batchJobs', keys, args);
 
     return JSON.parse(result);
   }
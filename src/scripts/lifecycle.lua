@@ -0,0 +1,266 @@
+-- lifecycle.lua
+-- Local helpers shared by completeJob.lua, retryJob.lua and detectStalled.lua
+--
+-- PURPOSE: Keep flow and chain transitions in one place; this file is not a
+-- script of its own
+--
+-- USAGE: a script includes it with the line
+--   -- @include lifecycle.lua
+-- after declaring the locals it reads: mp (mesh key prefix), ns (namespace,
+-- for event channels) and now (timestamp, ms). See scripts/source.js.
+--
+-- UNDECLARED KEYS (built from mp, see scripts/index.js): flow parent,
+-- dependent and chain link job keys, mp:chain:{chainId}[:links],
+-- mp:capability:{name}, mp:queue:{type}:p{priority}, mp:queues, mp:pending,
+-- mp:wake, mp:jobs, mp:dlq, mp:stats:counters
+--
+-- FEATURES:
+-- - releaseFlowParent() - queue a flow parent once no children are pending
+-- - cancelDependents() - cancel the jobs waiting on a job that failed for good
+-- - failFlowChild() - apply the parent's onChildFailure policy up the tree
+-- - enqueueChainLink() - create the next stored chain link
+-- - failChainLink() - start a chain's onFailure branch
+
+-- Queue a flow parent once none of its children are pending
+local function releaseFlowParent(parentId)
+  local parentMetaKey = mp .. ':job:' .. parentId .. ':meta'
+  local parent = redis.call('HMGET', parentMetaKey, 'status', 'meshId', 'type', 'priority')
+  
+  if parent[1] ~= 'waiting-children' then
+    return false
+  end
+  
+  if redis.call('SCARD', mp .. ':job:' .. parentId .. ':pending-children') > 0 then
+    return false
+  end
+  
+  local parentPriority = tonumber(parent[4]) or 5
+  local parentQueueKey = mp .. ':queue:' .. parent[3] .. ':p' .. parentPriority
+  
+  redis.call('HMSET', parentMetaKey, 'status', 'pending', 'updatedAt', now)
+  redis.call('ZADD', parentQueueKey, now, parentId)
+  redis.call('ZADD', mp .. ':queues', parentPriority, parentQueueKey)
+  redis.call('ZADD', mp .. ':pending', parentPriority, parentId)
+  redis.call('RPUSH', mp .. ':wake', parentId)
+  redis.call('LTRIM', mp .. ':wake', -1000, -1)
+  
+  return true
+end
+
+-- Cancel the jobs waiting on a job that failed for good (dependencies.waitFor,
+-- e.g. downstream workflow steps), and the jobs waiting on those: they can
+-- never run. Their depends sets and waiters entries are released.
+local function cancelDependents(failedJobId)
+  local dependencyIds = { failedJobId }
+  local index = 1
+  
+  while index <= #dependencyIds do
+    local dependencyId = dependencyIds[index]
+    local waitersKey = mp .. ':job:' .. dependencyId .. ':waiters'
+    index = index + 1
+    
+    for _, waiterId in ipairs(redis.call('SMEMBERS', waitersKey)) do
+      local waiterPrefix = mp .. ':job:' .. waiterId
+      
+      if redis.call('HGET', waiterPrefix .. ':meta', 'status') == 'waiting' then
+        for _, otherId in ipairs(redis.call('SMEMBERS', waiterPrefix .. ':depends')) do
+          redis.call('SREM', mp .. ':job:' .. otherId .. ':waiters', waiterId)
+        end
+        redis.call('DEL', waiterPrefix .. ':depends')
+        
+        redis.call('HMSET', waiterPrefix .. ':meta',
+          'status', 'cancelled',
+          'cancelReason', 'dependency_failed',
+          'failedDependency', failedJobId,
+          'completedAt', now,
+          'updatedAt', now
+        )
+        redis.call('HINCRBY', mp .. ':stats:counters', 'total:cancelled', 1)
+        
+        local waiterEvent = cjson.encode({
+          event = 'job.cancelled',
+          jobId = waiterId,
+          previousStatus = 'waiting',
+          reason = 'dependency_failed',
+          dependencyId = dependencyId,
+          timestamp = now
+        })
+        redis.call('PUBLISH', ns .. ':events:global', waiterEvent)
+        redis.call('PUBLISH', ns .. ':events:job:' .. waiterId, waiterEvent)
+        
+        table.insert(dependencyIds, waiterId)
+      end
+    end
+    
+    redis.call('DEL', waitersKey)
+  end
+end
+
+-- Record a failed flow child and apply the parent's onChildFailure policy:
+--   'fail' (default) fails the parent (and so on up the tree),
+--   'continue' records the failure for getChildrenResults(),
+--   'ignore' drops the child from the results
+local function failFlowChild(childId, parentId, childErrorJson)
+  while parentId and parentId ~= '' do
+    local parentPrefix = mp .. ':job:' .. parentId
+    local policy = 'fail'
+    local parentConfigJson = redis.call('GET', parentPrefix .. ':config')
+    
+    if parentConfigJson then
+      local parentConfig = cjson.decode(parentConfigJson)
+      if parentConfig.flow and parentConfig.flow.onChildFailure then
+        policy = parentConfig.flow.onChildFailure
+      end
+    end
+    
+    redis.call('SREM', parentPrefix .. ':pending-children', childId)
+    
+    if policy ~= 'ignore' then
+      redis.call('HSET', parentPrefix .. ':children-results', childId, cjson.encode({
+        status = 'failed',
+        error = childErrorJson
+      }))
+    end
+    
+    local parent = redis.call('HMGET', parentPrefix .. ':meta', 'status', 'meshId', 'parentId')
+    
+    if parent[1] ~= 'waiting-children' then
+      return
+    end
+    
+    if policy ~= 'fail' then
+      releaseFlowParent(parentId)
+      return
+    end
+    
+    -- Fail the parent without running it
+    childErrorJson = cjson.encode({
+      code = 6001,
+      type = 'CHILD_FAILED',
+      message = 'Child job ' .. childId .. ' failed'
+    })
+    
+    redis.call('HMSET', parentPrefix .. ':meta',
+      'status', 'failed',
+      'completedAt', now,
+      'updatedAt', now
+    )
+    redis.call('RPUSH', parentPrefix .. ':errors', cjson.encode({
+      attempt = 0,
+      error = childErrorJson,
+      timestamp = now
+    }))
+    redis.call('RPUSH', mp .. ':dlq', parentId)
+    redis.call('HINCRBY', mp .. ':stats:counters', 'total:failed', 1)
+    
+    local parentEvent = cjson.encode({
+      event = 'job.failed',
+      jobId = parentId,
+      reason = 'child_failed',
+      childId = childId,
+      timestamp = now
+    })
+    redis.call('PUBLISH', ns .. ':events:global', parentEvent)
+    redis.call('PUBLISH', ns .. ':events:job:' .. parentId, parentEvent)
+    cancelDependents(parentId)
+    
+    childId = parentId
+    parentId = parent[3]
+  end
+end
+
+-- Create and queue a chain link stored by Chain.execute (chain:{chainId}:links).
+-- Its payload is stored as Chain.execute serialized it; the outcome it runs
+-- on is copied next to it: meta.chainInput names the payload field
+-- ('previousResult' or 'previousError') and job:{jobId}:input holds its
+-- JSON, merged into the payload when it is read (JobStorage), so the link
+-- does not depend on the previous job still being there.
+-- Returns the link's job ID, or nil if there is no such link.
+local function enqueueChainLink(chainId, linkField, input, inputJson)
+  local linkJson = redis.call('HGET', mp .. ':chain:' .. chainId .. ':links', linkField)
+  
+  if not linkJson then
+    return nil
+  end
+  
+  local link = cjson.decode(linkJson)
+  local linkConfig = cjson.decode(link.config)
+  local linkPrefix = mp .. ':job:' .. link.jobId
+  local linkPriority = tonumber(link.priority) or 5
+  
+  redis.call('HMSET', linkPrefix .. ':meta',
+    'jobId', link.jobId,
+    'type', link.type,
+    'meshId', link.meshId,
+    'version', link.version or '1.0',
+    'priority', linkPriority,
+    'status', 'pending',
+    'attempt', 0,
+    'createdAt', now,
+    'scheduledFor', now,
+    'updatedAt', now,
+    'progress', 0,
+    'stalledCount', 0,
+    'chainInput', input
+  )
+  redis.call('SET', linkPrefix .. ':config', link.config)
+  redis.call('SET', linkPrefix .. ':payload', link.payload)
+  redis.call('SET', linkPrefix .. ':input', inputJson or 'null')
+  
+  if linkConfig.lifecycle and linkConfig.lifecycle.ttl then
+    redis.call('EXPIRE', linkPrefix .. ':meta', linkConfig.lifecycle.ttl)
+    redis.call('EXPIRE', linkPrefix .. ':config', linkConfig.lifecycle.ttl)
+    redis.call('EXPIRE', linkPrefix .. ':payload', linkConfig.lifecycle.ttl)
+    redis.call('EXPIRE', linkPrefix .. ':input', linkConfig.lifecycle.ttl)
+  end
+  
+  local linkQueueKey = mp .. ':queue:' .. link.type .. ':p' .. linkPriority
+  redis.call('ZADD', linkQueueKey, now, link.jobId)
+  redis.call('ZADD', mp .. ':queues', linkPriority, linkQueueKey)
+  redis.call('ZADD', mp .. ':pending', linkPriority, link.jobId)
+  redis.call('RPUSH', mp .. ':wake', link.jobId)
+  redis.call('LTRIM', mp .. ':wake', -1000, -1)
+  redis.call('ZADD', mp .. ':jobs', now, link.jobId)
+  
+  if linkConfig.target and linkConfig.target.capabilities then
+    for _, capability in ipairs(linkConfig.target.capabilities) do
+      redis.call('SADD', mp .. ':capability:' .. capability, link.jobId)
+    end
+  end
+  
+  local linkEvent = cjson.encode({
+    event = 'job.created',
+    jobId = link.jobId,
+    type = link.type,
+    meshId = link.meshId,
+    priority = linkPriority,
+    status = 'pending',
+    chainId = chainId,
+    timestamp = now
+  })
+  redis.call('PUBLISH', ns .. ':events:global', linkEvent)
+  redis.call('PUBLISH', ns .. ':events:mesh:' .. link.meshId, linkEvent)
+  
+  return link.jobId
+end
+
+-- Start a failed chain link's onFailure branch (payload.previousError is the
+-- error the link failed with) and mark the chain failed
+local function failChainLink(chain, errorJson)
+  if not chain or not chain.chainId or chain.branch == 'failure' then
+    return
+  end
+  
+  local chainKey = mp .. ':chain:' .. chain.chainId
+  local failureJobId = enqueueChainLink(chain.chainId, 'failure:' .. chain.index, 'previousError', errorJson)
+  
+  redis.call('HMSET', chainKey,
+    'status', 'failed',
+    'failedIndex', chain.index,
+    'updatedAt', now
+  )
+  
+  if failureJobId then
+    redis.call('HSET', chainKey, 'failureJobId', failureJobId)
+  end
+end
@@ -4,10 +4,15 @@
 -- PURPOSE: Background scheduler that processes delayed jobs
 -- 
 -- INPUTS:
---   KEYS[1] = 'bridgemq:delayed'
+--   KEYS[1] = 'mp:delayed'
 --   ARGV[1] = current timestamp (ms)
---   ARGV[2] = namespace prefix (bridgemq)
+--   ARGV[2] = namespace (bridgemq), for event channels
 --   ARGV[3] = limit (max jobs to process in one run, default 100)
+--   ARGV[4] = mesh key prefix ('bridgemq:{meshId}')
+-- 
+-- UNDECLARED KEYS (built from ARGV mesh prefix, see scripts/index.js):
+--   mp:job:{jobId}:meta for each due job,
+--   mp:queue:{type}:p{priority}, mp:queues, mp:pending, mp:wake
 -- 
 -- RETURNS: { processed: number, jobIds: [jobIds] }
 -- 
@@ -16,7 +21,9 @@
 -- 2. For each job:
 --    - Get job metadata
 --    - Move to appropriate pending queue based on mesh/type/priority
+--    - Register the queue in the mesh queue registry
 --    - Update status to 'pending'
+--    - Push a token to the mesh wake list
 --    - Remove from delayed queue
 --    - Publish job-scheduled event
 -- 3. Return count of processed jobs
@@ -24,6 +31,15 @@
 local now = tonumber(ARGV[1])
 local ns = ARGV[2]
 local limit = tonumber(ARGV[3]) or 100
+local mp = ARGV[4]
+
+-- Every key lives under the mesh key prefix (hash tag {meshId}): KEYS are
+-- checked here, derived keys are built from mp, so all share one slot
+for _, key in ipairs(KEYS) do
+  if string.sub(key, 1, #mp + 1) ~= mp .. ':' then
+    return redis.error_reply('CROSSSLOT ' .. key .. ' is outside mesh ' .. mp)
+  end
+end
 
 local delayedKey = KEYS[1]
 local processedJobs = {}
@@ -34,7 +50,7 @@ local jobs = redis.call('ZRANGEBYSCORE', delayedKey, 0, now, 'LIMIT', 0, limit)
 
 for _, jobId in ipairs(jobs) do
   -- Get job metadata
-  local metaKey = ns .. ':job:' .. jobId .. ':meta'
+  local metaKey = mp .. ':job:' .. jobId .. ':meta'
   local meta = redis.call('HGETALL', metaKey)
   
   if #meta > 0 then
@@ -51,13 +67,21 @@ for _, jobId in ipairs(jobs) do
       local priority = tonumber(metaData.priority) or 5
       
       -- Add to pending queue
-      local queueKey = ns .. ':queue:' .. meshId .. ':' .. jobType .. ':p' .. priority
+      local queueKey = mp .. ':queue:' .. jobType .. ':p' .. priority
       redis.call('ZADD', queueKey, now, jobId)
       
+      -- Register queue for claimers
+      redis.call('ZADD', mp .. ':queues', priority, queueKey)
+      
       -- Add to pending index
-      local pendingKey = ns .. ':pending:' .. meshId
+      local pendingKey = mp .. ':pending'
       redis.call('ZADD', pendingKey, priority, jobId)
       
+      -- Wake one blocked worker in this mesh
+      local wakeKey = mp .. ':wake'
+      redis.call('RPUSH', wakeKey, jobId)
+      redis.call('LTRIM', wakeKey, -1000, -1)
+      
       -- Update job status
       redis.call('HMSET', metaKey,
         'status', 'pending',
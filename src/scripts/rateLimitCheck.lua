@@ -4,14 +4,15 @@
 -- PURPOSE: Prevent job execution from exceeding configured rate limits
 -- 
 -- INPUTS:
---   KEYS[1] = 'bridgemq:ratelimit:{key}'
---   KEYS[2] = 'bridgemq:ratelimitqueue:{key}' (optional queue for excess jobs)
+--   KEYS[1] = 'mp:ratelimit:{key}'
+--   KEYS[2] = 'mp:ratelimitqueue:{key}' (optional queue for excess jobs)
 --   ARGV[1] = rate limit key
 --   ARGV[2] = max requests
 --   ARGV[3] = window (seconds)
 --   ARGV[4] = jobId (optional, to queue if limit exceeded)
 --   ARGV[5] = current timestamp (ms)
---   ARGV[6] = namespace prefix (bridgemq)
+--   ARGV[6] = namespace (bridgemq), for event channels
+--   ARGV[7] = mesh key prefix ('bridgemq:{meshId}')
 -- 
 -- RETURNS: { allowed: boolean, current: number, limit: number, reset: number }
 -- 
@@ -27,6 +28,15 @@ local windowSeconds = tonumber(ARGV[3])
 local jobId = ARGV[4]
 local now = tonumber(ARGV[5])
 local ns = ARGV[6]
+local mp = ARGV[7]
+
+-- Every key lives under the mesh key prefix (hash tag {meshId}): KEYS are
+-- checked here, derived keys are built from mp, so all share one slot
+for _, key in ipairs(KEYS) do
+  if string.sub(key, 1, #mp + 1) ~= mp .. ':' then
+    return redis.error_reply('CROSSSLOT ' .. key .. ' is outside mesh ' .. mp)
+  end
+end
 
 local key = KEYS[1]
 local queueKey = KEYS[2]
@@ -0,0 +1,120 @@
+-- releaseQuarantined.lua
+-- Move a quarantined job back to its pending queue
+--
+-- PURPOSE: Run a job again once the crash it kept causing is fixed
+--
+-- INPUTS:
+--   KEYS[1] = 'mp:job:{jobId}:meta'
+--   KEYS[2] = 'mp:quarantine'
+--   ARGV[1] = jobId
+--   ARGV[2] = current timestamp (ms)
+--   ARGV[3] = namespace (bridgemq), for event channels
+--   ARGV[4] = reset crashes flag ('1' restarts crashCount and stalledCount at 0)
+--   ARGV[5] = mesh key prefix ('bridgemq:{meshId}')
+-- 
+-- UNDECLARED KEYS (built from ARGV mesh prefix, see scripts/index.js):
+--   mp:queue:{type}:p{priority}, mp:queues, mp:pending, mp:wake
+--
+-- RETURNS: { released: boolean, status: string, crashCount: number }
+--
+-- LOGIC:
+-- 1. Only quarantined jobs that are still in the quarantine set can be
+--    released (a stale entry whose job is gone is dropped)
+-- 2. Remove from the quarantine set
+-- 3. Reset status and (optionally) the crash and stall counts; the crash
+--    fingerprints are kept so the job's history survives the release
+-- 4. Add to its pending queue, register the queue and wake a worker
+-- 5. Publish job-released event
+
+local jobId = ARGV[1]
+local now = tonumber(ARGV[2])
+local ns = ARGV[3]
+local resetCrashes = ARGV[4] == '1'
+local mp = ARGV[5]
+
+-- Every key lives under the mesh key prefix (hash tag {meshId}): KEYS are
+-- checked here, derived keys are built from mp, so all share one slot
+for _, key in ipairs(KEYS) do
+  if string.sub(key, 1, #mp + 1) ~= mp .. ':' then
+    return redis.error_reply('CROSSSLOT ' .. key .. ' is outside mesh ' .. mp)
+  end
+end
+
+-- 1. Get job metadata
+local meta = redis.call('HGETALL', KEYS[1])
+
+if #meta == 0 then
+  redis.call('ZREM', KEYS[2], jobId)
+
+  return cjson.encode({
+    released = false,
+    error = 'Job not found'
+  })
+end
+
+local metaData = {}
+for i = 1, #meta, 2 do
+  metaData[meta[i]] = meta[i + 1]
+end
+
+if metaData.status ~= 'quarantined' then
+  return cjson.encode({
+    released = false,
+    status = metaData.status
+  })
+end
+
+-- 2. Take it out of quarantine
+if redis.call('ZREM', KEYS[2], jobId) == 0 then
+  return cjson.encode({
+    released = false,
+    status = metaData.status,
+    error = 'Job not in quarantine'
+  })
+end
+
+-- 3. Reset state
+local crashCount = tonumber(metaData.crashCount) or 0
+local stalledCount = tonumber(metaData.stalledCount) or 0
+if resetCrashes then
+  crashCount = 0
+  stalledCount = 0
+end
+
+redis.call('HMSET', KEYS[1],
+  'status', 'pending',
+  'crashCount', crashCount,
+  'stalledCount', stalledCount,
+  'scheduledFor', now,
+  'updatedAt', now
+)
+
+-- 4. Enqueue
+local meshId = metaData.meshId or 'default'
+local priority = tonumber(metaData.priority) or 5
+local queueKey = mp .. ':queue:' .. metaData.type .. ':p' .. priority
+redis.call('ZADD', queueKey, now, jobId)
+redis.call('ZADD', mp .. ':queues', priority, queueKey)
+redis.call('ZADD', mp .. ':pending', priority, jobId)
+
+local wakeKey = mp .. ':wake'
+redis.call('RPUSH', wakeKey, jobId)
+redis.call('LTRIM', wakeKey, -1000, -1)
+
+-- 5. Event
+local eventData = cjson.encode({
+  event = 'job.released',
+  jobId = jobId,
+  type = metaData.type,
+  meshId = meshId,
+  crashCount = crashCount,
+  timestamp = now
+})
+redis.call('PUBLISH', ns .. ':events:global', eventData)
+redis.call('PUBLISH', ns .. ':events:mesh:' .. meshId, eventData)
+
+return cjson.encode({
+  released = true,
+  status = 'pending',
+  crashCount = crashCount
+})
@@ -0,0 +1,180 @@
+-- requeueJob.lua
+-- Move a job from the Dead Letter Queue back to its pending queue
+--
+-- PURPOSE: Give a failed job another run without creating a new job
+--
+-- INPUTS:
+--   KEYS[1] = 'mp:job:{jobId}:meta'
+--   KEYS[2] = 'mp:dlq'
+--   KEYS[3] = 'mp:job:{jobId}:payload'
+--   ARGV[1] = jobId
+--   ARGV[2] = current timestamp (ms)
+--   ARGV[3] = namespace (bridgemq), for event channels
+--   ARGV[4] = reset attempts flag ('1' restarts the attempt count at 0)
+--   ARGV[5] = replacement stored payload ('' keeps the current one)
+--   ARGV[6] = mesh key prefix ('bridgemq:{meshId}')
+-- 
+-- UNDECLARED KEYS (built from ARGV mesh prefix, see scripts/index.js):
+--   mp:job:{jobId}:config, flow parent job keys,
+--   mp:transaction:{transactionId}[:outcomes], mp:queue:{type}:p{priority},
+--   mp:queues, mp:pending, mp:wake, mp:stats:counters
+--
+-- RETURNS: { requeued: boolean, status: string, attempt: number }
+--
+-- LOGIC:
+-- 1. Only failed jobs that are still in the DLQ can be requeued
+--    (a stale DLQ entry whose job is gone is dropped)
+-- 2. A flow child is only requeued while its parent still waits for
+--    children (it is added back to the parent's pending children); a saga
+--    step only while its saga is still in that step's phase (running for
+--    actions, compensating for compensations; its recorded outcome is
+--    cleared). Otherwise the parent or saga has finished without it and the
+--    job stays in the DLQ.
+-- 3. Remove from the DLQ and replace the payload, if given
+-- 4. Reset status, ownership and (optionally) the attempt count; the
+--    errors list is kept so the job's history survives the requeue
+-- 5. Add to its pending queue, register the queue and wake a worker
+-- 6. Publish job-requeued event
+
+local jobId = ARGV[1]
+local now = tonumber(ARGV[2])
+local ns = ARGV[3]
+local resetAttempts = ARGV[4] == '1'
+local payload = ARGV[5] or ''
+local mp = ARGV[6]
+
+-- Every key lives under the mesh key prefix (hash tag {meshId}): KEYS are
+-- checked here, derived keys are built from mp, so all share one slot
+for _, key in ipairs(KEYS) do
+  if string.sub(key, 1, #mp + 1) ~= mp .. ':' then
+    return redis.error_reply('CROSSSLOT ' .. key .. ' is outside mesh ' .. mp)
+  end
+end
+
+-- 1. Get job metadata
+local meta = redis.call('HGETALL', KEYS[1])
+
+if #meta == 0 then
+  redis.call('LREM', KEYS[2], 0, jobId)
+
+  return cjson.encode({
+    requeued = false,
+    error = 'Job not found'
+  })
+end
+
+local metaData = {}
+for i = 1, #meta, 2 do
+  metaData[meta[i]] = meta[i + 1]
+end
+
+if metaData.status ~= 'failed' then
+  return cjson.encode({
+    requeued = false,
+    status = metaData.status
+  })
+end
+
+-- 2. Its flow or saga must still be waiting for it
+local parentId = metaData.parentId or ''
+
+if parentId ~= '' then
+  local parentStatus = redis.call('HGET', mp .. ':job:' .. parentId .. ':meta', 'status') or 'missing'
+  
+  if parentStatus ~= 'waiting-children' then
+    return cjson.encode({
+      requeued = false,
+      status = metaData.status,
+      error = 'Flow parent ' .. parentId .. ' is ' .. parentStatus
+    })
+  end
+end
+
+local configJson = redis.call('GET', mp .. ':job:' .. jobId .. ':config')
+local saga = configJson and cjson.decode(configJson).transaction
+
+if saga then
+  local sagaJson = redis.call('GET', mp .. ':transaction:' .. saga.transactionId)
+  local sagaStatus = sagaJson and cjson.decode(sagaJson).status or 'missing'
+  local phaseStatus = saga.phase == 'compensate' and 'compensating' or 'running'
+  
+  if sagaStatus ~= phaseStatus then
+    return cjson.encode({
+      requeued = false,
+      status = metaData.status,
+      error = 'Saga ' .. saga.transactionId .. ' is ' .. sagaStatus
+    })
+  end
+end
+
+-- 3. Take it out of the DLQ (every copy: flow parents can be pushed twice)
+if redis.call('LREM', KEYS[2], 0, jobId) == 0 then
+  return cjson.encode({
+    requeued = false,
+    status = metaData.status,
+    error = 'Job not in DLQ'
+  })
+end
+
+if parentId ~= '' then
+  redis.call('SADD', mp .. ':job:' .. parentId .. ':pending-children', jobId)
+  redis.call('HDEL', mp .. ':job:' .. parentId .. ':children-results', jobId)
+end
+
+-- The step's recorded failure no longer holds
+if saga then
+  redis.call('HDEL', mp .. ':transaction:' .. saga.transactionId .. ':outcomes', jobId)
+end
+
+if payload ~= '' then
+  redis.call('SET', KEYS[3], payload)
+end
+
+-- 4. Reset state
+local attempt = tonumber(metaData.attempt) or 0
+if resetAttempts then
+  attempt = 0
+end
+
+redis.call('HDEL', KEYS[1], 'completedAt')
+redis.call('HMSET', KEYS[1],
+  'status', 'pending',
+  'attempt', attempt,
+  'stalledCount', 0,
+  'scheduledFor', now,
+  'updatedAt', now,
+  'processedBy', '',
+  'lockToken', ''
+)
+
+-- 5. Enqueue
+local meshId = metaData.meshId or 'default'
+local priority = tonumber(metaData.priority) or 5
+local queueKey = mp .. ':queue:' .. metaData.type .. ':p' .. priority
+redis.call('ZADD', queueKey, now, jobId)
+redis.call('ZADD', mp .. ':queues', priority, queueKey)
+redis.call('ZADD', mp .. ':pending', priority, jobId)
+
+local wakeKey = mp .. ':wake'
+redis.call('RPUSH', wakeKey, jobId)
+redis.call('LTRIM', wakeKey, -1000, -1)
+
+-- 6. Metrics and event
+redis.call('HINCRBY', mp .. ':stats:counters', 'total:requeued', 1)
+
+local eventData = cjson.encode({
+  event = 'job.requeued',
+  jobId = jobId,
+  type = metaData.type,
+  meshId = meshId,
+  attempt = attempt,
+  timestamp = now
+})
+redis.call('PUBLISH', ns .. ':events:global', eventData)
+redis.call('PUBLISH', ns .. ':events:mesh:' .. meshId, eventData)
+
+return cjson.encode({
+  requeued = true,
+  status = 'pending',
+  attempt = attempt
+})
@@ -0,0 +1,182 @@
+-- retryBudget.lua
+-- Sliding-window retry budget: retries capped at a ratio of recent first attempts
+--
+-- PURPOSE: Stop retry storms when a dependency goes down, mesh-wide
+--
+-- INPUTS:
+--   KEYS[1] = 'mp:retry-budget:{budgetKey}' (hash of buckets)
+--   KEYS[2] = 'mp:parked' (sorted set, release mode)
+--   KEYS[3] = 'mp:job:{jobId}:meta' (release mode)
+--   KEYS[4] = 'mp:parked:{budgetKey}' (sorted set, release mode)
+--   KEYS[5] = 'mp:parked-keys' (set of budget keys with parked jobs)
+--   ARGV[1] = mode: 'attempt' | 'retry' | 'refund' | 'release' | 'peek'
+--   ARGV[2] = current timestamp (ms)
+--   ARGV[3] = window (ms)
+--   ARGV[4] = bucket size (ms)
+--   ARGV[5] = ratio (retries allowed per first attempt, e.g. 0.2)
+--   ARGV[6] = min retries allowed per window, whatever the ratio
+--   ARGV[7] = namespace (bridgemq), for event channels
+--   ARGV[8] = jobId (release mode)
+--   ARGV[9] = mesh key prefix ('bridgemq:{meshId}')
+--   ARGV[10] = budget key name (release mode)
+-- 
+-- UNDECLARED KEYS (built from ARGV mesh prefix, see scripts/index.js):
+--   mp:queue:{type}:p{priority}, mp:queues, mp:pending, mp:wake
+--   (release mode)
+--
+-- RETURNS: { allowed, attempts, retries, limit, released }
+--
+-- LOGIC:
+-- 1. Sum first attempts (a:{bucket}) and retries (r:{bucket}) in the window,
+--    dropping buckets that fell out of it
+-- 2. limit = max(minRetries, floor(attempts * ratio))
+-- 3. attempt: count a first attempt
+--    retry: count a retry if under the limit (allowed), else deny
+--    refund: give back a retry taken but not used (the job did not retry),
+--    from the newest bucket holding one
+--    release: like retry, for a parked job; when allowed the job is moved
+--    from the parked sets to its pending queue (stale entries are dropped;
+--    a key whose last parked job leaves is dropped from mp:parked-keys)
+--    peek: report only
+-- 4. Keep the hash for one window after its last write
+
+local mode = ARGV[1]
+local now = tonumber(ARGV[2])
+local windowMs = tonumber(ARGV[3])
+local bucketMs = tonumber(ARGV[4])
+local ratio = tonumber(ARGV[5])
+local minRetries = tonumber(ARGV[6])
+local ns = ARGV[7]
+local jobId = ARGV[8] or ''
+local mp = ARGV[9]
+local budgetKeyName = ARGV[10] or ''
+
+-- Every key lives under the mesh key prefix (hash tag {meshId}): KEYS are
+-- checked here, derived keys are built from mp, so all share one slot
+for _, key in ipairs(KEYS) do
+  if string.sub(key, 1, #mp + 1) ~= mp .. ':' then
+    return redis.error_reply('CROSSSLOT ' .. key .. ' is outside mesh ' .. mp)
+  end
+end
+
+local budgetKey = KEYS[1]
+
+-- Take a job off the parked sets
+local function unpark()
+  redis.call('ZREM', KEYS[2], jobId)
+  redis.call('ZREM', KEYS[4], jobId)
+
+  if redis.call('ZCARD', KEYS[4]) == 0 then
+    redis.call('SREM', KEYS[5], budgetKeyName)
+  end
+end
+
+local bucket = math.floor(now / bucketMs)
+local oldestBucket = math.floor((now - windowMs) / bucketMs) + 1
+
+-- Parked job gone or no longer parked (cancelled, deleted): drop the entry
+if mode == 'release' then
+  local status = redis.call('HGET', KEYS[3], 'status')
+
+  if status ~= 'parked' then
+    unpark()
+
+    return cjson.encode({
+      allowed = false,
+      released = false,
+      status = status or ''
+    })
+  end
+end
+
+-- 1. Sum the window
+local attempts = 0
+local retries = 0
+local newestRetryBucket = nil
+local buckets = redis.call('HGETALL', budgetKey)
+
+for i = 1, #buckets, 2 do
+  local field = buckets[i]
+  local fieldBucket = tonumber(string.sub(field, 3))
+
+  if fieldBucket < oldestBucket then
+    redis.call('HDEL', budgetKey, field)
+  elseif string.sub(field, 1, 2) == 'a:' then
+    attempts = attempts + tonumber(buckets[i + 1])
+  else
+    retries = retries + tonumber(buckets[i + 1])
+    
+    if tonumber(buckets[i + 1]) > 0 and (not newestRetryBucket or fieldBucket > newestRetryBucket) then
+      newestRetryBucket = fieldBucket
+    end
+  end
+end
+
+-- 2. Limit
+local limit = math.max(minRetries, math.floor(attempts * ratio))
+
+-- 3. Apply
+local allowed = retries < limit
+local released = false
+
+if mode == 'attempt' then
+  redis.call('HINCRBY', budgetKey, 'a:' .. bucket, 1)
+  attempts = attempts + 1
+elseif mode == 'refund' then
+  if newestRetryBucket then
+    local field = 'r:' .. newestRetryBucket
+    
+    if redis.call('HINCRBY', budgetKey, field, -1) <= 0 then
+      redis.call('HDEL', budgetKey, field)
+    end
+    retries = retries - 1
+  end
+elseif (mode == 'retry' or mode == 'release') and allowed then
+  redis.call('HINCRBY', budgetKey, 'r:' .. bucket, 1)
+  retries = retries + 1
+
+  if mode == 'release' then
+    local meta = redis.call('HMGET', KEYS[3], 'meshId', 'type', 'priority')
+    local meshId = meta[1] or 'default'
+    local priority = tonumber(meta[3]) or 5
+    local queueKey = mp .. ':queue:' .. meta[2] .. ':p' .. priority
+
+    redis.call('ZADD', queueKey, now, jobId)
+    redis.call('ZADD', mp .. ':queues', priority, queueKey)
+    redis.call('ZADD', mp .. ':pending', priority, jobId)
+    redis.call('RPUSH', mp .. ':wake', jobId)
+    redis.call('LTRIM', mp .. ':wake', -1000, -1)
+
+    redis.call('HMSET', KEYS[3],
+      'status', 'pending',
+      'scheduledFor', now,
+      'updatedAt', now
+    )
+    unpark()
+
+    local eventData = cjson.encode({
+      event = 'job.unparked',
+      jobId = jobId,
+      type = meta[2],
+      meshId = meshId,
+      timestamp = now
+    })
+    redis.call('PUBLISH', ns .. ':events:global', eventData)
+    redis.call('PUBLISH', ns .. ':events:mesh:' .. meshId, eventData)
+
+    released = true
+  end
+end
+
+-- 4. Expiry
+if mode ~= 'peek' then
+  redis.call('PEXPIRE', budgetKey, windowMs + bucketMs)
+end
+
+return cjson.encode({
+  allowed = allowed,
+  attempts = attempts,
+  retries = retries,
+  limit = limit,
+  released = released
+})
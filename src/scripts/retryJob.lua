@@ -4,24 +4,44 @@
 -- PURPOSE: Atomically retry failed jobs or move to Dead Letter Queue
 -- 
 -- INPUTS:
---   KEYS[1] = 'bridgemq:job:{jobId}:meta'
---   KEYS[2] = 'bridgemq:active:{serverId}'
---   KEYS[3] = 'bridgemq:job:{jobId}:errors'
+--   KEYS[1] = 'mp:job:{jobId}:meta'
+--   KEYS[2] = 'mp:active:{serverId}'
+--   KEYS[3] = 'mp:job:{jobId}:errors'
 --   ARGV[1] = jobId
 --   ARGV[2] = serverId
 --   ARGV[3] = error object (JSON string)
 --   ARGV[4] = current timestamp (ms)
---   ARGV[5] = namespace prefix (bridgemq)
+--   ARGV[5] = namespace (bridgemq), for event channels
+--   ARGV[6] = lease token from claim
+--   ARGV[7] = fatal flag ('1' skips remaining attempts)
+--   ARGV[8] = retry delay (ms) chosen by a retry policy or RetryAfterError
+--             ('' uses the backoff from config.retry)
+--   ARGV[9] = max attempts chosen by a retry policy ('' uses config.retry)
+--   ARGV[10] = retry budget key to park the job under when its budget is
+--              spent ('' retries as usual)
+--   ARGV[11] = mesh key prefix ('bridgemq:{meshId}')
 -- 
--- RETURNS: { willRetry: boolean, nextRun: number, movedToDLQ: boolean }
+-- UNDECLARED KEYS (built from ARGV mesh prefix, see scripts/index.js):
+--   mp:job:{jobId}:config|lock, mp:queue:{type}:p{priority},
+--   mp:queues, mp:pending, mp:wake, mp:delayed, mp:dlq, mp:parked,
+--   mp:parked:{budgetKey}, mp:parked-keys, mp:stats:counters, plus the
+--   lifecycle.lua keys
+-- 
+-- RETURNS: { willRetry: boolean, nextRun: number, movedToDLQ: boolean, parked: boolean }
 -- 
 -- LOGIC:
 -- 1. Get job metadata and config
--- 2. Increment attempt counter
+-- 2. Verify lease token (cancelled jobs are released, not retried)
+--    and increment attempt counter
 -- 3. Append error to errors list
--- 4. Check if retry attempts remaining
--- 5. If yes: Calculate backoff delay, add to delayed queue
--- 6. If no: Move to DLQ
+-- 4. Check if retry attempts remaining (none for fatal errors)
+-- 5. If yes: Calculate backoff delay (unless one was given), add to delayed queue
+--    (zero delay requeues directly and registers the queue for claimers);
+--    over its retry budget the job is parked instead (retryBudget.lua
+--    releases it)
+-- 6. If no: Move to DLQ, cancel the jobs waiting on it (waitFor) and notify
+--    the flow parent, if any; a chain link starts its chain's onFailure
+--    branch (payload.previousError)
 -- 7. Publish retry/failed event
 
 local jobId = ARGV[1]
@@ -29,6 +49,22 @@ local serverId = ARGV[2]
 local errorJson = ARGV[3]
 local now = tonumber(ARGV[4])
 local ns = ARGV[5]
+local lockToken = ARGV[6] or ''
+local fatal = ARGV[7] == '1'
+local delayOverride = tonumber(ARGV[8])
+local maxAttemptsOverride = tonumber(ARGV[9])
+local parkKey = ARGV[10] or ''
+local mp = ARGV[11]
+
+-- Every key lives under the mesh key prefix (hash tag {meshId}): KEYS are
+-- checked here, derived keys are built from mp, so all share one slot
+for _, key in ipairs(KEYS) do
+  if string.sub(key, 1, #mp + 1) ~= mp .. ':' then
+    return redis.error_reply('CROSSSLOT ' .. key .. ' is outside mesh ' .. mp)
+  end
+end
+
+-- @include lifecycle.lua
 
 -- 1. Get job metadata
 local metaKey = KEYS[1]
@@ -55,8 +91,33 @@ if metaData.processedBy ~= serverId then
   })
 end
 
+-- Reject stale lease holders (job was recovered and re-claimed meanwhile)
+if (metaData.lockToken or '') ~= lockToken then
+  return cjson.encode({
+    success = false,
+    error = 'Lock token mismatch'
+  })
+end
+
+-- Cancelled while running: release the job instead of retrying it
+if metaData.status == 'cancelled' then
+  redis.call('HDEL', KEYS[2], jobId)
+  redis.call('DEL', mp .. ':job:' .. jobId .. ':lock')
+  redis.call('HMSET', metaKey,
+    'completedAt', now,
+    'updatedAt', now,
+    'lockToken', ''
+  )
+  
+  return cjson.encode({
+    willRetry = false,
+    movedToDLQ = false,
+    cancelled = true
+  })
+end
+
 -- 3. Get config for retry settings
-local configKey = ns .. ':job:' .. jobId .. ':config'
+local configKey = mp .. ':job:' .. jobId .. ':config'
 local configJson = redis.call('GET', configKey)
 
 if not configJson then
@@ -67,7 +128,7 @@ if not configJson then
 end
 
 local config = cjson.decode(configJson)
-local maxAttempts = (config.retry and config.retry.maxAttempts) or 3
+local maxAttempts = maxAttemptsOverride or (config.retry and config.retry.maxAttempts) or 3
 local backoffType = (config.retry and config.retry.backoff) or 'exponential'
 local baseDelay = (config.retry and config.retry.baseDelayMs) or 1000
 local maxDelay = (config.retry and config.retry.maxDelayMs) or 60000
@@ -86,13 +147,15 @@ local errorEntry = cjson.encode({
 redis.call('RPUSH', KEYS[3], errorEntry)
 redis.call('LTRIM', KEYS[3], -10, -1) -- Keep only last 10 errors
 
--- 6. Remove from active set
+-- 6. Remove from active set and release the lease
 redis.call('HDEL', KEYS[2], jobId)
+redis.call('DEL', mp .. ':job:' .. jobId .. ':lock')
+redis.call('HSET', metaKey, 'lockToken', '')
 
 -- 7. Check if retry attempts remaining
-if newAttempt >= maxAttempts then
+if fatal or newAttempt >= maxAttempts then
   -- Move to DLQ
-  local dlqKey = ns .. ':dlq:' .. metaData.meshId
+  local dlqKey = mp .. ':dlq'
   redis.call('RPUSH', dlqKey, jobId)
   
   -- Update status
@@ -104,7 +167,7 @@ if newAttempt >= maxAttempts then
   )
   
   -- Update metrics
-  local statsKey = ns .. ':stats:' .. metaData.meshId .. ':counters'
+  local statsKey = mp .. ':stats:counters'
   redis.call('HINCRBY', statsKey, 'total:failed', 1)
   
   -- Publish failed event
@@ -114,10 +177,15 @@ if newAttempt >= maxAttempts then
     jobId = jobId,
     serverId = serverId,
     attempt = newAttempt,
-    reason = 'retry_limit_exceeded',
+    reason = fatal and 'fatal_error' or 'retry_limit_exceeded',
     timestamp = now
   })
   redis.call('PUBLISH', eventChannel, eventData)
+  redis.call('PUBLISH', ns .. ':events:job:' .. jobId, eventData)
+  
+  cancelDependents(jobId)
+  failFlowChild(jobId, metaData.parentId, errorJson)
+  failChainLink(config.chain, errorJson)
   
   return cjson.encode({
     willRetry = false,
@@ -127,41 +195,99 @@ if newAttempt >= maxAttempts then
   })
 end
 
+-- Retry budget spent: park until retryBudget.lua releases it
+if parkKey ~= '' then
+  redis.call('HMSET', metaKey,
+    'status', 'parked',
+    'attempt', newAttempt,
+    'budgetKey', parkKey,
+    'parkedAt', now,
+    'updatedAt', now,
+    'processedBy', ''
+  )
+  redis.call('ZADD', mp .. ':parked', now, jobId)
+  redis.call('ZADD', mp .. ':parked:' .. parkKey, now, jobId)
+  redis.call('SADD', mp .. ':parked-keys', parkKey)
+  
+  local parkedEvent = cjson.encode({
+    event = 'job.parked',
+    jobId = jobId,
+    serverId = serverId,
+    attempt = newAttempt,
+    budgetKey = parkKey,
+    timestamp = now
+  })
+  redis.call('PUBLISH', ns .. ':events:global', parkedEvent)
+  redis.call('PUBLISH', ns .. ':events:job:' .. jobId, parkedEvent)
+  
+  return cjson.encode({
+    willRetry = false,
+    movedToDLQ = false,
+    parked = true,
+    attempt = newAttempt,
+    maxAttempts = maxAttempts
+  })
+end
+
 -- 8. Calculate retry delay
 local delay = 0
 
-if backoffType == 'exponential' then
-  -- Exponential: min(baseDelay * 2^(attempt-1), maxDelay)
-  delay = math.min(baseDelay * math.pow(2, newAttempt - 1), maxDelay)
-elseif backoffType == 'linear' then
-  -- Linear: min(baseDelay * attempt, maxDelay)
-  delay = math.min(baseDelay * newAttempt, maxDelay)
-elseif backoffType == 'fixed' then
-  -- Fixed: baseDelay
-  delay = baseDelay
+if delayOverride then
+  -- Chosen by the caller: used as-is (no jitter)
+  delay = math.max(math.floor(delayOverride), 0)
 else
-  -- Default to exponential
-  delay = math.min(baseDelay * math.pow(2, newAttempt - 1), maxDelay)
-end
+  if backoffType == 'exponential' then
+    -- Exponential: min(baseDelay * 2^(attempt-1), maxDelay)
+    delay = math.min(baseDelay * math.pow(2, newAttempt - 1), maxDelay)
+  elseif backoffType == 'linear' then
+    -- Linear: min(baseDelay * attempt, maxDelay)
+    delay = math.min(baseDelay * newAttempt, maxDelay)
+  elseif backoffType == 'fixed' then
+    -- Fixed: baseDelay
+    delay = baseDelay
+  else
+    -- Default to exponential
+    delay = math.min(baseDelay * math.pow(2, newAttempt - 1), maxDelay)
+  end
 
--- Add jitter (±20% randomness) to prevent thundering herd
-local jitter = delay * 0.2 * (math.random() - 0.5) * 2
-delay = math.floor(delay + jitter)
+  -- Add jitter (±20% randomness) to prevent thundering herd
+  local jitter = delay * 0.2 * (math.random() - 0.5) * 2
+  delay = math.floor(delay + jitter)
+end
 
 local nextRun = now + delay
 
--- 9. Update job metadata
+-- 9. Update job metadata (retryDelayMs feeds strategies that build on the
+--    previous delay, e.g. decorrelated jitter)
+local retryStatus = 'scheduled'
+if delay <= 0 then
+  retryStatus = 'pending'
+end
+
 redis.call('HMSET', metaKey,
-  'status', 'scheduled',
+  'status', retryStatus,
   'attempt', newAttempt,
   'scheduledFor', nextRun,
+  'retryDelayMs', delay,
   'updatedAt', now,
   'processedBy', ''
 )
 
--- 10. Add to delayed queue
-local delayedKey = ns .. ':delayed'
-redis.call('ZADD', delayedKey, nextRun, jobId)
+-- 10. Add to delayed queue, or straight back to its queue when there is no delay
+if delay <= 0 then
+  local priority = tonumber(metaData.priority) or 5
+  local queueKey = mp .. ':queue:' .. metaData.type .. ':p' .. priority
+  redis.call('ZADD', queueKey, now, jobId)
+  redis.call('ZADD', mp .. ':queues', priority, queueKey)
+  redis.call('ZADD', mp .. ':pending', priority, jobId)
+  
+  local wakeKey = mp .. ':wake'
+  redis.call('RPUSH', wakeKey, jobId)
+  redis.call('LTRIM', wakeKey, -1000, -1)
+else
+  local delayedKey = mp .. ':delayed'
+  redis.call('ZADD', delayedKey, nextRun, jobId)
+end
 
 -- 11. Publish retry event
 local eventChannel = ns .. ':events:global'
@@ -0,0 +1,513 @@
+const crypto = require('crypto');
+const msgpack = require('msgpack-lite');
+
+/**
+ * Lua Runtime - Runs the Lua scripts for the in-memory storage driver
+ *
+ * PURPOSE: Execute src/scripts/*.lua themselves against a MemoryStore, so
+ * the memory driver and Redis share one implementation of every script
+ *
+ * FEATURES:
+ * - fengari (Lua 5.3 in JS) with the scripting API the scripts use:
+ *   redis.call/pcall/error_reply/status_reply, cjson, cmsgpack, math.pow
+ * - Scripts compiled once on SCRIPT LOAD and cached by SHA1, like Redis
+ * - Replies convert like Redis does (nil -> false, number arguments as
+ *   strings, integer replies, { ok } status and { err } error tables)
+ *
+ * LOGIC:
+ * 1. One Lua state per process holds every loaded script
+ * 2. run() sets KEYS/ARGV and calls the script; redis.call() goes to the
+ *    store of the running script, synchronously, so no other command can
+ *    interleave (a script is atomic, as in Redis)
+ * 3. An error raised by redis.call() or returned with error_reply()
+ *    rejects with its own message; any other Lua error with 'ERR ...'
+ *
+ * Lua 5.3 differs from the Lua 5.1 in Redis where the scripts could tell:
+ * integral floats print without '.0' (LUA_COMPAT_FLOATSTRING), and
+ * math.pow/unpack are restored.
+ */
+
+// fengari reads its configuration once, when it is first loaded
+const previousConf = process.env.FENGARICONF;
+process.env.FENGARICONF = JSON.stringify({ LUA_COMPAT_FLOATSTRING: true });
+const {
+  lua,
+  lauxlib,
+  lualib,
+  to_luastring: toLuaString,
+} = require('fengari');
+
+if (previousConf === undefined) {
+  delete process.env.FENGARICONF;
+} else {
+  process.env.FENGARICONF = previousConf;
+}
+
+// Commands whose 'OK' reply is a status reply ({ ok = 'OK' } in Lua)
+const STATUS_COMMANDS = new Set(['SET', 'SETEX', 'HMSET', 'LTRIM', 'PING']);
+
+const PRELUDE = `
+math.pow = function(base, exponent) return base ^ exponent end
+unpack = table.unpack
+`;
+
+/**
+ * Lua string bytes to text
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Text
+ */
+function bytesToString(bytes) {
+  return Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Lua string bytes to a command argument (Buffer unless valid UTF-8)
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string|Buffer} Argument
+ */
+function bytesToValue(bytes) {
+  const buffer = Buffer.from(bytes);
+  const text = buffer.toString('utf8');
+
+  return Buffer.from(text, 'utf8').equals(buffer) ? text : buffer;
+}
+
+/**
+ * Push a number (fengari integers are 32-bit; larger ones stay floats)
+ * @param {Object} L - Lua state
+ * @param {number} value - Number
+ */
+function pushNumber(L, value) {
+  if (Number.isInteger(value) && value >= -2147483648 && value <= 2147483647) {
+    lua.lua_pushinteger(L, value);
+  } else {
+    lua.lua_pushnumber(L, value);
+  }
+}
+
+/**
+ * Push { err = message }
+ * @param {Object} L - Lua state
+ * @param {string} message - Error message
+ */
+function pushErrorTable(L, message) {
+  lua.lua_createtable(L, 0, 1);
+  lua.lua_pushstring(L, toLuaString(message));
+  lua.lua_setfield(L, -2, toLuaString('err'));
+}
+
+/**
+ * Push a list of strings as a Lua array
+ * @param {Object} L - Lua state
+ * @param {string[]} values - Values
+ */
+function pushStringArray(L, values) {
+  lua.lua_createtable(L, values.length, 0);
+  values.forEach((value, index) => {
+    lua.lua_pushstring(L, toLuaString(value));
+    lua.lua_rawseti(L, -2, index + 1);
+  });
+}
+
+/**
+ * Push a store reply the way Redis converts replies for Lua
+ * @param {Object} L - Lua state
+ * @param {any} reply - Store reply
+ */
+function pushReply(L, reply) {
+  if (reply === null || reply === undefined) {
+    lua.lua_pushboolean(L, false);
+  } else if (typeof reply === 'number') {
+    pushNumber(L, reply);
+  } else if (Array.isArray(reply)) {
+    lua.lua_createtable(L, reply.length, 0);
+    reply.forEach((item, index) => {
+      pushReply(L, item);
+      lua.lua_rawseti(L, -2, index + 1);
+    });
+  } else if (Buffer.isBuffer(reply)) {
+    lua.lua_pushstring(L, Uint8Array.from(reply));
+  } else {
+    lua.lua_pushstring(L, toLuaString(String(reply)));
+  }
+}
+
+/**
+ * Push a decoded JSON value (null -> cjson.null)
+ * @param {Object} L - Lua state
+ * @param {any} value - Value
+ * @param {Object} nullRef - cjson.null sentinel
+ */
+function pushJson(L, value, nullRef) {
+  if (value === null) {
+    lua.lua_pushlightuserdata(L, nullRef);
+  } else if (typeof value === 'boolean') {
+    lua.lua_pushboolean(L, value);
+  } else if (typeof value === 'number') {
+    pushNumber(L, value);
+  } else if (typeof value === 'string') {
+    lua.lua_pushstring(L, toLuaString(value));
+  } else if (Array.isArray(value)) {
+    lua.lua_createtable(L, value.length, 0);
+    value.forEach((item, index) => {
+      pushJson(L, item, nullRef);
+      lua.lua_rawseti(L, -2, index + 1);
+    });
+  } else {
+    lua.lua_createtable(L, 0, 0);
+    for (const [key, item] of Object.entries(value)) {
+      pushJson(L, item, nullRef);
+      lua.lua_setfield(L, -2, toLuaString(key));
+    }
+  }
+}
+
+/**
+ * A number argument as Redis passes it to a command
+ * @param {Object} L - Lua state
+ * @param {number} index - Stack index
+ * @returns {string} Number text
+ */
+function numberArg(L, index) {
+  return lua.lua_isinteger(L, index)
+    ? String(lua.lua_tointeger(L, index))
+    : String(lua.lua_tonumber(L, index));
+}
+
+/**
+ * Convert a Lua value to JS, as cjson encodes it
+ * @param {Object} L - Lua state
+ * @param {number} index - Stack index
+ * @param {Object} nullRef - cjson.null sentinel
+ * @returns {any} Value
+ */
+function toJs(L, index, nullRef) {
+  const at = lua.lua_absindex(L, index);
+
+  switch (lua.lua_type(L, at)) {
+    case lua.LUA_TBOOLEAN:
+      return lua.lua_toboolean(L, at);
+    case lua.LUA_TNUMBER:
+      return lua.lua_isinteger(L, at) ? lua.lua_tointeger(L, at) : lua.lua_tonumber(L, at);
+    case lua.LUA_TSTRING:
+      return bytesToString(lua.lua_tolstring(L, at));
+    case lua.LUA_TLIGHTUSERDATA:
+      return lua.lua_touserdata(L, at) === nullRef ? null : undefined;
+    case lua.LUA_TTABLE: {
+      // Keys 1..n make an array; anything else (or nothing) an object
+      const entries = [];
+      let arrayLike = true;
+      let max = 0;
+
+      lua.lua_pushnil(L);
+      while (lua.lua_next(L, at) !== 0) {
+        let key;
+
+        if (lua.lua_type(L, -2) === lua.LUA_TNUMBER && lua.lua_isinteger(L, -2) && lua.lua_tointeger(L, -2) > 0) {
+          key = lua.lua_tointeger(L, -2);
+          max = Math.max(max, key);
+        } else {
+          arrayLike = false;
+          lua.lua_pushvalue(L, -2);
+          key = bytesToString(lua.lua_tolstring(L, -1));
+          lua.lua_pop(L, 1);
+        }
+
+        entries.push([key, toJs(L, -1, nullRef)]);
+        lua.lua_pop(L, 1);
+      }
+
+      if (arrayLike && entries.length > 0 && max === entries.length) {
+        const array = new Array(max);
+        entries.forEach(([key, value]) => { array[key - 1] = value; });
+        return array;
+      }
+
+      const object = {};
+      entries.forEach(([key, value]) => { object[key] = value; });
+      return object;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert a script's return value to a Redis reply
+ * @param {Object} L - Lua state
+ * @param {number} index - Stack index
+ * @returns {any} Reply
+ * @throws {Error} The message of an { err } table
+ */
+function toReply(L, index) {
+  const at = lua.lua_absindex(L, index);
+
+  switch (lua.lua_type(L, at)) {
+    case lua.LUA_TBOOLEAN:
+      return lua.lua_toboolean(L, at) ? 1 : null;
+    case lua.LUA_TNUMBER:
+      return Math.trunc(lua.lua_tonumber(L, at));
+    case lua.LUA_TSTRING:
+      return bytesToString(lua.lua_tolstring(L, at));
+    case lua.LUA_TTABLE: {
+      lua.lua_getfield(L, at, toLuaString('err'));
+      if (lua.lua_type(L, -1) === lua.LUA_TSTRING) {
+        throw new Error(bytesToString(lua.lua_tolstring(L, -1)));
+      }
+      lua.lua_pop(L, 1);
+
+      lua.lua_getfield(L, at, toLuaString('ok'));
+      if (lua.lua_type(L, -1) === lua.LUA_TSTRING) {
+        return bytesToString(lua.lua_tolstring(L, -1));
+      }
+      lua.lua_pop(L, 1);
+
+      const reply = [];
+      let i = 1;
+
+      while (lua.lua_rawgeti(L, at, i) !== lua.LUA_TNIL) {
+        reply.push(toReply(L, -1));
+        lua.lua_pop(L, 1);
+        i += 1;
+      }
+
+      lua.lua_pop(L, 1);
+      return reply;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Set a JS function on the table at the top of the stack
+ * @param {Object} L - Lua state
+ * @param {string} name - Field
+ * @param {Function} fn - (L) => number of results
+ */
+function setFunction(L, name, fn) {
+  lua.lua_pushjsfunction(L, fn);
+  lua.lua_setfield(L, -2, toLuaString(name));
+}
+
+/**
+ * Create the Lua state with the redis, cjson and cmsgpack globals
+ * @param {Function} currentStore - () => store of the running script
+ * @returns {Object} { L, nullRef }
+ */
+function createState(currentStore) {
+  const L = lauxlib.luaL_newstate();
+  const nullRef = {};
+
+  lualib.luaL_openlibs(L);
+
+  const command = (pcall) => (state) => {
+    const top = lua.lua_gettop(state);
+    const args = [];
+
+    for (let i = 1; i <= top; i += 1) {
+      const type = lua.lua_type(state, i);
+
+      if (type === lua.LUA_TNUMBER) {
+        args.push(numberArg(state, i));
+      } else if (type === lua.LUA_TSTRING) {
+        args.push(bytesToValue(lua.lua_tolstring(state, i)));
+      } else {
+        return lauxlib.luaL_error(state, toLuaString('Lua redis() command arguments must be strings or integers'));
+      }
+    }
+
+    const [name, ...rest] = args;
+    let reply;
+
+    try {
+      reply = currentStore().call(String(name), ...rest);
+    } catch (error) {
+      // redis.call() raises the error reply, redis.pcall() returns it
+      pushErrorTable(state, error.message);
+      return pcall ? 1 : lua.lua_error(state);
+    }
+
+    if (reply === 'OK' && STATUS_COMMANDS.has(String(name).toUpperCase())) {
+      lua.lua_createtable(state, 0, 1);
+      lua.lua_pushstring(state, toLuaString('OK'));
+      lua.lua_setfield(state, -2, toLuaString('ok'));
+    } else {
+      pushReply(state, reply);
+    }
+
+    return 1;
+  };
+
+  // redis
+  lua.lua_createtable(L, 0, 4);
+  setFunction(L, 'call', command(false));
+  setFunction(L, 'pcall', command(true));
+  setFunction(L, 'error_reply', (state) => {
+    pushErrorTable(state, bytesToString(lua.lua_tolstring(state, 1)));
+    return 1;
+  });
+  setFunction(L, 'status_reply', (state) => {
+    lua.lua_createtable(state, 0, 1);
+    lua.lua_pushvalue(state, 1);
+    lua.lua_setfield(state, -2, toLuaString('ok'));
+    return 1;
+  });
+  lua.lua_setglobal(L, toLuaString('redis'));
+
+  // cjson
+  lua.lua_createtable(L, 0, 3);
+  setFunction(L, 'encode', (state) => {
+    lua.lua_pushstring(state, toLuaString(JSON.stringify(toJs(state, 1, nullRef))));
+    return 1;
+  });
+  setFunction(L, 'decode', (state) => {
+    let value;
+
+    try {
+      value = JSON.parse(bytesToString(lua.lua_tolstring(state, 1)));
+    } catch (error) {
+      return lauxlib.luaL_error(state, toLuaString(`cjson.decode: ${error.message}`));
+    }
+
+    pushJson(state, value, nullRef);
+    return 1;
+  });
+  lua.lua_pushlightuserdata(L, nullRef);
+  lua.lua_setfield(L, -2, toLuaString('null'));
+  lua.lua_setglobal(L, toLuaString('cjson'));
+
+  // cmsgpack
+  lua.lua_createtable(L, 0, 1);
+  setFunction(L, 'pack', (state) => {
+    lua.lua_pushstring(state, Uint8Array.from(msgpack.encode(toJs(state, 1, nullRef))));
+    return 1;
+  });
+  lua.lua_setglobal(L, toLuaString('cmsgpack'));
+
+  // math.random follows Math.random, so callers can fix it
+  lua.lua_getglobal(L, toLuaString('math'));
+  setFunction(L, 'random', (state) => {
+    lua.lua_pushnumber(state, Math.random());
+    return 1;
+  });
+  lua.lua_pop(L, 1);
+
+  if (lauxlib.luaL_dostring(L, toLuaString(PRELUDE)) !== lua.LUA_OK) {
+    throw new Error(`ERR Lua prelude: ${toJs(L, -1, nullRef)}`);
+  }
+
+  return { L, nullRef };
+}
+
+/**
+ * Error for a failed script call (the value at the top of the stack)
+ * @param {Object} L - Lua state
+ * @param {Object} nullRef - cjson.null sentinel
+ * @returns {Error} The { err } message as is, anything else as 'ERR ...'
+ */
+function scriptError(L, nullRef) {
+  const value = toJs(L, -1, nullRef);
+
+  if (value && typeof value === 'object' && typeof value.err === 'string') {
+    return new Error(value.err);
+  }
+
+  return new Error(`ERR ${String(value)}`);
+}
+
+// Store of the running script (redis.call target)
+let running = null;
+let runtime = null;
+
+// sha -> registry reference of the compiled chunk
+const compiled = new Map();
+
+/**
+ * The process-wide Lua state (created on first use)
+ * @returns {Object} { L, nullRef }
+ */
+function getState() {
+  if (!runtime) {
+    runtime = createState(() => running);
+  }
+  return runtime;
+}
+
+/**
+ * Compile a script and cache it under its SHA1 (SCRIPT LOAD)
+ * @param {string} source - Lua source
+ * @returns {string} SHA1
+ * @throws {Error} 'ERR Error compiling script ...' on a syntax error
+ */
+function load(source) {
+  const sha = crypto.createHash('sha1').update(source).digest('hex');
+
+  if (!compiled.has(sha)) {
+    const { L, nullRef } = getState();
+
+    if (lauxlib.luaL_loadbuffer(L, toLuaString(source), null, toLuaString('@user_script')) !== lua.LUA_OK) {
+      const error = scriptError(L, nullRef);
+      lua.lua_settop(L, 0);
+      throw new Error(`ERR Error compiling script: ${error.message.replace(/^ERR /, '')}`);
+    }
+
+    compiled.set(sha, lauxlib.luaL_ref(L, lua.LUA_REGISTRYINDEX));
+  }
+
+  return sha;
+}
+
+/**
+ * Is a script loaded? (SCRIPT EXISTS)
+ * @param {string} sha - SHA1
+ * @returns {boolean} True when load() compiled it
+ */
+function exists(sha) {
+  return compiled.has(String(sha));
+}
+
+/**
+ * Run a loaded script against a store (EVALSHA)
+ * @param {string} sha - SHA1
+ * @param {Object} store - { call(command, ...args) } (a MemoryStore)
+ * @param {string[]} keys - KEYS
+ * @param {string[]} argv - ARGV
+ * @returns {any} Reply
+ * @throws {Error} NOSCRIPT, the script's error reply, or 'ERR ...'
+ */
+function run(sha, store, keys, argv) {
+  const ref = compiled.get(String(sha));
+
+  if (ref === undefined) {
+    throw new Error('NOSCRIPT No matching script. Please use EVAL.');
+  }
+
+  const { L, nullRef } = getState();
+
+  running = store;
+
+  try {
+    lua.lua_settop(L, 0);
+    pushStringArray(L, keys);
+    lua.lua_setglobal(L, toLuaString('KEYS'));
+    pushStringArray(L, argv);
+    lua.lua_setglobal(L, toLuaString('ARGV'));
+
+    lua.lua_rawgeti(L, lua.LUA_REGISTRYINDEX, ref);
+    if (lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+      throw scriptError(L, nullRef);
+    }
+
+    return toReply(L, -1);
+  } finally {
+    lua.lua_settop(L, 0);
+    running = null;
+  }
+}
+
+module.exports = {
+  load,
+  exists,
+  run,
+};
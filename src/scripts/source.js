@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Lua script sources
+ *
+ * PURPOSE: Read a script exactly as it is sent to Redis (SCRIPT LOAD)
+ *
+ * LOGIC:
+ * A line '-- @include <file>' is replaced by that file's contents. Included
+ * files (e.g. lifecycle.lua) hold local helpers shared by several scripts;
+ * they are not scripts of their own and read the including script's locals.
+ */
+
+const INCLUDE = /^-- @include (\S+)$/gm;
+
+/**
+ * Read a script with its includes expanded
+ * @param {string} file - File name in src/scripts
+ * @returns {string} Lua source
+ */
+function readScript(file) {
+  const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+
+  return source.replace(INCLUDE, (line, included) => readScript(included).trimEnd());
+}
+
+module.exports = {
+  readScript,
+};
@@ -0,0 +1,307 @@
+const { throwError } = require('../utils/Errors');
+const Namespace = require('../utils/Namespace');
+
+/**
+ * BlobStorage - Offload of large payloads and results to a blob store
+ *
+ * PURPOSE: Keep big job bodies out of Redis, leaving only a reference that
+ * the storage layer resolves on read
+ *
+ * FEATURES:
+ * - Blob store and threshold bound to a connection (like utils/Namespace),
+ *   so JobStorage, WorkflowStorage and Cleaner read them from redis
+ * - Payloads: the stored form (base64/compressed) goes to the blob store and
+ *   Redis keeps 'blob:<key>'
+ * - Results: the JSON goes to the blob store and the Lua scripts carry
+ *   { $blob: <key>, bytes } wherever the result goes (events, flow parents,
+ *   workflow results)
+ * - Blob index so Cleaner can delete blobs whose job is gone, however it
+ *   went (deleteJob, removeOnComplete, lifecycle TTL)
+ * - Holds: blobs of a chain's jobs stay while the chain runs, since later
+ *   links are written before their job exists and read the result of a
+ *   link that may be gone (see workflow/Chain)
+ *
+ * REDIS KEYS:
+ * - blobs - Sorted set: jobId -> time its first blob was written
+ * - blob-holds - Hash: jobId -> key of the chain holding its blobs
+ *
+ * BLOB KEYS: {ns}/jobs/{jobId}/payload, {ns}/jobs/{jobId}/result
+ *
+ * ERROR CODES:
+ * - 1002: INVALID_CONFIG - Blob store missing put/get/delete
+ * - 9004: STORAGE_WRITE_FAILURE - Blob could not be written
+ * - 9005: STORAGE_READ_FAILURE - Blob reference without a blob store, the
+ *   blob store failed, or the blob is gone
+ */
+
+const PAYLOAD_PREFIX = 'blob:';
+const DEFAULT_THRESHOLD_BYTES = 256 * 1024;
+
+// connection -> { store, thresholdBytes }
+const bound = new WeakMap();
+
+class BlobStorage {
+  /**
+   * Bind a blob store to a connection
+   * @param {Redis} redis - Redis client or storage driver
+   * @param {Object} options - config.blobs (nothing is offloaded without one)
+   * @param {Object} options.store - Blob store (see storage/blobs)
+   * @param {number} options.thresholdBytes - Offload bodies from this size
+   *   (default: 262144)
+   * @returns {Redis} The same connection
+   */
+  static bind(redis, options) {
+    if (!options || !options.store) {
+      return redis;
+    }
+
+    const { store } = options;
+    if (['put', 'get', 'delete'].some((method) => typeof store[method] !== 'function')) {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: 'Blob store must implement put, get and delete',
+      });
+    }
+
+    bound.set(redis, {
+      store,
+      thresholdBytes: options.thresholdBytes || DEFAULT_THRESHOLD_BYTES,
+    });
+
+    return redis;
+  }
+
+  /**
+   * Blob settings bound to a connection
+   * @param {Redis} redis - Redis client or storage driver
+   * @returns {Object|null} { store, thresholdBytes } or null
+   */
+  static of(redis) {
+    return (redis && bound.get(redis)) || null;
+  }
+
+  /**
+   * Offload a stored payload if it is over the threshold
+   * @param {Redis} redis - Redis client
+   * @param {string} jobId - Job ID
+   * @param {string} stored - Stored payload (JobStorage.encodePayload)
+   * @param {string} holder - Chain key holding the blob (optional)
+   * @returns {Promise<string>} stored, or 'blob:<key>'
+   */
+  static async offloadPayload(redis, jobId, stored, holder = null) {
+    const blobs = this.of(redis);
+
+    if (!blobs || Buffer.byteLength(stored) < blobs.thresholdBytes) {
+      return stored;
+    }
+
+    const key = this._key(redis, jobId, 'payload');
+    await this._put(redis, jobId, key, Buffer.from(stored), holder);
+
+    return `${PAYLOAD_PREFIX}${key}`;
+  }
+
+  /**
+   * Read an offloaded payload back
+   * @param {Redis} redis - Redis client
+   * @param {string} stored - Value of the payload key
+   * @returns {Promise<string>} Stored payload (unchanged if not offloaded)
+   * @throws {BridgeMQError} 9005 STORAGE_READ_FAILURE
+   */
+  static async loadPayload(redis, stored) {
+    if (!stored.startsWith(PAYLOAD_PREFIX)) {
+      return stored;
+    }
+
+    const body = await this._get(redis, stored.slice(PAYLOAD_PREFIX.length));
+    return body.toString();
+  }
+
+  /**
+   * Offload a job result if its JSON is over the threshold
+   * @param {Redis} redis - Redis client
+   * @param {string} jobId - Job ID
+   * @param {any} result - Handler result
+   * @param {string} holder - Chain key holding the blob (optional)
+   * @returns {Promise<any>} result, or a { $blob, bytes } reference
+   */
+  static async offloadResult(redis, jobId, result, holder = null) {
+    const blobs = this.of(redis);
+
+    if (!blobs || result === undefined) {
+      return result;
+    }
+
+    const json = JSON.stringify(result);
+    const bytes = Buffer.byteLength(json);
+
+    if (bytes < blobs.thresholdBytes) {
+      return result;
+    }
+
+    const key = this._key(redis, jobId, 'result');
+    await this._put(redis, jobId, key, Buffer.from(json), holder);
+
+    return { $blob: key, bytes };
+  }
+
+  /**
+   * Resolve a result reference (other values are returned as-is)
+   * @param {Redis} redis - Redis client
+   * @param {any} value - Parsed result
+   * @returns {Promise<any>} Result
+   * @throws {BridgeMQError} 9005 STORAGE_READ_FAILURE
+   */
+  static async resolve(redis, value) {
+    if (!this.isRef(value)) {
+      return value;
+    }
+
+    const body = await this._get(redis, value.$blob);
+    return JSON.parse(body.toString());
+  }
+
+  /**
+   * Is this a result reference?
+   * @param {any} value - Parsed value
+   * @returns {boolean} True for { $blob, bytes }
+   */
+  static isRef(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+      && typeof value.$blob === 'string' && Object.keys(value).length === 2;
+  }
+
+  /**
+   * Delete a job's blobs and drop it from the blob index, unless a running
+   * chain holds them (Cleaner deletes them once the chain is over)
+   * @param {Redis} redis - Redis client
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} False if the blobs are held
+   */
+  static async deleteJobBlobs(redis, jobId) {
+    const ns = Namespace.of(redis);
+    const blobs = this.of(redis);
+
+    if (!blobs) {
+      return true;
+    }
+
+    const [isIndexed, holder] = await Promise.all([
+      redis.zscore(`${ns}:blobs`, jobId),
+      redis.hget(`${ns}:blob-holds`, jobId),
+    ]);
+    if (isIndexed === null) {
+      return true;
+    }
+
+    if (holder && await redis.hget(holder, 'status') === 'running') {
+      return false;
+    }
+
+    await Promise.all([
+      blobs.store.delete(this._key(redis, jobId, 'payload')),
+      blobs.store.delete(this._key(redis, jobId, 'result')),
+    ]);
+    await redis.zrem(`${ns}:blobs`, jobId);
+    await redis.hdel(`${ns}:blob-holds`, jobId);
+
+    return true;
+  }
+
+  /**
+   * Jobs with blobs, oldest first
+   * @param {Redis} redis - Redis client
+   * @param {number} before - Only jobs whose first blob is older (ms)
+   * @param {number} offset - Offset
+   * @param {number} count - Max jobs
+   * @returns {Promise<string[]>} Job IDs
+   */
+  static async listBlobJobs(redis, before, offset, count) {
+    const ns = Namespace.of(redis);
+
+    return redis.zrangebyscore(`${ns}:blobs`, '-inf', before, 'LIMIT', offset, count);
+  }
+
+  /**
+   * Index a job and write a blob
+   * @private
+   * @param {Redis} redis - Redis client
+   * @param {string} jobId - Job ID
+   * @param {string} key - Blob key
+   * @param {Buffer} body - Blob body
+   * @param {string} holder - Chain key holding the blob (optional)
+   * @returns {Promise<void>}
+   */
+  static async _put(redis, jobId, key, body, holder) {
+    const ns = Namespace.of(redis);
+
+    try {
+      // Index first: a blob written without an index entry could never be cleaned
+      await redis.zadd(`${ns}:blobs`, 'NX', Date.now(), jobId);
+      if (holder) {
+        await redis.hset(`${ns}:blob-holds`, jobId, holder);
+      }
+      await this.of(redis).store.put(key, body);
+    } catch (error) {
+      throwError(9004, 'STORAGE_WRITE_FAILURE', {
+        message: 'Failed to write blob',
+        jobId,
+        key,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Read a blob
+   * @private
+   * @param {Redis} redis - Redis client
+   * @param {string} key - Blob key
+   * @returns {Promise<Buffer>} Blob body
+   * @throws {BridgeMQError} 9005 STORAGE_READ_FAILURE
+   */
+  static async _get(redis, key) {
+    const blobs = this.of(redis);
+
+    if (!blobs) {
+      throwError(9005, 'STORAGE_READ_FAILURE', {
+        message: 'Job data is in a blob store but none is configured',
+        key,
+      });
+    }
+
+    let body;
+
+    try {
+      body = await blobs.store.get(key);
+    } catch (error) {
+      throwError(9005, 'STORAGE_READ_FAILURE', {
+        message: 'Failed to read blob',
+        key,
+        error: error.message,
+      });
+    }
+
+    if (!body) {
+      throwError(9005, 'STORAGE_READ_FAILURE', {
+        message: 'Blob is gone',
+        key,
+      });
+    }
+
+    return body;
+  }
+
+  /**
+   * Blob key for a job body
+   * @private
+   * @param {Redis} redis - Redis client
+   * @param {string} jobId - Job ID
+   * @param {string} kind - 'payload' or 'result'
+   * @returns {string} Blob key
+   */
+  static _key(redis, jobId, kind) {
+    return `${Namespace.of(redis)}/jobs/${jobId}/${kind}`;
+  }
+}
+
+module.exports = BlobStorage;
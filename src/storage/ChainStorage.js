@@ -0,0 +1,161 @@
+const { throwError } = require('../utils/Errors');
+const Namespace = require('../utils/Namespace');
+
+/**
+ * ChainStorage - Persisted job chain state
+ *
+ * PURPOSE: Keep chain links in Redis so the Lua scripts can enqueue the next
+ * link when the previous one settles, whichever process is still alive
+ *
+ * FEATURES:
+ * - Chain header (status, current link, failure branch job)
+ * - Link definitions ready for Lua (pre-assigned job ID, config, stored payload)
+ * - onFailure branch definitions per link
+ *
+ * A chain lives in the mesh of its links (see Chain), next to their jobs.
+ *
+ * REDIS KEYS (mp = {ns}:{meshId}, see Namespace.mesh):
+ * - {mp}:chain:{chainId} - Hash: chainId, name, status, current, length,
+ *   failedIndex, failureJobId, createdAt, updatedAt, completedAt
+ * - {mp}:chain:{chainId}:links - Hash: index -> link JSON,
+ *   failure:{index} -> onFailure branch link JSON
+ *
+ * Link JSON: { jobId, type, version, meshId, priority, config (JSON string),
+ * payload (as JobStorage.preparePayload stores it) }
+ *
+ * ERROR CODES:
+ * - 9004: STORAGE_WRITE_FAILURE
+ * - 9005: STORAGE_READ_FAILURE
+ */
+
+class ChainStorage {
+  /**
+   * Persist a chain definition
+   * @param {Redis} redis - Redis client
+   * @param {Object} chain - Chain data
+   * @param {string} chain.chainId - Chain ID
+   * @param {string} chain.name - Chain name
+   * @param {string} chain.meshId - Mesh of the chain's links
+   * @param {Object[]} chain.links - Links in run order
+   * @param {Object} chain.failures - index -> onFailure branch link
+   * @returns {Promise<void>}
+   */
+  static async saveChain(redis, chain) {
+    const mp = Namespace.mesh(redis, chain.meshId);
+
+    try {
+      const key = `${mp}:chain:${chain.chainId}`;
+      const now = Date.now();
+      const multi = redis.multi();
+
+      multi.hmset(key, {
+        chainId: chain.chainId,
+        name: chain.name || '',
+        status: 'running',
+        current: 0,
+        length: chain.links.length,
+        createdAt: now,
+        updatedAt: now,
+      });
+
+      const links = {};
+      chain.links.forEach((link, index) => {
+        links[index] = JSON.stringify(link);
+      });
+      for (const [index, link] of Object.entries(chain.failures || {})) {
+        links[`failure:${index}`] = JSON.stringify(link);
+      }
+
+      multi.hmset(`${key}:links`, links);
+
+      await multi.exec();
+    } catch (error) {
+      throwError(9004, 'STORAGE_WRITE_FAILURE', {
+        message: 'Failed to save chain',
+        chainId: chain.chainId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get a chain
+   * @param {Redis} redis - Redis client
+   * @param {string} chainId - Chain ID
+   * @param {string} meshId - Mesh of the chain's links
+   * @returns {Promise<Object|null>} { chainId, name, status, current, failedIndex,
+   *   failureJobId, createdAt, updatedAt, completedAt, links, failures }
+   */
+  static async getChain(redis, chainId, meshId) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    try {
+      const key = `${mp}:chain:${chainId}`;
+      const [header, links] = await Promise.all([
+        redis.hgetall(key),
+        redis.hgetall(`${key}:links`),
+      ]);
+
+      if (!header || Object.keys(header).length === 0) {
+        return null;
+      }
+
+      const length = parseInt(header.length, 10) || 0;
+      const parsedLinks = [];
+      const failures = {};
+
+      for (let index = 0; index < length; index++) {
+        parsedLinks.push(links[index] ? JSON.parse(links[index]) : null);
+      }
+      for (const [field, linkJson] of Object.entries(links || {})) {
+        if (field.startsWith('failure:')) {
+          failures[field.slice('failure:'.length)] = JSON.parse(linkJson);
+        }
+      }
+
+      return {
+        chainId: header.chainId,
+        name: header.name || null,
+        status: header.status,
+        current: parseInt(header.current, 10) || 0,
+        failedIndex: header.failedIndex !== undefined ? parseInt(header.failedIndex, 10) : null,
+        failureJobId: header.failureJobId || null,
+        createdAt: parseInt(header.createdAt, 10),
+        updatedAt: parseInt(header.updatedAt, 10),
+        completedAt: header.completedAt ? parseInt(header.completedAt, 10) : null,
+        links: parsedLinks,
+        failures,
+      };
+    } catch (error) {
+      throwError(9005, 'STORAGE_READ_FAILURE', {
+        message: 'Failed to get chain',
+        chainId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete a chain's persisted state (link jobs are left alone)
+   * @param {Redis} redis - Redis client
+   * @param {string} chainId - Chain ID
+   * @param {string} meshId - Mesh of the chain's links
+   * @returns {Promise<void>}
+   */
+  static async deleteChain(redis, chainId, meshId) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    try {
+      const key = `${mp}:chain:${chainId}`;
+      await redis.del(key, `${key}:links`);
+    } catch (error) {
+      throwError(9004, 'STORAGE_WRITE_FAILURE', {
+        message: 'Failed to delete chain',
+        chainId,
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = ChainStorage;
@@ -1,5 +1,11 @@
 const msgpack = require('msgpack-lite');
+const { v4: uuidv4 } = require('uuid');
 const { throwError } = require('../utils/Errors');
+const Namespace = require('../utils/Namespace');
+const Validation = require('../utils/Validation');
+const Compression = require('../utils/Compression');
+const BlobStorage = require('./BlobStorage');
+const MeshStorage = require('./MeshStorage');
 const scripts = require('../scripts');
 
 /**
@@ -11,19 +17,27 @@ const scripts = require('../scripts');
  * - Create jobs with idempotency and deduplication
  * - Retrieve job metadata, config, payload, result, errors
  * - Update job status and progress
- * - Cancel and replay jobs
- * - List jobs with filters
+ * - Cancel and replay jobs, requeue jobs from the DLQ
+ * - Per-job lease tokens (claim, renew, verify on complete/fail)
+ * - List jobs with filters (via the per-mesh job index)
+ * - Payload size limit (config.maxPayloadBytes) and compression
+ *   (config.compression, see utils/Compression)
+ * - Large payloads and results offloaded to a blob store (see BlobStorage)
+ *
+ * MESHES:
+ * A job's keys live under its mesh key prefix (Namespace.mesh). Methods take
+ * the job's meshId as an optional last argument; without it the job is
+ * looked up in every registered mesh (findMesh).
  * 
  * ERROR CODES:
  * - 1001: INVALID_PAYLOAD
  * - 1002: INVALID_CONFIG
+ * - 1004: PAYLOAD_TOO_LARGE
  * - 9001: REDIS_FAILURE
  * - 9004: STORAGE_WRITE_FAILURE
  * - 9005: STORAGE_READ_FAILURE
  */
 
-const NS = 'bridgemq';
-
 class JobStorage {
   /**
    * Create a new job
@@ -33,6 +47,221 @@ class JobStorage {
    * @returns {Promise<string>} Job ID
    */
   static async createJob(redis, scripts, jobData) {
+    const { jobId } = jobData;
+    const prepared = await this._prepareJob(redis, jobData);
+
+    try {
+      await this._registerMeshes(redis, [prepared]);
+
+      // Call Lua script to create job atomically
+      const result = await scripts.createJob(redis, prepared);
+
+      return result.jobId;
+    } catch (error) {
+      throwError(9004, 'STORAGE_WRITE_FAILURE', {
+        message: 'Failed to create job',
+        jobId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Create many jobs with one MULTI/EXEC round-trip
+   * @param {Redis} redis - Redis client
+   * @param {Object} scripts - Lua scripts instance
+   * @param {Object[]} jobs - Job creation data (same shape as createJob)
+   * @returns {Promise<Object[]>} Per-job results { jobId, created, existing, reason } or { error }
+   */
+  static async createJobs(redis, scripts, jobs) {
+    // Invalid items (e.g. PAYLOAD_TOO_LARGE) fail alone, like script errors
+    const prepared = await Promise.all(jobs.map((jobData) => (
+      this._prepareJob(redis, jobData).catch((error) => ({ error: error.message }))
+    )));
+    const valid = prepared.filter((item) => !item.error);
+
+    try {
+      await this._registerMeshes(redis, valid);
+      const results = await scripts.createJobs(redis, valid);
+      return prepared.map((item) => (item.error ? item : results.shift()));
+    } catch (error) {
+      throwError(9004, 'STORAGE_WRITE_FAILURE', {
+        message: 'Failed to create jobs',
+        count: jobs.length,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Create a parent/child job tree with one MULTI/EXEC round-trip
+   * Nodes are ordered parents first; each node with children is created in
+   * 'waiting-children' and queued by completeJob.lua once its children finish
+   * @param {Redis} redis - Redis client
+   * @param {Object} scripts - Lua scripts instance
+   * @param {Object[]} nodes - Job creation data with parentId/waitingChildren
+   * @returns {Promise<void>}
+   */
+  static async createFlow(redis, scripts, nodes) {
+    const results = await this.createJobs(redis, scripts, nodes);
+    const failed = results.find((result) => result.error);
+
+    if (failed) {
+      throwError(9004, 'STORAGE_WRITE_FAILURE', {
+        message: 'Failed to create flow',
+        jobId: nodes[0].jobId,
+        error: failed.error,
+      });
+    }
+  }
+
+  /**
+   * Add the meshes of jobs about to be created to the mesh registry
+   * (outside the meshes' slots, so createJob.lua can't do it)
+   * @private
+   * @param {Redis} redis - Redis client
+   * @param {Object[]} prepared - Script input from _prepareJob
+   * @returns {Promise<void>}
+   */
+  static async _registerMeshes(redis, prepared) {
+    const meshIds = [...new Set(prepared.map((item) => item.meta.meshId))];
+
+    if (meshIds.length > 0) {
+      await redis.sadd(`${Namespace.of(redis)}:meshes`, ...meshIds);
+    }
+  }
+
+  /**
+   * Find the mesh a job belongs to
+   * @param {Redis} redis - Redis client
+   * @param {string} jobId - Job ID
+   * @param {string} meshId - Known mesh ID (returned as is)
+   * @returns {Promise<string|null>} Mesh ID, or null if no mesh holds the job
+   */
+  static async findMesh(redis, jobId, meshId = null) {
+    if (meshId) {
+      return meshId;
+    }
+
+    // One EXISTS per mesh rather than a pipeline: the keys are in different slots
+    const meshIds = await MeshStorage.listMeshIds(redis);
+    const found = await Promise.all(meshIds.map((id) => (
+      redis.exists(`${Namespace.mesh(redis, id)}:job:${jobId}:meta`)
+    )));
+    const index = found.findIndex((exists) => exists === 1);
+
+    return index === -1 ? null : meshIds[index];
+  }
+
+  /**
+   * Key prefix of a job (job:{jobId} under its mesh key prefix)
+   * @private
+   * @param {Redis} redis - Redis client
+   * @param {string} jobId - Job ID
+   * @param {string} meshId - Known mesh ID (optional)
+   * @returns {Promise<string|null>} Prefix, or null if the job is not found
+   */
+  static async _jobPrefix(redis, jobId, meshId = null) {
+    const id = await this.findMesh(redis, jobId, meshId);
+    return id ? `${Namespace.mesh(redis, id)}:job:${jobId}` : null;
+  }
+
+  /**
+   * Get results recorded by a flow parent's children
+   * @param {Redis} redis - Redis client
+   * @param {string} jobId - Parent job ID
+   * @param {string} meshId - Parent's mesh ID (optional)
+   * @returns {Promise<Object>} childId -> { status, result } or { status: 'failed', error }
+   */
+  static async getChildrenResults(redis, jobId, meshId = null) {
+    try {
+      const prefix = await this._jobPrefix(redis, jobId, meshId);
+      const entries = prefix ? await redis.hgetall(`${prefix}:children-results`) : {};
+      const results = {};
+
+      for (const [childId, entryJson] of Object.entries(entries || {})) {
+        const entry = JSON.parse(entryJson);
+
+        results[childId] = entry.status === 'completed'
+          ? { status: entry.status, result: await BlobStorage.resolve(redis, JSON.parse(entry.result)) }
+          : { status: entry.status, error: JSON.parse(entry.error) };
+      }
+
+      return results;
+    } catch (error) {
+      throwError(9005, 'STORAGE_READ_FAILURE', {
+        message: 'Failed to get children results',
+        jobId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Serialize a payload for storage: MessagePack, size check, compression
+   * @param {any} payload - Job payload
+   * @param {Object} config - Job config
+   * @param {number} config.maxPayloadBytes - Max serialized size (optional)
+   * @param {string|Object} config.compression - 'gzip', 'brotli' or
+   *   { codec, thresholdBytes } (optional)
+   * @returns {Promise<string>} Stored payload (base64, with a codec marker if compressed)
+   * @throws {BridgeMQError} 1004 PAYLOAD_TOO_LARGE
+   */
+  static async encodePayload(payload, config = {}) {
+    const serialized = msgpack.encode(payload);
+
+    if (config.maxPayloadBytes && payload !== undefined && payload !== null) {
+      Validation.validatePayload(payload, {
+        maxPayloadBytes: config.maxPayloadBytes,
+        sizeBytes: serialized.length,
+      });
+    }
+
+    return await Compression.encode(serialized, config.compression);
+  }
+
+  /**
+   * Serialize a payload and offload it to the blob store if it is large
+   * (the value createJob.lua writes to the payload key)
+   * @param {Redis} redis - Redis client (for its blob store)
+   * @param {string} jobId - Job ID
+   * @param {any} payload - Job payload
+   * @param {Object} config - Job config (see encodePayload)
+   * @param {string} meshId - Job's mesh ID
+   * @returns {Promise<string>} Stored payload
+   * @throws {BridgeMQError} 1004 PAYLOAD_TOO_LARGE
+   */
+  static async preparePayload(redis, jobId, payload, config = {}, meshId = 'default') {
+    return BlobStorage.offloadPayload(
+      redis,
+      jobId,
+      await this.encodePayload(payload, config),
+      this._blobHolder(redis, meshId, config),
+    );
+  }
+
+  /**
+   * Chain that holds a job's blobs (see BlobStorage)
+   * @private
+   * @param {Redis} redis - Redis client
+   * @param {string} meshId - Job's mesh ID
+   * @param {Object} config - Job config
+   * @returns {string|null} Chain key, or null for jobs outside a chain
+   */
+  static _blobHolder(redis, meshId, config) {
+    const chain = config && config.chain;
+
+    return chain && chain.chainId ? `${Namespace.mesh(redis, meshId)}:chain:${chain.chainId}` : null;
+  }
+
+  /**
+   * Build job metadata and serialized payload for createJob.lua
+   * @private
+   * @param {Redis} redis - Redis client (for its blob store)
+   * @param {Object} jobData - Job creation data
+   * @returns {Promise<Object>} Script input { jobId, meta, config, payload, idempotencyKey, fingerprintHash }
+   */
+  static async _prepareJob(redis, jobData) {
     const {
       jobId,
       type,
@@ -42,6 +271,8 @@ class JobStorage {
       meshId = 'default',
       idempotencyKey,
       fingerprintHash,
+      parentId,
+      waitingChildren = false,
     } = jobData;
 
     if (!jobId || !type) {
@@ -50,60 +281,64 @@ class JobStorage {
       });
     }
 
-    try {
-      // Prepare metadata
-      const meta = {
-        jobId,
-        type,
-        version,
-        meshId,
-        priority: config.priority || 5,
-        status: config.schedule && config.schedule.delay ? 'scheduled' : 'pending',
-        attempt: 0,
-        scheduledFor: config.schedule && config.schedule.delay
-          ? Date.now() + config.schedule.delay
-          : config.schedule && config.schedule.runAt
-            ? config.schedule.runAt
-            : Date.now(),
-      };
-
-      // Serialize payload
-      const serializedPayload = msgpack.encode(payload);
-
-      // Call Lua script to create job atomically
-      const result = await scripts.createJob(redis, {
-        jobId,
-        meta,
-        config,
-        payload: serializedPayload.toString('base64'),
-        idempotencyKey,
-        fingerprintHash,
-      });
-
-      return result.jobId;
-    } catch (error) {
-      throwError(9004, 'STORAGE_WRITE_FAILURE', {
-        message: 'Failed to create job',
-        jobId,
-        error: error.message,
-      });
+    let status = config.schedule && config.schedule.delay ? 'scheduled' : 'pending';
+    if (waitingChildren) {
+      status = 'waiting-children';
     }
+
+    // Prepare metadata
+    const meta = {
+      jobId,
+      type,
+      version,
+      meshId,
+      parentId: parentId || undefined,
+      priority: config.priority || 5,
+      status,
+      attempt: 0,
+      scheduledFor: config.schedule && config.schedule.delay
+        ? Date.now() + config.schedule.delay
+        : config.schedule && config.schedule.runAt
+          ? config.schedule.runAt
+          : Date.now(),
+    };
+
+    return {
+      jobId,
+      meta,
+      config,
+      payload: await this.preparePayload(redis, jobId, payload, config, meshId),
+      idempotencyKey,
+      fingerprintHash,
+    };
   }
 
   /**
    * Get complete job information
    * @param {Redis} redis - Redis client
    * @param {string} jobId - Job ID
+   * @param {string} meshId - Job's mesh ID (optional)
    * @returns {Promise<Object>} Job data
    */
-  static async getJob(redis, jobId) {
+  static async getJob(redis, jobId, meshId = null) {
     try {
+      const id = await this.findMesh(redis, jobId, meshId);
+
+      if (!id) {
+        return {
+          config: null,
+          payload: null,
+          result: null,
+          errors: [],
+        };
+      }
+
       const [meta, config, payload, result, errors] = await Promise.all([
-        this.getJobMeta(redis, jobId),
-        this.getJobConfig(redis, jobId),
-        this.getJobPayload(redis, jobId),
-        this.getJobResult(redis, jobId),
-        this.getJobErrors(redis, jobId),
+        this.getJobMeta(redis, jobId, id),
+        this.getJobConfig(redis, jobId, id),
+        this.getJobPayload(redis, jobId, id),
+        this.getJobResult(redis, jobId, id),
+        this.getJobErrors(redis, jobId, id),
       ]);
 
       return {
@@ -126,46 +361,99 @@ class JobStorage {
    * Get job metadata
    * @param {Redis} redis - Redis client
    * @param {string} jobId - Job ID
+   * @param {string} meshId - Job's mesh ID (optional)
    * @returns {Promise<Object>} Job metadata
    */
-  static async getJobMeta(redis, jobId) {
+  static async getJobMeta(redis, jobId, meshId = null) {
+    try {
+      const prefix = await this._jobPrefix(redis, jobId, meshId);
+      return this._parseMeta(prefix ? await redis.hgetall(`${prefix}:meta`) : null);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the metadata and the errors or crashes of many jobs in one round trip
+   * @param {Redis} redis - Redis client
+   * @param {string[]} jobIds - Job IDs
+   * @param {string} meshId - Mesh of the jobs
+   * @param {string} list - 'errors' or 'crashes'
+   * @returns {Promise<Object[]>} [{ meta, list }] in jobIds order (meta is
+   *   null for a job that is gone)
+   * @throws {BridgeMQError} 9005 STORAGE_READ_FAILURE - Read failed
+   */
+  static async getJobSummaries(redis, jobIds, meshId, list) {
+    const mp = Namespace.mesh(redis, meshId);
+    const parse = list === 'crashes' ? this._parseCrash : JSON.parse;
+
     try {
-      const key = `${NS}:job:${jobId}:meta`;
-      const meta = await redis.hgetall(key);
+      const pipeline = redis.pipeline();
 
-      if (!meta || Object.keys(meta).length === 0) {
-        return null;
+      for (const jobId of jobIds) {
+        pipeline.hgetall(`${mp}:job:${jobId}:meta`);
+        pipeline.lrange(`${mp}:job:${jobId}:${list}`, 0, -1);
       }
 
-      // Convert numeric fields
-      return {
-        ...meta,
-        priority: parseInt(meta.priority, 10),
-        attempt: parseInt(meta.attempt, 10),
-        stalledCount: parseInt(meta.stalledCount, 10),
-        progress: parseFloat(meta.progress),
-        createdAt: parseInt(meta.createdAt, 10),
-        scheduledFor: parseInt(meta.scheduledFor, 10),
-        startedAt: meta.startedAt ? parseInt(meta.startedAt, 10) : null,
-        claimedAt: meta.claimedAt ? parseInt(meta.claimedAt, 10) : null,
-        completedAt: meta.completedAt ? parseInt(meta.completedAt, 10) : null,
-        updatedAt: parseInt(meta.updatedAt, 10),
-      };
+      const replies = await pipeline.exec();
+
+      return jobIds.map((jobId, index) => {
+        const [metaError, meta] = replies[index * 2];
+        const [listError, items] = replies[index * 2 + 1];
+
+        if (metaError || listError) {
+          throw metaError || listError;
+        }
+
+        return { meta: this._parseMeta(meta), list: items.map((raw) => parse(raw)) };
+      });
     } catch (error) {
+      throwError(9005, 'STORAGE_READ_FAILURE', {
+        message: `Failed to read job ${list}`,
+        meshId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Convert a meta hash's numeric fields
+   * @private
+   * @param {Object|null} meta - HGETALL reply
+   * @returns {Object|null} Job metadata, or null if the hash is empty
+   */
+  static _parseMeta(meta) {
+    if (!meta || Object.keys(meta).length === 0) {
       return null;
     }
+
+    return {
+      ...meta,
+      priority: parseInt(meta.priority, 10),
+      attempt: parseInt(meta.attempt, 10),
+      stalledCount: parseInt(meta.stalledCount, 10),
+      crashCount: parseInt(meta.crashCount, 10) || 0,
+      progress: parseFloat(meta.progress),
+      createdAt: parseInt(meta.createdAt, 10),
+      scheduledFor: parseInt(meta.scheduledFor, 10),
+      startedAt: meta.startedAt ? parseInt(meta.startedAt, 10) : null,
+      claimedAt: meta.claimedAt ? parseInt(meta.claimedAt, 10) : null,
+      completedAt: meta.completedAt ? parseInt(meta.completedAt, 10) : null,
+      updatedAt: parseInt(meta.updatedAt, 10),
+    };
   }
 
   /**
    * Get job configuration
    * @param {Redis} redis - Redis client
    * @param {string} jobId - Job ID
+   * @param {string} meshId - Job's mesh ID (optional)
    * @returns {Promise<Object>} Job config
    */
-  static async getJobConfig(redis, jobId) {
+  static async getJobConfig(redis, jobId, meshId = null) {
     try {
-      const key = `${NS}:job:${jobId}:config`;
-      const configJson = await redis.get(key);
+      const prefix = await this._jobPrefix(redis, jobId, meshId);
+      const configJson = prefix ? await redis.get(`${prefix}:config`) : null;
       return configJson ? JSON.parse(configJson) : null;
     } catch (error) {
       return null;
@@ -176,20 +464,48 @@ class JobStorage {
    * Get job payload
    * @param {Redis} redis - Redis client
    * @param {string} jobId - Job ID
+   * @param {string} meshId - Job's mesh ID (optional)
    * @returns {Promise<any>} Job payload
+   * @throws {BridgeMQError} 9005 STORAGE_READ_FAILURE - Offloaded payload unreadable
    */
-  static async getJobPayload(redis, jobId) {
+  static async getJobPayload(redis, jobId, meshId = null) {
     try {
-      const key = `${NS}:job:${jobId}:payload`;
-      const payloadBase64 = await redis.get(key);
+      const id = await this.findMesh(redis, jobId, meshId);
+
+      if (!id) {
+        return null;
+      }
+
+      const prefix = `${Namespace.mesh(redis, id)}:job:${jobId}`;
+      const [raw, input, inputJson] = await Promise.all([
+        redis.get(`${prefix}:payload`),
+        redis.hget(`${prefix}:meta`, 'chainInput'),
+        redis.get(`${prefix}:input`),
+      ]);
+      const stored = await BlobStorage.loadPayload(redis, raw || '');
       
-      if (!payloadBase64) {
+      if (!stored) {
         return null;
       }
 
-      const buffer = Buffer.from(payloadBase64, 'base64');
-      return msgpack.decode(buffer);
+      const payload = msgpack.decode(await Compression.decode(stored));
+
+      // Chain links get a copy of the previous link's outcome (lifecycle.lua)
+      if (input) {
+        const value = JSON.parse(inputJson || 'null');
+
+        return {
+          ...payload,
+          [input]: input === 'previousResult' ? await BlobStorage.resolve(redis, value) : value,
+        };
+      }
+
+      return payload;
     } catch (error) {
+      // An unreadable blob must not pass for an empty payload
+      if (error.code === 9005) {
+        throw error;
+      }
       return null;
     }
   }
@@ -198,14 +514,19 @@ class JobStorage {
    * Get job result
    * @param {Redis} redis - Redis client
    * @param {string} jobId - Job ID
+   * @param {string} meshId - Job's mesh ID (optional)
    * @returns {Promise<any>} Job result
+   * @throws {BridgeMQError} 9005 STORAGE_READ_FAILURE - Offloaded result unreadable
    */
-  static async getJobResult(redis, jobId) {
+  static async getJobResult(redis, jobId, meshId = null) {
     try {
-      const key = `${NS}:job:${jobId}:result`;
-      const resultJson = await redis.get(key);
-      return resultJson ? JSON.parse(resultJson) : null;
+      const prefix = await this._jobPrefix(redis, jobId, meshId);
+      const resultJson = prefix ? await redis.get(`${prefix}:result`) : null;
+      return resultJson ? await BlobStorage.resolve(redis, JSON.parse(resultJson)) : null;
     } catch (error) {
+      if (error.code === 9005) {
+        throw error;
+      }
       return null;
     }
   }
@@ -214,29 +535,66 @@ class JobStorage {
    * Get job errors
    * @param {Redis} redis - Redis client
    * @param {string} jobId - Job ID
+   * @param {string} meshId - Job's mesh ID (optional)
    * @returns {Promise<Array>} Job errors
    */
-  static async getJobErrors(redis, jobId) {
+  static async getJobErrors(redis, jobId, meshId = null) {
     try {
-      const key = `${NS}:job:${jobId}:errors`;
-      const errors = await redis.lrange(key, 0, -1);
+      const prefix = await this._jobPrefix(redis, jobId, meshId);
+      const errors = prefix ? await redis.lrange(`${prefix}:errors`, 0, -1) : [];
       return errors.map((err) => JSON.parse(err));
     } catch (error) {
       return [];
     }
   }
 
+  /**
+   * Get job crash fingerprints (worker deaths recorded by detectStalled.lua)
+   * @param {Redis} redis - Redis client
+   * @param {string} jobId - Job ID
+   * @param {string} meshId - Job's mesh ID (optional)
+   * @returns {Promise<Array>} Crashes, oldest first
+   */
+  static async getJobCrashes(redis, jobId, meshId = null) {
+    try {
+      const prefix = await this._jobPrefix(redis, jobId, meshId);
+      const crashes = prefix ? await redis.lrange(`${prefix}:crashes`, 0, -1) : [];
+
+      return crashes.map((raw) => this._parseCrash(raw));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Parse a stored crash fingerprint
+   * @private
+   * @param {string} raw - JSON
+   * @returns {Object} Crash fingerprint
+   */
+  static _parseCrash(raw) {
+    const crash = JSON.parse(raw);
+    // Lua's cjson encodes an empty list as an object
+    return { ...crash, coActive: Array.isArray(crash.coActive) ? crash.coActive : [] };
+  }
+
   /**
    * Set job status
    * @param {Redis} redis - Redis client
    * @param {string} jobId - Job ID
    * @param {string} status - New status
+   * @param {string} meshId - Job's mesh ID (optional)
    * @returns {Promise<void>}
    */
-  static async setJobStatus(redis, jobId, status) {
+  static async setJobStatus(redis, jobId, status, meshId = null) {
     try {
-      const key = `${NS}:job:${jobId}:meta`;
-      await redis.hmset(key, {
+      const prefix = await this._jobPrefix(redis, jobId, meshId);
+
+      if (!prefix) {
+        throw new Error('Job not found');
+      }
+
+      await redis.hmset(`${prefix}:meta`, {
         status,
         updatedAt: Date.now(),
       });
@@ -255,11 +613,18 @@ class JobStorage {
    * @param {Redis} redis - Redis client
    * @param {string} jobId - Job ID
    * @param {Object} error - Error object
+   * @param {string} meshId - Job's mesh ID (optional)
    * @returns {Promise<void>}
    */
-  static async appendError(redis, jobId, error) {
+  static async appendError(redis, jobId, error, meshId = null) {
     try {
-      const key = `${NS}:job:${jobId}:errors`;
+      const prefix = await this._jobPrefix(redis, jobId, meshId);
+
+      if (!prefix) {
+        return;
+      }
+
+      const key = `${prefix}:errors`;
       const errorEntry = JSON.stringify({
         ...error,
         timestamp: Date.now(),
@@ -276,21 +641,38 @@ class JobStorage {
    * Delete a job completely
    * @param {Redis} redis - Redis client
    * @param {string} jobId - Job ID
+   * @param {string} meshId - Job's mesh ID (optional)
    * @returns {Promise<void>}
    */
-  static async deleteJob(redis, jobId) {
+  static async deleteJob(redis, jobId, meshId = null) {
     try {
-      const keys = [
-        `${NS}:job:${jobId}:meta`,
-        `${NS}:job:${jobId}:config`,
-        `${NS}:job:${jobId}:payload`,
-        `${NS}:job:${jobId}:result`,
-        `${NS}:job:${jobId}:errors`,
-        `${NS}:job:${jobId}:depends`,
-        `${NS}:job:${jobId}:waiters`,
-      ];
-
-      await redis.del(...keys);
+      const id = await this.findMesh(redis, jobId, meshId);
+
+      if (id) {
+        const mp = Namespace.mesh(redis, id);
+        const prefix = `${mp}:job:${jobId}`;
+
+        const keys = [
+          `${prefix}:meta`,
+          `${prefix}:config`,
+          `${prefix}:payload`,
+          `${prefix}:input`,
+          `${prefix}:result`,
+          `${prefix}:errors`,
+          `${prefix}:crashes`,
+          `${prefix}:depends`,
+          `${prefix}:waiters`,
+          `${prefix}:lock`,
+          `${prefix}:children`,
+          `${prefix}:pending-children`,
+          `${prefix}:children-results`,
+        ];
+
+        await redis.del(...keys);
+        await redis.zrem(`${mp}:jobs`, jobId);
+      }
+
+      await BlobStorage.deleteJobBlobs(redis, jobId);
     } catch (error) {
       throwError(9004, 'STORAGE_WRITE_FAILURE', {
         message: 'Failed to delete job',
@@ -302,25 +684,23 @@ class JobStorage {
 
   /**
    * Cancel a job
+   * Pending/scheduled jobs are dequeued; active jobs are marked cancelled and
+   * their worker is told to abort the handler (job.signal)
    * @param {Redis} redis - Redis client
    * @param {string} jobId - Job ID
+   * @param {string} meshId - Job's mesh ID (optional)
    * @returns {Promise<boolean>} True if cancelled
    */
-  static async cancelJob(redis, jobId) {
+  static async cancelJob(redis, jobId, meshId = null) {
     try {
-      const meta = await this.getJobMeta(redis, jobId);
-      
-      if (!meta) {
-        return false;
-      }
+      const id = await this.findMesh(redis, jobId, meshId);
 
-      // Can only cancel pending or scheduled jobs
-      if (meta.status !== 'pending' && meta.status !== 'scheduled') {
+      if (!id) {
         return false;
       }
 
-      await this.setJobStatus(redis, jobId, 'cancelled');
-      return true;
+      const result = await scripts.cancelJob(redis, jobId, id);
+      return result.cancelled === true;
     } catch (error) {
       return false;
     }
@@ -331,13 +711,14 @@ class JobStorage {
    * @param {Redis} redis - Redis client
    * @param {Object} scripts - Lua scripts instance
    * @param {string} jobId - Original job ID
+   * @param {string} meshId - Job's mesh ID (optional)
    * @returns {Promise<string>} New job ID
    */
-  static async replayJob(redis, scripts, jobId) {
+  static async replayJob(redis, scripts, jobId, meshId = null) {
     try {
-      const job = await this.getJob(redis, jobId);
+      const job = await this.getJob(redis, jobId, meshId);
       
-      if (!job) {
+      if (!job || !job.jobId) {
         throwError(9005, 'STORAGE_READ_FAILURE', {
           message: 'Job not found for replay',
           jobId,
@@ -345,7 +726,6 @@ class JobStorage {
       }
 
       // Create new job with same data
-      const { v4: uuidv4 } = require('uuid');
       const newJobId = uuidv4();
 
       return await this.createJob(redis, scripts, {
@@ -365,6 +745,57 @@ class JobStorage {
     }
   }
 
+  /**
+   * Requeue a failed job from its mesh's Dead Letter Queue (same job ID)
+   * @param {Redis} redis - Redis client
+   * @param {Object} scripts - Lua scripts instance
+   * @param {string} jobId - Job ID
+   * @param {Object} options - Requeue options
+   * @param {boolean} options.resetAttempts - Restart the attempt count at 0
+   * @param {any} options.newPayload - Replacement payload (optional; encoded
+   *   with the job's own compression and size settings)
+   * @param {string} meshId - Job's mesh ID (optional)
+   * @returns {Promise<Object>} Requeue result { jobId, requeued, status, attempt, error }
+   * @throws {BridgeMQError} 1004 PAYLOAD_TOO_LARGE
+   */
+  static async requeueJob(redis, scripts, jobId, options = {}, meshId = null) {
+    const meta = await this.getJobMeta(redis, jobId, meshId);
+
+    if (!meta) {
+      return { jobId, requeued: false, error: 'Job not found' };
+    }
+
+    // Checked before encoding so a blob payload is never replaced under a live job
+    if (meta.status !== 'failed') {
+      return { jobId, requeued: false, status: meta.status };
+    }
+
+    let payload = '';
+    if (options.newPayload !== undefined) {
+      const config = (await this.getJobConfig(redis, jobId, meta.meshId)) || {};
+      payload = await BlobStorage.offloadPayload(
+        redis,
+        jobId,
+        await this.encodePayload(options.newPayload, config),
+      );
+    }
+
+    try {
+      const outcome = await scripts.requeueJob(redis, jobId, meta.meshId, {
+        resetAttempts: options.resetAttempts === true,
+        payload,
+      });
+
+      return { jobId, ...outcome };
+    } catch (error) {
+      throwError(9004, 'STORAGE_WRITE_FAILURE', {
+        message: 'Failed to requeue job',
+        jobId,
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * List jobs with filters
    * @param {Redis} redis - Redis client
@@ -380,26 +811,42 @@ class JobStorage {
     } = filters;
 
     try {
-      // This is a simplified implementation
-      // In production, you'd use more efficient indexing
-      const pattern = `${NS}:job:*:meta`;
-      const keys = await redis.keys(pattern);
-      
-      const jobs = await Promise.all(
-        keys.slice(0, limit).map(async (key) => {
-          const jobId = key.split(':')[3];
-          return this.getJob(redis, jobId);
-        }),
-      );
+      const meshIds = meshId ? [meshId] : await MeshStorage.listMeshIds(redis);
+      const jobs = [];
+
+      for (const id of meshIds) {
+        const indexKey = `${Namespace.mesh(redis, id)}:jobs`;
+        let offset = 0;
+
+        // Walk the index newest-first, one page at a time, until enough jobs match
+        while (jobs.length < limit) {
+          const jobIds = await redis.zrevrange(indexKey, offset, offset + limit - 1);
+
+          if (jobIds.length === 0) {
+            break;
+          }
+
+          offset += jobIds.length;
+
+          const page = await Promise.all(
+            jobIds.map((jobId) => this.getJob(redis, jobId, id)),
+          );
+
+          for (const job of page) {
+            if (jobs.length >= limit) break;
+            if (!job || !job.jobId) continue; // Expired via lifecycle TTL
+            if (type && job.type !== type) continue;
+            if (status && job.status !== status) continue;
+            jobs.push(job);
+          }
+        }
+
+        if (jobs.length >= limit) {
+          break;
+        }
+      }
 
-      // Filter results
-      return jobs.filter((job) => {
-        if (!job) return false;
-        if (meshId && job.meshId !== meshId) return false;
-        if (type && job.type !== type) return false;
-        if (status && job.status !== status) return false;
-        return true;
-      });
+      return jobs;
     } catch (error) {
       throwError(9005, 'STORAGE_READ_FAILURE', {
         message: 'Failed to list jobs',
@@ -413,25 +860,57 @@ class JobStorage {
    * @param {Redis} redis - Redis client
    * @param {Object} scripts - Lua scripts instance
    * @param {Object} server - Server info
-   * @returns {Promise<string|null>} Job ID or null
+   * @param {number} server.lockDurationMs - Lease duration (default 30000)
+   * @returns {Promise<Object|null>} { jobId, lockToken } or null
    */
   static async claimJob(redis, scripts, server) {
     try {
-      const { serverId, meshId, capabilities } = server;
+      const {
+        serverId,
+        meshId,
+        capabilities,
+        lockDurationMs = 30000,
+      } = server;
+      const lockToken = uuidv4();
       
       const jobId = await scripts.claimJob(
         redis,
         serverId,
         meshId,
         capabilities,
+        lockToken,
+        lockDurationMs,
       );
 
-      return jobId;
+      return jobId ? { jobId, lockToken } : null;
     } catch (error) {
       return null;
     }
   }
 
+  /**
+   * Renew the lease on a claimed job (uses Lua script)
+   * @param {Redis} redis - Redis client
+   * @param {Object} scripts - Lua scripts instance
+   * @param {string} jobId - Job ID
+   * @param {string} lockToken - Lease token from claim
+   * @param {number} lockDurationMs - Lease duration
+   * @param {string} meshId - Job's mesh ID (optional)
+   * @returns {Promise<boolean>} True if renewed, false if the lease was lost
+   */
+  static async extendLock(redis, scripts, jobId, lockToken, lockDurationMs, meshId = null) {
+    try {
+      const id = await this.findMesh(redis, jobId, meshId);
+      return id ? await scripts.extendLock(redis, jobId, id, lockToken, lockDurationMs) : false;
+    } catch (error) {
+      throwError(9004, 'STORAGE_WRITE_FAILURE', {
+        message: 'Failed to extend job lock',
+        jobId,
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * Complete a job (uses Lua script)
    * @param {Redis} redis - Redis client
@@ -439,11 +918,22 @@ class JobStorage {
    * @param {string} jobId - Job ID
    * @param {string} serverId - Server ID
    * @param {any} result - Job result
+   * @param {string} lockToken - Lease token from claim
+   * @param {string} meshId - Job's mesh ID (optional)
+   * @param {Object} config - Job config (a chain link's result blob is held
+   *   for the next link)
    * @returns {Promise<Object>} Completion result
    */
-  static async completeJob(redis, scripts, jobId, serverId, result) {
+  static async completeJob(redis, scripts, jobId, serverId, result, lockToken, meshId = null, config = {}) {
     try {
-      return await scripts.completeJob(redis, jobId, serverId, result, 'completed');
+      const id = await this.findMesh(redis, jobId, meshId);
+
+      if (!id) {
+        return { success: false, error: 'Job not found' };
+      }
+
+      const stored = await BlobStorage.offloadResult(redis, jobId, result, this._blobHolder(redis, id, config));
+      return await scripts.completeJob(redis, jobId, id, serverId, stored, 'completed', lockToken);
     } catch (error) {
       throwError(9004, 'STORAGE_WRITE_FAILURE', {
         message: 'Failed to complete job',
@@ -460,11 +950,20 @@ class JobStorage {
    * @param {string} jobId - Job ID
    * @param {string} serverId - Server ID
    * @param {Object} error - Error object
+   * @param {string} lockToken - Lease token from claim
+   * @param {boolean} fatal - Move straight to DLQ without retrying
+   * @param {string} meshId - Job's mesh ID (optional)
    * @returns {Promise<Object>} Retry result
    */
-  static async failJob(redis, scripts, jobId, serverId, error) {
+  static async failJob(redis, scripts, jobId, serverId, error, lockToken, fatal = false, meshId = null) {
     try {
-      return await scripts.retryJob(redis, jobId, serverId, error);
+      const id = await this.findMesh(redis, jobId, meshId);
+
+      if (!id) {
+        return { success: false, error: 'Job not found' };
+      }
+
+      return await scripts.retryJob(redis, jobId, id, serverId, error, lockToken, fatal);
     } catch (err) {
       throwError(9004, 'STORAGE_WRITE_FAILURE', {
         message: 'Failed to fail job',
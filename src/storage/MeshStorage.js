@@ -1,4 +1,5 @@
 const { throwError } = require('../utils/Errors');
+const Namespace = require('../utils/Namespace');
 
 /**
  * MeshStorage - Read-only mesh information access
@@ -10,15 +11,13 @@ const { throwError } = require('../utils/Errors');
  * 
  * FEATURES:
  * - Get mesh metadata and configuration
- * - List all meshes
+ * - List all meshes (via the mesh registry, no keyspace scans)
  * - Internal helpers for member management (used by ServerStorage)
  * 
  * ERROR CODES:
  * - 9005: STORAGE_READ_FAILURE
  */
 
-const NS = 'bridgemq';
-
 class MeshStorage {
   /**
    * Get mesh information
@@ -27,8 +26,10 @@ class MeshStorage {
    * @returns {Promise<Object|null>} Mesh info
    */
   static async getMesh(redis, meshId) {
+    const ns = Namespace.of(redis);
+
     try {
-      const meshKey = `${NS}:mesh:${meshId}`;
+      const meshKey = `${ns}:mesh:${meshId}`;
       const meshInfo = await redis.hgetall(meshKey);
 
       if (!meshInfo || Object.keys(meshInfo).length === 0) {
@@ -36,7 +37,7 @@ class MeshStorage {
       }
 
       // Get member count
-      const meshMembersKey = `${NS}:mesh:${meshId}:members`;
+      const meshMembersKey = `${ns}:mesh:${meshId}:members`;
       const memberCount = await redis.scard(meshMembersKey);
 
       return {
@@ -57,17 +58,10 @@ class MeshStorage {
    */
   static async listMeshes(redis) {
     try {
-      const pattern = `${NS}:mesh:*`;
-      const keys = await redis.keys(pattern);
-
-      // Filter out mesh:*:members keys
-      const meshKeys = keys.filter((key) => !key.includes(':members'));
+      const meshIds = await this.listMeshIds(redis);
 
       const meshes = await Promise.all(
-        meshKeys.map(async (key) => {
-          const meshId = key.split(':')[2];
-          return this.getMesh(redis, meshId);
-        }),
+        meshIds.map((meshId) => this.getMesh(redis, meshId)),
       );
 
       return meshes.filter((mesh) => mesh !== null);
@@ -79,6 +73,21 @@ class MeshStorage {
     }
   }
 
+  /**
+   * List IDs of all known meshes
+   * @param {Redis} redis - Redis client
+   * @returns {Promise<Array<string>>} Mesh IDs
+   */
+  static async listMeshIds(redis) {
+    const ns = Namespace.of(redis);
+
+    try {
+      return await redis.smembers(`${ns}:meshes`);
+    } catch (error) {
+      return [];
+    }
+  }
+
   /**
    * Add member to mesh (INTERNAL - used by ServerStorage)
    * @param {Redis} redis - Redis client
@@ -87,8 +96,10 @@ class MeshStorage {
    * @returns {Promise<void>}
    */
   static async addMember(redis, meshId, serverId) {
+    const ns = Namespace.of(redis);
+
     try {
-      const meshMembersKey = `${NS}:mesh:${meshId}:members`;
+      const meshMembersKey = `${ns}:mesh:${meshId}:members`;
       await redis.sadd(meshMembersKey, serverId);
     } catch (error) {
       console.error(`Failed to add member ${serverId} to mesh ${meshId}:`, error.message);
@@ -103,8 +114,10 @@ class MeshStorage {
    * @returns {Promise<void>}
    */
   static async removeMember(redis, meshId, serverId) {
+    const ns = Namespace.of(redis);
+
     try {
-      const meshMembersKey = `${NS}:mesh:${meshId}:members`;
+      const meshMembersKey = `${ns}:mesh:${meshId}:members`;
       await redis.srem(meshMembersKey, serverId);
     } catch (error) {
       console.error(`Failed to remove member ${serverId} from mesh ${meshId}:`, error.message);
@@ -118,8 +131,10 @@ class MeshStorage {
    * @returns {Promise<Array>} Server IDs
    */
   static async getMembers(redis, meshId) {
+    const ns = Namespace.of(redis);
+
     try {
-      const meshMembersKey = `${NS}:mesh:${meshId}:members`;
+      const meshMembersKey = `${ns}:mesh:${meshId}:members`;
       return await redis.smembers(meshMembersKey);
     } catch (error) {
       return [];
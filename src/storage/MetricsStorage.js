@@ -1,4 +1,5 @@
 const { throwError } = require('../utils/Errors');
+const Namespace = require('../utils/Namespace');
 
 /**
  * MetricsStorage - Metrics collection and aggregation
@@ -9,16 +10,19 @@ const { throwError } = require('../utils/Errors');
  * - Increment counters (created, completed, failed, etc.)
  * - Record processing times
  * - Track failures and success rates
+ * - Bulk creation counters in one round-trip
  * - Get mesh statistics
  * - Time-series metrics for dashboards
+ *
+ * REDIS KEYS (mp = {ns}:{meshId}, see Namespace.mesh):
+ * - {mp}:stats:counters - Hash of counters (also updated by the Lua scripts)
+ * - {mp}:metrics:{metric} - Time series (list) or {metric}:{bucket} counters
  * 
  * ERROR CODES:
  * - 9004: STORAGE_WRITE_FAILURE
  * - 9005: STORAGE_READ_FAILURE
  */
 
-const NS = 'bridgemq';
-
 class MetricsStorage {
   /**
    * Increment a metric counter
@@ -29,8 +33,10 @@ class MetricsStorage {
    * @returns {Promise<void>}
    */
   static async increment(redis, meshId, metric, value = 1) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
-      const statsKey = `${NS}:stats:${meshId}:counters`;
+      const statsKey = `${mp}:stats:counters`;
       await redis.hincrby(statsKey, metric, value);
     } catch (error) {
       // Non-critical, don't throw
@@ -38,6 +44,34 @@ class MetricsStorage {
     }
   }
 
+  /**
+   * Record the outcome of a bulk create in one round-trip
+   * (total:created is counted by createJob.lua for every job it creates)
+   * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh ID
+   * @param {Object} counts - Item counts
+   * @param {number} counts.deduplicated - Items that matched an existing job
+   * @param {number} counts.failed - Items that could not be created
+   * @returns {Promise<void>}
+   */
+  static async recordBulkCreate(redis, meshId, counts) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    try {
+      const statsKey = `${mp}:stats:counters`;
+      const pipeline = redis.pipeline();
+
+      pipeline.hincrby(statsKey, 'total:deduplicated', counts.deduplicated || 0);
+      pipeline.hincrby(statsKey, 'total:create-failed', counts.failed || 0);
+      pipeline.hincrby(statsKey, 'total:bulk-requests', 1);
+
+      await pipeline.exec();
+    } catch (error) {
+      // Non-critical, don't throw
+      console.error('Failed to record bulk create metrics:', error.message);
+    }
+  }
+
   /**
    * Record processing time for a job
    * @param {Redis} redis - Redis client
@@ -47,9 +81,11 @@ class MetricsStorage {
    * @returns {Promise<void>}
    */
   static async recordProcessingTime(redis, meshId, jobId, processingTimeMs) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
       // Store in time-series (simple list for now)
-      const timeSeriesKey = `${NS}:metrics:${meshId}:processing-times`;
+      const timeSeriesKey = `${mp}:metrics:processing-times`;
       
       const entry = JSON.stringify({
         jobId,
@@ -79,11 +115,13 @@ class MetricsStorage {
    * @returns {Promise<void>}
    */
   static async recordFailure(redis, meshId, jobId) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
       await this.increment(redis, meshId, 'total:failed', 1);
 
       // Store in time-series
-      const failuresKey = `${NS}:metrics:${meshId}:failures`;
+      const failuresKey = `${mp}:metrics:failures`;
       
       const entry = JSON.stringify({
         jobId,
@@ -104,8 +142,10 @@ class MetricsStorage {
    * @returns {Promise<Object>} Statistics object
    */
   static async getStats(redis, meshId) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
-      const statsKey = `${NS}:stats:${meshId}:counters`;
+      const statsKey = `${mp}:stats:counters`;
       const counters = await redis.hgetall(statsKey);
 
       // Convert to numbers
@@ -155,8 +195,10 @@ class MetricsStorage {
    * @returns {Promise<Array>} Time-series data
    */
   static async getTimeSeries(redis, meshId, metric, limit = 100) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
-      const timeSeriesKey = `${NS}:metrics:${meshId}:${metric}`;
+      const timeSeriesKey = `${mp}:metrics:${metric}`;
       const entries = await redis.lrange(timeSeriesKey, -limit, -1);
 
       return entries.map((entry) => JSON.parse(entry));
@@ -175,8 +217,10 @@ class MetricsStorage {
    * @returns {Promise<void>}
    */
   static async recordBucket(redis, meshId, metric, bucket, value = 1) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
-      const bucketKey = `${NS}:metrics:${meshId}:${metric}:${bucket}`;
+      const bucketKey = `${mp}:metrics:${metric}:${bucket}`;
       
       await redis.incrby(bucketKey, value);
       
@@ -196,8 +240,10 @@ class MetricsStorage {
    * @returns {Promise<number>} Metric value
    */
   static async getBucket(redis, meshId, metric, bucket) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
-      const bucketKey = `${NS}:metrics:${meshId}:${metric}:${bucket}`;
+      const bucketKey = `${mp}:metrics:${metric}:${bucket}`;
       const value = await redis.get(bucketKey);
       return parseInt(value || 0, 10);
     } catch (error) {
@@ -241,16 +287,29 @@ class MetricsStorage {
    * @returns {Promise<void>}
    */
   static async clearMetrics(redis, meshId) {
-    try {
-      const pattern = `${NS}:metrics:${meshId}:*`;
-      const keys = await redis.keys(pattern);
+    const mp = Namespace.mesh(redis, meshId);
 
-      if (keys.length > 0) {
-        await redis.del(...keys);
+    try {
+      // Bucket names are open-ended, so walk them with SCAN rather than KEYS
+      // (on a cluster SCAN is per node, so walk every primary)
+      const pattern = `${mp}:metrics:*`;
+      const nodes = typeof redis.nodes === 'function' ? redis.nodes('master') : [redis];
+
+      for (const node of nodes) {
+        let cursor = '0';
+
+        do {
+          const [nextCursor, keys] = await node.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+          cursor = nextCursor;
+
+          if (keys.length > 0) {
+            await redis.del(...keys);
+          }
+        } while (cursor !== '0');
       }
 
       // Clear stats
-      const statsKey = `${NS}:stats:${meshId}:counters`;
+      const statsKey = `${mp}:stats:counters`;
       await redis.del(statsKey);
     } catch (error) {
       throwError(9004, 'STORAGE_WRITE_FAILURE', {
@@ -267,15 +326,13 @@ class MetricsStorage {
    * @returns {Promise<Object>} Global stats
    */
   static async getGlobalStats(redis) {
+    const ns = Namespace.of(redis);
+
     try {
-      const pattern = `${NS}:stats:*:counters`;
-      const keys = await redis.keys(pattern);
+      const meshIds = await redis.smembers(`${ns}:meshes`);
 
       const allStats = await Promise.all(
-        keys.map(async (key) => {
-          const meshId = key.split(':')[2];
-          return this.getStats(redis, meshId);
-        }),
+        meshIds.map((meshId) => this.getStats(redis, meshId)),
       );
 
       // Aggregate
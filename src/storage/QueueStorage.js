@@ -1,4 +1,5 @@
 const { throwError } = require('../utils/Errors');
+const Namespace = require('../utils/Namespace');
 
 /**
  * QueueStorage - Queue operations and job movement
@@ -9,16 +10,27 @@ const { throwError } = require('../utils/Errors');
  * - Push/pull jobs to/from priority queues
  * - Delayed job queue management
  * - Dead Letter Queue (DLQ) operations
+ * - Quarantine set reads (jobs that kept crashing workers)
  * - Queue size and info queries
  * - Job movement between queues
+ * - Per-mesh wake list so idle workers block instead of polling
+ * - Per-mesh registry of active queues (read by claimJob.lua)
+ *
+ * REDIS KEYS (mp = {ns}:{meshId}, see Namespace.mesh):
+ * - {mp}:queue:{type}:p{priority} - Sorted set of pending job IDs
+ * - {mp}:queues - Registry of the mesh's queue keys
+ * - {mp}:pending - Pending job index
+ * - {mp}:wake - Wake tokens for blocked workers
+ * - {mp}:delayed - Sorted set of delayed job IDs (score = run at)
+ * - {mp}:active:{serverId} - Hash of the server's active jobs in the mesh
+ * - {mp}:dlq - Dead Letter Queue list
+ * - {mp}:quarantine - Sorted set of quarantined job IDs
  * 
  * ERROR CODES:
  * - 9004: STORAGE_WRITE_FAILURE
  * - 9005: STORAGE_READ_FAILURE
  */
 
-const NS = 'bridgemq';
-
 class QueueStorage {
   /**
    * Push job to pending queue
@@ -31,15 +43,22 @@ class QueueStorage {
    * @returns {Promise<void>}
    */
   static async pushToQueue(redis, meshId, type, priority, jobId, score = null) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
-      const queueKey = `${NS}:queue:${meshId}:${type}:p${priority}`;
+      const queueKey = `${mp}:queue:${type}:p${priority}`;
       const scoreValue = score || Date.now();
       
       await redis.zadd(queueKey, scoreValue, jobId);
 
+      // Register queue so claimers find it without scanning keys
+      await redis.zadd(`${mp}:queues`, priority, queueKey);
+
       // Also add to pending index
-      const pendingKey = `${NS}:pending:${meshId}`;
+      const pendingKey = `${mp}:pending`;
       await redis.zadd(pendingKey, priority, jobId);
+
+      await this.signalWork(redis, meshId, jobId);
     } catch (error) {
       throwError(9004, 'STORAGE_WRITE_FAILURE', {
         message: 'Failed to push to queue',
@@ -52,6 +71,37 @@ class QueueStorage {
     }
   }
 
+  /**
+   * Signal one blocked worker that a job is ready in a mesh
+   * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh ID
+   * @param {string} jobId - Job ID that became ready
+   * @returns {Promise<void>}
+   */
+  static async signalWork(redis, meshId, jobId) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    const wakeKey = `${mp}:wake`;
+    await redis.rpush(wakeKey, jobId);
+    await redis.ltrim(wakeKey, -1000, -1); // Bound tokens nobody consumed
+  }
+
+  /**
+   * Block until a job is signalled for a mesh
+   * @param {Redis} redis - Dedicated Redis connection (BLPOP blocks it)
+   * @param {string} meshId - Mesh ID
+   * @param {number} timeoutMs - Max time to block (rounded up to seconds)
+   * @returns {Promise<boolean>} True if woken by a signal, false on timeout
+   */
+  static async waitForWork(redis, meshId, timeoutMs) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    const wakeKey = `${mp}:wake`;
+    const timeoutSeconds = Math.max(1, Math.ceil(timeoutMs / 1000));
+    const result = await redis.blpop(wakeKey, timeoutSeconds);
+    return result !== null;
+  }
+
   /**
    * Pull job from queue (simple FIFO within priority)
    * @param {Redis} redis - Redis client
@@ -61,8 +111,10 @@ class QueueStorage {
    * @returns {Promise<string|null>} Job ID or null
    */
   static async pullFromQueue(redis, meshId, type, priority) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
-      const queueKey = `${NS}:queue:${meshId}:${type}:p${priority}`;
+      const queueKey = `${mp}:queue:${type}:p${priority}`;
       
       // Get lowest score (oldest job)
       const jobs = await redis.zrange(queueKey, 0, 0);
@@ -77,7 +129,7 @@ class QueueStorage {
       await redis.zrem(queueKey, jobId);
 
       // Remove from pending index
-      const pendingKey = `${NS}:pending:${meshId}`;
+      const pendingKey = `${mp}:pending`;
       await redis.zrem(pendingKey, jobId);
 
       return jobId;
@@ -95,15 +147,17 @@ class QueueStorage {
    * @returns {Promise<void>}
    */
   static async removeFromQueue(redis, meshId, type, jobId) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
       // Try all priorities
       for (let priority = 1; priority <= 10; priority++) {
-        const queueKey = `${NS}:queue:${meshId}:${type}:p${priority}`;
+        const queueKey = `${mp}:queue:${type}:p${priority}`;
         await redis.zrem(queueKey, jobId);
       }
 
       // Remove from pending index
-      const pendingKey = `${NS}:pending:${meshId}`;
+      const pendingKey = `${mp}:pending`;
       await redis.zrem(pendingKey, jobId);
     } catch (error) {
       throwError(9004, 'STORAGE_WRITE_FAILURE', {
@@ -124,11 +178,13 @@ class QueueStorage {
    * @returns {Promise<number>} Queue size
    */
   static async getQueueSize(redis, meshId, type) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
       let totalSize = 0;
 
       for (let priority = 1; priority <= 10; priority++) {
-        const queueKey = `${NS}:queue:${meshId}:${type}:p${priority}`;
+        const queueKey = `${mp}:queue:${type}:p${priority}`;
         const size = await redis.zcard(queueKey);
         totalSize += size;
       }
@@ -142,17 +198,21 @@ class QueueStorage {
   /**
    * Push job to delayed queue
    * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh ID
    * @param {string} jobId - Job ID
    * @param {number} timestamp - Scheduled execution timestamp
    * @returns {Promise<void>}
    */
-  static async pushToDelayed(redis, jobId, timestamp) {
+  static async pushToDelayed(redis, meshId, jobId, timestamp) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
-      const delayedKey = `${NS}:delayed`;
+      const delayedKey = `${mp}:delayed`;
       await redis.zadd(delayedKey, timestamp, jobId);
     } catch (error) {
       throwError(9004, 'STORAGE_WRITE_FAILURE', {
         message: 'Failed to push to delayed queue',
+        meshId,
         jobId,
         timestamp,
         error: error.message,
@@ -163,13 +223,16 @@ class QueueStorage {
   /**
    * Pull ready delayed jobs
    * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh ID
    * @param {number} now - Current timestamp
    * @param {number} limit - Max jobs to pull
    * @returns {Promise<Array>} Job IDs
    */
-  static async pullReadyDelayed(redis, now, limit = 100) {
+  static async pullReadyDelayed(redis, meshId, now, limit = 100) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
-      const delayedKey = `${NS}:delayed`;
+      const delayedKey = `${mp}:delayed`;
       
       // Get jobs with scheduledFor <= now
       const jobIds = await redis.zrangebyscore(delayedKey, 0, now, 'LIMIT', 0, limit);
@@ -193,8 +256,10 @@ class QueueStorage {
    * @returns {Promise<void>}
    */
   static async pushToDLQ(redis, meshId, jobId) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
-      const dlqKey = `${NS}:dlq:${meshId}`;
+      const dlqKey = `${mp}:dlq`;
       await redis.rpush(dlqKey, jobId);
     } catch (error) {
       throwError(9004, 'STORAGE_WRITE_FAILURE', {
@@ -215,25 +280,105 @@ class QueueStorage {
    * @returns {Promise<Array>} Job IDs
    */
   static async listDLQ(redis, meshId, start = 0, end = -1) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
-      const dlqKey = `${NS}:dlq:${meshId}`;
+      const dlqKey = `${mp}:dlq`;
       return await redis.lrange(dlqKey, start, end);
     } catch (error) {
       return [];
     }
   }
 
+  /**
+   * Position of a job in the Dead Letter Queue (LPOS, Redis >= 6.0.6)
+   * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<number>} Index from the oldest failure, -1 if not in the DLQ
+   */
+  static async getDLQPosition(redis, meshId, jobId) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    try {
+      const position = await redis.lpos(`${mp}:dlq`, jobId);
+      return position === null ? -1 : position;
+    } catch (error) {
+      throwError(9005, 'STORAGE_READ_FAILURE', {
+        message: 'Failed to find job in DLQ',
+        jobId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get Dead Letter Queue size
+   * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh ID
+   * @returns {Promise<number>} Jobs in the DLQ
+   */
+  static async getDLQSize(redis, meshId) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    try {
+      return await redis.llen(`${mp}:dlq`);
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Count Dead Letter Queue jobs per job type
+   * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh ID
+   * @param {number} batchSize - Job types read per round-trip (default 500)
+   * @returns {Promise<Object>} { [type]: count } (entries whose job is gone
+   *   count as 'unknown')
+   */
+  static async countDLQByType(redis, meshId, batchSize = 500) {
+    const mp = Namespace.mesh(redis, meshId);
+    const counts = {};
+
+    try {
+      const jobIds = await redis.lrange(`${mp}:dlq`, 0, -1);
+
+      for (let start = 0; start < jobIds.length; start += batchSize) {
+        const pipeline = redis.pipeline();
+
+        for (const jobId of jobIds.slice(start, start + batchSize)) {
+          pipeline.hget(`${mp}:job:${jobId}:meta`, 'type');
+        }
+
+        for (const [, type] of await pipeline.exec()) {
+          const key = type || 'unknown';
+          counts[key] = (counts[key] || 0) + 1;
+        }
+      }
+
+      return counts;
+    } catch (error) {
+      throwError(9005, 'STORAGE_READ_FAILURE', {
+        message: 'Failed to count DLQ jobs',
+        meshId,
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * Remove job from DLQ
    * @param {Redis} redis - Redis client
    * @param {string} meshId - Mesh ID
    * @param {string} jobId - Job ID
-   * @returns {Promise<void>}
+   * @returns {Promise<number>} Entries removed (0 if it was not in the DLQ)
    */
   static async removeFromDLQ(redis, meshId, jobId) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
-      const dlqKey = `${NS}:dlq:${meshId}`;
-      await redis.lrem(dlqKey, 1, jobId);
+      const dlqKey = `${mp}:dlq`;
+      return await redis.lrem(dlqKey, 1, jobId);
     } catch (error) {
       throwError(9004, 'STORAGE_WRITE_FAILURE', {
         message: 'Failed to remove from DLQ',
@@ -244,6 +389,40 @@ class QueueStorage {
     }
   }
 
+  /**
+   * List quarantined jobs, oldest quarantine first
+   * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh ID
+   * @param {number} start - Start index (default 0)
+   * @param {number} end - End index (default -1 for all)
+   * @returns {Promise<Array>} Job IDs
+   */
+  static async listQuarantine(redis, meshId, start = 0, end = -1) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    try {
+      return await redis.zrange(`${mp}:quarantine`, start, end);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Get quarantine size
+   * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh ID
+   * @returns {Promise<number>} Quarantined jobs
+   */
+  static async getQuarantineSize(redis, meshId) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    try {
+      return await redis.zcard(`${mp}:quarantine`);
+    } catch (error) {
+      return 0;
+    }
+  }
+
   /**
    * Get pending count for mesh
    * @param {Redis} redis - Redis client
@@ -251,8 +430,10 @@ class QueueStorage {
    * @returns {Promise<number>} Pending job count
    */
   static async getPendingCount(redis, meshId) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
-      const pendingKey = `${NS}:pending:${meshId}`;
+      const pendingKey = `${mp}:pending`;
       return await redis.zcard(pendingKey);
     } catch (error) {
       return 0;
@@ -260,14 +441,17 @@ class QueueStorage {
   }
 
   /**
-   * Get active count for server
+   * Get active count for server in a mesh
    * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh ID
    * @param {string} serverId - Server ID
    * @returns {Promise<number>} Active job count
    */
-  static async getActiveCount(redis, serverId) {
+  static async getActiveCount(redis, meshId, serverId) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
-      const activeKey = `${NS}:active:${serverId}`;
+      const activeKey = `${mp}:active:${serverId}`;
       return await redis.hlen(activeKey);
     } catch (error) {
       return 0;
@@ -275,13 +459,16 @@ class QueueStorage {
   }
 
   /**
-   * Get delayed count
+   * Get delayed count for mesh
    * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh ID
    * @returns {Promise<number>} Delayed job count
    */
-  static async getDelayedCount(redis) {
+  static async getDelayedCount(redis, meshId) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
-      const delayedKey = `${NS}:delayed`;
+      const delayedKey = `${mp}:delayed`;
       return await redis.zcard(delayedKey);
     } catch (error) {
       return 0;
@@ -293,11 +480,14 @@ class QueueStorage {
    * @param {Redis} redis - Redis client
    * @param {string} jobId - Job ID
    * @param {string} serverId - Server ID
+   * @param {string} meshId - Mesh ID
    * @returns {Promise<void>}
    */
-  static async moveToActive(redis, jobId, serverId) {
+  static async moveToActive(redis, jobId, serverId, meshId) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
-      const activeKey = `${NS}:active:${serverId}`;
+      const activeKey = `${mp}:active:${serverId}`;
       const now = Date.now();
       await redis.hset(activeKey, jobId, now);
     } catch (error) {
@@ -321,9 +511,11 @@ class QueueStorage {
    * @returns {Promise<void>}
    */
   static async moveToPending(redis, jobId, serverId, meshId, type, priority) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
       // Remove from active
-      const activeKey = `${NS}:active:${serverId}`;
+      const activeKey = `${mp}:active:${serverId}`;
       await redis.hdel(activeKey, jobId);
 
       // Add to pending queue
@@ -343,17 +535,20 @@ class QueueStorage {
    * @param {Redis} redis - Redis client
    * @param {string} jobId - Job ID
    * @param {string} serverId - Server ID
+   * @param {string} meshId - Mesh ID
    * @param {number} timestamp - Scheduled timestamp
    * @returns {Promise<void>}
    */
-  static async moveToDelayed(redis, jobId, serverId, timestamp) {
+  static async moveToDelayed(redis, jobId, serverId, meshId, timestamp) {
+    const mp = Namespace.mesh(redis, meshId);
+
     try {
       // Remove from active
-      const activeKey = `${NS}:active:${serverId}`;
+      const activeKey = `${mp}:active:${serverId}`;
       await redis.hdel(activeKey, jobId);
 
       // Add to delayed queue
-      await this.pushToDelayed(redis, jobId, timestamp);
+      await this.pushToDelayed(redis, meshId, jobId, timestamp);
     } catch (error) {
       throwError(9004, 'STORAGE_WRITE_FAILURE', {
         message: 'Failed to move job to delayed',
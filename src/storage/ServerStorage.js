@@ -1,4 +1,5 @@
 const { throwError } = require('../utils/Errors');
+const Namespace = require('../utils/Namespace');
 
 /**
  * ServerStorage - Server registration and mesh management
@@ -15,6 +16,7 @@ const { throwError } = require('../utils/Errors');
  * - Automatic mesh creation on first server registration
  * - Heartbeat management (30s TTL, refreshed periodically)
  * - Capability and stack indexing
+ * - Server and mesh registries (no keyspace scans)
  * - Server status management (online/offline/draining)
  * 
  * ERROR CODES:
@@ -23,8 +25,6 @@ const { throwError } = require('../utils/Errors');
  * - 9005: STORAGE_READ_FAILURE
  */
 
-const NS = 'bridgemq';
-
 class ServerStorage {
   /**
    * Register a server (AUTO-CREATES mesh if it doesn't exist)
@@ -33,6 +33,8 @@ class ServerStorage {
    * @returns {Promise<void>}
    */
   static async registerServer(redis, serverInfo) {
+    const ns = Namespace.of(redis);
+
     const {
       serverId,
       stack,
@@ -56,7 +58,7 @@ class ServerStorage {
       const now = Date.now();
 
       // 1. AUTO-CREATE MESH if it doesn't exist
-      const meshKey = `${NS}:mesh:${meshId}`;
+      const meshKey = `${ns}:mesh:${meshId}`;
       const meshExists = await redis.exists(meshKey);
 
       if (!meshExists) {
@@ -70,8 +72,10 @@ class ServerStorage {
         });
       }
 
+      await redis.sadd(`${ns}:meshes`, meshId);
+
       // 2. Register server
-      const serverKey = `${NS}:server:${serverId}`;
+      const serverKey = `${ns}:server:${serverId}`;
       await redis.hmset(serverKey, {
         serverId,
         stack,
@@ -91,23 +95,26 @@ class ServerStorage {
       // Set TTL for server (30 seconds - refreshed by heartbeat)
       await redis.expire(serverKey, 30);
 
+      // Registry outlives the TTL so stall detection can recover a crashed server's jobs
+      await redis.sadd(`${ns}:servers`, serverId);
+
       // 3. Add server to mesh members
-      const meshMembersKey = `${NS}:mesh:${meshId}:members`;
+      const meshMembersKey = `${ns}:mesh:${meshId}:members`;
       await redis.sadd(meshMembersKey, serverId);
 
       // 4. Update capability index
       for (const capability of capabilities) {
-        const capKey = `${NS}:capability:${capability}`;
+        const capKey = `${ns}:capability:${capability}`;
         await redis.sadd(capKey, serverId);
       }
 
       // 5. Update stack index
-      const stackKey = `${NS}:stack:${stack}`;
+      const stackKey = `${ns}:stack:${stack}`;
       await redis.sadd(stackKey, serverId);
 
       // 6. Update region index if provided
       if (region) {
-        const regionKey = `${NS}:region:${region}`;
+        const regionKey = `${ns}:region:${region}`;
         await redis.sadd(regionKey, serverId);
       }
     } catch (error) {
@@ -126,6 +133,8 @@ class ServerStorage {
    * @returns {Promise<void>}
    */
   static async deregisterServer(redis, serverId) {
+    const ns = Namespace.of(redis);
+
     try {
       // Get server info before deleting
       const serverInfo = await this.getServerInfo(redis, serverId);
@@ -134,37 +143,39 @@ class ServerStorage {
         return;
       }
 
-      // Remove from mesh members
-      const meshIds = JSON.parse(serverInfo.meshIds || '[]');
+      // Remove from mesh members (getServerInfo already parsed the lists)
+      const { meshIds, capabilities } = serverInfo;
       for (const meshId of meshIds) {
-        const meshMembersKey = `${NS}:mesh:${meshId}:members`;
+        const meshMembersKey = `${ns}:mesh:${meshId}:members`;
         await redis.srem(meshMembersKey, serverId);
       }
 
       // Remove from capability indexes
-      const capabilities = JSON.parse(serverInfo.capabilities || '[]');
       for (const capability of capabilities) {
-        const capKey = `${NS}:capability:${capability}`;
+        const capKey = `${ns}:capability:${capability}`;
         await redis.srem(capKey, serverId);
       }
 
       // Remove from stack index
-      const stackKey = `${NS}:stack:${serverInfo.stack}`;
+      const stackKey = `${ns}:stack:${serverInfo.stack}`;
       await redis.srem(stackKey, serverId);
 
       // Remove from region index
       if (serverInfo.region) {
-        const regionKey = `${NS}:region:${serverInfo.region}`;
+        const regionKey = `${ns}:region:${serverInfo.region}`;
         await redis.srem(regionKey, serverId);
       }
 
       // Delete server key
-      const serverKey = `${NS}:server:${serverId}`;
+      const serverKey = `${ns}:server:${serverId}`;
       await redis.del(serverKey);
 
-      // Delete active jobs list
-      const activeKey = `${NS}:active:${serverId}`;
-      await redis.del(activeKey);
+      // Delete active jobs lists (one per mesh)
+      for (const meshId of meshIds) {
+        await redis.del(`${Namespace.mesh(redis, meshId)}:active:${serverId}`);
+      }
+
+      await redis.srem(`${ns}:servers`, serverId);
     } catch (error) {
       throwError(9004, 'STORAGE_WRITE_FAILURE', {
         message: 'Failed to deregister server',
@@ -194,8 +205,10 @@ class ServerStorage {
    * @returns {Promise<void>}
    */
   static async refreshHeartbeat(redis, serverId) {
+    const ns = Namespace.of(redis);
+
     try {
-      const serverKey = `${NS}:server:${serverId}`;
+      const serverKey = `${ns}:server:${serverId}`;
       const now = Date.now();
 
       await redis.hmset(serverKey, {
@@ -204,6 +217,9 @@ class ServerStorage {
 
       // Refresh TTL
       await redis.expire(serverKey, 30);
+
+      // Re-register in case stall detection pruned us while the key had lapsed
+      await redis.sadd(`${ns}:servers`, serverId);
     } catch (error) {
       // Non-critical, don't throw
       console.error(`Failed to refresh heartbeat for server ${serverId}:`, error.message);
@@ -218,8 +234,10 @@ class ServerStorage {
    * @returns {Promise<void>}
    */
   static async setStatus(redis, serverId, status) {
+    const ns = Namespace.of(redis);
+
     try {
-      const serverKey = `${NS}:server:${serverId}`;
+      const serverKey = `${ns}:server:${serverId}`;
       await redis.hset(serverKey, 'status', status);
     } catch (error) {
       throwError(9004, 'STORAGE_WRITE_FAILURE', {
@@ -239,6 +257,8 @@ class ServerStorage {
    * @returns {Promise<void>}
    */
   static async joinMesh(redis, meshInfo, serverId) {
+    const ns = Namespace.of(redis);
+
     const {
       meshId,
       name,
@@ -256,7 +276,7 @@ class ServerStorage {
       const now = Date.now();
 
       // AUTO-CREATE mesh if it doesn't exist
-      const meshKey = `${NS}:mesh:${meshId}`;
+      const meshKey = `${ns}:mesh:${meshId}`;
       const meshExists = await redis.exists(meshKey);
 
       if (!meshExists) {
@@ -269,12 +289,14 @@ class ServerStorage {
         });
       }
 
+      await redis.sadd(`${ns}:meshes`, meshId);
+
       // Add server to mesh members
-      const meshMembersKey = `${NS}:mesh:${meshId}:members`;
+      const meshMembersKey = `${ns}:mesh:${meshId}:members`;
       await redis.sadd(meshMembersKey, serverId);
 
       // Update server's meshIds list
-      const serverKey = `${NS}:server:${serverId}`;
+      const serverKey = `${ns}:server:${serverId}`;
       const serverInfo = await redis.hgetall(serverKey);
       
       if (serverInfo) {
@@ -302,13 +324,15 @@ class ServerStorage {
    * @returns {Promise<void>}
    */
   static async leaveMesh(redis, meshId, serverId) {
+    const ns = Namespace.of(redis);
+
     try {
       // Remove from mesh members
-      const meshMembersKey = `${NS}:mesh:${meshId}:members`;
+      const meshMembersKey = `${ns}:mesh:${meshId}:members`;
       await redis.srem(meshMembersKey, serverId);
 
       // Update server's meshIds list
-      const serverKey = `${NS}:server:${serverId}`;
+      const serverKey = `${ns}:server:${serverId}`;
       const serverInfo = await redis.hgetall(serverKey);
       
       if (serverInfo) {
@@ -333,8 +357,10 @@ class ServerStorage {
    * @returns {Promise<Object|null>} Server info
    */
   static async getServerInfo(redis, serverId) {
+    const ns = Namespace.of(redis);
+
     try {
-      const serverKey = `${NS}:server:${serverId}`;
+      const serverKey = `${ns}:server:${serverId}`;
       const serverInfo = await redis.hgetall(serverKey);
 
       if (!serverInfo || Object.keys(serverInfo).length === 0) {
@@ -358,6 +384,65 @@ class ServerStorage {
     }
   }
 
+  /**
+   * List every registered server ID, including expired servers not yet drained
+   * @param {Redis} redis - Redis client
+   * @returns {Promise<Array<string>>} Server IDs
+   */
+  static async listServerIds(redis) {
+    const ns = Namespace.of(redis);
+
+    try {
+      return await redis.smembers(`${ns}:servers`);
+    } catch (error) {
+      throwError(9005, 'STORAGE_READ_FAILURE', {
+        message: 'Failed to list server IDs',
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Is a server's heartbeat key still present?
+   * @param {Redis} redis - Redis client
+   * @param {string} serverId - Server ID
+   * @returns {Promise<boolean>} True while the server is alive
+   */
+  static async isAlive(redis, serverId) {
+    const ns = Namespace.of(redis);
+
+    try {
+      return await redis.exists(`${ns}:server:${serverId}`) === 1;
+    } catch (error) {
+      throwError(9005, 'STORAGE_READ_FAILURE', {
+        message: 'Failed to check server heartbeat',
+        serverId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Drop a dead server from the server registry once its active jobs are
+   * recovered (StallDetector stops scanning it)
+   * @param {Redis} redis - Redis client
+   * @param {string} serverId - Server ID
+   * @returns {Promise<void>}
+   */
+  static async unregisterServerId(redis, serverId) {
+    const ns = Namespace.of(redis);
+
+    try {
+      await redis.srem(`${ns}:servers`, serverId);
+    } catch (error) {
+      throwError(9004, 'STORAGE_WRITE_FAILURE', {
+        message: 'Failed to unregister server',
+        serverId,
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * List servers in a mesh
    * @param {Redis} redis - Redis client
@@ -365,8 +450,10 @@ class ServerStorage {
    * @returns {Promise<Array>} Server list
    */
   static async listServers(redis, meshId) {
+    const ns = Namespace.of(redis);
+
     try {
-      const meshMembersKey = `${NS}:mesh:${meshId}:members`;
+      const meshMembersKey = `${ns}:mesh:${meshId}:members`;
       const serverIds = await redis.smembers(meshMembersKey);
 
       const servers = await Promise.all(
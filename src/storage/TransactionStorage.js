@@ -0,0 +1,187 @@
+const { throwError } = require('../utils/Errors');
+const Namespace = require('../utils/Namespace');
+
+/**
+ * TransactionStorage - Persisted saga state
+ *
+ * PURPOSE: Keep saga (Transaction) progress in Redis so any node can resume
+ * or compensate a transaction after the process that started it dies
+ *
+ * FEATURES:
+ * - Saga document (status, cursor, per-step forward/compensation jobs)
+ * - Registry of unfinished sagas for TransactionRecovery
+ * - Per-saga advance lock so only one node moves a saga at a time
+ * - Final status of each step job, kept apart from the saga document so it
+ *   can be written without the advance lock and outlives the job
+ *
+ * A saga lives in the mesh of its step jobs (see Transaction).
+ *
+ * REDIS KEYS (mp = {ns}:{meshId}, see Namespace.mesh):
+ * - {mp}:transaction:{transactionId} - Saga state (JSON)
+ * - {mp}:transaction:{transactionId}:lock - Advance lock (token, PX)
+ * - {mp}:transaction:{transactionId}:outcomes - Hash of step job ID -> final status
+ * - {mp}:transactions:active - Set of the mesh's running/compensating transaction IDs
+ *
+ * ERROR CODES:
+ * - 9004: STORAGE_WRITE_FAILURE
+ * - 9005: STORAGE_READ_FAILURE
+ */
+
+class TransactionStorage {
+  /**
+   * Save saga state (and keep the active registry in sync with its status)
+   * @param {Redis} redis - Redis client
+   * @param {Object} transaction - Saga state (with meshId)
+   * @returns {Promise<void>}
+   */
+  static async saveTransaction(redis, transaction) {
+    const mp = Namespace.mesh(redis, transaction.meshId);
+
+    try {
+      const key = `${mp}:transaction:${transaction.transactionId}`;
+      const activeKey = `${mp}:transactions:active`;
+      const active = transaction.status === 'running' || transaction.status === 'compensating';
+      const multi = redis.multi();
+
+      multi.set(key, JSON.stringify({ ...transaction, updatedAt: Date.now() }));
+
+      if (active) {
+        multi.sadd(activeKey, transaction.transactionId);
+      } else {
+        multi.srem(activeKey, transaction.transactionId);
+      }
+
+      await multi.exec();
+    } catch (error) {
+      throwError(9004, 'STORAGE_WRITE_FAILURE', {
+        message: 'Failed to save transaction',
+        transactionId: transaction.transactionId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get saga state
+   * @param {Redis} redis - Redis client
+   * @param {string} transactionId - Transaction ID
+   * @param {string} meshId - Mesh of the saga
+   * @returns {Promise<Object|null>} Saga state
+   */
+  static async getTransaction(redis, transactionId, meshId) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    try {
+      const data = await redis.get(`${mp}:transaction:${transactionId}`);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      throwError(9005, 'STORAGE_READ_FAILURE', {
+        message: 'Failed to get transaction',
+        transactionId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Record a step job's final status
+   * @param {Redis} redis - Redis client
+   * @param {string} transactionId - Transaction ID
+   * @param {string} meshId - Mesh of the saga
+   * @param {string} jobId - Step job ID
+   * @param {string} status - Final status (completed, failed, cancelled)
+   * @returns {Promise<void>}
+   */
+  static async recordStepOutcome(redis, transactionId, meshId, jobId, status) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    try {
+      await redis.hset(`${mp}:transaction:${transactionId}:outcomes`, jobId, status);
+    } catch (error) {
+      throwError(9004, 'STORAGE_WRITE_FAILURE', {
+        message: 'Failed to record transaction step outcome',
+        transactionId,
+        jobId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get a step job's recorded final status
+   * @param {Redis} redis - Redis client
+   * @param {string} transactionId - Transaction ID
+   * @param {string} meshId - Mesh of the saga
+   * @param {string} jobId - Step job ID
+   * @returns {Promise<string|null>} Status, or null if not recorded
+   */
+  static async getStepOutcome(redis, transactionId, meshId, jobId) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    return redis.hget(`${mp}:transaction:${transactionId}:outcomes`, jobId);
+  }
+
+  /**
+   * Get every recorded step job status of a saga
+   * @param {Redis} redis - Redis client
+   * @param {string} transactionId - Transaction ID
+   * @param {string} meshId - Mesh of the saga
+   * @returns {Promise<Object>} Step job ID -> status
+   */
+  static async getStepOutcomes(redis, transactionId, meshId) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    return redis.hgetall(`${mp}:transaction:${transactionId}:outcomes`);
+  }
+
+  /**
+   * List a mesh's unfinished (running or compensating) transaction IDs
+   * @param {Redis} redis - Redis client
+   * @param {string} meshId - Mesh ID
+   * @returns {Promise<string[]>} Transaction IDs
+   */
+  static async listActiveTransactionIds(redis, meshId) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    return redis.smembers(`${mp}:transactions:active`);
+  }
+
+  /**
+   * Try to take the advance lock for a saga
+   * @param {Redis} redis - Redis client
+   * @param {string} transactionId - Transaction ID
+   * @param {string} meshId - Mesh of the saga
+   * @param {string} token - Lock owner token
+   * @param {number} ttlMs - Lock TTL
+   * @returns {Promise<boolean>} True if acquired
+   */
+  static async acquireLock(redis, transactionId, meshId, token, ttlMs) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    const key = `${mp}:transaction:${transactionId}:lock`;
+    const result = await redis.set(key, token, 'PX', ttlMs, 'NX');
+    return result === 'OK';
+  }
+
+  /**
+   * Release the advance lock if still held by token
+   * @param {Redis} redis - Redis client
+   * @param {string} transactionId - Transaction ID
+   * @param {string} meshId - Mesh of the saga
+   * @param {string} token - Lock owner token
+   * @returns {Promise<void>}
+   */
+  static async releaseLock(redis, transactionId, meshId, token) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    const key = `${mp}:transaction:${transactionId}:lock`;
+
+    // Leave a lock that expired and was re-taken by another node alone
+    const owner = await redis.get(key);
+    if (owner === token) {
+      await redis.del(key);
+    }
+  }
+}
+
+module.exports = TransactionStorage;
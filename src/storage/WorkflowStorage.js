@@ -0,0 +1,188 @@
+const { throwError } = require('../utils/Errors');
+const Namespace = require('../utils/Namespace');
+const BlobStorage = require('./BlobStorage');
+
+/**
+ * WorkflowStorage - Persisted workflow (DAG) state
+ *
+ * PURPOSE: Keep workflow definitions and step results in Redis so any
+ * process can report on or continue a workflow by its ID
+ *
+ * FEATURES:
+ * - Workflow header (name, context, creation time)
+ * - Step definitions (jobId, type, dependsOn)
+ * - Step results written by completeJob.lua on step completion
+ * - Status derived from each step's job status
+ *
+ * A workflow lives in the mesh of its steps (see Workflow), next to their jobs.
+ *
+ * REDIS KEYS (mp = {ns}:{meshId}, see Namespace.mesh):
+ * - {mp}:workflow:{workflowId} - Hash: workflowId, name, meshId, context, createdAt
+ * - {mp}:workflow:{workflowId}:steps - Hash: stepId -> JSON { jobId, type, dependsOn }
+ * - {mp}:workflow:{workflowId}:results - Hash: stepId -> result JSON
+ *
+ * ERROR CODES:
+ * - 9004: STORAGE_WRITE_FAILURE
+ * - 9005: STORAGE_READ_FAILURE
+ */
+
+class WorkflowStorage {
+  /**
+   * Persist a workflow definition
+   * @param {Redis} redis - Redis client
+   * @param {Object} workflow - Workflow data
+   * @param {string} workflow.workflowId - Workflow ID
+   * @param {string} workflow.name - Workflow name
+   * @param {string} workflow.meshId - Mesh ID
+   * @param {Object} workflow.context - Shared context passed to every step
+   * @param {Object[]} workflow.steps - Steps { stepId, jobId, type, dependsOn }
+   * @returns {Promise<void>}
+   */
+  static async saveWorkflow(redis, workflow) {
+    const mp = Namespace.mesh(redis, workflow.meshId);
+
+    try {
+      const key = `${mp}:workflow:${workflow.workflowId}`;
+      const multi = redis.multi();
+
+      multi.hmset(key, {
+        workflowId: workflow.workflowId,
+        name: workflow.name,
+        meshId: workflow.meshId,
+        context: JSON.stringify(workflow.context || {}),
+        createdAt: Date.now(),
+      });
+
+      const steps = {};
+      for (const step of workflow.steps) {
+        steps[step.stepId] = JSON.stringify({
+          jobId: step.jobId,
+          type: step.type,
+          dependsOn: step.dependsOn,
+        });
+      }
+
+      multi.hmset(`${key}:steps`, steps);
+
+      await multi.exec();
+    } catch (error) {
+      throwError(9004, 'STORAGE_WRITE_FAILURE', {
+        message: 'Failed to save workflow',
+        workflowId: workflow.workflowId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get a workflow definition
+   * @param {Redis} redis - Redis client
+   * @param {string} workflowId - Workflow ID
+   * @param {string} meshId - Mesh of the workflow's steps
+   * @returns {Promise<Object|null>} Workflow { workflowId, name, meshId, context, createdAt, steps }
+   */
+  static async getWorkflow(redis, workflowId, meshId) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    try {
+      const key = `${mp}:workflow:${workflowId}`;
+      const [header, steps] = await Promise.all([
+        redis.hgetall(key),
+        redis.hgetall(`${key}:steps`),
+      ]);
+
+      if (!header || Object.keys(header).length === 0) {
+        return null;
+      }
+
+      const parsedSteps = {};
+      for (const [stepId, stepJson] of Object.entries(steps || {})) {
+        parsedSteps[stepId] = JSON.parse(stepJson);
+      }
+
+      return {
+        workflowId: header.workflowId,
+        name: header.name,
+        meshId: header.meshId,
+        context: JSON.parse(header.context || '{}'),
+        createdAt: parseInt(header.createdAt, 10),
+        steps: parsedSteps,
+      };
+    } catch (error) {
+      throwError(9005, 'STORAGE_READ_FAILURE', {
+        message: 'Failed to get workflow',
+        workflowId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get results of completed steps
+   * @param {Redis} redis - Redis client
+   * @param {string} workflowId - Workflow ID
+   * @param {string} meshId - Mesh of the workflow's steps
+   * @param {string[]} stepIds - Steps to read (default all)
+   * @returns {Promise<Object>} stepId -> result (completed steps only)
+   */
+  static async getStepResults(redis, workflowId, meshId, stepIds = null) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    try {
+      const key = `${mp}:workflow:${workflowId}:results`;
+      const results = {};
+
+      if (stepIds) {
+        if (stepIds.length === 0) {
+          return results;
+        }
+
+        const values = await redis.hmget(key, ...stepIds);
+        for (const [index, stepId] of stepIds.entries()) {
+          if (values[index] !== null) {
+            results[stepId] = await BlobStorage.resolve(redis, JSON.parse(values[index]));
+          }
+        }
+
+        return results;
+      }
+
+      const all = await redis.hgetall(key);
+      for (const [stepId, resultJson] of Object.entries(all || {})) {
+        results[stepId] = await BlobStorage.resolve(redis, JSON.parse(resultJson));
+      }
+
+      return results;
+    } catch (error) {
+      throwError(9005, 'STORAGE_READ_FAILURE', {
+        message: 'Failed to get workflow step results',
+        workflowId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete a workflow's persisted state (step jobs are left alone)
+   * @param {Redis} redis - Redis client
+   * @param {string} workflowId - Workflow ID
+   * @param {string} meshId - Mesh of the workflow's steps
+   * @returns {Promise<void>}
+   */
+  static async deleteWorkflow(redis, workflowId, meshId) {
+    const mp = Namespace.mesh(redis, meshId);
+
+    try {
+      const key = `${mp}:workflow:${workflowId}`;
+      await redis.del(key, `${key}:steps`, `${key}:results`);
+    } catch (error) {
+      throwError(9004, 'STORAGE_WRITE_FAILURE', {
+        message: 'Failed to delete workflow',
+        workflowId,
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = WorkflowStorage;
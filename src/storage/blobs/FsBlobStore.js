@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const { throwError } = require('../../utils/Errors');
+
+/**
+ * FsBlobStore - Blob store on the local filesystem
+ *
+ * PURPOSE: Keep large payloads and results out of Redis on single-host or
+ * shared-volume (NFS, EFS) deployments
+ *
+ * FEATURES:
+ * - One file per blob under opts.root (key segments become directories)
+ * - Key segments are URI-encoded, so keys cannot escape the root
+ * - Writes go to a temp file and are renamed into place
+ *
+ * BLOB STORE INTERFACE (see storage/BlobStorage):
+ * - put(key, buffer) -> Promise<void>
+ * - get(key) -> Promise<Buffer|null>
+ * - delete(key) -> Promise<void> (missing blobs are not an error)
+ *
+ * ERROR CODES:
+ * - 1002: INVALID_CONFIG - No root directory
+ */
+class FsBlobStore {
+  /**
+   * Create filesystem blob store
+   * @param {Object} opts - Store options
+   * @param {string} opts.root - Directory holding the blobs
+   */
+  constructor(opts = {}) {
+    if (!opts.root || typeof opts.root !== 'string') {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: 'FsBlobStore requires a root directory',
+      });
+    }
+
+    this.root = opts.root;
+  }
+
+  /**
+   * Store a blob
+   * @param {string} key - Blob key ('a/b/c')
+   * @param {Buffer} buffer - Blob body
+   * @returns {Promise<void>}
+   */
+  async put(key, buffer) {
+    const filePath = this._path(key);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, buffer);
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Read a blob
+   * @param {string} key - Blob key
+   * @returns {Promise<Buffer|null>} Blob body, null if missing
+   */
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this._path(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a blob
+   * @param {string} key - Blob key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await fs.promises.rm(this._path(key), { force: true });
+  }
+
+  /**
+   * File path for a key
+   * @private
+   * @param {string} key - Blob key
+   * @returns {string} Absolute file path inside the root
+   */
+  _path(key) {
+    // encodeURIComponent leaves '.' alone, so '.' and '..' are escaped by hand
+    const segments = key.split('/').map((segment) => (
+      /^\.+$/.test(segment) ? '%2E'.repeat(segment.length) : encodeURIComponent(segment)
+    ));
+    return path.join(this.root, ...segments);
+  }
+}
+
+module.exports = FsBlobStore;
@@ -0,0 +1,137 @@
+const { throwError } = require('../../utils/Errors');
+
+/**
+ * S3BlobStore - Blob store on an S3-compatible object store
+ *
+ * PURPOSE: Keep large payloads and results out of Redis in multi-host
+ * deployments (AWS S3, MinIO, R2, or a local stand-in in tests)
+ *
+ * FEATURES:
+ * - Works with any client exposing putObject/getObject/deleteObject that
+ *   take { Bucket, Key[, Body] } and return promises (the aggregated
+ *   @aws-sdk/client-s3 S3 client does; so can a small local stand-in)
+ * - Optional key prefix inside the bucket
+ * - Body read from Buffer, string, Uint8Array, SDK streams
+ *   (transformToByteArray) or any async iterable
+ *
+ * USAGE:
+ * const { S3 } = require('@aws-sdk/client-s3');
+ * const store = new S3BlobStore({ client: new S3({ region: 'eu-west-1' }), bucket: 'jobs' });
+ *
+ * ERROR CODES:
+ * - 1002: INVALID_CONFIG - Missing client or bucket
+ */
+class S3BlobStore {
+  /**
+   * Create S3 blob store
+   * @param {Object} opts - Store options
+   * @param {Object} opts.client - S3-compatible client
+   * @param {string} opts.bucket - Bucket name
+   * @param {string} opts.prefix - Key prefix inside the bucket (optional)
+   */
+  constructor(opts = {}) {
+    const { client } = opts;
+
+    if (!client || ['putObject', 'getObject', 'deleteObject'].some((method) => typeof client[method] !== 'function')) {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: 'S3BlobStore requires a client with putObject, getObject and deleteObject',
+      });
+    }
+
+    if (!opts.bucket) {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: 'S3BlobStore requires a bucket',
+      });
+    }
+
+    this.client = client;
+    this.bucket = opts.bucket;
+    this.prefix = opts.prefix ? `${opts.prefix.replace(/\/+$/, '')}/` : '';
+  }
+
+  /**
+   * Store a blob
+   * @param {string} key - Blob key
+   * @param {Buffer} buffer - Blob body
+   * @returns {Promise<void>}
+   */
+  async put(key, buffer) {
+    await this.client.putObject({
+      Bucket: this.bucket,
+      Key: this.prefix + key,
+      Body: buffer,
+    });
+  }
+
+  /**
+   * Read a blob
+   * @param {string} key - Blob key
+   * @returns {Promise<Buffer|null>} Blob body, null if missing
+   */
+  async get(key) {
+    let response;
+
+    try {
+      response = await this.client.getObject({
+        Bucket: this.bucket,
+        Key: this.prefix + key,
+      });
+    } catch (error) {
+      if (this._isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+
+    return response && response.Body !== undefined && response.Body !== null
+      ? await this._readBody(response.Body)
+      : null;
+  }
+
+  /**
+   * Delete a blob (S3 deletes of missing keys succeed)
+   * @param {string} key - Blob key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.client.deleteObject({
+      Bucket: this.bucket,
+      Key: this.prefix + key,
+    });
+  }
+
+  /**
+   * Is this the store's "no such key" error?
+   * @private
+   * @param {Error} error - Client error
+   * @returns {boolean} True for a missing object
+   */
+  _isNotFound(error) {
+    const status = error.$metadata && error.$metadata.httpStatusCode;
+    return error.name === 'NoSuchKey' || error.code === 'NoSuchKey' || error.name === 'NotFound' || status === 404;
+  }
+
+  /**
+   * Collect a response body into a Buffer
+   * @private
+   * @param {Buffer|Uint8Array|string|Object} body - Response body
+   * @returns {Promise<Buffer>} Body bytes
+   */
+  async _readBody(body) {
+    if (Buffer.isBuffer(body) || body instanceof Uint8Array || typeof body === 'string') {
+      return Buffer.from(body);
+    }
+
+    if (typeof body.transformToByteArray === 'function') {
+      return Buffer.from(await body.transformToByteArray());
+    }
+
+    const chunks = [];
+    for await (const chunk of body) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = S3BlobStore;
@@ -0,0 +1,24 @@
+const FsBlobStore = require('./FsBlobStore');
+const S3BlobStore = require('./S3BlobStore');
+
+/**
+ * Blob Stores - Where offloaded payloads and results live
+ *
+ * PURPOSE: Adapters behind storage/BlobStorage, which decides what to
+ * offload and keeps the references in Redis
+ *
+ * BLOB STORE INTERFACE:
+ * - put(key, buffer) -> Promise<void>
+ * - get(key) -> Promise<Buffer|null> (null if missing)
+ * - delete(key) -> Promise<void> (missing blobs are not an error)
+ *
+ * ADAPTERS:
+ * - FsBlobStore({ root }) - Local or shared filesystem
+ * - S3BlobStore({ client, bucket, prefix }) - S3-compatible object store
+ * Any object implementing the interface can be passed instead.
+ */
+
+module.exports = {
+  FsBlobStore,
+  S3BlobStore,
+};
@@ -0,0 +1,32 @@
+/**
+ * Batch of commands for MemoryDriver.multi()/pipeline()
+ * Command methods (added by MemoryDriver) queue and return the batch;
+ * exec() runs them in order with no other command in between and
+ * resolves [[error, reply], ...]
+ */
+class MemoryBatch {
+  /**
+   * Create batch
+   * @param {MemoryDriver} driver - Connection
+   */
+  constructor(driver) {
+    this.driver = driver;
+    this.queue = [];
+  }
+
+  /**
+   * Run the queued commands
+   * @returns {Promise<Array>} [[error, reply], ...]
+   */
+  async exec() {
+    return this.queue.map(([command, args]) => {
+      try {
+        return [null, this.driver._run(command, args)];
+      } catch (error) {
+        return [error, null];
+      }
+    });
+  }
+}
+
+module.exports = MemoryBatch;
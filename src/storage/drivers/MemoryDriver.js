@@ -0,0 +1,411 @@
+const { EventEmitter } = require('events');
+const MemoryStore = require('./MemoryStore');
+const MemoryBatch = require('./MemoryBatch');
+const luaRuntime = require('../../scripts/runtime');
+
+/**
+ * Flatten ioredis-style arguments (arrays and plain objects become lists)
+ * @param {Array} args - Arguments
+ * @returns {Array} Flat arguments
+ */
+function flatten(args) {
+  const flat = [];
+
+  for (const arg of args) {
+    if (Array.isArray(arg)) {
+      flat.push(...flatten(arg));
+    } else if (arg instanceof Map) {
+      for (const [key, value] of arg) {
+        flat.push(key, value);
+      }
+    } else if (arg !== null && typeof arg === 'object' && !Buffer.isBuffer(arg)) {
+      for (const [key, value] of Object.entries(arg)) {
+        flat.push(key, value);
+      }
+    } else {
+      flat.push(arg);
+    }
+  }
+
+  return flat;
+}
+
+/**
+ * Flat [field, value, ...] reply to an object
+ * @param {Array} reply - Flat reply
+ * @returns {Object} Object
+ */
+function toObject(reply) {
+  const object = {};
+
+  for (let i = 0; i < reply.length; i += 2) {
+    object[reply[i]] = reply[i + 1];
+  }
+
+  return object;
+}
+
+/**
+ * MemoryDriver - ioredis-compatible connection to a MemoryStore
+ *
+ * PURPOSE: Drop-in replacement for the ioredis client the storage layer,
+ * script wrappers, PubSub and Worker use, with no Redis server involved
+ *
+ * FEATURES:
+ * - Promise command methods (get, hset, zadd, ...) with ioredis reply
+ *   shapes (HGETALL -> object, hset/hmset accept objects)
+ * - multi()/pipeline() batches; multi() runs atomically
+ * - SCRIPT LOAD / EVALSHA run the Lua scripts themselves on fengari
+ *   (scripts/runtime), cached by the SHA1 of the source
+ * - subscribe/psubscribe with 'message(Buffer)'/'pmessage(Buffer)' events
+ * - BLPOP on a dedicated duplicate() connection, unblocked by disconnect()
+ *
+ * LOGIC:
+ * 1. Every command runs synchronously against the store, so a script
+ *    (as in Redis) never interleaves with other commands
+ * 2. duplicate() shares the store - it is a second connection, not a copy
+ * 3. Replies are delivered asynchronously, as over a socket
+ *
+ * ERROR CODES: command errors reject like Redis replies
+ * ('NOSCRIPT No matching script', 'WRONGTYPE ...', 'Connection is closed.')
+ */
+class MemoryDriver extends EventEmitter {
+  /**
+   * Create a connection
+   * @param {MemoryStore} store - Store (default: the process-wide store)
+   */
+  constructor(store = MemoryStore.shared()) {
+    super();
+    this.store = store;
+    this.status = 'ready';
+    this.isMemory = true;
+
+    // Subscriptions (this connection only)
+    this.channels = new Set();
+    this.patterns = new Set();
+
+    // Pending BLPOP (cancelled on disconnect)
+    this.blocking = new Set();
+
+    setImmediate(() => this.emit('ready'));
+  }
+
+  /**
+   * Open another connection to the same store
+   * @returns {MemoryDriver} Connection
+   */
+  duplicate() {
+    return new MemoryDriver(this.store);
+  }
+
+  /**
+   * Run a command (the generic entry point behind every command method)
+   * @param {string} command - Command name
+   * @param {...any} args - Arguments (arrays and objects are flattened)
+   * @returns {Promise<any>} Reply
+   */
+  async call(command, ...args) {
+    return this._run(command, flatten(args));
+  }
+
+  /**
+   * Start an atomic batch
+   * @returns {Object} Batch with command methods and exec()
+   */
+  multi() {
+    return new MemoryBatch(this);
+  }
+
+  /**
+   * Start a non-atomic batch (same as multi() here)
+   * @returns {Object} Batch with command methods and exec()
+   */
+  pipeline() {
+    return new MemoryBatch(this);
+  }
+
+  /**
+   * SCRIPT LOAD (other subcommands: EXISTS, FLUSH)
+   * @param {string} subcommand - Subcommand
+   * @param {...string} args - Script sources or SHAs
+   * @returns {Promise<any>} SHA1 for LOAD
+   */
+  async script(subcommand, ...args) {
+    this._checkOpen();
+
+    switch (String(subcommand).toUpperCase()) {
+      case 'LOAD':
+        return luaRuntime.load(String(args[0]));
+      case 'EXISTS':
+        return args.map((sha) => (luaRuntime.exists(sha) ? 1 : 0));
+      case 'FLUSH':
+        return 'OK';
+      default:
+        throw new Error(`ERR unknown SCRIPT subcommand '${subcommand}'`);
+    }
+  }
+
+  /**
+   * EVALSHA - run a loaded script
+   * @param {string} sha - Script SHA1
+   * @param {number} numKeys - Number of keys
+   * @param {...string} args - Keys, then arguments
+   * @returns {Promise<any>} Script reply
+   */
+  async evalsha(sha, numKeys, ...args) {
+    return this._evalsha(sha, numKeys, args);
+  }
+
+  /**
+   * Publish a message
+   * @param {string} channel - Channel
+   * @param {string|Buffer} message - Message
+   * @returns {Promise<number>} Receiving subscriptions
+   */
+  async publish(channel, message) {
+    this._checkOpen();
+    return this.store.publish(String(channel), message);
+  }
+
+  /**
+   * Subscribe to channels
+   * @param {...string} channels - Channels
+   * @returns {Promise<number>} Subscription count
+   */
+  async subscribe(...channels) {
+    this._checkOpen();
+
+    for (const channel of flatten(channels)) {
+      this.channels.add(String(channel));
+      this.emit('subscribe', channel, this._subscriptionCount());
+    }
+
+    this.store.subscribers.add(this);
+    return this._subscriptionCount();
+  }
+
+  /**
+   * Subscribe to channel patterns
+   * @param {...string} patterns - Glob patterns
+   * @returns {Promise<number>} Subscription count
+   */
+  async psubscribe(...patterns) {
+    this._checkOpen();
+
+    for (const pattern of flatten(patterns)) {
+      this.patterns.add(String(pattern));
+      this.emit('psubscribe', pattern, this._subscriptionCount());
+    }
+
+    this.store.subscribers.add(this);
+    return this._subscriptionCount();
+  }
+
+  /**
+   * Unsubscribe from channels (all when none given)
+   * @param {...string} channels - Channels
+   * @returns {Promise<number>} Subscription count
+   */
+  async unsubscribe(...channels) {
+    const targets = channels.length > 0 ? flatten(channels) : [...this.channels];
+    targets.forEach((channel) => this.channels.delete(String(channel)));
+    this._updateSubscriber();
+    return this._subscriptionCount();
+  }
+
+  /**
+   * Unsubscribe from patterns (all when none given)
+   * @param {...string} patterns - Patterns
+   * @returns {Promise<number>} Subscription count
+   */
+  async punsubscribe(...patterns) {
+    const targets = patterns.length > 0 ? flatten(patterns) : [...this.patterns];
+    targets.forEach((pattern) => this.patterns.delete(String(pattern)));
+    this._updateSubscriber();
+    return this._subscriptionCount();
+  }
+
+  /**
+   * Which of this connection's subscriptions match a channel (MemoryStore)
+   * @param {string} channel - Channel
+   * @returns {Object} { channel: boolean, patterns: string[] }
+   */
+  matchSubscriptions(channel) {
+    return {
+      channel: this.channels.has(channel),
+      patterns: [...this.patterns].filter((pattern) => MemoryStore.globMatch(pattern, channel)),
+    };
+  }
+
+  /**
+   * Emit a published message (MemoryStore)
+   * @param {string} channel - Channel
+   * @param {string|Buffer} message - Message
+   * @param {Object} matches - Result of matchSubscriptions()
+   */
+  deliver(channel, message, matches) {
+    if (this.status !== 'ready') {
+      return;
+    }
+
+    const buffer = Buffer.isBuffer(message) ? message : Buffer.from(String(message));
+
+    if (matches.channel) {
+      this.emit('message', channel, buffer.toString());
+      this.emit('messageBuffer', Buffer.from(channel), buffer);
+    }
+
+    for (const pattern of matches.patterns) {
+      this.emit('pmessage', pattern, channel, buffer.toString());
+      this.emit('pmessageBuffer', Buffer.from(pattern), Buffer.from(channel), buffer);
+    }
+  }
+
+  /**
+   * BLPOP key [key ...] timeout
+   * @param {...any} args - Keys, then timeout in seconds (0 = forever)
+   * @returns {Promise<Array|null>} [key, value] or null on timeout
+   */
+  async blpop(...args) {
+    this._checkOpen();
+
+    const flat = flatten(args);
+    const timeoutSeconds = Number(flat.pop());
+    const wait = this.store.waitForListElement(flat.map(String), timeoutSeconds * 1000);
+
+    this.blocking.add(wait);
+
+    try {
+      return await wait.promise;
+    } finally {
+      this.blocking.delete(wait);
+    }
+  }
+
+  /**
+   * PING
+   * @returns {Promise<string>} 'PONG'
+   */
+  async ping() {
+    this._checkOpen();
+    return 'PONG';
+  }
+
+  /**
+   * Close the connection gracefully
+   * @returns {Promise<string>} 'OK'
+   */
+  async quit() {
+    this.disconnect();
+    return 'OK';
+  }
+
+  /**
+   * Close the connection now (pending BLPOP rejects)
+   */
+  disconnect() {
+    if (this.status === 'end') {
+      return;
+    }
+
+    this.status = 'end';
+    this.channels.clear();
+    this.patterns.clear();
+    this.store.subscribers.delete(this);
+
+    for (const wait of this.blocking) {
+      wait.cancel(new Error('Connection is closed.'));
+    }
+
+    setImmediate(() => {
+      this.emit('close');
+      this.emit('end');
+    });
+  }
+
+  /**
+   * Run a command against the store
+   * @private
+   * @param {string} command - Command name
+   * @param {Array} args - Flat arguments
+   * @returns {any} ioredis-shaped reply
+   */
+  _run(command, args) {
+    this._checkOpen();
+
+    const name = String(command).toUpperCase();
+
+    if (name === 'EVALSHA') {
+      const [sha, numKeys, ...rest] = args;
+      return this._evalsha(sha, numKeys, rest);
+    }
+
+    const reply = this.store.call(name, ...args);
+
+    return name === 'HGETALL' ? toObject(reply) : reply;
+  }
+
+  /**
+   * Run a loaded script against the store
+   * @private
+   * @param {string} sha - Script SHA1
+   * @param {number} numKeys - Number of keys
+   * @param {Array} args - Keys, then arguments
+   * @returns {any} Script reply
+   */
+  _evalsha(sha, numKeys, args) {
+    this._checkOpen();
+
+    const count = Number(numKeys);
+    const strings = args.map((arg) => (Buffer.isBuffer(arg) ? arg.toString() : String(arg)));
+
+    return luaRuntime.run(sha, this.store, strings.slice(0, count), strings.slice(count));
+  }
+
+  /**
+   * Drop the store registration once nothing is subscribed
+   * @private
+   */
+  _updateSubscriber() {
+    if (this.channels.size === 0 && this.patterns.size === 0) {
+      this.store.subscribers.delete(this);
+    }
+  }
+
+  /**
+   * Total channel and pattern subscriptions
+   * @private
+   * @returns {number} Count
+   */
+  _subscriptionCount() {
+    return this.channels.size + this.patterns.size;
+  }
+
+  /**
+   * Reject commands on a closed connection
+   * @private
+   */
+  _checkOpen() {
+    if (this.status === 'end') {
+      throw new Error('Connection is closed.');
+    }
+  }
+}
+
+// One method per store command, e.g. driver.zadd(key, score, member)
+for (const command of [...MemoryStore.COMMANDS, 'EVALSHA']) {
+  const method = command.toLowerCase();
+
+  if (!MemoryDriver.prototype[method]) {
+    MemoryDriver.prototype[method] = async function run(...args) {
+      return this._run(command, flatten(args));
+    };
+  }
+
+  MemoryBatch.prototype[method] = function queue(...args) {
+    this.queue.push([command, flatten(args)]);
+    return this;
+  };
+}
+
+module.exports = MemoryDriver;
@@ -0,0 +1,893 @@
+/**
+ * MemoryStore - In-process keyspace with Redis data-type semantics
+ *
+ * PURPOSE: Back the 'memory' storage driver so producers, workers and
+ * background services run in one process without a Redis server
+ *
+ * FEATURES:
+ * - Strings, hashes, sets, sorted sets and lists (WRONGTYPE like Redis)
+ * - Key expiry (EXPIRE/PEXPIRE/SETEX/SET EX|PX), checked lazily on access
+ * - Empty hashes, sets, sorted sets and lists are deleted, as in Redis
+ * - Publish/subscribe bus shared by every connection on the store
+ * - BLPOP waiters woken when a list receives elements
+ *
+ * LOGIC:
+ * 1. call(command, ...args) runs one command synchronously and returns the
+ *    reply Lua's redis.call() would see (flat arrays, null for nil)
+ * 2. Lua scripts (scripts/runtime) call the same method, so a script runs
+ *    atomically - no other command can interleave while it executes
+ * 3. MemoryDriver adapts replies to ioredis conventions (e.g. HGETALL object)
+ *
+ * Values are stored as strings; scores as numbers. Replies follow the Redis
+ * protocol: integers for counts, strings for bulk replies, null for nil.
+ */
+/**
+ * Normalize a command argument (Redis sees every argument as a string)
+ * @param {any} arg - Argument
+ * @returns {string|Buffer} Normalized argument
+ */
+function toArg(arg) {
+  return Buffer.isBuffer(arg) ? arg : String(arg);
+}
+
+/**
+ * Parse an integer argument
+ * @param {string} value - Argument
+ * @returns {number} Integer
+ */
+function toInt(value) {
+  const number = Number(value);
+
+  if (!Number.isInteger(number)) {
+    throw new Error('ERR value is not an integer or out of range');
+  }
+
+  return number;
+}
+
+/**
+ * Parse a score bound ('-inf', '+inf', '(5' exclusive, '5' inclusive)
+ * @param {string} value - Bound
+ * @returns {Object} { value, exclusive }
+ */
+function toBound(value) {
+  const text = String(value);
+  const exclusive = text.startsWith('(');
+  const raw = exclusive ? text.slice(1) : text;
+
+  if (raw === '-inf') {
+    return { value: -Infinity, exclusive };
+  }
+  if (raw === '+inf' || raw === 'inf') {
+    return { value: Infinity, exclusive };
+  }
+
+  return { value: Number(raw), exclusive };
+}
+
+/**
+ * Format a score like Redis does in replies
+ * @param {number} score - Score
+ * @returns {string} Score
+ */
+function formatScore(score) {
+  if (score === Infinity) {
+    return 'inf';
+  }
+  if (score === -Infinity) {
+    return '-inf';
+  }
+  return String(score);
+}
+
+/**
+ * Resolve a Redis start/stop range against a length
+ * @param {number} length - Collection length
+ * @param {string} start - Start index (negative from end)
+ * @param {string} stop - Stop index (inclusive, negative from end)
+ * @returns {Array} [from, to] exclusive end, empty when from >= to
+ */
+function toRange(length, start, stop) {
+  let from = toInt(start);
+  let to = toInt(stop);
+
+  if (from < 0) {
+    from = Math.max(0, length + from);
+  }
+  if (to < 0) {
+    to = length + to;
+  }
+
+  return [from, Math.min(length, to + 1)];
+}
+
+/**
+ * Order of two members with equal scores (by bytes, as in Redis)
+ * @param {string} a - Member
+ * @param {string} b - Member
+ * @returns {number} -1, 0 or 1
+ */
+function compareMembers(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Sorted set members ordered by score, then member
+ * @param {Map} zset - member -> score
+ * @returns {Array} [[member, score], ...]
+ */
+function sortedEntries(zset) {
+  return [...zset.entries()].sort((a, b) => a[1] - b[1] || compareMembers(a[0], b[0]));
+}
+
+/**
+ * Glob match for SCAN/KEYS MATCH and PSUBSCRIBE patterns (* ? [..])
+ * @param {string} pattern - Glob pattern
+ * @param {string} value - Value to test
+ * @returns {boolean} True if matched
+ */
+function globMatch(pattern, value) {
+  const source = pattern.replace(/[.+^${}()|\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 's').test(value);
+}
+
+/**
+ * Set or clear a key's expiry
+ * @param {MemoryStore} store - Store
+ * @param {string} key - Key
+ * @param {number} ms - Milliseconds from now
+ * @returns {number} 1 if the key exists, 0 otherwise
+ */
+function expireIn(store, key, ms) {
+  const entry = store._entry(key);
+
+  if (!entry) {
+    return 0;
+  }
+
+  if (ms <= 0) {
+    store.data.delete(key);
+  } else {
+    entry.expiresAt = Date.now() + ms;
+  }
+
+  return 1;
+}
+
+/**
+ * Remaining time to live in ms (-2 missing, -1 no expiry)
+ * @param {MemoryStore} store - Store
+ * @param {string} key - Key
+ * @returns {number} TTL in milliseconds
+ */
+function pttl(store, key) {
+  const entry = store._entry(key);
+
+  if (!entry) {
+    return -2;
+  }
+
+  return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+}
+
+/**
+ * Range of a sorted set by score
+ * @param {MemoryStore} store - Store
+ * @param {Array} args - [key, min, max, ...options]
+ * @param {boolean} reverse - ZREVRANGEBYSCORE (args are max, min)
+ * @returns {Array} Members (with scores when WITHSCORES)
+ */
+function rangeByScore(store, args, reverse) {
+  const [key, first, second, ...options] = args;
+  const zset = store._read(key, 'zset');
+  const min = toBound(reverse ? second : first);
+  const max = toBound(reverse ? first : second);
+  let withScores = false;
+  let offset = 0;
+  let count = -1;
+
+  for (let i = 0; i < options.length; i += 1) {
+    const option = String(options[i]).toUpperCase();
+    if (option === 'WITHSCORES') {
+      withScores = true;
+    } else if (option === 'LIMIT') {
+      offset = toInt(options[i + 1]);
+      count = toInt(options[i + 2]);
+      i += 2;
+    }
+  }
+
+  if (!zset) {
+    return [];
+  }
+
+  let entries = sortedEntries(zset).filter(([, score]) => (
+    (min.exclusive ? score > min.value : score >= min.value)
+    && (max.exclusive ? score < max.value : score <= max.value)
+  ));
+
+  if (reverse) {
+    entries.reverse();
+  }
+
+  entries = entries.slice(offset, count < 0 ? undefined : offset + count);
+
+  return withScores
+    ? entries.flatMap(([member, score]) => [member, formatScore(score)])
+    : entries.map(([member]) => member);
+}
+
+/**
+ * Range of a sorted set by rank
+ * @param {MemoryStore} store - Store
+ * @param {Array} args - [key, start, stop, WITHSCORES?]
+ * @param {boolean} reverse - ZREVRANGE
+ * @returns {Array} Members (with scores when WITHSCORES)
+ */
+function rangeByRank(store, args, reverse) {
+  const [key, start, stop, option] = args;
+  const zset = store._read(key, 'zset');
+
+  if (!zset) {
+    return [];
+  }
+
+  const entries = sortedEntries(zset);
+  if (reverse) {
+    entries.reverse();
+  }
+
+  const [from, to] = toRange(entries.length, start, stop);
+  const slice = from < to ? entries.slice(from, to) : [];
+
+  return option && String(option).toUpperCase() === 'WITHSCORES'
+    ? slice.flatMap(([member, score]) => [member, formatScore(score)])
+    : slice.map(([member]) => member);
+}
+
+/**
+ * Push elements onto a list
+ * @param {MemoryStore} store - Store
+ * @param {Array} args - [key, ...values]
+ * @param {boolean} left - LPUSH
+ * @returns {number} New length
+ */
+function push(store, args, left) {
+  const [key, ...values] = args;
+  const list = store._write(key, 'list', () => []);
+
+  for (const value of values) {
+    if (left) {
+      list.unshift(value);
+    } else {
+      list.push(value);
+    }
+  }
+
+  const { length } = list;
+  store._serveWaiters(key);
+  return length;
+}
+
+/**
+ * Increment a string counter
+ * @param {MemoryStore} store - Store
+ * @param {string} key - Key
+ * @param {number} by - Increment
+ * @returns {number} New value
+ */
+function incrBy(store, key, by) {
+  const current = store._read(key, 'string');
+  const value = (current === null ? 0 : toInt(current)) + by;
+  const entry = store._entry(key);
+
+  if (entry) {
+    entry.value = String(value);
+  } else {
+    store.data.set(key, { type: 'string', value: String(value), expiresAt: null });
+  }
+
+  return value;
+}
+
+// Command implementations: (store, args) -> reply
+const COMMANDS = {
+  // Connection
+  PING: () => 'PONG',
+
+  // Keys
+  DEL: (store, keys) => keys.filter((key) => store._entry(key) && store.data.delete(key)).length,
+  EXISTS: (store, keys) => keys.filter((key) => store._entry(key)).length,
+  EXPIRE: (store, [key, seconds]) => expireIn(store, key, toInt(seconds) * 1000),
+  PEXPIRE: (store, [key, ms]) => expireIn(store, key, toInt(ms)),
+  PERSIST: (store, [key]) => {
+    const entry = store._entry(key);
+    if (!entry || entry.expiresAt === null) {
+      return 0;
+    }
+    entry.expiresAt = null;
+    return 1;
+  },
+  TTL: (store, [key]) => {
+    const ms = pttl(store, key);
+    return ms < 0 ? ms : Math.round(ms / 1000);
+  },
+  PTTL: (store, [key]) => pttl(store, key),
+  TYPE: (store, [key]) => {
+    const entry = store._entry(key);
+    return entry ? entry.type : 'none';
+  },
+  KEYS: (store, [pattern]) => [...store.data.keys()]
+    .filter((key) => store._entry(key) && globMatch(pattern, key)),
+  SCAN: (store, [, ...options]) => {
+    let pattern = '*';
+    for (let i = 0; i < options.length; i += 2) {
+      if (String(options[i]).toUpperCase() === 'MATCH') {
+        pattern = options[i + 1];
+      }
+    }
+    // A single pass: the whole keyspace is returned with cursor 0
+    return ['0', COMMANDS.KEYS(store, [pattern])];
+  },
+
+  // Strings
+  GET: (store, [key]) => store._read(key, 'string'),
+  SET: (store, [key, value, ...options]) => {
+    let ttlMs = null;
+    let onlyIfMissing = false;
+    let onlyIfExists = false;
+    let keepTtl = false;
+
+    for (let i = 0; i < options.length; i += 1) {
+      const option = String(options[i]).toUpperCase();
+      if (option === 'EX') {
+        ttlMs = toInt(options[i + 1]) * 1000;
+        i += 1;
+      } else if (option === 'PX') {
+        ttlMs = toInt(options[i + 1]);
+        i += 1;
+      } else if (option === 'NX') {
+        onlyIfMissing = true;
+      } else if (option === 'XX') {
+        onlyIfExists = true;
+      } else if (option === 'KEEPTTL') {
+        keepTtl = true;
+      }
+    }
+
+    const existing = store._entry(key);
+    if ((onlyIfMissing && existing) || (onlyIfExists && !existing)) {
+      return null;
+    }
+
+    let expiresAt = null;
+    if (ttlMs !== null) {
+      expiresAt = Date.now() + ttlMs;
+    } else if (keepTtl && existing) {
+      ({ expiresAt } = existing);
+    }
+
+    store.data.set(key, { type: 'string', value, expiresAt });
+    return 'OK';
+  },
+  SETEX: (store, [key, seconds, value]) => COMMANDS.SET(store, [key, value, 'EX', seconds]),
+  INCR: (store, [key]) => incrBy(store, key, 1),
+  INCRBY: (store, [key, by]) => incrBy(store, key, toInt(by)),
+  DECR: (store, [key]) => incrBy(store, key, -1),
+
+  // Hashes
+  HSET: (store, [key, ...pairs]) => {
+    const hash = store._write(key, 'hash', () => new Map());
+    let added = 0;
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (!hash.has(pairs[i])) {
+        added += 1;
+      }
+      hash.set(pairs[i], pairs[i + 1]);
+    }
+    return added;
+  },
+  HMSET: (store, args) => {
+    COMMANDS.HSET(store, args);
+    return 'OK';
+  },
+  HSETNX: (store, [key, field, value]) => {
+    const hash = store._write(key, 'hash', () => new Map());
+    if (hash.has(field)) {
+      return 0;
+    }
+    hash.set(field, value);
+    return 1;
+  },
+  HGET: (store, [key, field]) => {
+    const hash = store._read(key, 'hash');
+    return hash && hash.has(field) ? hash.get(field) : null;
+  },
+  HMGET: (store, [key, ...fields]) => {
+    const hash = store._read(key, 'hash');
+    return fields.map((field) => (hash && hash.has(field) ? hash.get(field) : null));
+  },
+  HGETALL: (store, [key]) => {
+    const hash = store._read(key, 'hash');
+    return hash ? [...hash.entries()].flat() : [];
+  },
+  HKEYS: (store, [key]) => {
+    const hash = store._read(key, 'hash');
+    return hash ? [...hash.keys()] : [];
+  },
+  HEXISTS: (store, [key, field]) => {
+    const hash = store._read(key, 'hash');
+    return hash && hash.has(field) ? 1 : 0;
+  },
+  HDEL: (store, [key, ...fields]) => {
+    const hash = store._read(key, 'hash');
+    if (!hash) {
+      return 0;
+    }
+    const removed = fields.filter((field) => hash.delete(field)).length;
+    store._dropIfEmpty(key, hash);
+    return removed;
+  },
+  HLEN: (store, [key]) => {
+    const hash = store._read(key, 'hash');
+    return hash ? hash.size : 0;
+  },
+  HINCRBY: (store, [key, field, by]) => {
+    const hash = store._write(key, 'hash', () => new Map());
+    const value = (hash.has(field) ? toInt(hash.get(field)) : 0) + toInt(by);
+    hash.set(field, String(value));
+    return value;
+  },
+
+  // Sets
+  SADD: (store, [key, ...members]) => {
+    const set = store._write(key, 'set', () => new Set());
+    const before = set.size;
+    members.forEach((member) => set.add(member));
+    return set.size - before;
+  },
+  SREM: (store, [key, ...members]) => {
+    const set = store._read(key, 'set');
+    if (!set) {
+      return 0;
+    }
+    const removed = members.filter((member) => set.delete(member)).length;
+    store._dropIfEmpty(key, set);
+    return removed;
+  },
+  SMEMBERS: (store, [key]) => {
+    const set = store._read(key, 'set');
+    return set ? [...set] : [];
+  },
+  SISMEMBER: (store, [key, member]) => {
+    const set = store._read(key, 'set');
+    return set && set.has(member) ? 1 : 0;
+  },
+  SCARD: (store, [key]) => {
+    const set = store._read(key, 'set');
+    return set ? set.size : 0;
+  },
+
+  // Sorted sets
+  ZADD: (store, [key, ...args]) => {
+    const flags = new Set();
+    while (args.length > 0 && ['NX', 'XX', 'GT', 'LT', 'CH'].includes(String(args[0]).toUpperCase())) {
+      flags.add(String(args.shift()).toUpperCase());
+    }
+
+    const zset = store._write(key, 'zset', () => new Map());
+    let changed = 0;
+
+    for (let i = 0; i < args.length; i += 2) {
+      const score = toBound(args[i]).value;
+      const member = args[i + 1];
+      const exists = zset.has(member);
+      const current = zset.get(member);
+
+      const skip = (flags.has('NX') && exists) || (flags.has('XX') && !exists)
+        || (exists && flags.has('GT') && score <= current)
+        || (exists && flags.has('LT') && score >= current);
+
+      if (!skip) {
+        if (!exists || (flags.has('CH') && current !== score)) {
+          changed += 1;
+        }
+        zset.set(member, score);
+      }
+    }
+
+    store._dropIfEmpty(key, zset);
+    return changed;
+  },
+  ZINCRBY: (store, [key, by, member]) => {
+    const zset = store._write(key, 'zset', () => new Map());
+    const score = (zset.get(member) || 0) + Number(by);
+    zset.set(member, score);
+    return formatScore(score);
+  },
+  ZREM: (store, [key, ...members]) => {
+    const zset = store._read(key, 'zset');
+    if (!zset) {
+      return 0;
+    }
+    const removed = members.filter((member) => zset.delete(member)).length;
+    store._dropIfEmpty(key, zset);
+    return removed;
+  },
+  ZCARD: (store, [key]) => {
+    const zset = store._read(key, 'zset');
+    return zset ? zset.size : 0;
+  },
+  ZSCORE: (store, [key, member]) => {
+    const zset = store._read(key, 'zset');
+    return zset && zset.has(member) ? formatScore(zset.get(member)) : null;
+  },
+  ZCOUNT: (store, [key, min, max]) => rangeByScore(store, [key, min, max], false).length,
+  ZRANGE: (store, args) => rangeByRank(store, args, false),
+  ZREVRANGE: (store, args) => rangeByRank(store, args, true),
+  ZRANGEBYSCORE: (store, args) => rangeByScore(store, args, false),
+  ZREVRANGEBYSCORE: (store, args) => rangeByScore(store, args, true),
+  ZREMRANGEBYSCORE: (store, [key, min, max]) => {
+    const members = rangeByScore(store, [key, min, max], false);
+    return members.length > 0 ? COMMANDS.ZREM(store, [key, ...members]) : 0;
+  },
+
+  // Lists
+  RPUSH: (store, args) => push(store, args, false),
+  LPUSH: (store, args) => push(store, args, true),
+  LPOP: (store, [key]) => {
+    const popped = store._popFirst([key]);
+    return popped ? popped[1] : null;
+  },
+  RPOP: (store, [key]) => {
+    const list = store._read(key, 'list');
+    if (!list || list.length === 0) {
+      return null;
+    }
+    const value = list.pop();
+    store._dropIfEmpty(key, list);
+    return value;
+  },
+  LLEN: (store, [key]) => {
+    const list = store._read(key, 'list');
+    return list ? list.length : 0;
+  },
+  LINDEX: (store, [key, index]) => {
+    const list = store._read(key, 'list');
+    if (!list) {
+      return null;
+    }
+    const position = toInt(index) < 0 ? list.length + toInt(index) : toInt(index);
+    return position >= 0 && position < list.length ? list[position] : null;
+  },
+  LRANGE: (store, [key, start, stop]) => {
+    const list = store._read(key, 'list');
+    if (!list) {
+      return [];
+    }
+    const [from, to] = toRange(list.length, start, stop);
+    return from < to ? list.slice(from, to) : [];
+  },
+  LSET: (store, [key, index, value]) => {
+    const list = store._read(key, 'list');
+    if (!list) {
+      throw new Error('ERR no such key');
+    }
+    const position = toInt(index) < 0 ? list.length + toInt(index) : toInt(index);
+    if (position < 0 || position >= list.length) {
+      throw new Error('ERR index out of range');
+    }
+    list[position] = String(value);
+    return 'OK';
+  },
+  LPOS: (store, [key, value]) => {
+    const list = store._read(key, 'list');
+    const index = list ? list.indexOf(value) : -1;
+    return index === -1 ? null : index;
+  },
+  LTRIM: (store, [key, start, stop]) => {
+    const list = store._read(key, 'list');
+    if (!list) {
+      return 'OK';
+    }
+    const [from, to] = toRange(list.length, start, stop);
+    const kept = from < to ? list.slice(from, to) : [];
+    list.splice(0, list.length, ...kept);
+    store._dropIfEmpty(key, list);
+    return 'OK';
+  },
+  LREM: (store, [key, count, value]) => {
+    const list = store._read(key, 'list');
+    if (!list) {
+      return 0;
+    }
+
+    const limit = toInt(count);
+    const indexes = [];
+    list.forEach((item, index) => {
+      if (item === value) {
+        indexes.push(index);
+      }
+    });
+
+    let targets = indexes;
+    if (limit > 0) {
+      targets = indexes.slice(0, limit);
+    } else if (limit < 0) {
+      targets = indexes.slice(limit);
+    }
+
+    for (const index of targets.reverse()) {
+      list.splice(index, 1);
+    }
+
+    store._dropIfEmpty(key, list);
+    return targets.length;
+  },
+
+  // Pub/Sub
+  PUBLISH: (store, [channel, message]) => store.publish(channel, message),
+};
+
+class MemoryStore {
+  /**
+   * Create an empty store
+   */
+  constructor() {
+    this.data = new Map();
+
+    // Connections with channel or pattern subscriptions (MemoryDriver)
+    this.subscribers = new Set();
+
+    // key -> [{ resolve }] in arrival order (BLPOP)
+    this.listWaiters = new Map();
+  }
+
+  /**
+   * Store shared by every 'memory' client in this process
+   * @returns {MemoryStore} Process-wide store
+   */
+  static shared() {
+    if (!MemoryStore.instance) {
+      MemoryStore.instance = new MemoryStore();
+    }
+    return MemoryStore.instance;
+  }
+
+  /**
+   * Run one command
+   * @param {string} command - Command name (any case)
+   * @param {...any} args - Command arguments
+   * @returns {any} Redis reply
+   */
+  call(command, ...args) {
+    const name = String(command).toUpperCase();
+    const handler = COMMANDS[name];
+
+    if (!handler) {
+      throw new Error(`ERR unknown command '${command}'`);
+    }
+
+    return handler(this, args.map(toArg));
+  }
+
+  /**
+   * Remove every key (subscriptions and waiters are kept)
+   */
+  flush() {
+    this.data.clear();
+  }
+
+  /**
+   * Publish a message to channel and pattern subscribers
+   * Delivery is asynchronous, as it is over a Redis connection
+   * @param {string} channel - Channel name
+   * @param {string|Buffer} message - Message
+   * @returns {number} Number of receiving subscriptions
+   */
+  publish(channel, message) {
+    let receivers = 0;
+
+    for (const subscriber of this.subscribers) {
+      const matches = subscriber.matchSubscriptions(channel);
+
+      if (matches.channel || matches.patterns.length > 0) {
+        receivers += (matches.channel ? 1 : 0) + matches.patterns.length;
+        setImmediate(() => subscriber.deliver(channel, message, matches));
+      }
+    }
+
+    return receivers;
+  }
+
+  /**
+   * Wait for an element on one of several lists
+   * @param {string[]} keys - List keys, checked in order
+   * @param {number} timeoutMs - Max wait (0 waits forever)
+   * @returns {Object} { promise, cancel(error) } resolving [key, value] or null
+   */
+  waitForListElement(keys, timeoutMs) {
+    let waiter = null;
+    let timer = null;
+
+    const promise = new Promise((resolve, reject) => {
+      waiter = {
+        keys,
+        resolve: (value) => {
+          clearTimeout(timer);
+          this._removeWaiter(waiter);
+          resolve(value);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          this._removeWaiter(waiter);
+          reject(error);
+        },
+      };
+
+      const popped = this._popFirst(keys);
+      if (popped) {
+        resolve(popped);
+        return;
+      }
+
+      for (const key of keys) {
+        if (!this.listWaiters.has(key)) {
+          this.listWaiters.set(key, []);
+        }
+        this.listWaiters.get(key).push(waiter);
+      }
+
+      if (timeoutMs > 0) {
+        timer = setTimeout(() => waiter.resolve(null), timeoutMs);
+      }
+    });
+
+    return {
+      promise,
+      cancel: (error) => waiter.reject(error),
+    };
+  }
+
+  /**
+   * Get a live entry (expired keys are deleted)
+   * @private
+   * @param {string} key - Key
+   * @returns {Object|null} { type, value, expiresAt }
+   */
+  _entry(key) {
+    const entry = this.data.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get a live entry's value, checking its type
+   * @private
+   * @param {string} key - Key
+   * @param {string} type - Expected type
+   * @returns {any|null} Value
+   */
+  _read(key, type) {
+    const entry = this._entry(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Get a value for writing, creating the key if needed
+   * @private
+   * @param {string} key - Key
+   * @param {string} type - Expected type
+   * @param {Function} create - Builds an empty value
+   * @returns {any} Value
+   */
+  _write(key, type, create) {
+    const value = this._read(key, type);
+
+    if (value !== null) {
+      return value;
+    }
+
+    const entry = { type, value: create(), expiresAt: null };
+    this.data.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Delete a container key once it is empty
+   * @private
+   * @param {string} key - Key
+   * @param {Map|Set|Array} value - Container
+   */
+  _dropIfEmpty(key, value) {
+    const size = Array.isArray(value) ? value.length : value.size;
+
+    if (size === 0) {
+      this.data.delete(key);
+    }
+  }
+
+  /**
+   * Hand queued list elements to BLPOP waiters
+   * @private
+   * @param {string} key - List key that received elements
+   */
+  _serveWaiters(key) {
+    const waiters = this.listWaiters.get(key);
+
+    while (waiters && waiters.length > 0) {
+      const popped = this._popFirst([key]);
+      if (!popped) {
+        return;
+      }
+      waiters[0].resolve(popped);
+    }
+  }
+
+  /**
+   * LPOP from the first non-empty list
+   * @private
+   * @param {string[]} keys - List keys
+   * @returns {Array|null} [key, value]
+   */
+  _popFirst(keys) {
+    for (const key of keys) {
+      const list = this._read(key, 'list');
+      if (list && list.length > 0) {
+        const value = list.shift();
+        this._dropIfEmpty(key, list);
+        return [key, value];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Unregister a BLPOP waiter
+   * @private
+   * @param {Object} waiter - Waiter
+   */
+  _removeWaiter(waiter) {
+    for (const key of waiter.keys) {
+      const waiters = this.listWaiters.get(key) || [];
+      const index = waiters.indexOf(waiter);
+
+      if (index !== -1) {
+        waiters.splice(index, 1);
+      }
+      if (waiters.length === 0) {
+        this.listWaiters.delete(key);
+      }
+    }
+  }
+}
+
+MemoryStore.instance = null;
+
+MemoryStore.COMMANDS = Object.keys(COMMANDS);
+MemoryStore.globMatch = globMatch;
+
+module.exports = MemoryStore;
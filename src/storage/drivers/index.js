@@ -0,0 +1,71 @@
+const RedisConnection = require('../../connection/RedisConnection');
+const MemoryStore = require('./MemoryStore');
+const MemoryDriver = require('./MemoryDriver');
+const Namespace = require('../../utils/Namespace');
+const { throwError } = require('../../utils/Errors');
+
+/**
+ * Storage Drivers - Pick the backend behind the storage layer
+ *
+ * PURPOSE: Let JobStorage, QueueStorage, ServerStorage, MeshStorage,
+ * MetricsStorage and the Lua script wrappers run against Redis or
+ * in-process memory without changing them
+ *
+ * DRIVER INTERFACE (the ioredis client subset the storage layer uses):
+ * - Command methods (get, set, hset, hgetall, zadd, lpush, scan, ...)
+ *   resolving ioredis reply shapes
+ * - multi()/pipeline() -> batch with the same methods and exec()
+ * - script('LOAD', source) and evalsha(sha, numKeys, ...keysAndArgs)
+ * - publish/subscribe/psubscribe with 'messageBuffer'/'pmessageBuffer'
+ * - blpop(), duplicate(), quit(), disconnect()
+ *
+ * BACKENDS (config.storage):
+ * - 'redis' (default) - ioredis via RedisConnection(config.redis)
+ * - 'memory' - MemoryDriver on the process-wide MemoryStore, so every
+ *   client in the process shares one data set
+ * - MemoryStore instance - MemoryDriver on that store (isolated data set)
+ * - Driver instance - any object implementing the interface above
+ *
+ * The connected driver is bound to config.redis.keyPrefix (utils/Namespace).
+ *
+ * ERROR CODES:
+ * - 1002: INVALID_CONFIG - Unknown storage backend
+ */
+
+/**
+ * Connect the configured storage driver
+ * @param {string|Object} storage - config.storage (default 'redis')
+ * @param {Object} redisConfig - config.redis (Redis backend options, keyPrefix)
+ * @returns {Promise<Object>} Connected driver, bound to its namespace
+ */
+async function connectDriver(storage = 'redis', redisConfig = {}) {
+  const namespace = Namespace.fromConfig(redisConfig);
+
+  if (storage === 'redis') {
+    const connection = new RedisConnection(redisConfig);
+    await connection.connect();
+    return Namespace.bind(connection.getClient(), namespace);
+  }
+
+  if (storage === 'memory') {
+    return Namespace.bind(new MemoryDriver(MemoryStore.shared()), namespace);
+  }
+
+  if (storage instanceof MemoryStore) {
+    return Namespace.bind(new MemoryDriver(storage), namespace);
+  }
+
+  if (storage && typeof storage.evalsha === 'function' && typeof storage.duplicate === 'function') {
+    return Namespace.bind(storage, namespace);
+  }
+
+  throwError(1002, 'INVALID_CONFIG', {
+    message: `Unknown storage backend: ${storage}`,
+  });
+}
+
+module.exports = {
+  connectDriver,
+  MemoryStore,
+  MemoryDriver,
+};
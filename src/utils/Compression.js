@@ -0,0 +1,109 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { throwError } = require('./Errors');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+
+/**
+ * Compression - Payload compression for stored job data
+ *
+ * PURPOSE: Shrink large serialized payloads before they reach Redis
+ *
+ * FEATURES:
+ * - gzip and brotli (zlib, off the event loop)
+ * - Size threshold: smaller payloads are stored as-is
+ * - Compressed form kept only when it is actually smaller
+ * - Codec marker in the stored string, so readers need no configuration
+ *
+ * STORED FORMAT:
+ * - '<base64>' - uncompressed (what older versions wrote)
+ * - 'gz:<base64>' - gzip
+ * - 'br:<base64>' - brotli
+ * (':' is not a base64 character, so the forms cannot be confused)
+ *
+ * USAGE:
+ * const stored = await Compression.encode(buffer, { codec: 'gzip', thresholdBytes: 1024 });
+ * const buffer = await Compression.decode(stored);
+ *
+ * ERROR CODES:
+ * - 1002: INVALID_CONFIG - Unknown codec
+ */
+
+const CODECS = {
+  gzip: { marker: 'gz', compress: gzip, decompress: gunzip },
+  brotli: { marker: 'br', compress: brotliCompress, decompress: brotliDecompress },
+};
+
+const DEFAULT_THRESHOLD_BYTES = 1024;
+
+class Compression {
+  /**
+   * Encode a buffer for storage, compressing it when configured
+   * @param {Buffer} buffer - Serialized data
+   * @param {Object|string} options - Codec name or options (optional)
+   * @param {string} options.codec - 'gzip' or 'brotli'
+   * @param {number} options.thresholdBytes - Compress from this size (default: 1024)
+   * @returns {Promise<string>} Stored form (see STORED FORMAT)
+   */
+  static async encode(buffer, options) {
+    const { codec, thresholdBytes = DEFAULT_THRESHOLD_BYTES } = typeof options === 'string'
+      ? { codec: options }
+      : options || {};
+
+    if (!codec || codec === 'none') {
+      return buffer.toString('base64');
+    }
+
+    const entry = CODECS[codec];
+    if (!entry) {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: `Unknown compression codec: ${codec}`,
+        codec,
+      });
+    }
+
+    if (buffer.length < thresholdBytes) {
+      return buffer.toString('base64');
+    }
+
+    const compressed = await entry.compress(buffer);
+
+    // Already-compressed data (images, archives) can grow
+    if (compressed.length >= buffer.length) {
+      return buffer.toString('base64');
+    }
+
+    return `${entry.marker}:${compressed.toString('base64')}`;
+  }
+
+  /**
+   * Decode a stored string back to the original buffer
+   * @param {string} stored - Stored form
+   * @returns {Promise<Buffer>} Original data
+   */
+  static async decode(stored) {
+    const separator = stored.indexOf(':');
+
+    if (separator === -1) {
+      return Buffer.from(stored, 'base64');
+    }
+
+    const marker = stored.slice(0, separator);
+    const entry = Object.values(CODECS).find((codec) => codec.marker === marker);
+
+    if (!entry) {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: `Unknown compression marker: ${marker}`,
+      });
+    }
+
+    return await entry.decompress(Buffer.from(stored.slice(separator + 1), 'base64'));
+  }
+}
+
+Compression.CODECS = Object.keys(CODECS);
+
+module.exports = Compression;
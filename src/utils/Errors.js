@@ -15,6 +15,32 @@
  * 9xxx: Storage errors
  */
 
+/**
+ * Known error codes by type
+ */
+const ErrorCodes = {
+  INVALID_PAYLOAD: 1001,
+  INVALID_CONFIG: 1002,
+  INVALID_JOB_TYPE: 1003,
+  PAYLOAD_TOO_LARGE: 1004,
+  JOB_CANCELLED: 2001,
+  JOB_TIMEOUT: 2002,
+  JOB_FAILED: 2003,
+  WAIT_TIMEOUT: 2004,
+  UNRECOVERABLE: 2005,
+  RETRY_AFTER: 2006,
+  JOB_QUARANTINED: 2007,
+  JOB_PARKED: 2008,
+  JOB_LOCK_LOST: 2009,
+  WORKER_CAPABILITY_MISMATCH: 3003,
+  SANDBOX_CRASHED: 3004,
+  CHILD_FAILED: 6001,
+  REDIS_FAILURE: 9001,
+  STORAGE_WRITE_FAILURE: 9004,
+  STORAGE_READ_FAILURE: 9005,
+  EVENT_PUBLISH_FAILURE: 9006,
+};
+
 class BridgeMQError extends Error {
   constructor(code, type, context = {}) {
     super(context.message || type);
@@ -36,11 +62,50 @@ class BridgeMQError extends Error {
   }
 }
 
+/**
+ * Thrown by a handler to skip any remaining attempts: the job goes straight
+ * to the DLQ, whatever its retry config or policies say
+ */
+class UnrecoverableError extends BridgeMQError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} context - Extra context (optional)
+   */
+  constructor(message, context = {}) {
+    super(ErrorCodes.UNRECOVERABLE, 'UNRECOVERABLE', { ...context, message });
+    this.name = 'UnrecoverableError';
+  }
+}
+
+/**
+ * Thrown by a handler to retry after an exact delay (e.g. a Retry-After
+ * header) instead of the backoff; the attempt still counts
+ */
+class RetryAfterError extends BridgeMQError {
+  /**
+   * @param {number} delayMs - Delay before the next attempt
+   * @param {string} message - Error message (optional)
+   * @param {Object} context - Extra context (optional)
+   */
+  constructor(delayMs, message, context = {}) {
+    super(ErrorCodes.RETRY_AFTER, 'RETRY_AFTER', {
+      ...context,
+      message: message || `Retry after ${delayMs}ms`,
+      delayMs,
+    });
+    this.name = 'RetryAfterError';
+    this.retryAfterMs = delayMs;
+  }
+}
+
 function throwError(code, type, context) {
   throw new BridgeMQError(code, type, context);
 }
 
 module.exports = {
+  ErrorCodes,
   BridgeMQError,
+  UnrecoverableError,
+  RetryAfterError,
   throwError,
 };
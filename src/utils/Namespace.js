@@ -0,0 +1,119 @@
+/**
+ * Namespace - Key and channel prefix for one BridgeMQ deployment
+ *
+ * PURPOSE: Let several deployments (staging/production, tenants) share one
+ * Redis by prefixing every key, Lua script key and PubSub channel
+ *
+ * FEATURES:
+ * - Namespace from config.redis.keyPrefix (or config.redis.namespace)
+ * - Mesh key prefix '{ns}:{{meshId}}': a mesh's jobs, queues and indexes
+ *   carry the mesh ID as their Redis Cluster hash tag, so one mesh's Lua
+ *   scripts never CROSSSLOT while different meshes spread across the
+ *   cluster's primaries
+ * - Cross-mesh registries (meshes, servers, mesh membership, blobs) stay
+ *   untagged under the bare namespace
+ * - Bound to a connection, so the storage classes, Lua script wrappers and
+ *   background services read it from the redis argument they already take
+ * - Defaults to 'bridgemq' for connections that were never bound
+ *
+ * USAGE:
+ * const ns = Namespace.fromConfig({ keyPrefix: 'staging' }); // 'staging'
+ * Namespace.bind(redis, ns);
+ * const mp = Namespace.mesh(redis, 'orders'); // 'staging:{orders}'
+ * const key = `${mp}:job:${jobId}:meta`; // 'staging:{orders}:job:...'
+ * const servers = `${Namespace.of(redis)}:servers`; // 'staging:servers'
+ *
+ * ERROR CODES:
+ * - 1002: INVALID_CONFIG - Namespace is not a non-empty string without
+ *   whitespace or braces, or a mesh ID contains braces
+ */
+
+const { throwError } = require('./Errors');
+
+const DEFAULT_NAMESPACE = 'bridgemq';
+
+// connection -> namespace (duplicates must be bound again)
+const bound = new WeakMap();
+
+class Namespace {
+  /**
+   * Namespace from Redis configuration
+   * @param {Object} redisConfig - config.redis
+   * @param {string} redisConfig.keyPrefix - Namespace (trailing ':' optional)
+   * @param {string} redisConfig.namespace - Alias for keyPrefix
+   * @returns {string} Namespace without trailing ':'
+   * @throws {BridgeMQError} 1002 INVALID_CONFIG
+   */
+  static fromConfig(redisConfig = {}) {
+    const prefix = redisConfig.keyPrefix !== undefined
+      ? redisConfig.keyPrefix
+      : redisConfig.namespace;
+
+    let namespace = DEFAULT_NAMESPACE;
+
+    if (prefix !== undefined && prefix !== null) {
+      namespace = typeof prefix === 'string' ? prefix.replace(/:+$/, '') : '';
+
+      // A brace in the namespace would become every key's hash tag
+      if (!namespace || /[\s{}]/.test(namespace)) {
+        throwError(1002, 'INVALID_CONFIG', {
+          message: 'redis.keyPrefix must be a non-empty string without whitespace or braces',
+          keyPrefix: prefix,
+        });
+      }
+    }
+
+    return namespace;
+  }
+
+  /**
+   * Key prefix for one mesh: the namespace plus the mesh ID as hash tag
+   * @param {Object} redis - Redis client or storage driver
+   * @param {string} meshId - Mesh ID
+   * @returns {string} '{ns}:{{meshId}}', e.g. 'bridgemq:{default}'
+   * @throws {BridgeMQError} 1002 INVALID_CONFIG
+   */
+  static mesh(redis, meshId) {
+    if (!meshId || /[{}]/.test(meshId)) {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: 'meshId must be a non-empty string without braces',
+        meshId,
+      });
+    }
+
+    return `${this.of(redis)}:{${meshId}}`;
+  }
+
+  /**
+   * Bind a namespace to a connection
+   * @param {Object} redis - Redis client or storage driver
+   * @param {string} namespace - Namespace
+   * @returns {Object} The same connection
+   */
+  static bind(redis, namespace) {
+    bound.set(redis, namespace);
+    return redis;
+  }
+
+  /**
+   * Namespace bound to a connection
+   * @param {Object} redis - Redis client or storage driver
+   * @returns {string} Namespace ('bridgemq' if unbound)
+   */
+  static of(redis) {
+    return (redis && bound.get(redis)) || DEFAULT_NAMESPACE;
+  }
+
+  /**
+   * Open another connection with the same namespace
+   * @param {Object} redis - Redis client or storage driver
+   * @returns {Object} Duplicate connection
+   */
+  static duplicate(redis) {
+    return this.bind(redis.duplicate(), this.of(redis));
+  }
+}
+
+Namespace.DEFAULT = DEFAULT_NAMESPACE;
+
+module.exports = Namespace;
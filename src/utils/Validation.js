@@ -7,7 +7,7 @@ const { throwError } = require('./Errors');
  * 
  * VALIDATES:
  * - Job type format
- * - Payload structure
+ * - Payload structure and size (maxPayloadBytes)
  * - Config parameters
  * - Priority range
  * - Timeouts
@@ -16,6 +16,7 @@ const { throwError } = require('./Errors');
  * - 1001: INVALID_PAYLOAD
  * - 1002: INVALID_CONFIG
  * - 1003: INVALID_JOB_TYPE
+ * - 1004: PAYLOAD_TOO_LARGE
  */
 class Validation {
   static validateJobType(type) {
@@ -32,16 +33,45 @@ class Validation {
     }
   }
 
-  static validatePayload(payload) {
+  /**
+   * Validate a job payload
+   * @param {any} payload - Payload
+   * @param {Object} options - Validation options (optional)
+   * @param {number} options.maxPayloadBytes - Max serialized size in bytes
+   * @param {number} options.sizeBytes - Serialized size, when the caller already
+   *   encoded it (default: JSON byte length)
+   */
+  static validatePayload(payload, options = {}) {
     if (payload === undefined || payload === null) {
       throwError(1001, 'INVALID_PAYLOAD', { message: 'Payload is required' });
     }
 
+    let json;
     try {
-      JSON.stringify(payload);
+      json = JSON.stringify(payload);
     } catch (error) {
       throwError(1001, 'INVALID_PAYLOAD', { message: 'Payload must be JSON-serializable' });
     }
+
+    const { maxPayloadBytes } = options;
+
+    if (maxPayloadBytes !== undefined && maxPayloadBytes !== null) {
+      if (typeof maxPayloadBytes !== 'number' || maxPayloadBytes <= 0) {
+        throwError(1002, 'INVALID_CONFIG', { message: 'maxPayloadBytes must be a positive number' });
+      }
+
+      const sizeBytes = options.sizeBytes !== undefined
+        ? options.sizeBytes
+        : Buffer.byteLength(json);
+
+      if (sizeBytes > maxPayloadBytes) {
+        throwError(1004, 'PAYLOAD_TOO_LARGE', {
+          message: `Payload is ${sizeBytes} bytes (max ${maxPayloadBytes})`,
+          sizeBytes,
+          maxPayloadBytes,
+        });
+      }
+    }
   }
 
   static validateConfig(config) {
@@ -57,6 +87,12 @@ class Validation {
       }
     }
 
+    if (config.timeoutMs !== undefined) {
+      if (typeof config.timeoutMs !== 'number' || config.timeoutMs <= 0) {
+        throwError(1002, 'INVALID_CONFIG', { message: 'timeoutMs must be a positive number' });
+      }
+    }
+
     if (config.delay !== undefined) {
       if (typeof config.delay !== 'number' || config.delay < 0) {
         throwError(1002, 'INVALID_CONFIG', { message: 'Delay must be a positive number' });
@@ -1,77 +1,284 @@
+const { v4: uuidv4 } = require('uuid');
+const JobStorage = require('../storage/JobStorage');
+const ChainStorage = require('../storage/ChainStorage');
+const { throwError } = require('../utils/Errors');
+
 /**
  * Chain - Job chaining with success/failure handlers
- * 
- * PURPOSE: Chain jobs with conditional execution
- * 
+ *
+ * PURPOSE: Run jobs one after another, each seeing the previous one's outcome
+ *
  * FEATURES:
- * - onSuccess handlers
- * - onFailure handlers
- * - Parent-child relationships
- * - Atomic execution
- * 
+ * - onSuccess links (payload.previousResult = previous link's result)
+ * - onFailure branches (payload.previousError = failed link's error)
+ * - Chain stored in Redis with its first job, advanced by the Lua scripts,
+ *   so it keeps going across process restarts
+ * - Queryable by chain ID
+ *
+ * LOGIC:
+ * 1. execute() assigns job IDs, saves every link (ChainStorage) and creates
+ *    the first link's job
+ * 2. completeJob.lua creates the next link (the chain completes after its
+ *    last link) with a copy of the previous link's result, which becomes
+ *    payload.previousResult when its payload is loaded
+ * 3. When a link fails for good (retryJob/detectStalled move it to the DLQ)
+ *    its onFailure branch is created with a copy of the error, which
+ *    becomes payload.previousError, and the chain fails
+ *
+ * Every payload is serialized by execute() like Client.createJob does
+ * (MessagePack, maxPayloadBytes, compression, blob offload), so the scripts
+ * store it as-is. Blobs of the chain's jobs are held while the chain runs
+ * (see BlobStorage), so Cleaner spares links not created yet and results
+ * the next link still reads. Payloads of links after the first must be objects (they
+ * get previousResult/previousError), and idempotency keys are ignored for
+ * them. Every link and failure branch runs in the first link's mesh, where
+ * the chain is stored.
+ *
  * USAGE:
- * const chain = new Chain(client);
- * chain
+ * const { chainId } = await new Chain(client)
  *   .addJob({ type: 'step1', payload: {...} })
  *   .onSuccess({ type: 'step2', payload: {...} })
  *   .onFailure({ type: 'compensate', payload: {...} })
  *   .execute();
+ * await Chain.getStatus(client, chainId); // from any process
+ *
+ * ERROR CODES:
+ * - 1001: INVALID_PAYLOAD
+ * - 1002: INVALID_CONFIG - A link in another mesh than the first link
+ * - 1004: PAYLOAD_TOO_LARGE - A link payload over maxPayloadBytes
+ * - 9004: STORAGE_WRITE_FAILURE
  */
 class Chain {
-  constructor(client) {
+  /**
+   * Create chain
+   * @param {Object} client - BridgeMQ client instance
+   * @param {Object} options - Chain options
+   * @param {string} options.chainId - Chain ID (default random UUID)
+   * @param {string} options.name - Chain name
+   */
+  constructor(client, options = {}) {
     this.client = client;
+    this.chainId = options.chainId || uuidv4();
+    this.name = options.name || null;
+    this.meshId = null;
     this.steps = [];
   }
 
+  /**
+   * Append a link
+   * @param {Object} jobData - Job creation data (see Client.createJob)
+   * @returns {Chain} this
+   */
   addJob(jobData) {
     this.steps.push({
       type: 'job',
       data: jobData,
-      onSuccess: null,
       onFailure: null,
     });
     return this;
   }
 
+  /**
+   * Append a link that runs once the previous link succeeds
+   * @param {Object} jobData - Job creation data
+   * @returns {Chain} this
+   */
   onSuccess(jobData) {
-    const lastStep = this.steps[this.steps.length - 1];
-    if (lastStep) {
-      lastStep.onSuccess = jobData;
-    }
-    return this;
+    return this.addJob(jobData);
   }
 
+  /**
+   * Set the failure branch for every link added so far that has none
+   * @param {Object} jobData - Job creation data
+   * @returns {Chain} this
+   */
   onFailure(jobData) {
-    const lastStep = this.steps[this.steps.length - 1];
-    if (lastStep) {
-      lastStep.onFailure = jobData;
+    for (const step of this.steps) {
+      if (!step.onFailure) {
+        step.onFailure = jobData;
+      }
     }
     return this;
   }
 
+  /**
+   * Persist the chain and create its first job
+   * @returns {Promise<Object>} { chainId, jobIds } (one pre-assigned job ID per link)
+   */
   async execute() {
-    const jobIds = [];
-    
-    for (const step of this.steps) {
-      const config = { ...step.data.config };
-      
-      if (step.onSuccess) {
-        config.onSuccess = step.onSuccess;
-      }
-      
+    if (this.steps.length === 0) {
+      throwError(1001, 'INVALID_PAYLOAD', {
+        message: 'Chain has no jobs',
+      });
+    }
+
+    const links = [];
+    const failures = {};
+
+    for (const [index, step] of this.steps.entries()) {
+      // The first link is created directly, so any payload is fine there
+      links.push(await this._buildLink(step.data, { chainId: this.chainId, index }, index > 0));
+
       if (step.onFailure) {
-        config.onFailure = step.onFailure;
+        failures[index] = await this._buildLink(step.onFailure, {
+          chainId: this.chainId,
+          index,
+          branch: 'failure',
+        }, true);
       }
+    }
+
+    this.meshId = links[0].meshId;
+
+    // The Lua scripts create each next link in the slot of the job that settled
+    for (const link of [...links, ...Object.values(failures)]) {
+      if (link.meshId !== this.meshId) {
+        throwError(1002, 'INVALID_CONFIG', {
+          message: `Chain link ${link.type} is in mesh ${link.meshId}, the chain in ${this.meshId}`,
+          chainId: this.chainId,
+        });
+      }
+    }
 
-      const jobId = await this.client.createJob({
-        ...step.data,
-        config,
+    await ChainStorage.saveChain(this.client.redis, {
+      chainId: this.chainId,
+      name: this.name,
+      meshId: this.meshId,
+      links,
+      failures,
+    });
+
+    const first = this.steps[0].data;
+
+    await this.client.createJob({
+      ...first,
+      jobId: links[0].jobId,
+      config: {
+        ...first.config,
+        chain: { chainId: this.chainId, index: 0 },
+      },
+    });
+
+    return {
+      chainId: this.chainId,
+      jobIds: links.map((link) => link.jobId),
+    };
+  }
+
+  /**
+   * Get this chain's status
+   * @returns {Promise<Object|null>} See Chain.getStatus
+   */
+  async getStatus() {
+    return Chain.getStatus(this.client, this.chainId, this.meshId || undefined);
+  }
+
+  /**
+   * Get a chain's status by ID (works from any process)
+   * @param {Object} client - BridgeMQ client instance
+   * @param {string} chainId - Chain ID
+   * @param {string} meshId - Mesh of the chain's links (default the client's mesh)
+   * @returns {Promise<Object|null>} { chainId, name, status, current, failedIndex,
+   *   links: [{ index, jobId, type, status }], failure: { jobId, type, status } }
+   */
+  static async getStatus(client, chainId, meshId = client.config.mesh.meshId) {
+    const chain = await ChainStorage.getChain(client.redis, chainId, meshId);
+
+    if (!chain) {
+      return null;
+    }
+
+    const links = [];
+
+    for (const [index, link] of chain.links.entries()) {
+      const meta = await JobStorage.getJobMeta(client.redis, link.jobId, meshId);
+      const passed = index < chain.current
+        || (index === chain.current && chain.status === 'completed');
+
+      // Links are only created once reached; removeOnComplete drops finished ones
+      let status = passed ? 'completed' : 'not-created';
+      if (meta) {
+        ({ status } = meta);
+      }
+
+      links.push({
+        index,
+        jobId: link.jobId,
+        type: link.type,
+        status,
       });
+    }
 
-      jobIds.push(jobId);
+    let failure = null;
+    if (chain.failedIndex !== null && chain.failures[chain.failedIndex]) {
+      const branch = chain.failures[chain.failedIndex];
+      const meta = chain.failureJobId
+        ? await JobStorage.getJobMeta(client.redis, chain.failureJobId, meshId)
+        : null;
+
+      failure = {
+        jobId: branch.jobId,
+        type: branch.type,
+        status: meta ? meta.status : 'completed',
+      };
+    }
+
+    let { status } = chain;
+    const current = links[chain.current];
+    if (status === 'running' && current && current.status === 'cancelled') {
+      status = 'cancelled';
     }
 
-    return jobIds;
+    return {
+      chainId,
+      name: chain.name,
+      status,
+      current: chain.current,
+      failedIndex: chain.failedIndex,
+      createdAt: chain.createdAt,
+      completedAt: chain.completedAt,
+      links,
+      failure,
+    };
+  }
+
+  /**
+   * Build a stored link (what the Lua scripts need to create its job)
+   * @private
+   * @param {Object} jobData - Job creation data
+   * @param {Object} chain - config.chain for the link's job
+   * @param {boolean} stored - Created by the scripts (not the first link)
+   * @returns {Promise<Object>} Link { jobId, type, version, meshId, priority, config,
+   *   payload } (payload serialized by JobStorage.preparePayload; none for the first link)
+   */
+  async _buildLink(jobData, chain, stored) {
+    const { payload } = jobData;
+
+    if (stored && payload !== undefined
+      && (payload === null || typeof payload !== 'object' || Array.isArray(payload))) {
+      throwError(1001, 'INVALID_PAYLOAD', {
+        message: `Chain link ${jobData.type} payload must be an object`,
+        chainId: this.chainId,
+      });
+    }
+
+    const job = this.client._buildJob({
+      ...jobData,
+      idempotency: null,
+      config: { ...jobData.config, chain },
+    });
+
+    return {
+      jobId: job.jobId,
+      type: job.type,
+      version: job.version,
+      meshId: job.meshId,
+      priority: job.config.priority,
+      config: JSON.stringify(job.config),
+      payload: stored
+        ? await JobStorage.preparePayload(this.client.redis, job.jobId, payload || {}, job.config, job.meshId)
+        : undefined,
+    };
   }
 }
 
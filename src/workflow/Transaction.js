@@ -1,52 +1,397 @@
+const { v4: uuidv4 } = require('uuid');
+const JobStorage = require('../storage/JobStorage');
+const TransactionStorage = require('../storage/TransactionStorage');
+const { throwError } = require('../utils/Errors');
+
+// Step job statuses that end a step
+const FINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
 /**
  * Transaction - Distributed transaction management
- * 
+ *
  * PURPOSE: Saga pattern for distributed transactions
- * 
+ *
  * FEATURES:
- * - Saga pattern
- * - Compensation actions
- * - Rollback handling
- * - Failure recovery
+ * - Saga pattern: actions and compensations run as BridgeMQ jobs
+ * - Saga state persisted in Redis (TransactionStorage)
+ * - Rollback: completed actions compensated in reverse order
+ * - Failure recovery: any node can advance a saga (see TransactionRecovery)
+ *
+ * LOGIC:
+ * 1. execute() saves the saga and enqueues the first action
+ * 2. Whenever a saga job settles the Worker records its final status with
+ *    the saga (recordOutcome) and calls Transaction.advance()
+ * 3. advance() (under a per-saga lock) reads step outcomes (live job
+ *    statuses until recorded) and either enqueues the next action, starts
+ *    compensating, or finishes. A step job removed before its outcome was
+ *    recorded is never taken as failed: the saga waits on it
+ * 4. Compensations run one at a time from the last completed action back
+ * 5. Saga jobs carry idempotency keys, so re-running advance() after a
+ *    crash never enqueues the same action twice
+ *
+ * A saga and its action and compensation jobs run in the client's mesh.
+ *
+ * STATUSES:
+ * - running -> completed
+ * - running -> compensating -> compensated (or failed if a compensation fails)
+ *
+ * USAGE:
+ * const { transactionId } = await new Transaction(client)
+ *   .addAction({ type: 'reserve-stock' }, { type: 'release-stock' })
+ *   .addAction({ type: 'charge-card' }, { type: 'refund-card' })
+ *   .execute();
+ * await client.getTransaction(transactionId);
+ *
+ * ERROR CODES:
+ * - 1002: INVALID_CONFIG - An action or compensation in another mesh
  */
 class Transaction {
-  constructor(client) {
+  /**
+   * Create transaction
+   * @param {Object} client - BridgeMQ client instance
+   * @param {Object} options - Transaction options
+   * @param {string} options.transactionId - Transaction ID (default random UUID)
+   */
+  constructor(client, options = {}) {
     this.client = client;
+    this.transactionId = options.transactionId || uuidv4();
+    this.meshId = client.config.mesh.meshId;
     this.actions = [];
   }
 
+  /**
+   * Add an action and its compensation
+   * @param {Object} action - Job creation data for the forward action
+   * @param {Object} compensation - Job creation data that undoes it (optional)
+   * @returns {Transaction} this
+   */
   addAction(action, compensation) {
+    for (const jobData of [action, compensation]) {
+      const config = (jobData && jobData.config) || {};
+
+      if (config.meshId && config.meshId !== this.meshId) {
+        throwError(1002, 'INVALID_CONFIG', {
+          message: `Saga job ${jobData.type} is in mesh ${config.meshId}, the transaction in ${this.meshId}`,
+          transactionId: this.transactionId,
+        });
+      }
+    }
+
     this.actions.push({ action, compensation });
     return this;
   }
 
+  /**
+   * Persist the saga and start its first action
+   * @returns {Promise<Object>} { transactionId, status }
+   */
   async execute() {
-    const executed = [];
-    
+    const now = Date.now();
+
+    await TransactionStorage.saveTransaction(this.client.redis, {
+      transactionId: this.transactionId,
+      meshId: this.meshId,
+      status: 'running',
+      currentStep: 0,
+      compensationStep: -1,
+      failedStep: null,
+      createdAt: now,
+      steps: this.actions.map(({ action, compensation }, index) => ({
+        index,
+        action,
+        compensation: compensation || null,
+        forward: { jobId: null, status: 'pending' },
+        compensate: { jobId: null, status: compensation ? 'pending' : 'none' },
+      })),
+    });
+
+    const transaction = await Transaction.advance(this.client, this.transactionId, this.meshId);
+
+    return {
+      transactionId: this.transactionId,
+      status: transaction ? transaction.status : 'running',
+    };
+  }
+
+  /**
+   * Move a saga forward as far as its jobs allow
+   * Safe to call from any node at any time; returns null if another node
+   * holds the saga's lock
+   * @param {Object} client - BridgeMQ client instance
+   * @param {string} transactionId - Transaction ID
+   * @param {string} meshId - Mesh of the saga (default the client's mesh)
+   * @returns {Promise<Object|null>} Saga state after advancing
+   */
+  static async advance(client, transactionId, meshId = client.config.mesh.meshId) {
+    const { redis } = client;
+    const token = uuidv4();
+
+    if (!await TransactionStorage.acquireLock(redis, transactionId, meshId, token, 30000)) {
+      return null;
+    }
+
     try {
-      for (const { action } of this.actions) {
-        const jobId = await this.client.createJob(action);
-        executed.push(jobId);
+      const transaction = await TransactionStorage.getTransaction(redis, transactionId, meshId);
+
+      if (!transaction) {
+        return null;
+      }
+
+      let changes = await Transaction._nextTransition(client, transaction);
+
+      while (changes) {
+        Object.assign(transaction, changes);
+        await TransactionStorage.saveTransaction(redis, transaction);
+        changes = await Transaction._nextTransition(client, transaction);
       }
 
-      return { success: true, jobIds: executed };
-    } catch (error) {
-      await this._rollback(executed);
-      return { success: false, error: error.message };
+      await TransactionStorage.saveTransaction(redis, transaction);
+      return transaction;
+    } finally {
+      await TransactionStorage.releaseLock(redis, transactionId, meshId, token);
     }
   }
 
-  async _rollback(executed) {
-    for (let i = executed.length - 1; i >= 0; i--) {
-      const compensation = this.actions[i].compensation;
-      if (compensation) {
-        try {
-          await this.client.createJob(compensation);
-        } catch (error) {
-          console.error('Compensation failed:', error);
-        }
+  /**
+   * Get a saga's state with live job statuses (works from any process)
+   * @param {Object} client - BridgeMQ client instance
+   * @param {string} transactionId - Transaction ID
+   * @param {string} meshId - Mesh of the saga (default the client's mesh)
+   * @returns {Promise<Object|null>} { transactionId, status, failedStep, steps }
+   */
+  static async getStatus(client, transactionId, meshId = client.config.mesh.meshId) {
+    const transaction = await TransactionStorage.getTransaction(client.redis, transactionId, meshId);
+
+    if (!transaction) {
+      return null;
+    }
+
+    const outcomes = await TransactionStorage.getStepOutcomes(client.redis, transactionId, meshId);
+    const steps = [];
+
+    /**
+     * Status of a step phase: recorded outcome, else the live job status
+     * @param {Object} state - Phase state { jobId, status }
+     * @returns {Promise<string>} Status
+     */
+    const statusOf = async (state) => {
+      if (!state.jobId) {
+        return state.status;
+      }
+      return outcomes[state.jobId] || Transaction._jobStatus(client.redis, state.jobId, meshId);
+    };
+
+    for (const step of transaction.steps) {
+      steps.push({
+        index: step.index,
+        type: step.action.type,
+        forward: {
+          jobId: step.forward.jobId,
+          status: await statusOf(step.forward),
+        },
+        compensation: {
+          type: step.compensation ? step.compensation.type : null,
+          jobId: step.compensate.jobId,
+          status: await statusOf(step.compensate),
+        },
+      });
+    }
+
+    return {
+      transactionId,
+      status: transaction.status,
+      failedStep: transaction.failedStep,
+      createdAt: transaction.createdAt,
+      updatedAt: transaction.updatedAt,
+      steps,
+    };
+  }
+
+  /**
+   * Work out the saga's next state transition
+   * @private
+   * @param {Object} client - BridgeMQ client instance
+   * @param {Object} transaction - Saga state (step jobs are filled in)
+   * @returns {Promise<Object|null>} Saga fields to change, or null while
+   * the saga waits for a job
+   */
+  static async _nextTransition(client, transaction) {
+    if (transaction.status === 'running') {
+      const step = transaction.steps[transaction.currentStep];
+
+      if (!step) {
+        return { status: 'completed' };
+      }
+
+      const outcome = await Transaction._advanceJob(client, transaction, step, 'forward');
+
+      if (outcome === 'completed') {
+        return { currentStep: transaction.currentStep + 1 };
+      }
+
+      if (outcome === 'failed') {
+        // The failed action never took effect, so it is not compensated
+        step.compensate.status = 'skipped';
+        return {
+          status: 'compensating',
+          failedStep: step.index,
+          compensationStep: step.index - 1,
+        };
+      }
+
+      return null;
+    }
+
+    if (transaction.status === 'compensating') {
+      const step = transaction.steps[transaction.compensationStep];
+
+      if (!step) {
+        return { status: 'compensated' };
+      }
+
+      if (!step.compensation) {
+        step.compensate.status = 'skipped';
+        return { compensationStep: transaction.compensationStep - 1 };
+      }
+
+      const outcome = await Transaction._advanceJob(client, transaction, step, 'compensate');
+
+      if (outcome === 'completed') {
+        return { compensationStep: transaction.compensationStep - 1 };
+      }
+
+      if (outcome === 'failed') {
+        // Needs manual attention - the saga stops here
+        return { status: 'failed' };
       }
     }
+
+    return null;
+  }
+
+  /**
+   * Enqueue a step's job, or read its final status
+   * @private
+   * @param {Object} client - BridgeMQ client instance
+   * @param {Object} transaction - Saga state
+   * @param {Object} step - Saga step (its phase state is updated)
+   * @param {string} phase - 'forward' or 'compensate'
+   * @returns {Promise<string|null>} 'completed', 'failed', or null while pending
+   */
+  static async _advanceJob(client, transaction, step, phase) {
+    const state = step[phase];
+
+    if (!state.jobId) {
+      state.jobId = await Transaction._createStepJob(client, transaction, step, phase);
+      state.status = 'pending';
+      return null;
+    }
+
+    state.status = await Transaction._stepStatus(client.redis, transaction, state.jobId);
+
+    if (state.status === 'completed') {
+      return 'completed';
+    }
+
+    if (state.status === 'failed' || state.status === 'cancelled') {
+      return 'failed';
+    }
+
+    // Still running, or removed before its outcome was recorded ('missing'):
+    // a job that is gone says nothing about what it did, so the saga waits
+    return null;
+  }
+
+  /**
+   * Enqueue an action or compensation job
+   * @private
+   * @param {Object} client - BridgeMQ client instance
+   * @param {Object} transaction - Saga state
+   * @param {Object} step - Saga step
+   * @param {string} phase - 'forward' or 'compensate'
+   * @returns {Promise<string>} Job ID
+   */
+  static async _createStepJob(client, transaction, step, phase) {
+    const jobData = phase === 'forward' ? step.action : step.compensation;
+    const config = jobData.config || {};
+    const saga = {
+      transactionId: transaction.transactionId,
+      step: step.index,
+      phase,
+    };
+
+    return client.createJob({
+      ...jobData,
+      payload: {
+        ...jobData.payload,
+        _transaction: saga,
+      },
+      // Same key on every attempt: a retried advance() returns the existing job
+      idempotency: {
+        key: `transaction:${transaction.transactionId}:${step.index}:${phase}`,
+      },
+      config: {
+        ...config,
+        transaction: saga,
+        idempotency: { window: 7 * 24 * 3600 },
+        // Job status is the saga's source of truth, so keep finished jobs
+        behavior: { ...config.behavior, removeOnComplete: false },
+      },
+    });
+  }
+
+  /**
+   * Record a step job's final status with its saga, so the saga can still
+   * move on after the job itself is removed (cleanup, TTL)
+   * Called by the Worker whenever a saga job settles; a job that will be
+   * retried (or is no longer this worker's) is not final and not recorded
+   * @param {Object} client - BridgeMQ client instance
+   * @param {string} transactionId - Transaction ID
+   * @param {string} jobId - Step job ID
+   * @param {string} meshId - Mesh of the saga (default the client's mesh)
+   * @returns {Promise<string|null>} Recorded status
+   */
+  static async recordOutcome(client, transactionId, jobId, meshId = client.config.mesh.meshId) {
+    const status = await Transaction._jobStatus(client.redis, jobId, meshId);
+
+    if (!FINAL_STATUSES.has(status)) {
+      return null;
+    }
+
+    await TransactionStorage.recordStepOutcome(client.redis, transactionId, meshId, jobId, status);
+    return status;
+  }
+
+  /**
+   * A step job's status: its recorded outcome, else the job's live status
+   * @private
+   * @param {Redis} redis - Redis client
+   * @param {Object} transaction - Saga state
+   * @param {string} jobId - Step job ID
+   * @returns {Promise<string>} Status ('missing' if neither exists)
+   */
+  static async _stepStatus(redis, transaction, jobId) {
+    const outcome = await TransactionStorage.getStepOutcome(
+      redis,
+      transaction.transactionId,
+      transaction.meshId,
+      jobId,
+    );
+
+    return outcome || Transaction._jobStatus(redis, jobId, transaction.meshId);
+  }
+
+  /**
+   * Read a job's status ('missing' if it no longer exists)
+   * @private
+   * @param {Redis} redis - Redis client
+   * @param {string} jobId - Job ID
+   * @param {string} meshId - Mesh of the saga
+   * @returns {Promise<string>} Status
+   */
+  static async _jobStatus(redis, jobId, meshId) {
+    const meta = await JobStorage.getJobMeta(redis, jobId, meshId);
+    return meta ? meta.status : 'missing';
   }
 }
 
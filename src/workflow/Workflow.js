@@ -1,81 +1,263 @@
+const { v4: uuidv4 } = require('uuid');
+const DependencyGraph = require('./DependencyGraph');
+const JobStorage = require('../storage/JobStorage');
+const WorkflowStorage = require('../storage/WorkflowStorage');
+const { throwError } = require('../utils/Errors');
+
 /**
  * Workflow - Multi-step workflow orchestration
- * 
- * PURPOSE: Manage complex multi-step workflows
- * 
+ *
+ * PURPOSE: Manage complex multi-step workflows as a durable DAG
+ *
  * FEATURES:
- * - Step management
- * - State tracking
- * - Failure handling
- * - Parallel execution
- * 
+ * - Step management with dependsOn ordering
+ * - Cycle and unknown-dependency detection (DependencyGraph)
+ * - State persisted in Redis (WorkflowStorage), queryable by workflow ID
+ * - Upstream results passed to downstream steps (payload._workflow.results)
+ * - Parallel execution of independent steps
+ *
+ * LOGIC:
+ * 1. execute() validates the graph and assigns a job ID to every step
+ * 2. Workflow definition is saved, then all step jobs are created in one
+ *    round-trip; steps with dependencies wait (config.dependencies.waitFor)
+ * 3. completeJob.lua records each step's result and releases its dependents
+ * 4. The Worker injects dependency results before running a step
+ * 5. A step that fails for good (DLQ) cancels every step downstream of it
+ *    (status 'cancelled', cancelReason 'dependency_failed'), so the
+ *    workflow ends 'failed' instead of waiting forever
+ *
  * USAGE:
  * const workflow = new Workflow(client, 'order-workflow');
  * workflow
  *   .addStep('validate', { type: 'validate-order' })
- *   .addStep('charge', { type: 'charge-card', waitFor: ['validate'] })
- *   .addStep('ship', { type: 'ship-order', waitFor: ['charge'] })
- *   .execute({ orderId: '123' });
+ *   .addStep('charge', { type: 'charge-card' }, { dependsOn: ['validate'] })
+ *   .addStep('ship', { type: 'ship-order' }, { dependsOn: ['charge'] });
+ * const { workflowId } = await workflow.execute({ orderId: '123' });
+ * await Workflow.getStatus(client, workflowId); // from any process
+ *
+ * A workflow and its steps run in the client's mesh: step results and the
+ * waitFor dependencies between steps are kept next to the step jobs.
+ *
+ * ERROR CODES:
+ * - 1002: INVALID_CONFIG - Unknown dependency, cycle, or a step in another mesh
+ * - 9004: STORAGE_WRITE_FAILURE
  */
 class Workflow {
-  constructor(client, name) {
+  /**
+   * Create workflow
+   * @param {Object} client - BridgeMQ client instance
+   * @param {string} name - Workflow name
+   * @param {Object} options - Workflow options
+   * @param {string} options.workflowId - Workflow ID (default random UUID)
+   */
+  constructor(client, name, options = {}) {
     this.client = client;
     this.name = name;
+    this.workflowId = options.workflowId || uuidv4();
     this.steps = new Map();
   }
 
-  addStep(stepId, jobData) {
+  /**
+   * Add a step
+   * @param {string} stepId - Step ID (unique within the workflow)
+   * @param {Object} jobData - Job creation data (see Client.createJob)
+   * @param {Object} options - Step options
+   * @param {string[]} options.dependsOn - Step IDs that must complete first
+   * @returns {Workflow} this
+   */
+  addStep(stepId, jobData, options = {}) {
     this.steps.set(stepId, {
       stepId,
       jobData,
-      status: 'pending',
+      dependsOn: options.dependsOn || jobData.waitFor || [],
       jobId: null,
     });
     return this;
   }
 
+  /**
+   * Persist the workflow and create its step jobs
+   * @param {Object} context - Shared context passed to every step
+   * @returns {Promise<Object>} { workflowId, steps: stepId -> jobId }
+   */
   async execute(context = {}) {
-    const jobIds = {};
+    const graph = new DependencyGraph();
+
+    const { meshId } = this.client.config.mesh;
 
     for (const [stepId, step] of this.steps) {
-      const payload = {
-        ...step.jobData.payload,
-        _workflow: {
-          name: this.name,
+      graph.addNode(stepId);
+
+      const config = step.jobData.config || {};
+      if (config.meshId && config.meshId !== meshId) {
+        throwError(1002, 'INVALID_CONFIG', {
+          message: `Step ${stepId} is in mesh ${config.meshId}, the workflow in ${meshId}`,
+        });
+      }
+
+      for (const dependency of step.dependsOn) {
+        if (!this.steps.has(dependency)) {
+          throwError(1002, 'INVALID_CONFIG', {
+            message: `Step ${stepId} depends on unknown step ${dependency}`,
+          });
+        }
+
+        graph.addEdge(dependency, stepId);
+      }
+    }
+
+    if (graph.hasCycle()) {
+      throwError(1002, 'INVALID_CONFIG', {
+        message: `Workflow ${this.name} has a dependency cycle`,
+      });
+    }
+
+    // Dependencies first, so every waitFor names an already-created job
+    const order = graph.topologicalSort();
+
+    for (const stepId of order) {
+      this.steps.get(stepId).jobId = uuidv4();
+    }
+
+    await WorkflowStorage.saveWorkflow(this.client.redis, {
+      workflowId: this.workflowId,
+      name: this.name,
+      meshId,
+      context,
+      steps: order.map((stepId) => {
+        const step = this.steps.get(stepId);
+        return {
           stepId,
-          context,
-        },
-      };
+          jobId: step.jobId,
+          type: step.jobData.type,
+          dependsOn: step.dependsOn,
+        };
+      }),
+    });
+
+    const jobs = order.map((stepId) => this._buildStepJob(this.steps.get(stepId), context));
+    const results = await this.client.createJobs(jobs);
+    const failed = results.find((result) => result.error);
 
-      const jobId = await this.client.createJob({
-        ...step.jobData,
-        payload,
+    if (failed) {
+      throwError(9004, 'STORAGE_WRITE_FAILURE', {
+        message: `Failed to create workflow step ${order[failed.index]}`,
+        workflowId: this.workflowId,
+        error: failed.error,
       });
+    }
 
-      step.jobId = jobId;
-      step.status = 'created';
-      jobIds[stepId] = jobId;
+    const jobIds = {};
+    for (const stepId of order) {
+      jobIds[stepId] = this.steps.get(stepId).jobId;
     }
 
-    return { workflowId: this.name, steps: jobIds };
+    return { workflowId: this.workflowId, steps: jobIds };
   }
 
+  /**
+   * Get this workflow's status
+   * @returns {Promise<Object|null>} See Workflow.getStatus
+   */
   async getStatus() {
-    const status = {};
+    return Workflow.getStatus(this.client, this.workflowId);
+  }
 
-    for (const [stepId, step] of this.steps) {
-      if (step.jobId) {
-        const job = await this.client.getJob(step.jobId);
-        status[stepId] = {
-          jobId: step.jobId,
-          status: job?.status || 'unknown',
-        };
-      } else {
-        status[stepId] = { status: 'pending' };
+  /**
+   * Get a workflow's status by ID (works from any process)
+   * @param {Object} client - BridgeMQ client instance
+   * @param {string} workflowId - Workflow ID
+   * @returns {Promise<Object|null>} { workflowId, name, status, steps: stepId -> { jobId, status, dependsOn, result } }
+   */
+  static async getStatus(client, workflowId) {
+    const { meshId } = client.config.mesh;
+    const workflow = await WorkflowStorage.getWorkflow(client.redis, workflowId, meshId);
+
+    if (!workflow) {
+      return null;
+    }
+
+    const results = await WorkflowStorage.getStepResults(client.redis, workflowId, meshId);
+    const steps = {};
+    let completed = 0;
+    let failed = false;
+
+    for (const [stepId, step] of Object.entries(workflow.steps)) {
+      const meta = await JobStorage.getJobMeta(client.redis, step.jobId, meshId);
+
+      // Steps removed on completion still have their recorded result
+      let status = meta ? meta.status : 'unknown';
+      if (stepId in results) {
+        status = 'completed';
       }
+
+      if (status === 'completed') {
+        completed += 1;
+      } else if (status === 'failed' || status === 'cancelled') {
+        failed = true;
+      }
+
+      steps[stepId] = {
+        jobId: step.jobId,
+        status,
+        dependsOn: step.dependsOn,
+        result: results[stepId],
+      };
+    }
+
+    let status = 'running';
+    if (failed) {
+      status = 'failed';
+    } else if (completed === Object.keys(steps).length) {
+      status = 'completed';
     }
 
-    return status;
+    return {
+      workflowId,
+      name: workflow.name,
+      status,
+      context: workflow.context,
+      createdAt: workflow.createdAt,
+      steps,
+    };
+  }
+
+  /**
+   * Build the createJob data for a step
+   * @private
+   * @param {Object} step - Step
+   * @param {Object} context - Shared context
+   * @returns {Object} Job creation data
+   */
+  _buildStepJob(step, context) {
+    const { jobData } = step;
+    const config = jobData.config || {};
+
+    return {
+      ...jobData,
+      jobId: step.jobId,
+      payload: {
+        ...jobData.payload,
+        _workflow: {
+          workflowId: this.workflowId,
+          name: this.name,
+          stepId: step.stepId,
+          context,
+        },
+      },
+      config: {
+        ...config,
+        workflow: {
+          workflowId: this.workflowId,
+          stepId: step.stepId,
+          dependsOn: step.dependsOn,
+        },
+        dependencies: {
+          ...config.dependencies,
+          waitFor: step.dependsOn.map((dependency) => this.steps.get(dependency).jobId),
+        },
+      },
+    };
   }
 }
 
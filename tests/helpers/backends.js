@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const MemoryDriver = require('../../src/storage/drivers/MemoryDriver');
+const MemoryStore = require('../../src/storage/drivers/MemoryStore');
+const luaRuntime = require('../../src/scripts/runtime');
+const { readScript } = require('../../src/scripts/source');
+const Namespace = require('../../src/utils/Namespace');
+const { SlotGuard } = require('./slots');
+
+/**
+ * Test backends - the same scenarios against every script implementation
+ *
+ * - memory: MemoryDriver, running the .lua sources on fengari
+ * - redis: a real Redis server, when BRIDGEMQ_TEST_REDIS_URL is set
+ *   (keys live under a per-run namespace and are deleted afterwards)
+ *
+ * memory checks every key a script touches against the slot of its
+ * declared KEYS, as Redis Cluster would.
+ */
+
+const REDIS_URL = process.env.BRIDGEMQ_TEST_REDIS_URL;
+
+// sha -> script name, for SlotGuard messages
+const SCRIPT_NAMES = new Map(
+  fs.readdirSync(path.join(__dirname, '../../src/scripts'))
+    .filter((file) => file.endsWith('.lua'))
+    .map((file) => [
+      crypto.createHash('sha1').update(readScript(file)).digest('hex'),
+      file.replace(/\.lua$/, ''),
+    ]),
+);
+
+/**
+ * MemoryDriver whose scripts run under a SlotGuard
+ */
+class CheckedMemoryDriver extends MemoryDriver {
+  /**
+   * @param {MemoryStore} store - Store (default: a new one)
+   */
+  constructor(store = new MemoryStore()) {
+    super(store);
+  }
+
+  /**
+   * Open another connection to the same store
+   * @returns {CheckedMemoryDriver} Connection
+   */
+  duplicate() {
+    return new CheckedMemoryDriver(this.store);
+  }
+
+  /**
+   * Run a script with its keys checked
+   * @private
+   * @param {string} sha - Script SHA1
+   * @param {number} numKeys - Number of keys
+   * @param {Array} args - Keys, then arguments
+   * @returns {any} Script reply
+   */
+  _evalsha(sha, numKeys, args) {
+    this._checkOpen();
+
+    const count = Number(numKeys);
+    const strings = args.map((arg) => (Buffer.isBuffer(arg) ? arg.toString() : String(arg)));
+    const keys = strings.slice(0, count);
+    const guard = new SlotGuard(SCRIPT_NAMES.get(sha) || sha, keys);
+    const store = {
+      call: (command, ...rest) => {
+        guard.command(command, rest);
+        return this.store.call(command, ...rest);
+      },
+    };
+
+    return luaRuntime.run(sha, store, keys, strings.slice(count));
+  }
+}
+
+let redisRun = 0;
+
+const BACKENDS = [
+  {
+    name: 'memory',
+    create: async () => new CheckedMemoryDriver(),
+    destroy: async (driver) => driver.disconnect(),
+  },
+];
+
+if (REDIS_URL) {
+  // eslint-disable-next-line global-require
+  const Redis = require('ioredis');
+
+  BACKENDS.push({
+    name: 'redis',
+    create: async () => {
+      redisRun += 1;
+      const redis = new Redis(REDIS_URL, { lazyConnect: true });
+      await redis.connect();
+      return Namespace.bind(redis, `bridgemq-test-${process.pid}-${redisRun}`);
+    },
+    destroy: async (redis) => {
+      const ns = Namespace.of(redis);
+      let cursor = '0';
+
+      do {
+        const [next, keys] = await redis.scan(cursor, 'MATCH', `${ns}:*`, 'COUNT', 500);
+        if (keys.length > 0) {
+          await redis.del(...keys);
+        }
+        cursor = next;
+      } while (cursor !== '0');
+
+      redis.disconnect();
+    },
+  });
+}
+
+/**
+ * Backends to run a suite against
+ * @param {string[]} names - Subset of backend names (default: all available)
+ * @returns {Object[]} [{ name, create(), destroy(driver) }]
+ */
+function backends(names = null) {
+  return names ? BACKENDS.filter((backend) => names.includes(backend.name)) : BACKENDS;
+}
+
+module.exports = {
+  backends,
+  CheckedMemoryDriver,
+};
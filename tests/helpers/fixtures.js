@@ -0,0 +1,145 @@
+const { v4: uuidv4 } = require('uuid');
+const scripts = require('../../src/scripts');
+const JobStorage = require('../../src/storage/JobStorage');
+const Namespace = require('../../src/utils/Namespace');
+
+/**
+ * Test fixtures - jobs, claims and keyspace snapshots for script tests
+ *
+ * Jobs are created through JobStorage.createJob, so they carry the same
+ * metadata, config and payload encoding as jobs created by a Client.
+ */
+
+/**
+ * Create a job
+ * @param {Redis} redis - Driver
+ * @param {Object} options - Job fields
+ * @param {string} options.jobId - Job ID (default random)
+ * @param {string} options.type - Job type (default 'email')
+ * @param {string} options.meshId - Mesh ID (default 'm1')
+ * @param {any} options.payload - Payload (default {})
+ * @param {Object} options.config - Job config
+ * @returns {Promise<string>} Job ID
+ */
+async function seedJob(redis, options = {}) {
+  await scripts.load(redis);
+
+  return JobStorage.createJob(redis, scripts, {
+    jobId: options.jobId || uuidv4(),
+    type: options.type || 'email',
+    version: '1.0',
+    payload: options.payload !== undefined ? options.payload : {},
+    config: { priority: 5, ...options.config },
+    meshId: options.meshId || 'm1',
+    idempotencyKey: options.idempotencyKey || null,
+    fingerprintHash: options.fingerprintHash || null,
+  });
+}
+
+/**
+ * Claim the next job for a server
+ * @param {Redis} redis - Driver
+ * @param {Object} options - Claim options
+ * @param {string} options.meshId - Mesh ID (default 'm1')
+ * @param {string} options.serverId - Server ID (default 's1')
+ * @param {string[]} options.capabilities - Capabilities (default [])
+ * @param {string} options.lockToken - Lease token (default 'token-1')
+ * @param {number} options.lockDurationMs - Lease duration (default 30000)
+ * @returns {Promise<string|null>} Job ID
+ */
+async function claim(redis, options = {}) {
+  await scripts.load(redis);
+
+  return scripts.claimJob(
+    redis,
+    options.serverId || 's1',
+    options.meshId || 'm1',
+    options.capabilities || [],
+    options.lockToken || 'token-1',
+    options.lockDurationMs || 30000,
+  );
+}
+
+/**
+ * Job metadata hash
+ * @param {Redis} redis - Driver
+ * @param {string} jobId - Job ID
+ * @param {string} meshId - Mesh ID (default 'm1')
+ * @returns {Promise<Object>} Raw HGETALL
+ */
+async function meta(redis, jobId, meshId = 'm1') {
+  return redis.hgetall(`${Namespace.mesh(redis, meshId)}:job:${jobId}:meta`);
+}
+
+/**
+ * Mesh key
+ * @param {Redis} redis - Driver
+ * @param {string} suffix - Key after the mesh prefix
+ * @param {string} meshId - Mesh ID (default 'm1')
+ * @returns {string} Key
+ */
+function meshKey(redis, suffix, meshId = 'm1') {
+  return `${Namespace.mesh(redis, meshId)}:${suffix}`;
+}
+
+/**
+ * Plain copy of a MemoryStore keyspace (sets and hashes sorted, expiry
+ * reported as a flag), for comparing two drivers
+ * @param {MemoryStore} store - Store
+ * @returns {Object} key -> { type, value, expires }
+ */
+function snapshot(store) {
+  const keys = [...store.data.keys()].filter((key) => store._entry(key)).sort();
+  const copy = {};
+
+  for (const key of keys) {
+    const entry = store._entry(key);
+    let value;
+    switch (entry.type) {
+      case 'hash':
+        value = Object.fromEntries([...entry.value.entries()].sort());
+        break;
+      case 'set':
+        value = [...entry.value].sort();
+        break;
+      case 'zset':
+        value = [...entry.value.entries()].sort();
+        break;
+      case 'list':
+        value = [...entry.value];
+        break;
+      default:
+        value = Buffer.isBuffer(entry.value) ? entry.value.toString('base64') : entry.value;
+    }
+
+    copy[key] = { type: entry.type, value, expires: entry.expiresAt !== null };
+  }
+
+  return copy;
+}
+
+/**
+ * Record messages published on a store
+ * @param {MemoryStore} store - Store
+ * @returns {Array} [[channel, message], ...] (filled as messages are published)
+ */
+function recordPublished(store) {
+  const published = [];
+  const publish = store.publish.bind(store);
+
+  jest.spyOn(store, 'publish').mockImplementation((channel, message) => {
+    published.push([channel, Buffer.isBuffer(message) ? message.toString('base64') : message]);
+    return publish(channel, message);
+  });
+
+  return published;
+}
+
+module.exports = {
+  seedJob,
+  claim,
+  meta,
+  meshKey,
+  snapshot,
+  recordPublished,
+};
@@ -0,0 +1,97 @@
+const Client = require('../../src/core/Client');
+const Worker = require('../../src/core/Worker');
+const { MemoryStore } = require('../../src/storage/drivers');
+
+/**
+ * Test harness - clients and workers on an in-memory store
+ *
+ * Every client started here runs on a MemoryStore (a new one unless given)
+ * and is shut down, with its workers, by stopAll().
+ */
+
+const clients = [];
+const workers = [];
+
+/**
+ * Start a client
+ * @param {Object} options - Client config, plus:
+ * @param {MemoryStore} options.store - Store (default: a new one)
+ * @param {string} options.meshId - Mesh ID (default 'm1')
+ * @returns {Promise<Client>} Initialized client
+ */
+async function startClient(options = {}) {
+  const {
+    store = new MemoryStore(),
+    meshId = 'm1',
+    server = {},
+    mesh = {},
+    ...config
+  } = options;
+
+  const client = new Client({
+    ...config,
+    storage: store,
+    mesh: { ...mesh, meshId },
+    server: { claimBlockTimeoutMs: 50, ...server },
+  });
+
+  await client.init();
+  clients.push(client);
+
+  return client;
+}
+
+/**
+ * Start a worker with handlers
+ * @param {Client} client - Client
+ * @param {Object} handlers - type -> handler
+ * @returns {Promise<Worker>} Running worker
+ */
+async function startWorker(client, handlers = {}) {
+  const worker = new Worker(client);
+
+  worker.registerHandlers(handlers);
+  await worker.start();
+  workers.push(worker);
+
+  return worker;
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Sync or async predicate
+ * @param {number} timeoutMs - Max wait (default 3000)
+ * @returns {Promise<void>}
+ */
+async function until(condition, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error('Condition not met in time');
+    }
+    await new Promise((resolve) => {
+      setTimeout(resolve, 10);
+    });
+  }
+}
+
+/**
+ * Stop every worker and client started by this harness
+ * @returns {Promise<void>}
+ */
+async function stopAll() {
+  for (const worker of workers.splice(0)) {
+    await worker.stop(1000);
+  }
+  for (const client of clients.splice(0)) {
+    await client.shutdown();
+  }
+}
+
+module.exports = {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+};
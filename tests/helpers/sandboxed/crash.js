@@ -0,0 +1,12 @@
+/**
+ * Sandboxed handler: takes its sandbox down unless payload.survive is set
+ * @param {Object} job - Job proxy
+ * @returns {Promise<string>} 'survived'
+ */
+module.exports = async (job) => {
+  if (!job.getPayload().survive) {
+    process.exit(1);
+  }
+
+  return 'survived';
+};
@@ -0,0 +1,16 @@
+const { threadId } = require('worker_threads');
+
+/**
+ * Sandboxed handler: doubles payload.n and reports its progress
+ * @param {Object} job - Job proxy
+ * @returns {Promise<Object>} { doubled, threadId, pid }
+ */
+module.exports = async (job) => {
+  await job.setProgress(100);
+
+  return {
+    doubled: job.getPayload().n * 2,
+    threadId,
+    pid: process.pid,
+  };
+};
@@ -0,0 +1,5 @@
+/**
+ * Sandboxed handler: never settles and ignores job.signal
+ * @returns {Promise<void>} Never settles
+ */
+module.exports = () => new Promise(() => {});
@@ -0,0 +1,134 @@
+/**
+ * Redis Cluster hash slots for the test drivers
+ *
+ * Every key a script touches must live in the slot of the keys it declares,
+ * or Redis Cluster rejects the call (CROSSSLOT) or, for keys a script builds
+ * at run time, may find them on another node. SlotGuard records the slot of
+ * the declared KEYS and fails the script on any other slot.
+ */
+
+const CRC16_TABLE = (() => {
+  const table = new Array(256);
+
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+    table[i] = crc;
+  }
+
+  return table;
+})();
+
+/**
+ * CRC16-CCITT (XMODEM), as used by Redis Cluster
+ * @param {Buffer} buffer - Bytes
+ * @returns {number} CRC16
+ */
+function crc16(buffer) {
+  let crc = 0;
+
+  for (const byte of buffer) {
+    crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[((crc >> 8) ^ byte) & 0xff];
+  }
+
+  return crc;
+}
+
+/**
+ * Hash slot of a key (only the {hash tag} counts when present)
+ * @param {string} key - Key
+ * @returns {number} Slot (0-16383)
+ */
+function slotOf(key) {
+  const text = String(key);
+  const open = text.indexOf('{');
+
+  if (open !== -1) {
+    const close = text.indexOf('}', open + 1);
+    if (close > open + 1) {
+      return crc16(Buffer.from(text.slice(open + 1, close))) % 16384;
+    }
+  }
+
+  return crc16(Buffer.from(text)) % 16384;
+}
+
+// Commands the scripts use whose arguments are all keys
+const ALL_KEYS = new Set(['DEL', 'EXISTS']);
+
+// Commands without keys
+const NO_KEYS = new Set(['PUBLISH', 'PING']);
+
+/**
+ * Keys of a command
+ * @param {string} command - Command name
+ * @param {Array} args - Arguments
+ * @returns {string[]} Keys
+ */
+function commandKeys(command, args) {
+  const name = String(command).toUpperCase();
+
+  if (NO_KEYS.has(name)) {
+    return [];
+  }
+
+  return ALL_KEYS.has(name) ? args.map(String) : [String(args[0])];
+}
+
+/**
+ * Slot checker for one script run
+ */
+class SlotGuard {
+  /**
+   * @param {string} script - Script name (for messages)
+   * @param {string[]} keys - Declared KEYS
+   */
+  constructor(script, keys) {
+    this.script = script;
+    this.slot = keys.length > 0 ? slotOf(keys[0]) : null;
+    this.firstKey = keys.length > 0 ? keys[0] : null;
+
+    for (const key of keys) {
+      this.check(key, 'declared');
+    }
+  }
+
+  /**
+   * Check a command's keys
+   * @param {string} command - Command name
+   * @param {Array} args - Arguments
+   */
+  command(command, args) {
+    for (const key of commandKeys(command, args)) {
+      this.check(key, command);
+    }
+  }
+
+  /**
+   * Check one key
+   * @param {string} key - Key
+   * @param {string} context - Command or 'declared'
+   */
+  check(key, context) {
+    const slot = slotOf(key);
+
+    if (this.slot === null) {
+      this.slot = slot;
+      this.firstKey = key;
+      return;
+    }
+
+    if (slot !== this.slot) {
+      throw new Error(`CROSSSLOT ${this.script}: ${context} ${key} is not in the slot of ${this.firstKey}`);
+    }
+  }
+}
+
+module.exports = {
+  crc16,
+  slotOf,
+  commandKeys,
+  SlotGuard,
+};
@@ -0,0 +1,215 @@
+const Cleaner = require('../../src/background/Cleaner');
+const Chain = require('../../src/workflow/Chain');
+const Namespace = require('../../src/utils/Namespace');
+const {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+} = require('../helpers/harness');
+
+// Far above the threshold below
+const LARGE = { text: 'x'.repeat(4096) };
+
+/**
+ * Blob store on a Map
+ * @param {Map} map - key -> Buffer
+ * @returns {Object} Blob store
+ */
+function mapStore(map) {
+  return {
+    put: async (key, buffer) => {
+      map.set(key, buffer);
+    },
+    get: async (key) => map.get(key) || null,
+    delete: async (key) => {
+      map.delete(key);
+    },
+  };
+}
+
+describe('Blob offload', () => {
+  let blobs;
+  let client;
+
+  beforeEach(async () => {
+    blobs = new Map();
+    client = await startClient({ blobs: { store: mapStore(blobs), thresholdBytes: 1024 } });
+  });
+
+  afterEach(async () => {
+    await stopAll();
+  });
+
+  /**
+   * Raw value of one of a job's keys
+   * @param {string} jobId - Job ID
+   * @param {string} field - 'payload' or 'result'
+   * @returns {Promise<string>} Stored value
+   */
+  function stored(jobId, field) {
+    return client.redis.get(`${Namespace.mesh(client.redis, 'm1')}:job:${jobId}:${field}`);
+  }
+
+  test('keeps a large payload in the blob store and hands workers the original', async () => {
+    let seen;
+    await startWorker(client, {
+      index: async (job) => {
+        seen = job.getPayload();
+      },
+    });
+
+    const jobId = await client.createJob({ type: 'index', payload: LARGE });
+    await client.waitForJob(jobId);
+
+    expect(await stored(jobId, 'payload')).toMatch(/^blob:/);
+    expect([...blobs.keys()]).toEqual([`bridgemq/jobs/${jobId}/payload`]);
+    expect(seen).toEqual(LARGE);
+    expect(await client.getJobPayload(jobId)).toEqual(LARGE);
+  });
+
+  test('keeps a large result in the blob store for readers and flow parents', async () => {
+    await startWorker(client, {
+      render: async () => LARGE,
+      report: async (job) => Object.values(await job.getChildrenResults()).map((child) => child.result.text.length),
+    });
+
+    const flow = await client.createFlow({ type: 'report', children: [{ type: 'render' }] });
+    const [child] = flow.children;
+
+    expect(await client.waitForJob(flow.jobId)).toEqual([4096]);
+    expect(await client.waitForJob(child.jobId)).toEqual(LARGE);
+    expect(await client.getJobResult(child.jobId)).toEqual(LARGE);
+    expect(blobs.has(`bridgemq/jobs/${child.jobId}/result`)).toBe(true);
+    expect(await stored(child.jobId, 'result')).not.toContain('xxxx');
+  });
+
+  test('keeps small bodies in Redis', async () => {
+    await startWorker(client, { index: async () => ({ ok: true }) });
+
+    const jobId = await client.createJob({ type: 'index', payload: { id: 1 } });
+    await client.waitForJob(jobId);
+
+    expect(blobs.size).toBe(0);
+    expect(await client.getJobPayload(jobId)).toEqual({ id: 1 });
+  });
+
+  test('deletes a job\'s blobs with the job', async () => {
+    const jobId = await client.createJob({ type: 'index', payload: LARGE });
+    expect(blobs.size).toBe(1);
+
+    await client.deleteJob(jobId);
+
+    expect(blobs.size).toBe(0);
+  });
+
+  test('sweeps the blobs of jobs removed on completion', async () => {
+    await startWorker(client, { index: async () => LARGE });
+    const jobId = await client.createJob({
+      type: 'index',
+      payload: LARGE,
+      config: { behavior: { removeOnComplete: true } },
+    });
+    await client.waitForJob(jobId);
+    await until(async () => (await client.getJob(jobId)).status === undefined);
+    expect(blobs.size).toBe(2);
+
+    await new Promise((resolve) => {
+      setTimeout(resolve, 10);
+    });
+    await new Cleaner(client.redis, { blobGraceMs: 1 }).cleanupNow();
+
+    expect(blobs.size).toBe(0);
+  });
+
+  test('holds the blobs of a chain\'s jobs until the chain is over', async () => {
+    const cleaner = new Cleaner(client.redis, { blobGraceMs: 1 });
+    const { chainId, jobIds } = await new Chain(client)
+      .addJob({ type: 'render', config: { behavior: { removeOnComplete: true } } })
+      .onSuccess({ type: 'index', payload: LARGE })
+      .execute();
+
+    await new Promise((resolve) => {
+      setTimeout(resolve, 10);
+    });
+    await cleaner.cleanupNow();
+    expect(blobs.has(`bridgemq/jobs/${jobIds[1]}/payload`)).toBe(true);
+
+    let release;
+    const gate = new Promise((resolve) => {
+      release = resolve;
+    });
+    await startWorker(client, {
+      render: async () => LARGE,
+      index: async () => gate,
+    });
+    try {
+      await until(async () => (await client.getJob(jobIds[1]) || {}).status === 'active');
+      await cleaner.cleanupNow();
+
+      expect((await client.getJob(jobIds[0])).status).toBeUndefined();
+      expect(await client.getJobPayload(jobIds[1])).toEqual({ ...LARGE, previousResult: LARGE });
+    } finally {
+      release();
+    }
+    await until(async () => (await Chain.getStatus(client, chainId)).status === 'completed');
+
+    await client.deleteJob(jobIds[1]);
+    await cleaner.cleanupNow();
+    expect(blobs.size).toBe(0);
+  });
+
+  test('refuses to read a blob reference without a blob store', async () => {
+    const jobId = await client.createJob({ type: 'index', payload: LARGE });
+    const reader = await startClient({ store: client.redis.store });
+
+    await expect(reader.getJobPayload(jobId)).rejects.toMatchObject({ code: 9005 });
+  });
+
+  test('fails a job whose payload the worker cannot read instead of running it', async () => {
+    const jobId = await client.createJob({
+      type: 'index',
+      payload: LARGE,
+      config: { retry: { maxAttempts: 1 } },
+    });
+    const worker = await startClient({ store: client.redis.store });
+    let ran = false;
+    await startWorker(worker, {
+      index: async () => {
+        ran = true;
+      },
+    });
+
+    await expect(client.waitForJob(jobId)).rejects.toMatchObject({ code: 2003 });
+    expect(ran).toBe(false);
+  });
+
+  test('reports a blob that is gone as a read failure', async () => {
+    await startWorker(client, { index: async () => LARGE });
+    const jobId = await client.createJob({ type: 'index', payload: LARGE });
+    await client.waitForJob(jobId);
+
+    blobs.delete(`bridgemq/jobs/${jobId}/payload`);
+    blobs.delete(`bridgemq/jobs/${jobId}/result`);
+
+    await expect(client.getJobPayload(jobId)).rejects.toMatchObject({ code: 9005 });
+    await expect(client.getJobResult(jobId)).rejects.toMatchObject({ code: 9005 });
+  });
+
+  test('reports a failing blob store as a read failure', async () => {
+    const jobId = await client.createJob({ type: 'index', payload: LARGE });
+    const reader = await startClient({
+      store: client.redis.store,
+      blobs: {
+        store: {
+          ...mapStore(blobs),
+          get: async () => {
+            throw new Error('bucket unreachable');
+          },
+        },
+      },
+    });
+
+    await expect(reader.getJobPayload(jobId)).rejects.toMatchObject({ code: 9005 });
+  });
+});
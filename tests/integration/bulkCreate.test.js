@@ -0,0 +1,71 @@
+const JobStorage = require('../../src/storage/JobStorage');
+const {
+  startClient,
+  startWorker,
+  stopAll,
+} = require('../helpers/harness');
+
+describe('Bulk creation', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = await startClient();
+  });
+
+  afterEach(async () => {
+    await stopAll();
+  });
+
+  test('creates every job, chunk by chunk, with results in input order', async () => {
+    await startWorker(client, { square: async (job) => job.getPayload().n ** 2 });
+    const jobs = [1, 2, 3, 4, 5].map((n) => ({ type: 'square', payload: { n } }));
+
+    const results = await client.createJobs(jobs, { chunkSize: 2 });
+
+    expect(results.map((result) => result.index)).toEqual([0, 1, 2, 3, 4]);
+    expect(results.every((result) => result.created)).toBe(true);
+    const squares = await Promise.all(results.map((result) => client.waitForJob(result.jobId)));
+    expect(squares).toEqual([1, 4, 9, 16, 25]);
+    expect(await client.getStats()).toMatchObject({ 'total:created': 5, 'total:bulk-requests': 1 });
+  });
+
+  test('deduplicates items by idempotency key, within a batch and across batches', async () => {
+    const existing = await client.createJob({ type: 'email', idempotency: { key: 'welcome:1' } });
+
+    const results = await client.createJobs([
+      { type: 'email', idempotency: { key: 'welcome:1' } },
+      { type: 'email', idempotency: { key: 'welcome:2' } },
+      { type: 'email', idempotency: { key: 'welcome:2' } },
+    ]);
+
+    expect(results).toMatchObject([
+      { jobId: existing, created: false, deduplicated: true },
+      { created: true },
+      { jobId: results[1].jobId, created: false, deduplicated: true },
+    ]);
+    expect(await client.getStats()).toMatchObject({ 'total:created': 2, 'total:deduplicated': 2 });
+  });
+
+  test('fails only the items of a chunk that could not be written', async () => {
+    const createJobs = jest.spyOn(JobStorage, 'createJobs');
+    createJobs.mockRejectedValueOnce(new Error('connection reset'));
+
+    const results = await client.createJobs([{ type: 'email' }, { type: 'email' }, { type: 'email' }], { chunkSize: 2 });
+
+    expect(results).toMatchObject([
+      { index: 0, error: 'connection reset' },
+      { index: 1, error: 'connection reset' },
+      { index: 2, created: true },
+    ]);
+    expect(await client.getStats()).toMatchObject({ 'total:created': 1, 'total:bulk-requests': 1 });
+    createJobs.mockRestore();
+  });
+
+  test('writes nothing when an item is invalid', async () => {
+    const invalid = { type: 'email', config: { retry: { policies: 'never' } } };
+
+    await expect(client.createJobs([{ type: 'email' }, invalid], { chunkSize: 1 }))
+      .rejects.toMatchObject({ code: 1002 });
+    expect(await client.getPendingCount()).toBe(0);
+  });
+});
@@ -0,0 +1,91 @@
+const path = require('path');
+const {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+} = require('../helpers/harness');
+
+const HANG = path.join(__dirname, '../helpers/sandboxed/hang.js');
+
+describe('Cancellation', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = await startClient();
+  });
+
+  afterEach(async () => {
+    await stopAll();
+  });
+
+  /**
+   * Wait until a job is running
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  function running(jobId) {
+    return until(async () => (await client.getJob(jobId)).status === 'active');
+  }
+
+  test('aborts a running job\'s signal from another client', async () => {
+    let reason = null;
+    let runs = 0;
+    await startWorker(client, {
+      poll: async (job) => {
+        runs += 1;
+        await new Promise((resolve) => {
+          job.signal.addEventListener('abort', resolve);
+        });
+        ({ reason } = job.signal);
+        throw reason;
+      },
+    });
+
+    const jobId = await client.createJob({ type: 'poll' });
+    const waiting = client.waitForJob(jobId);
+    await running(jobId);
+
+    const other = await startClient({ store: client.redis.store });
+    expect(await other.cancelJob(jobId)).toBe(true);
+
+    await expect(waiting).rejects.toMatchObject({ code: 2001 });
+    await until(() => reason !== null);
+    expect(reason).toMatchObject({ code: 2001, type: 'JOB_CANCELLED' });
+    expect((await client.getJob(jobId)).status).toBe('cancelled');
+    expect(runs).toBe(1);
+  });
+
+  test('never runs a job cancelled before it was claimed', async () => {
+    const jobId = await client.createJob({ type: 'later' });
+    await client.cancelJob(jobId);
+    let runs = 0;
+
+    await startWorker(client, {
+      later: async () => {
+        runs += 1;
+      },
+    });
+    await new Promise((resolve) => {
+      setTimeout(resolve, 100);
+    });
+
+    expect(runs).toBe(0);
+    expect((await client.getJob(jobId)).status).toBe('cancelled');
+  });
+
+  test('kills a sandbox that ignores the cancellation', async () => {
+    await startWorker(client, {
+      hang: { file: HANG, sandbox: 'thread', killTimeoutMs: 50 },
+      next: async () => 'next',
+    });
+
+    const jobId = await client.createJob({ type: 'hang' });
+    await running(jobId);
+    await client.cancelJob(jobId);
+
+    // The worker's only slot is free again once the sandbox is gone
+    expect(await client.createJobAndWait({ type: 'next' })).toBe('next');
+    expect((await client.getJob(jobId)).status).toBe('cancelled');
+  });
+});
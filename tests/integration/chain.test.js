@@ -0,0 +1,132 @@
+const msgpack = require('msgpack-lite');
+const Compression = require('../../src/utils/Compression');
+const Chain = require('../../src/workflow/Chain');
+const JobStorage = require('../../src/storage/JobStorage');
+const Namespace = require('../../src/utils/Namespace');
+const {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+} = require('../helpers/harness');
+
+describe('Chain', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = await startClient();
+  });
+
+  afterEach(async () => {
+    await stopAll();
+  });
+
+  /**
+   * Stored chain link JSON
+   * @param {string} chainId - Chain ID
+   * @param {string} field - Field in chain:{chainId}:links
+   * @returns {Promise<Object>} Link
+   */
+  async function storedLink(chainId, field) {
+    const mp = Namespace.mesh(client.redis, 'm1');
+    return JSON.parse(await client.redis.hget(`${mp}:chain:${chainId}:links`, field));
+  }
+
+  test('passes each result to the next link', async () => {
+    const seen = [];
+    await startWorker(client, {
+      first: async (job) => ({ total: job.getPayload().n * 2 }),
+      second: async (job) => {
+        seen.push(job.getPayload());
+        return 'done';
+      },
+    });
+
+    const { chainId, jobIds } = await new Chain(client)
+      .addJob({ type: 'first', payload: { n: 21 } })
+      .onSuccess({ type: 'second', payload: { note: 'x' } })
+      .execute();
+
+    await until(async () => (await Chain.getStatus(client, chainId)).status === 'completed');
+
+    expect(seen).toEqual([{ note: 'x', previousResult: { total: 42 } }]);
+    expect(await JobStorage.getJobMeta(client.redis, jobIds[1], 'm1'))
+      .toMatchObject({ chainInput: 'previousResult' });
+  });
+
+  test('stores link payloads serialized like createJob', async () => {
+    const payload = { text: 'a'.repeat(4096) };
+    const { chainId } = await new Chain(client)
+      .addJob({ type: 'first' })
+      .onSuccess({ type: 'second', payload, config: { compression: 'gzip' } })
+      .execute();
+
+    const link = await storedLink(chainId, '1');
+
+    expect(link.payload).toMatch(/^gz:/);
+    expect(msgpack.decode(await Compression.decode(link.payload))).toEqual(payload);
+  });
+
+  test('rejects a link payload over maxPayloadBytes', async () => {
+    const chain = new Chain(client)
+      .addJob({ type: 'first' })
+      .onSuccess({ type: 'second', payload: { text: 'x'.repeat(200) }, config: { maxPayloadBytes: 100 } });
+
+    await expect(chain.execute()).rejects.toMatchObject({ code: 1004 });
+  });
+
+  test('gives the failure branch the failed link\'s error', async () => {
+    const seen = [];
+    await startWorker(client, {
+      first: async () => {
+        throw new Error('card declined');
+      },
+      undo: async (job) => {
+        seen.push(job.getPayload());
+      },
+    });
+
+    const { chainId } = await new Chain(client)
+      .addJob({ type: 'first', config: { retry: { maxAttempts: 1 } } })
+      .onFailure({ type: 'undo', payload: { order: 7 } })
+      .execute();
+
+    await until(async () => {
+      const status = await Chain.getStatus(client, chainId);
+      return status.failure && status.failure.status === 'completed';
+    });
+
+    expect(seen).toHaveLength(1);
+    expect(seen[0]).toMatchObject({ order: 7, previousError: { message: 'card declined' } });
+  });
+
+  test('gives a link the previous result after that job is removed', async () => {
+    let release;
+    const gate = new Promise((resolve) => {
+      release = resolve;
+    });
+    await startWorker(client, {
+      first: async () => 'kept',
+      second: async (job) => {
+        await gate;
+        return job.getPayload().previousResult;
+      },
+    });
+
+    const { chainId, jobIds } = await new Chain(client)
+      .addJob({ type: 'first', config: { behavior: { removeOnComplete: true } } })
+      .onSuccess({ type: 'second' })
+      .execute();
+    const resultKey = `${Namespace.mesh(client.redis, 'm1')}:job:${jobIds[0]}:result`;
+
+    await until(async () => (await JobStorage.getJobMeta(client.redis, jobIds[1], 'm1') || {}).status === 'active');
+
+    expect(await JobStorage.getJobMeta(client.redis, jobIds[0], 'm1')).toBeNull();
+    expect(await client.redis.exists(resultKey)).toBe(0);
+
+    release();
+    await until(async () => (await Chain.getStatus(client, chainId)).status === 'completed');
+
+    expect(await client.getJobResult(jobIds[1])).toBe('kept');
+  });
+});
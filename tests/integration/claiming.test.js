@@ -0,0 +1,72 @@
+const {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+} = require('../helpers/harness');
+
+// Far longer than any wait below: a worker that polls would time out
+const BLOCK = { claimBlockTimeoutMs: 10000 };
+
+describe('Claiming', () => {
+  afterEach(async () => {
+    await stopAll();
+  });
+
+  /**
+   * Let an idle worker settle into its blocking wait
+   * @returns {Promise<void>}
+   */
+  function idle() {
+    return new Promise((resolve) => {
+      setTimeout(resolve, 50);
+    });
+  }
+
+  test('wakes an idle worker as soon as a job is created', async () => {
+    const client = await startClient({ server: BLOCK });
+    await startWorker(client, { ping: async () => 'pong' });
+    await idle();
+
+    const jobId = await client.createJob({ type: 'ping' });
+
+    await until(async () => (await client.getJob(jobId)).status === 'completed', 1000);
+  });
+
+  test('runs up to its concurrency jobs at once', async () => {
+    const client = await startClient({ server: { ...BLOCK, concurrency: 2 } });
+    let running = 0;
+    let most = 0;
+    await startWorker(client, {
+      work: async () => {
+        running += 1;
+        most = Math.max(most, running);
+        await new Promise((resolve) => {
+          setTimeout(resolve, 50);
+        });
+        running -= 1;
+      },
+    });
+
+    const jobIds = [];
+    for (let i = 0; i < 4; i += 1) {
+      jobIds.push(await client.createJob({ type: 'work' }));
+    }
+
+    for (const jobId of jobIds) {
+      await until(async () => (await client.getJob(jobId)).status === 'completed', 1000);
+    }
+    expect(most).toBe(2);
+  });
+
+  test('stops an idle worker without waiting out its block', async () => {
+    const client = await startClient({ server: BLOCK });
+    const worker = await startWorker(client, {});
+    await idle();
+    const started = Date.now();
+
+    await worker.stop();
+
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
@@ -0,0 +1,89 @@
+const Namespace = require('../../src/utils/Namespace');
+const {
+  startClient,
+  startWorker,
+  stopAll,
+} = require('../helpers/harness');
+
+// Compresses well and is far above the default threshold
+const LARGE = { lines: Array.from({ length: 200 }, (_, i) => `order ${i % 5} shipped`) };
+
+describe('Payload compression and limits', () => {
+  afterEach(async () => {
+    await stopAll();
+  });
+
+  /**
+   * Stored form of a job's payload
+   * @param {Object} client - Client
+   * @param {string} jobId - Job ID
+   * @returns {Promise<string>} Stored payload
+   */
+  function storedPayload(client, jobId) {
+    return client.redis.get(`${Namespace.mesh(client.redis, 'm1')}:job:${jobId}:payload`);
+  }
+
+  test('compresses large payloads and hands workers the original', async () => {
+    const producer = await startClient({ behavior: { compression: { codec: 'gzip' } } });
+    const consumer = await startClient({ store: producer.redis.store });
+    let seen;
+    await startWorker(consumer, {
+      report: async (job) => {
+        seen = job.getPayload();
+      },
+    });
+
+    const jobId = await producer.createJob({ type: 'report', payload: LARGE });
+    await consumer.waitForJob(jobId);
+
+    const stored = await storedPayload(producer, jobId);
+    expect(stored.startsWith('gz:')).toBe(true);
+    expect(stored.length).toBeLessThan(JSON.stringify(LARGE).length / 4);
+    expect(seen).toEqual(LARGE);
+    expect(await consumer.getJobPayload(jobId)).toEqual(LARGE);
+  });
+
+  test('lets a job pick its own codec and stores small payloads as-is', async () => {
+    const client = await startClient({ behavior: { compression: { codec: 'gzip' } } });
+
+    const brotli = await client.createJob({ type: 'report', payload: LARGE, config: { compression: 'brotli' } });
+    const small = await client.createJob({ type: 'report', payload: { id: 1 } });
+
+    expect((await storedPayload(client, brotli)).startsWith('br:')).toBe(true);
+    expect(await storedPayload(client, small)).not.toMatch(/^[a-z]+:/);
+    expect(await client.getJobPayload(brotli)).toEqual(LARGE);
+    expect(await client.getJobPayload(small)).toEqual({ id: 1 });
+  });
+
+  test('rejects payloads over maxPayloadBytes with PAYLOAD_TOO_LARGE', async () => {
+    const client = await startClient({ behavior: { maxPayloadBytes: 1024 } });
+
+    await expect(client.createJob({ type: 'report', payload: LARGE }))
+      .rejects.toMatchObject({ code: 1004 });
+    await expect(client.createJob({ type: 'report', payload: { id: 1 }, config: { maxPayloadBytes: 4 } }))
+      .rejects.toMatchObject({ code: 1004 });
+    expect(await client.getPendingCount()).toBe(0);
+  });
+
+  test('measures the limit before compression', async () => {
+    const client = await startClient({
+      behavior: { compression: { codec: 'gzip' }, maxPayloadBytes: 1024 },
+    });
+
+    await expect(client.createJob({ type: 'report', payload: LARGE }))
+      .rejects.toMatchObject({ code: 1004 });
+  });
+
+  test('fails only the oversized items of a bulk create', async () => {
+    const client = await startClient({ behavior: { maxPayloadBytes: 1024 } });
+
+    const results = await client.createJobs([
+      { type: 'report', payload: { id: 1 } },
+      { type: 'report', payload: LARGE },
+    ]);
+
+    expect(results[0]).toMatchObject({ created: true });
+    expect(results[1].error).toMatch(/max 1024/);
+    expect(await client.getPendingCount()).toBe(1);
+  });
+});
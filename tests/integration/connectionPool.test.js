@@ -0,0 +1,90 @@
+const ConnectionPool = require('../../src/connection/ConnectionPool');
+const RedisConnection = require('../../src/connection/RedisConnection');
+const MemoryDriver = require('../../src/storage/drivers/MemoryDriver');
+const Namespace = require('../../src/utils/Namespace');
+const {
+  startClient,
+  startWorker,
+  stopAll,
+} = require('../helpers/harness');
+
+describe('Connection pool', () => {
+  let client;
+  let used;
+  let scripted;
+  let claimedOn;
+
+  beforeEach(async () => {
+    client = await startClient();
+
+    // Pooled "Redis" connections open on the client's memory store
+    const { store } = client.redis;
+    jest.spyOn(RedisConnection.prototype, 'connect').mockImplementation(async function connect() {
+      this.client = new MemoryDriver(store);
+      this.connected = true;
+      return this.client;
+    });
+
+    // Give the memory client the connections a Redis client has
+    client.pool = new ConnectionPool({ minConnections: 1, maxConnections: 1, acquireTimeoutMs: 500 });
+    await client.pool.createPool();
+    client.claimRedis = Namespace.duplicate(client.redis);
+
+    // Connections that ran a command, a script and a claim
+    used = new Set();
+    scripted = new Set();
+    claimedOn = new Set();
+    const { _run: run, _evalsha: evalsha } = MemoryDriver.prototype;
+    jest.spyOn(MemoryDriver.prototype, '_run').mockImplementation(function record(...args) {
+      used.add(this);
+      return run.apply(this, args);
+    });
+    jest.spyOn(MemoryDriver.prototype, '_evalsha').mockImplementation(function record(...args) {
+      scripted.add(this);
+      // claimJob's first key is the mesh's pending queue
+      if (String(args[2][0]).endsWith(':pending')) {
+        claimedOn.add(this);
+      }
+      return evalsha.apply(this, args);
+    });
+  });
+
+  afterEach(async () => {
+    await stopAll();
+    jest.restoreAllMocks();
+  });
+
+  test('runs bulk creates and long reads on a pooled connection', async () => {
+    const flow = client.createFlow({ type: 'report', children: [{ type: 'part' }] });
+    await client.createJobs([{ type: 'email' }, { type: 'email' }]);
+    await flow;
+    used.clear();
+    await client.listJobs();
+    await client.getStats();
+
+    expect(scripted.size).toBe(1);
+    expect(scripted.has(client.redis) || scripted.has(client.claimRedis)).toBe(false);
+    expect(used.has(client.redis) || used.has(client.claimRedis)).toBe(false);
+    expect(client.pool.getStats()).toMatchObject({ total: 1, inUse: 0 });
+  });
+
+  test('returns the connection to the pool when a command fails', async () => {
+    MemoryDriver.prototype._run.mockImplementationOnce(() => {
+      throw new Error('connection reset');
+    });
+
+    await expect(client.listJobs()).rejects.toThrow();
+
+    expect(client.pool.getStats()).toMatchObject({ inUse: 0 });
+    await expect(client.listJobs()).resolves.toBeDefined();
+  });
+
+  test('claims on the claim connection only', async () => {
+    const jobId = await client.createJob({ type: 'email' });
+    await startWorker(client, { email: async () => 'sent' });
+
+    await client.waitForJob(jobId);
+
+    expect(claimedOn).toEqual(new Set([client.claimRedis]));
+  });
+});
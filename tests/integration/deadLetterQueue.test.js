@@ -0,0 +1,160 @@
+const Transaction = require('../../src/workflow/Transaction');
+const {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+} = require('../helpers/harness');
+
+describe('Dead letter queue', () => {
+  let client;
+  let release;
+
+  beforeEach(async () => {
+    client = await startClient({ server: { concurrency: 2 } });
+    release = () => {};
+  });
+
+  afterEach(async () => {
+    release();
+    await stopAll();
+  });
+
+  test('requeues a job that failed for good', async () => {
+    let runs = 0;
+    await startWorker(client, {
+      flaky: async () => {
+        runs += 1;
+        if (runs === 1) {
+          throw new Error('downstream down');
+        }
+        return 'ok';
+      },
+    });
+
+    const jobId = await client.createJob({ type: 'flaky', config: { retry: { maxAttempts: 1 } } });
+    await expect(client.waitForJob(jobId)).rejects.toMatchObject({ code: 2003 });
+
+    expect(await client.dlq.requeue([jobId], { resetAttempts: true })).toMatchObject({ requeued: 1 });
+    expect(await client.waitForJob(jobId)).toBe('ok');
+  });
+
+  test('refuses a flow child whose parent already failed', async () => {
+    await startWorker(client, {
+      part: async () => {
+        throw new Error('bad part');
+      },
+      report: async () => 'report',
+    });
+
+    const flow = await client.createFlow({
+      type: 'report',
+      children: [{ type: 'part', config: { retry: { maxAttempts: 1 } } }],
+    });
+    const childId = flow.children[0].jobId;
+    await expect(client.waitForJob(flow.jobId)).rejects.toMatchObject({ code: 2003 });
+
+    const outcome = await client.dlq.requeue([childId]);
+
+    expect(outcome).toMatchObject({
+      requeued: 0,
+      results: [{ jobId: childId, requeued: false, error: `Flow parent ${flow.jobId} is failed` }],
+    });
+    expect((await client.getJob(childId)).status).toBe('failed');
+  });
+
+  test('reruns a flow child its parent still waits for', async () => {
+    let partRuns = 0;
+    const gate = new Promise((resolve) => {
+      release = resolve;
+    });
+    await startWorker(client, {
+      part: async () => {
+        partRuns += 1;
+        if (partRuns === 1) {
+          throw new Error('bad part');
+        }
+        return 'fixed';
+      },
+      slow: async () => {
+        await gate;
+        return 'slow';
+      },
+      report: async (job) => job.getChildrenResults(),
+    });
+
+    const flow = await client.createFlow({
+      type: 'report',
+      onChildFailure: 'continue',
+      children: [
+        { type: 'part', config: { retry: { maxAttempts: 1 } } },
+        { type: 'slow' },
+      ],
+    });
+    const childId = flow.children[0].jobId;
+    await until(async () => (await client.getJob(childId)).status === 'failed');
+
+    expect(await client.dlq.requeue([childId])).toMatchObject({ requeued: 1 });
+    await until(async () => (await client.getJob(childId)).status === 'completed');
+    release();
+
+    const results = await client.waitForJob(flow.jobId);
+    expect(results[childId]).toMatchObject({ status: 'completed', result: 'fixed' });
+  });
+
+  test('refuses an action of a saga that has compensated', async () => {
+    await startWorker(client, {
+      reserve: async () => 'reserved',
+      release: async () => 'released',
+      charge: async () => {
+        throw new Error('card declined');
+      },
+    });
+
+    const { transactionId } = await new Transaction(client)
+      .addAction({ type: 'reserve' }, { type: 'release' })
+      .addAction({ type: 'charge', config: { retry: { maxAttempts: 1 } } })
+      .execute();
+    await until(async () => (await Transaction.getStatus(client, transactionId)).status === 'compensated');
+    const { steps } = await Transaction.getStatus(client, transactionId);
+
+    expect(await client.dlq.requeue([steps[1].forward.jobId])).toMatchObject({
+      requeued: 0,
+      results: [{ requeued: false, error: `Saga ${transactionId} is compensated` }],
+    });
+  });
+
+  test('pages filtered entries across batches and reports DLQ positions', async () => {
+    await startWorker(client, {
+      bad: async (job) => {
+        const error = new Error('bad input');
+        error.code = job.getPayload().n % 2 === 0 ? 'EVEN' : 'ODD';
+        throw error;
+      },
+    });
+
+    const jobIds = [];
+    for (let n = 0; n < 150; n += 1) {
+      jobIds.push(await client.createJob({ type: 'bad', payload: { n }, config: { retry: { maxAttempts: 1 } } }));
+    }
+    await until(async () => (await client.dlq.list({ count: 200 })).entries.length === 150, 20000);
+
+    const seen = [];
+    let cursor = 0;
+    do {
+      const page = await client.dlq.list({ errorCode: 'EVEN', cursor, count: 30 });
+      seen.push(...page.entries.map((entry) => entry.jobId));
+      ({ cursor } = page);
+    } while (cursor !== null);
+
+    const failed = (await client.dlq.list({ count: 200 })).entries.map((entry) => entry.jobId);
+    expect(seen).toHaveLength(75);
+    expect(new Set(seen).size).toBe(75);
+    expect((await client.dlq.inspect(failed[120])).position).toBe(120);
+    const oddPositions = failed
+      .map((jobId, index) => (seen.includes(jobId) ? -1 : index))
+      .filter((index) => index !== -1);
+    expect((await client.dlq.export({ errorCode: 'ODD' })).map((record) => record.position))
+      .toEqual(oddPositions);
+  }, 30000);
+});
@@ -0,0 +1,96 @@
+const EventEmitter = require('events');
+const MemoryDriver = require('../../src/storage/drivers/MemoryDriver');
+const RedisConnection = require('../../src/connection/RedisConnection');
+const {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+} = require('../helpers/harness');
+
+describe('Failover', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = await startClient();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await stopAll();
+  });
+
+  /**
+   * Empty the script cache, as on a primary that was just promoted:
+   * every script call fails with NOSCRIPT until a script is loaded again
+   * @returns {Object} Jest spy on MemoryDriver#script
+   */
+  function flushScripts() {
+    const { _evalsha: evalsha, script } = MemoryDriver.prototype;
+    let cached = false;
+
+    jest.spyOn(MemoryDriver.prototype, '_evalsha').mockImplementation(function run(...args) {
+      if (!cached) {
+        throw new Error('NOSCRIPT No matching script. Please use EVAL.');
+      }
+      return evalsha.apply(this, args);
+    });
+
+    return jest.spyOn(MemoryDriver.prototype, 'script').mockImplementation(function load(...args) {
+      cached = true;
+      return script.apply(this, args);
+    });
+  }
+
+  test('loads a script again on NOSCRIPT and runs the command', async () => {
+    const script = flushScripts();
+
+    const jobId = await client.createJob({ type: 'email' });
+
+    expect(await client.getJob(jobId)).toMatchObject({ status: 'pending' });
+    expect(script).toHaveBeenCalledWith('LOAD', expect.any(String));
+  });
+
+  test('runs a bulk create again on NOSCRIPT', async () => {
+    const script = flushScripts();
+
+    const results = await client.createJobs([{ type: 'email' }, { type: 'email' }]);
+
+    expect(results.map((result) => result.created)).toEqual([true, true]);
+    expect(await client.getPendingCount()).toBe(2);
+    expect(script).toHaveBeenCalledWith('LOAD', expect.any(String));
+  });
+
+  test('subscribes again to its channels when the subscriber reconnects', async () => {
+    const { subscriber } = client.pubsub;
+    const heard = [];
+    client.events.on('job.completed', ({ jobId }) => heard.push(jobId));
+    await startWorker(client, { email: async () => 'sent' });
+
+    // The new connection knows none of the old subscriptions
+    subscriber.emit('close');
+    subscriber.channels.clear();
+    subscriber.patterns.clear();
+    subscriber.emit('ready');
+
+    const jobId = await client.createJob({ type: 'email' });
+
+    await until(() => heard.includes(jobId));
+  });
+
+  test('emits connection.failover when a reconnect lands on another primary', async () => {
+    const connection = new RedisConnection({ onFailover: (info) => client._onFailover(info) });
+    const failovers = [];
+    client.events.on('connection.failover', (event) => failovers.push(event));
+
+    connection.client = new EventEmitter();
+    connection._setupEventHandlers();
+    connection.client.stream = { remoteAddress: '10.0.0.1', remotePort: 6379 };
+    connection.client.emit('ready');
+    connection.client.emit('ready');
+    connection.client.stream = { remoteAddress: '10.0.0.2', remotePort: 6379 };
+    connection.client.emit('ready');
+
+    expect(failovers).toMatchObject([{ previous: '10.0.0.1:6379', current: '10.0.0.2:6379' }]);
+  });
+});
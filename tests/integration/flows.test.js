@@ -0,0 +1,120 @@
+const {
+  startClient,
+  startWorker,
+  stopAll,
+} = require('../helpers/harness');
+
+describe('Flows', () => {
+  let client;
+  let ran;
+
+  beforeEach(async () => {
+    client = await startClient();
+    ran = [];
+    await startWorker(client, {
+      part: async (job) => {
+        ran.push(job.getPayload().name);
+        if (job.getPayload().fail) {
+          throw new Error(`${job.getPayload().name} broke`);
+        }
+        return job.getPayload().name;
+      },
+      quiet: async () => {},
+      report: async (job) => {
+        ran.push('report');
+        return job.getChildrenResults();
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await stopAll();
+  });
+
+  /**
+   * Flow child of type 'part'
+   * @param {string} name - Part name (its result)
+   * @param {Object} fields - Extra job fields, e.g. children
+   * @returns {Object} Flow node
+   */
+  function part(name, fields = {}) {
+    return {
+      type: 'part',
+      payload: { name },
+      config: { retry: { maxAttempts: 1 } },
+      ...fields,
+    };
+  }
+
+  /**
+   * Flow child of type 'part' that fails
+   * @param {string} name - Part name
+   * @returns {Object} Flow node
+   */
+  function brokenPart(name) {
+    return { ...part(name), payload: { name, fail: true } };
+  }
+
+  test('runs a parent after its children, with their results', async () => {
+    const flow = await client.createFlow({
+      type: 'report',
+      children: [
+        part('a'),
+        part('b', { children: [part('b1')] }),
+      ],
+    });
+    const [a, b] = flow.children;
+
+    const results = await client.waitForJob(flow.jobId);
+
+    expect(results).toEqual({
+      [a.jobId]: { status: 'completed', result: 'a' },
+      [b.jobId]: { status: 'completed', result: 'b' },
+    });
+    expect(ran.indexOf('b1')).toBeLessThan(ran.indexOf('b'));
+    expect(ran[ran.length - 1]).toBe('report');
+  });
+
+  test('records a child that returns nothing as a null result', async () => {
+    const flow = await client.createFlow({ type: 'report', children: [{ type: 'quiet' }] });
+
+    expect(await client.waitForJob(flow.jobId)).toEqual({
+      [flow.children[0].jobId]: { status: 'completed', result: null },
+    });
+  });
+
+  test('fails the parent without running it when a child fails', async () => {
+    const flow = await client.createFlow({ type: 'report', children: [brokenPart('a'), part('b')] });
+
+    await expect(client.waitForJob(flow.jobId)).rejects.toMatchObject({ code: 2003 });
+    const [entry] = (await client.getJob(flow.jobId)).errors;
+    expect(JSON.parse(entry.error)).toMatchObject({ code: 6001, type: 'CHILD_FAILED' });
+    expect(ran).not.toContain('report');
+  });
+
+  test('runs the parent with the failed child\'s error on onChildFailure: continue', async () => {
+    const flow = await client.createFlow({
+      type: 'report',
+      onChildFailure: 'continue',
+      children: [brokenPart('a'), part('b')],
+    });
+    const [a, b] = flow.children;
+
+    const results = await client.waitForJob(flow.jobId);
+
+    expect(results[a.jobId]).toMatchObject({ status: 'failed', error: { message: 'a broke' } });
+    expect(results[b.jobId]).toEqual({ status: 'completed', result: 'b' });
+  });
+
+  test('runs the parent without the failed child on onChildFailure: ignore', async () => {
+    const flow = await client.createFlow({
+      type: 'report',
+      onChildFailure: 'ignore',
+      children: [brokenPart('a'), part('b')],
+    });
+
+    const results = await client.waitForJob(flow.jobId);
+
+    expect(results).toEqual({ [flow.children[1].jobId]: { status: 'completed', result: 'b' } });
+  });
+});
@@ -0,0 +1,89 @@
+const MemoryDriver = require('../../src/storage/drivers/MemoryDriver');
+const { MemoryStore } = require('../../src/storage/drivers');
+const {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+} = require('../helpers/harness');
+
+// Fail for good on the first run (nothing here runs ProcessDelayed)
+const ONCE = { retry: { maxAttempts: 1 } };
+
+describe('Hash-tagged keys', () => {
+  let evalsha;
+
+  beforeEach(() => {
+    evalsha = jest.spyOn(MemoryDriver.prototype, 'evalsha');
+  });
+
+  afterEach(async () => {
+    await stopAll();
+    evalsha.mockRestore();
+  });
+
+  /**
+   * Redis Cluster hash tag of a key (the whole key if it has none)
+   * @param {string} key - Key
+   * @returns {string} Hashed part
+   */
+  function hashTag(key) {
+    const open = key.indexOf('{');
+    const close = key.indexOf('}', open + 1);
+
+    return open !== -1 && close > open + 1 ? key.slice(open + 1, close) : key;
+  }
+
+  /**
+   * Hash tags of the keys passed to each script call so far
+   * @returns {Set<string>[]} One set per call
+   */
+  function scriptTags() {
+    return evalsha.mock.calls.map(([, numKeys, ...args]) => (
+      new Set(args.slice(0, Number(numKeys)).map(hashTag))
+    ));
+  }
+
+  /**
+   * Run one mesh's jobs through completion, failure, cancellation and a flow
+   * @param {Object} client - Client in that mesh
+   * @returns {Promise<void>}
+   */
+  async function exercise(client) {
+    await startWorker(client, {
+      ok: async () => 'ok',
+      boom: async () => {
+        throw new Error('boom');
+      },
+    });
+
+    const done = await client.createJob({ type: 'ok' });
+    const failed = await client.createJob({ type: 'boom', config: ONCE });
+    const cancelled = await client.createJob({ type: 'idle' });
+    await client.cancelJob(cancelled);
+    const flow = await client.createFlow({ type: 'ok', children: [{ type: 'ok' }, { type: 'ok' }] });
+    await client.createJobs([{ type: 'ok' }, { type: 'ok' }]);
+
+    await client.waitForJob(done);
+    await expect(client.waitForJob(failed)).rejects.toMatchObject({ code: 2003 });
+    await client.waitForJob(flow.jobId);
+    await until(async () => (await client.dlq.list()).entries.length === 1);
+    await client.dlq.requeue([failed]);
+  }
+
+  test('gives every script call the keys of one mesh only', async () => {
+    const store = new MemoryStore();
+
+    await exercise(await startClient({ store, meshId: 'orders' }));
+    await exercise(await startClient({ store, meshId: 'billing' }));
+
+    const tags = scriptTags();
+    expect(tags.length).toBeGreaterThan(10);
+    expect(tags.filter((set) => set.size !== 1)).toEqual([]);
+    expect(new Set(tags.map((set) => [...set][0]))).toEqual(new Set(['orders', 'billing']));
+  });
+
+  test('rejects a mesh ID with braces', async () => {
+    await expect(startClient({ meshId: 'a{b}' })).rejects.toMatchObject({ code: 1002 });
+  });
+});
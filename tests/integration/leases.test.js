@@ -0,0 +1,121 @@
+const StallDetector = require('../../src/background/StallDetector');
+const Namespace = require('../../src/utils/Namespace');
+const {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+} = require('../helpers/harness');
+
+describe('Job leases', () => {
+  let release;
+
+  beforeEach(() => {
+    release = () => {};
+  });
+
+  afterEach(async () => {
+    release();
+    await stopAll();
+  });
+
+  /**
+   * Run one stall detection pass
+   * @param {Client} client - Client
+   * @returns {Promise<void>}
+   */
+  function detect(client) {
+    return new StallDetector(client.redis)._detectStalled();
+  }
+
+  test('keeps a long job leased while its worker renews it', async () => {
+    const client = await startClient({ server: { lockDurationMs: 100 } });
+    await startWorker(client, {
+      long: async () => {
+        await new Promise((resolve) => {
+          setTimeout(resolve, 400);
+        });
+        return 'done';
+      },
+    });
+
+    const jobId = await client.createJob({ type: 'long' });
+    const waiting = client.waitForJob(jobId);
+
+    await until(async () => (await client.getJob(jobId)).status === 'active');
+    for (let i = 0; i < 3; i += 1) {
+      await new Promise((resolve) => {
+        setTimeout(resolve, 100);
+      });
+      await detect(client);
+    }
+
+    expect(await waiting).toBe('done');
+    expect((await client.getJob(jobId)).stalledCount).toBe(0);
+  });
+
+  test('hands a job whose lease lapsed to another worker', async () => {
+    const gate = new Promise((resolve) => {
+      release = resolve;
+    });
+    // Renews far too late to keep its lease
+    const frozen = await startClient({ server: { lockDurationMs: 50, lockRenewIntervalMs: 60000 } });
+    await startWorker(frozen, {
+      job: async () => {
+        await gate;
+        return 'first';
+      },
+    });
+
+    const jobId = await frozen.createJob({ type: 'job' });
+    await until(async () => (await frozen.getJob(jobId)).status === 'active');
+    await new Promise((resolve) => {
+      setTimeout(resolve, 100);
+    });
+    await detect(frozen);
+
+    const other = await startClient({ store: frozen.redis.store });
+    await startWorker(other, { job: async () => 'second' });
+    expect(await other.waitForJob(jobId)).toBe('second');
+
+    // The first worker's late completion no longer owns the job
+    release();
+    await new Promise((resolve) => {
+      setTimeout(resolve, 50);
+    });
+    expect(await other.getJobResult(jobId)).toBe('second');
+    expect((await other.getJob(jobId)).stalledCount).toBe(1);
+  });
+
+  test('stops renewing and aborts the handler once its lease is taken', async () => {
+    const client = await startClient({ server: { lockDurationMs: 200, lockRenewIntervalMs: 20 } });
+    const lost = [];
+    let aborted;
+    const worker = await startWorker(client, {
+      job: (job) => new Promise((resolve) => {
+        job.signal.addEventListener('abort', () => {
+          aborted = job.signal.reason;
+          resolve('late');
+        });
+      }),
+    });
+
+    worker.events.on('job.lockLost', ({ jobId }) => lost.push(jobId));
+
+    const jobId = await client.createJob({ type: 'job' });
+    await until(async () => (await client.getJob(jobId)).status === 'active');
+    // Recovered and claimed by another worker
+    const job = `${Namespace.mesh(client.redis, 'm1')}:job:${jobId}`;
+    await client.redis.set(`${job}:lock`, 'elsewhere');
+    await client.redis.hset(`${job}:meta`, 'lockToken', 'elsewhere');
+
+    await until(() => aborted !== undefined);
+    await new Promise((resolve) => {
+      setTimeout(resolve, 100);
+    });
+
+    expect(aborted).toMatchObject({ code: 2009 });
+    expect(lost).toEqual([jobId]);
+    expect((await client.getJob(jobId)).status).toBe('active');
+  });
+});
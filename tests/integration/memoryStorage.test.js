@@ -0,0 +1,67 @@
+const ProcessDelayed = require('../../src/background/ProcessDelayed');
+const { MemoryStore } = require('../../src/storage/drivers');
+const {
+  startClient,
+  startWorker,
+  stopAll,
+} = require('../helpers/harness');
+
+describe('In-memory storage', () => {
+  let delayed;
+
+  afterEach(async () => {
+    if (delayed) {
+      delayed.stop();
+      delayed = null;
+    }
+    await stopAll();
+  });
+
+  test('shares one data set between every \'memory\' client in the process', async () => {
+    const producer = await startClient({ store: 'memory', meshId: 'shared' });
+    const consumer = await startClient({ store: 'memory', meshId: 'shared' });
+    await startWorker(consumer, { email: async (job) => ({ sent: job.getPayload().to }) });
+
+    const result = await producer.createJobAndWait({ type: 'email', payload: { to: 'a@b.c' } });
+
+    expect(result).toEqual({ sent: 'a@b.c' });
+    expect(MemoryStore.shared()).toBe(producer.redis.store);
+  });
+
+  test('keeps the data sets of separate stores apart', async () => {
+    const one = await startClient();
+    const other = await startClient();
+
+    const jobId = await one.createJob({ type: 'email' });
+
+    expect(await one.getJob(jobId)).toMatchObject({ status: 'pending' });
+    expect((await other.getJob(jobId)).status).toBeUndefined();
+    expect(await other.getPendingCount()).toBe(0);
+  });
+
+  test('delivers events published by one client to another', async () => {
+    const producer = await startClient();
+    const consumer = await startClient({ store: producer.redis.store });
+    await startWorker(consumer, { email: async () => 'sent' });
+    const completed = new Promise((resolve) => {
+      producer.events.on('job.completed', resolve);
+    });
+
+    const jobId = await producer.createJob({ type: 'email' });
+
+    await expect(completed).resolves.toMatchObject({ jobId });
+  });
+
+  test('runs delayed jobs once ProcessDelayed moves them', async () => {
+    const client = await startClient();
+    await startWorker(client, { remind: async () => 'reminded' });
+
+    const jobId = await client.createJob({ type: 'remind', config: { schedule: { delay: 50 } } });
+    expect(await client.getDelayedCount()).toBe(1);
+
+    delayed = new ProcessDelayed(client.redis, { intervalMs: 20 });
+    delayed.start();
+
+    expect(await client.waitForJob(jobId)).toBe('reminded');
+  });
+});
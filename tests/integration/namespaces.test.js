@@ -0,0 +1,74 @@
+const { MemoryStore } = require('../../src/storage/drivers');
+const {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+} = require('../helpers/harness');
+
+describe('Namespaces', () => {
+  let store;
+  let staging;
+  let production;
+
+  beforeEach(async () => {
+    store = new MemoryStore();
+    staging = await startClient({ store, redis: { keyPrefix: 'staging' } });
+    production = await startClient({ store });
+  });
+
+  afterEach(async () => {
+    await stopAll();
+  });
+
+  test('keeps every key of a deployment under its prefix', async () => {
+    // On a store of its own, so production's keys don't show up below
+    staging = await startClient({ redis: { keyPrefix: 'staging' } });
+    const jobId = await staging.createJob({ type: 'email', payload: { to: 'a@b.c' } });
+    await startWorker(staging, { email: async () => 'sent' });
+    await staging.waitForJob(jobId);
+
+    const keys = await staging.redis.keys('*');
+
+    expect(keys.length).toBeGreaterThan(0);
+    expect(keys.filter((key) => !key.startsWith('staging:'))).toEqual([]);
+    expect(keys).toContain(`staging:{m1}:job:${jobId}:meta`);
+  });
+
+  test('only runs jobs of the worker\'s own deployment', async () => {
+    const ran = [];
+    await startWorker(production, { email: async () => ran.push('production') });
+
+    const stagingJob = await staging.createJob({ type: 'email' });
+    const productionJob = await production.createJob({ type: 'email' });
+
+    await until(async () => (await production.getJob(productionJob)).status === 'completed');
+    await new Promise((resolve) => {
+      setTimeout(resolve, 100);
+    });
+
+    expect(ran).toEqual(['production']);
+    expect((await staging.getJob(stagingJob)).status).toBe('pending');
+    expect((await production.getJob(stagingJob)).status).toBeUndefined();
+  });
+
+  test('publishes events on the deployment\'s own channels', async () => {
+    const heard = { staging: [], production: [] };
+    staging.events.on('job.created', ({ jobId }) => heard.staging.push(jobId));
+    production.events.on('job.created', ({ jobId }) => heard.production.push(jobId));
+
+    const stagingJob = await staging.createJob({ type: 'email' });
+    const productionJob = await production.createJob({ type: 'email' });
+
+    await until(() => heard.staging.length > 0 && heard.production.length > 0);
+    expect(new Set(heard.staging)).toEqual(new Set([stagingJob]));
+    expect(new Set(heard.production)).toEqual(new Set([productionJob]));
+  });
+
+  test('rejects a prefix with braces or whitespace', async () => {
+    await expect(startClient({ store, redis: { keyPrefix: '{tenant}' } }))
+      .rejects.toMatchObject({ code: 1002 });
+    await expect(startClient({ store, redis: { keyPrefix: 'my app' } }))
+      .rejects.toMatchObject({ code: 1002 });
+  });
+});
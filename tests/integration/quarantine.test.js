@@ -0,0 +1,70 @@
+const StallDetector = require('../../src/background/StallDetector');
+const JobStorage = require('../../src/storage/JobStorage');
+const Namespace = require('../../src/utils/Namespace');
+const {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+} = require('../helpers/harness');
+
+describe('Quarantine', () => {
+  let client;
+  let release;
+
+  beforeEach(async () => {
+    client = await startClient();
+    const gate = new Promise((resolve) => {
+      release = resolve;
+    });
+    await startWorker(client, { hang: async () => gate });
+  });
+
+  afterEach(async () => {
+    release();
+    await stopAll();
+  });
+
+  /**
+   * Start a job and let its lease lapse while the handler still runs
+   * @returns {Promise<string>} Job ID
+   */
+  async function lapsedJob() {
+    const jobId = await client.createJob({ type: 'hang' });
+    const mp = Namespace.mesh(client.redis, 'm1');
+
+    await until(async () => (await JobStorage.getJobMeta(client.redis, jobId, 'm1')).status === 'active');
+    await client.redis.del(`${mp}:job:${jobId}:lock`);
+
+    return jobId;
+  }
+
+  test('quarantines a job whose server died with it', async () => {
+    const jobId = await lapsedJob();
+    const waiting = client.waitForJob(jobId);
+    await client.redis.del(`${Namespace.of(client.redis)}:server:${client.config.server.serverId}`);
+
+    await new StallDetector(client.redis, { quarantineAfter: 1 })._detectStalled();
+
+    await expect(waiting).rejects.toMatchObject({ code: 2007, context: { crashCount: 1 } });
+    expect(await client.quarantine.count()).toBe(1);
+    expect((await client.quarantine.list({ type: 'hang' })).entries).toMatchObject([
+      { jobId, crashCount: 1, lastCrash: { serverAlive: false } },
+    ]);
+    expect((await client.quarantine.list({ type: 'other' })).entries).toEqual([]);
+  });
+
+  test('only requeues a job whose server is still alive', async () => {
+    const jobId = await lapsedJob();
+
+    await new StallDetector(client.redis, { quarantineAfter: 1 })._detectStalled();
+
+    const meta = await JobStorage.getJobMeta(client.redis, jobId, 'm1');
+    expect(meta.stalledCount).toBe(1);
+    expect(meta.crashCount || 0).toBe(0);
+    expect(await client.quarantine.count()).toBe(0);
+
+    const record = await client.quarantine.inspect(jobId);
+    expect(record.crashes).toMatchObject([{ serverAlive: true }]);
+  });
+});
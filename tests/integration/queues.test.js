@@ -0,0 +1,78 @@
+const Namespace = require('../../src/utils/Namespace');
+const {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+} = require('../helpers/harness');
+
+describe('Queue registry', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = await startClient();
+  });
+
+  afterEach(async () => {
+    await stopAll();
+  });
+
+  /**
+   * Wait until every job has completed
+   * @param {string[]} jobIds - Job IDs
+   * @returns {Promise<void>}
+   */
+  async function allCompleted(jobIds) {
+    await until(async () => {
+      const jobs = await Promise.all(jobIds.map((jobId) => client.getJob(jobId)));
+      return jobs.every((job) => job.status === 'completed');
+    });
+  }
+
+  test('runs the highest priority job first, whatever its type', async () => {
+    const ran = [];
+    const jobIds = [
+      await client.createJob({ type: 'low', config: { priority: 2 } }),
+      await client.createJob({ type: 'high', config: { priority: 9 } }),
+      await client.createJob({ type: 'mid', config: { priority: 5 } }),
+    ];
+
+    await startWorker(client, {
+      low: async () => ran.push('low'),
+      high: async () => ran.push('high'),
+      mid: async () => ran.push('mid'),
+    });
+    await allCompleted(jobIds);
+
+    expect(ran).toEqual(['high', 'mid', 'low']);
+  });
+
+  test('drops queues from the registry once they drain', async () => {
+    const mp = Namespace.mesh(client.redis, 'm1');
+    const jobIds = [
+      await client.createJob({ type: 'a' }),
+      await client.createJob({ type: 'b', config: { priority: 7 } }),
+    ];
+    expect(await client.redis.zcard(`${mp}:queues`)).toBe(2);
+
+    await startWorker(client, { a: async () => 'a', b: async () => 'b' });
+    await allCompleted(jobIds);
+
+    // The next claim finds them empty and unregisters them
+    await until(async () => await client.redis.zcard(`${mp}:queues`) === 0);
+  });
+
+  test('leaves a job to the workers with its capabilities', async () => {
+    await startWorker(client, { render: async () => 'cpu' });
+    const jobId = await client.createJob({ type: 'render', config: { target: { capabilities: ['gpu'] } } });
+    await new Promise((resolve) => {
+      setTimeout(resolve, 100);
+    });
+    expect((await client.getJob(jobId)).status).toBe('pending');
+
+    const gpu = await startClient({ store: client.redis.store, server: { capabilities: ['gpu'] } });
+    await startWorker(gpu, { render: async () => 'gpu' });
+
+    expect(await client.waitForJob(jobId)).toBe('gpu');
+  });
+});
@@ -0,0 +1,121 @@
+const RetryBudget = require('../../src/retry/RetryBudget');
+const RetryManager = require('../../src/retry/RetryManager');
+const scripts = require('../../src/scripts');
+const Namespace = require('../../src/utils/Namespace');
+const { claim } = require('../helpers/fixtures');
+const {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+} = require('../helpers/harness');
+
+const BUDGET = {
+  ratio: 0,
+  minRetries: 1,
+  windowMs: 60000,
+};
+
+// Retries go straight back to the queue (nothing here runs ProcessDelayed)
+const RETRY_AT_ONCE = { maxAttempts: 5, policies: [{ match: { name: 'Error' }, delayMs: 0 }] };
+
+describe('Retry budget', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = await startClient({ retry: { budget: BUDGET } });
+  });
+
+  afterEach(async () => {
+    await stopAll();
+  });
+
+  test('parks a retry that would go over budget', async () => {
+    let runs = 0;
+    await startWorker(client, {
+      flaky: async () => {
+        runs += 1;
+        throw new Error('downstream down');
+      },
+    });
+
+    const jobId = await client.createJob({ type: 'flaky', config: { retry: RETRY_AT_ONCE } });
+    const waiting = client.waitForJob(jobId);
+
+    await expect(waiting).rejects.toMatchObject({ code: 2008 });
+    expect(runs).toBe(2);
+    expect(await client.listParkedJobs()).toMatchObject([{ jobId, budgetKey: 'flaky', attempt: 2 }]);
+    expect(await client.getRetryBudget('flaky')).toMatchObject({ attempts: 1, retries: 1, parked: 1 });
+  });
+
+  test('never parks the move to the DLQ', async () => {
+    await startWorker(client, {
+      flaky: async () => {
+        throw new Error('downstream down');
+      },
+    });
+
+    const jobId = await client.createJob({ type: 'flaky', config: { retry: { maxAttempts: 1 } } });
+
+    await expect(client.waitForJob(jobId)).rejects.toMatchObject({ code: 2003 });
+    expect(await client.getRetryBudget('flaky')).toMatchObject({ retries: 0, parked: 0 });
+  });
+
+  test('gives back a retry the job did not use', async () => {
+    const manager = new RetryManager(client.redis, { budget: BUDGET });
+    const jobId = await client.createJob({ type: 'flaky' });
+    await claim(client.redis);
+    await client.cancelJob(jobId);
+
+    const outcome = await manager.handleFailure(jobId, 's1', { message: 'aborted' }, 'token-1', 'm1');
+
+    expect(outcome).toMatchObject({ retried: false, cancelled: true });
+    expect(await client.getRetryBudget('flaky')).toMatchObject({ retries: 0, remaining: 1 });
+  });
+
+  test('releases parked jobs as the budget frees up', async () => {
+    const budget = { ...BUDGET, windowMs: 200, releaseIntervalMs: 20 };
+    const other = await startClient({ store: client.redis.store, retry: { budget } });
+    let runs = 0;
+    await startWorker(other, {
+      flaky: async () => {
+        runs += 1;
+        if (runs < 3) {
+          throw new Error('downstream down');
+        }
+        return 'ok';
+      },
+    });
+
+    const jobId = await other.createJob({ type: 'flaky', config: { retry: RETRY_AT_ONCE } });
+
+    await until(async () => (await other.getJob(jobId) || {}).status === 'completed');
+    expect(runs).toBe(3);
+  });
+
+  test('releases other keys while one key stays over budget', async () => {
+    const budget = new RetryBudget(client.redis, { ...BUDGET, keys: { flaky: { minRetries: 0 } } });
+
+    /**
+     * Park a new job under a budget key
+     * @param {string} type - Job type (and budget key)
+     * @returns {Promise<string>} Job ID
+     */
+    async function park(type) {
+      const jobId = await client.createJob({ type });
+      await claim(client.redis);
+      await scripts.retryJob(client.redis, jobId, 'm1', 's1', { message: 'down' }, 'token-1', false, { parkKey: type });
+      return jobId;
+    }
+
+    await park('flaky');
+    await park('flaky');
+    const emailId = await park('email');
+
+    expect(await budget.releaseParked('m1', 1)).toBe(1);
+    expect((await client.getJob(emailId)).status).toBe('pending');
+    expect(await budget.getState('m1', 'flaky')).toMatchObject({ parked: 2 });
+    expect(await budget.getState('m1', 'email')).toMatchObject({ parked: 0 });
+    expect(await client.redis.smembers(`${Namespace.mesh(client.redis, 'm1')}:parked-keys`)).toEqual(['flaky']);
+  });
+});
@@ -0,0 +1,91 @@
+const RetryManager = require('../../src/retry/RetryManager');
+const { UnrecoverableError } = require('../../src/utils/Errors');
+const { seedJob, claim } = require('../helpers/fixtures');
+const {
+  startClient,
+  startWorker,
+  stopAll,
+} = require('../helpers/harness');
+
+// Every Error retries at once (nothing here runs ProcessDelayed)
+const POLICIES = [{ match: { name: ['Error', 'UnrecoverableError'] }, delayMs: 0 }];
+
+describe('Retry policies', () => {
+  afterEach(async () => {
+    await stopAll();
+  });
+
+  test('uses the manager\'s maxAttempts when the job sets none', async () => {
+    const client = await startClient({ retry: { maxAttempts: 5, policies: POLICIES } });
+    let runs = 0;
+    await startWorker(client, {
+      flaky: async () => {
+        runs += 1;
+        throw new Error('downstream down');
+      },
+    });
+
+    const jobId = await client.createJob({ type: 'flaky' });
+
+    await expect(client.waitForJob(jobId)).rejects.toMatchObject({ code: 2003 });
+    expect(runs).toBe(5);
+  });
+
+  test('never retries an UnrecoverableError, even when a policy matches', async () => {
+    const client = await startClient({ retry: { policies: POLICIES } });
+    let runs = 0;
+    await startWorker(client, {
+      charge: async () => {
+        runs += 1;
+        throw new UnrecoverableError('card rejected');
+      },
+    });
+
+    const jobId = await client.createJob({ type: 'charge' });
+
+    await expect(client.waitForJob(jobId)).rejects.toMatchObject({ code: 2003 });
+    expect(runs).toBe(1);
+  });
+
+  test('sends a cancelled job\'s error to the DLQ, even when a policy matches', async () => {
+    const client = await startClient();
+    const manager = new RetryManager(client.redis, { policies: POLICIES });
+    const jobId = await client.createJob({ type: 'email' });
+    await claim(client.redis);
+
+    const outcome = await manager.handleFailure(
+      jobId,
+      's1',
+      { code: 2001, name: 'Error', message: 'Job cancelled' },
+      'token-1',
+      'm1',
+    );
+
+    expect(manager.shouldRetry({ attempt: 0 }, { code: 2001, name: 'Error' })).toBe(false);
+    expect(outcome).toMatchObject({ retried: false, dlq: true });
+  });
+
+  test('rejects a strategy name that is not registered', async () => {
+    const client = await startClient();
+
+    await expect(client.createJob({ type: 'email', config: { retry: { strategy: 'nope' } } }))
+      .rejects.toMatchObject({ code: 1002, context: { strategy: 'nope' } });
+    await expect(client.createJob({
+      type: 'email',
+      config: { retry: { policies: [{ match: { name: 'Error' }, strategy: 'nope' }] } },
+    })).rejects.toMatchObject({ code: 1002, context: { index: 0 } });
+    expect(() => new RetryManager(client.redis, { defaultStrategy: 'nope' })).toThrow('Unknown retry strategy');
+  });
+
+  test('sends a job to the DLQ when its strategy is not registered in this process', async () => {
+    const client = await startClient();
+    const manager = new RetryManager(client.redis);
+    const jobId = await seedJob(client.redis, { config: { retry: { strategy: 'elsewhere' } } });
+    await claim(client.redis);
+
+    const outcome = await manager.handleFailure(jobId, 's1', { message: 'boom' }, 'token-1', 'm1');
+
+    expect(outcome).toMatchObject({ retried: false, dlq: true });
+    expect(await client.getJob(jobId)).toMatchObject({ status: 'failed' });
+  });
+});
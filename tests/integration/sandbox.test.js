@@ -0,0 +1,52 @@
+const path = require('path');
+const {
+  startClient,
+  startWorker,
+  stopAll,
+} = require('../helpers/harness');
+
+const DOUBLE = path.join(__dirname, '../helpers/sandboxed/double.js');
+const CRASH = path.join(__dirname, '../helpers/sandboxed/crash.js');
+
+describe('Sandboxed handlers', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = await startClient();
+  });
+
+  afterEach(async () => {
+    await stopAll();
+  });
+
+  test('runs a handler file in a worker thread', async () => {
+    await startWorker(client, { double: { file: DOUBLE, sandbox: 'thread' } });
+
+    const jobId = await client.createJob({ type: 'double', payload: { n: 21 } });
+    const result = await client.waitForJob(jobId);
+
+    expect(result).toMatchObject({ doubled: 42, pid: process.pid });
+    expect(result.threadId).not.toBe(0);
+    expect((await client.getJob(jobId)).progress).toBe(100);
+  });
+
+  test('runs a handler file in a child process', async () => {
+    await startWorker(client, { double: { file: DOUBLE, sandbox: 'process' } });
+
+    const result = await client.createJobAndWait({ type: 'double', payload: { n: 4 } });
+
+    expect(result.doubled).toBe(8);
+    expect(result.pid).not.toBe(process.pid);
+  });
+
+  test('fails the job of a sandbox that dies and replaces the sandbox', async () => {
+    await startWorker(client, { crash: { file: CRASH, sandbox: 'process' } });
+
+    const crashed = await client.createJob({ type: 'crash', payload: {}, config: { retry: { maxAttempts: 1 } } });
+    await expect(client.waitForJob(crashed)).rejects.toMatchObject({ code: 2003 });
+    const [entry] = (await client.getJob(crashed)).errors;
+    expect(JSON.parse(entry.error)).toMatchObject({ code: 3004 });
+
+    expect(await client.createJobAndWait({ type: 'crash', payload: { survive: true } })).toBe('survived');
+  });
+});
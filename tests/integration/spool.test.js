@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryDriver = require('../../src/storage/drivers/MemoryDriver');
+const { MemoryStore } = require('../../src/storage/drivers');
+const {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+} = require('../helpers/harness');
+
+describe('Local spool', () => {
+  let dir;
+  let spool;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'bridgemq-spool-'));
+    spool = { path: path.join(dir, 'jobs.spool') };
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await stopAll();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Take the client's connection down
+   * @param {Object} client - Client
+   */
+  function disconnect(client) {
+    const { redis } = client;
+    redis.status = 'reconnecting';
+  }
+
+  /**
+   * Bring the client's connection back
+   * @param {Object} client - Client
+   */
+  function reconnect(client) {
+    const { redis } = client;
+    redis.status = 'ready';
+    redis.emit('ready');
+  }
+
+  test('spools jobs while disconnected and replays them in order', async () => {
+    const client = await startClient({ spool });
+    const spooled = [];
+    const replayed = new Promise((resolve) => {
+      client.events.on('spool.replayed', resolve);
+    });
+    client.events.on('job.spooled', ({ jobId }) => spooled.push(jobId));
+
+    disconnect(client);
+    const jobIds = [
+      await client.createJob({ type: 'email', payload: { n: 1 } }),
+      await client.createJob({ type: 'email', payload: { n: 2 } }),
+    ];
+    expect(spooled).toEqual(jobIds);
+    expect(await client.getPendingCount()).toBe(0);
+
+    reconnect(client);
+
+    await expect(replayed).resolves.toMatchObject({ count: 2 });
+    expect(client.spool.pending).toBe(0);
+
+    const ran = [];
+    await startWorker(client, { email: async (job) => ran.push(job.getPayload().n) });
+    await until(() => ran.length === 2);
+    expect(ran).toEqual([1, 2]);
+  });
+
+  test('spools a job whose create fails as the connection drops', async () => {
+    const client = await startClient({ spool });
+    jest.spyOn(MemoryDriver.prototype, '_evalsha').mockImplementationOnce(function drop() {
+      this.status = 'reconnecting';
+      throw new Error('read ECONNRESET');
+    });
+
+    const jobId = await client.createJob({ type: 'email' });
+    expect(client.spool.pending).toBe(1);
+
+    reconnect(client);
+
+    await until(async () => (await client.getJob(jobId)).status === 'pending');
+  });
+
+  test('creates a job once when its reply was lost before it was spooled', async () => {
+    const client = await startClient({ spool });
+    const { _evalsha: evalsha } = MemoryDriver.prototype;
+    jest.spyOn(MemoryDriver.prototype, '_evalsha').mockImplementationOnce(function lose(...args) {
+      evalsha.apply(this, args);
+      this.status = 'reconnecting';
+      throw new Error('read ECONNRESET');
+    });
+
+    const jobId = await client.createJob({ type: 'email' });
+    reconnect(client);
+
+    await until(() => client.spool.pending === 0);
+    expect(await client.getPendingCount()).toBe(1);
+    expect(await client.getJob(jobId)).toMatchObject({ status: 'pending' });
+  });
+
+  test('replays what an earlier process left in the spool on start', async () => {
+    const store = new MemoryStore();
+    const earlier = await startClient({ store, spool });
+    disconnect(earlier);
+    const jobId = await earlier.createJob({ type: 'email' });
+    await earlier.shutdown();
+
+    const later = await startClient({ store, spool });
+
+    expect(await later.getJob(jobId)).toMatchObject({ status: 'pending' });
+    expect(later.spool.pending).toBe(0);
+  });
+
+  test('hands a job Redis rejects on replay to spool.dropped', async () => {
+    const client = await startClient({ spool });
+    const dropped = new Promise((resolve) => {
+      client.events.on('spool.dropped', resolve);
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    disconnect(client);
+    const jobId = await client.createJob({ type: 'email', payload: { n: 1 } });
+    jest.spyOn(MemoryDriver.prototype, '_evalsha').mockImplementationOnce(() => {
+      throw new Error('ERR rejected');
+    });
+    reconnect(client);
+
+    const { job, error } = await dropped;
+    expect(job).toMatchObject({ jobId, type: 'email', payload: { n: 1 } });
+    expect(error).toMatchObject({ code: 9004, context: { error: 'ERR rejected' } });
+    await until(() => client.spool.pending === 0);
+    expect(await client.getJob(jobId)).toMatchObject({ config: null });
+  });
+});
@@ -0,0 +1,59 @@
+const {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+} = require('../helpers/harness');
+
+describe('Execution timeout', () => {
+  let client;
+  let aborted;
+
+  beforeEach(async () => {
+    client = await startClient();
+    aborted = [];
+    await startWorker(client, {
+      slow: async (job) => {
+        if (job.getPayload().fast) {
+          return 'fast';
+        }
+        await new Promise((resolve) => {
+          job.signal.addEventListener('abort', resolve);
+        });
+        aborted.push(job.signal.reason);
+        return 'too late';
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await stopAll();
+  });
+
+  test('aborts a handler that outlives timeoutMs and fails the job', async () => {
+    const jobId = await client.createJob({
+      type: 'slow',
+      payload: {},
+      config: { timeoutMs: 50, retry: { timeoutPolicy: 'fatal' } },
+    });
+
+    await expect(client.waitForJob(jobId)).rejects.toMatchObject({ code: 2003 });
+    const job = await client.getJob(jobId);
+    expect(job.attempt).toBe(1);
+    expect(JSON.parse(job.errors[0].error)).toMatchObject({ code: 2002, type: 'JOB_TIMEOUT' });
+    expect(aborted).toMatchObject([{ code: 2002 }]);
+  });
+
+  test('retries a timed out job by default', async () => {
+    const jobId = await client.createJob({ type: 'slow', payload: {}, config: { timeoutMs: 50 } });
+
+    await until(async () => (await client.getJob(jobId)).status === 'scheduled');
+    expect((await client.getJob(jobId)).attempt).toBe(1);
+  });
+
+  test('leaves a handler that finishes in time alone', async () => {
+    expect(await client.createJobAndWait({ type: 'slow', payload: { fast: true }, config: { timeoutMs: 1000 } }))
+      .toBe('fast');
+    expect(aborted).toEqual([]);
+  });
+});
@@ -0,0 +1,169 @@
+const Transaction = require('../../src/workflow/Transaction');
+const TransactionRecovery = require('../../src/background/TransactionRecovery');
+const TransactionStorage = require('../../src/storage/TransactionStorage');
+const {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+} = require('../helpers/harness');
+
+// Fail for good on the first run (nothing here runs ProcessDelayed)
+const ONCE = { retry: { maxAttempts: 1 } };
+
+describe('Transaction', () => {
+  let client;
+  let ran;
+
+  beforeEach(async () => {
+    client = await startClient();
+    ran = [];
+  });
+
+  afterEach(async () => {
+    await stopAll();
+  });
+
+  /**
+   * A handler that records its job type
+   * @param {string} type - Job type
+   * @returns {Function} Handler
+   */
+  function record(type) {
+    return async () => {
+      ran.push(type);
+      return type;
+    };
+  }
+
+  /**
+   * Wait until a saga reaches a final status
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Object>} Final status
+   */
+  async function settled(transactionId) {
+    const final = ['completed', 'compensated', 'failed'];
+    await until(async () => final.includes((await client.getTransaction(transactionId)).status));
+    return client.getTransaction(transactionId);
+  }
+
+  test('runs every action in order and completes', async () => {
+    await startWorker(client, { reserve: record('reserve'), charge: record('charge') });
+
+    const { transactionId } = await new Transaction(client)
+      .addAction({ type: 'reserve' }, { type: 'release' })
+      .addAction({ type: 'charge' }, { type: 'refund' })
+      .execute();
+
+    const status = await settled(transactionId);
+
+    expect(status.status).toBe('completed');
+    expect(ran).toEqual(['reserve', 'charge']);
+    expect(status.steps.map((step) => step.compensation.status)).toEqual(['pending', 'pending']);
+  });
+
+  test('compensates the completed actions in reverse order when one fails', async () => {
+    await startWorker(client, {
+      reserve: record('reserve'),
+      charge: record('charge'),
+      ship: async () => {
+        throw new Error('no courier');
+      },
+      release: record('release'),
+      refund: record('refund'),
+      recall: record('recall'),
+    });
+
+    const { transactionId } = await new Transaction(client)
+      .addAction({ type: 'reserve' }, { type: 'release' })
+      .addAction({ type: 'charge' }, { type: 'refund' })
+      .addAction({ type: 'ship', config: ONCE }, { type: 'recall' })
+      .execute();
+
+    const status = await settled(transactionId);
+
+    expect(status).toMatchObject({ status: 'compensated', failedStep: 2 });
+    expect(ran).toEqual(['reserve', 'charge', 'refund', 'release']);
+    expect(status.steps[2].compensation.status).toBe('skipped');
+  });
+
+  test('stops as failed when a compensation fails', async () => {
+    await startWorker(client, {
+      reserve: record('reserve'),
+      charge: async () => {
+        throw new Error('card declined');
+      },
+      release: async () => {
+        throw new Error('stock service down');
+      },
+    });
+
+    const { transactionId } = await new Transaction(client)
+      .addAction({ type: 'reserve' }, { type: 'release', config: ONCE })
+      .addAction({ type: 'charge', config: ONCE }, { type: 'refund' })
+      .execute();
+
+    const status = await settled(transactionId);
+
+    expect(status).toMatchObject({ status: 'failed', failedStep: 1 });
+    expect(status.steps[0].compensation.status).toBe('failed');
+  });
+
+  test('is resumed by recovery when nobody advanced it', async () => {
+    const { transactionId } = await new Transaction(client)
+      .addAction({ type: 'reserve' }, { type: 'release' })
+      .addAction({ type: 'charge' }, { type: 'refund' })
+      .execute();
+
+    // Another node holds the saga while the first action finishes
+    await TransactionStorage.acquireLock(client.redis, transactionId, 'm1', 'elsewhere', 30000);
+    await startWorker(client, { reserve: record('reserve'), charge: record('charge') });
+    await until(() => ran.length === 1);
+    await new Promise((resolve) => {
+      setTimeout(resolve, 100);
+    });
+    expect((await client.getTransaction(transactionId)).steps[1].forward.jobId).toBeNull();
+
+    await TransactionStorage.releaseLock(client.redis, transactionId, 'm1', 'elsewhere');
+    await new TransactionRecovery(client)._recover();
+
+    expect((await settled(transactionId)).status).toBe('completed');
+    expect(ran).toEqual(['reserve', 'charge']);
+  });
+
+  test('keeps the outcome of a step whose job was removed', async () => {
+    const { transactionId } = await new Transaction(client)
+      .addAction({ type: 'reserve' }, { type: 'release' })
+      .addAction({ type: 'charge' }, { type: 'refund' })
+      .execute();
+    const reserveJobId = (await client.getTransaction(transactionId)).steps[0].forward.jobId;
+
+    // The first action completes while another node holds the saga, then
+    // its job is cleaned up before the saga moves on
+    await TransactionStorage.acquireLock(client.redis, transactionId, 'm1', 'elsewhere', 30000);
+    await startWorker(client, { reserve: record('reserve'), charge: record('charge') });
+    await until(async () => (await client.getJob(reserveJobId)).status === 'completed');
+    await client.deleteJob(reserveJobId);
+
+    await TransactionStorage.releaseLock(client.redis, transactionId, 'm1', 'elsewhere');
+    await new TransactionRecovery(client)._recover();
+
+    const status = await settled(transactionId);
+    expect(status.status).toBe('completed');
+    expect(status.steps[0].forward.status).toBe('completed');
+    expect(ran).toEqual(['reserve', 'charge']);
+  });
+
+  test('waits on a step job that vanished without an outcome', async () => {
+    const { transactionId } = await new Transaction(client)
+      .addAction({ type: 'reserve' }, { type: 'release' })
+      .execute();
+
+    await client.deleteJob((await client.getTransaction(transactionId)).steps[0].forward.jobId);
+    await new TransactionRecovery(client)._recover();
+
+    const status = await client.getTransaction(transactionId);
+    expect(status.status).toBe('running');
+    expect(status.steps[0].forward.status).toBe('missing');
+  });
+});
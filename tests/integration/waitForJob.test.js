@@ -0,0 +1,114 @@
+const scripts = require('../../src/scripts');
+const Chain = require('../../src/workflow/Chain');
+const { claim, meshKey } = require('../helpers/fixtures');
+const {
+  startClient,
+  startWorker,
+  stopAll,
+} = require('../helpers/harness');
+
+describe('waitForJob', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = await startClient();
+  });
+
+  afterEach(async () => {
+    await stopAll();
+  });
+
+  test('resolves with the result of a job created before the wait', async () => {
+    await startWorker(client, { double: async (job) => job.getPayload().n * 2 });
+
+    expect(await client.createJobAndWait({ type: 'double', payload: { n: 21 } })).toBe(42);
+  });
+
+  test('resolves a job removed on completion from its event', async () => {
+    await startWorker(client, { once: async () => 'gone' });
+
+    const result = await client.createJobAndWait({
+      type: 'once',
+      config: { behavior: { removeOnComplete: true } },
+    });
+
+    expect(result).toBe('gone');
+  });
+
+  test('rejects with the stored error when the job fails', async () => {
+    await startWorker(client, {
+      broken: async () => {
+        throw new Error('boom');
+      },
+    });
+
+    const waiting = client.createJobAndWait({ type: 'broken', config: { retry: { maxAttempts: 1 } } });
+
+    await expect(waiting).rejects.toMatchObject({ code: 2003, message: 'boom' });
+  });
+
+  test('waits for a job that does not exist yet', async () => {
+    const waiting = client.waitForJob('later', { timeoutMs: 3000 });
+    await startWorker(client, { late: async () => 'here' });
+
+    await client.createJob({ jobId: 'later', type: 'late' });
+
+    expect(await waiting).toBe('here');
+  });
+
+  test('waits for a chain link before its predecessor completes', async () => {
+    let release;
+    const gate = new Promise((resolve) => {
+      release = resolve;
+    });
+    await startWorker(client, {
+      first: async () => {
+        await gate;
+        return 1;
+      },
+      second: async (job) => job.getPayload().previousResult + 1,
+    });
+
+    const { jobIds } = await new Chain(client)
+      .addJob({ type: 'first' })
+      .onSuccess({ type: 'second' })
+      .execute();
+    const waiting = client.waitForJob(jobIds[1], { timeoutMs: 3000 });
+    release();
+
+    expect(await waiting).toBe(2);
+  });
+
+  test('times out on a job that never appears', async () => {
+    await expect(client.waitForJob('never', { timeoutMs: 50 })).rejects.toMatchObject({ code: 2004 });
+  });
+
+  test('rejects when the job is quarantined', async () => {
+    const jobId = await client.createJob({ type: 'crashy' });
+    const waiting = client.waitForJob(jobId);
+    await claim(client.redis, { serverId: 'gone' });
+    await client.redis.hset(meshKey(client.redis, `job:${jobId}:meta`), 'crashCount', 2);
+    await client.redis.del(meshKey(client.redis, `job:${jobId}:lock`));
+
+    await scripts.detectStalled(client.redis, 'm1', 'gone', false, 300000, 3, 3);
+
+    await expect(waiting).rejects.toMatchObject({ code: 2007, context: { crashCount: 3 } });
+  });
+
+  test('rejects when the job is parked by its retry budget', async () => {
+    const jobId = await client.createJob({ type: 'email' });
+    const waiting = client.waitForJob(jobId);
+    await claim(client.redis, { lockToken: 'lease' });
+
+    await scripts.retryJob(client.redis, jobId, 'm1', 's1', { message: 'x' }, 'lease', false, { parkKey: 'email' });
+
+    await expect(waiting).rejects.toMatchObject({ code: 2008, context: { budgetKey: 'email' } });
+  });
+
+  test('rejects at once for a job already quarantined', async () => {
+    const jobId = await client.createJob({ type: 'crashy' });
+    await client.redis.hset(meshKey(client.redis, `job:${jobId}:meta`), 'status', 'quarantined');
+
+    await expect(client.waitForJob(jobId)).rejects.toMatchObject({ code: 2007 });
+  });
+});
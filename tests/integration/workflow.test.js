@@ -0,0 +1,113 @@
+const Workflow = require('../../src/workflow/Workflow');
+const JobStorage = require('../../src/storage/JobStorage');
+const Namespace = require('../../src/utils/Namespace');
+const {
+  startClient,
+  startWorker,
+  until,
+  stopAll,
+} = require('../helpers/harness');
+
+describe('Workflow', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = await startClient();
+  });
+
+  afterEach(async () => {
+    await stopAll();
+  });
+
+  /**
+   * Wait until a workflow leaves 'running'
+   * @param {string} workflowId - Workflow ID
+   * @returns {Promise<Object>} Final status
+   */
+  async function settled(workflowId) {
+    await until(async () => (await Workflow.getStatus(client, workflowId)).status !== 'running');
+    return Workflow.getStatus(client, workflowId);
+  }
+
+  test('runs steps in dependency order with upstream results', async () => {
+    const seen = [];
+    await startWorker(client, {
+      validate: async () => ({ ok: true }),
+      charge: async (job) => {
+        seen.push(job.getPayload()._workflow.results);
+        return { charged: 10 };
+      },
+    });
+
+    const { workflowId } = await new Workflow(client, 'order')
+      .addStep('validate', { type: 'validate' })
+      .addStep('charge', { type: 'charge' }, { dependsOn: ['validate'] })
+      .execute({ orderId: '1' });
+
+    const status = await settled(workflowId);
+
+    expect(status.status).toBe('completed');
+    expect(status.steps.charge.result).toEqual({ charged: 10 });
+    expect(seen).toEqual([{ validate: { ok: true } }]);
+  });
+
+  test('cancels the steps downstream of a step that fails for good', async () => {
+    const ran = [];
+    await startWorker(client, {
+      validate: async () => {
+        throw new Error('invalid order');
+      },
+      charge: async () => ran.push('charge'),
+      ship: async () => ran.push('ship'),
+      audit: async () => ran.push('audit'),
+    });
+
+    const { workflowId, steps } = await new Workflow(client, 'order')
+      .addStep('validate', { type: 'validate', config: { retry: { maxAttempts: 1 } } })
+      .addStep('charge', { type: 'charge' }, { dependsOn: ['validate'] })
+      .addStep('audit', { type: 'audit' })
+      .addStep('ship', { type: 'ship' }, { dependsOn: ['charge', 'audit'] })
+      .execute();
+
+    const status = await settled(workflowId);
+
+    expect(status.status).toBe('failed');
+    expect(status.steps.validate.status).toBe('failed');
+    expect(status.steps.charge.status).toBe('cancelled');
+    expect(status.steps.ship.status).toBe('cancelled');
+    expect(await JobStorage.getJobMeta(client.redis, steps.ship, 'm1'))
+      .toMatchObject({ cancelReason: 'dependency_failed', failedDependency: steps.validate });
+    await expect(client.waitForJob(steps.charge)).rejects.toMatchObject({ code: 2001 });
+
+    // audit runs either way: it does not depend on the failed step
+    await until(async () => (await Workflow.getStatus(client, workflowId)).steps.audit.status === 'completed');
+    const mp = Namespace.mesh(client.redis, 'm1');
+    expect(await client.redis.exists(
+      `${mp}:job:${steps.validate}:waiters`,
+      `${mp}:job:${steps.charge}:depends`,
+      `${mp}:job:${steps.ship}:depends`,
+    )).toBe(0);
+    expect(ran).toEqual(['audit']);
+  });
+
+  test('passes null downstream for a step that returns nothing', async () => {
+    const seen = [];
+    await startWorker(client, {
+      notify: async () => {},
+      archive: async (job) => {
+        seen.push(job.getPayload()._workflow.results);
+      },
+    });
+
+    const { workflowId } = await new Workflow(client, 'order')
+      .addStep('notify', { type: 'notify' })
+      .addStep('archive', { type: 'archive' }, { dependsOn: ['notify'] })
+      .execute();
+
+    const status = await settled(workflowId);
+
+    expect(status.status).toBe('completed');
+    expect(status.steps.notify.result).toBeNull();
+    expect(seen).toEqual([{ notify: null }]);
+  });
+});
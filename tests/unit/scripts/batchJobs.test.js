@@ -0,0 +1,38 @@
+const scripts = require('../../../src/scripts');
+const { backends } = require('../../helpers/backends');
+const { seedJob, meta, meshKey } = require('../../helpers/fixtures');
+
+describe.each(backends().map((backend) => [backend.name, backend]))('batchJobs.lua (%s)', (name, backend) => {
+  let redis;
+
+  beforeEach(async () => {
+    redis = await backend.create();
+    await scripts.load(redis);
+  });
+
+  afterEach(async () => {
+    await backend.destroy(redis);
+  });
+
+  test('gathers the accumulated jobs into one batch job', async () => {
+    await seedJob(redis, { jobId: 'a', type: 'email' });
+    await seedJob(redis, { jobId: 'b', type: 'email' });
+    await redis.rpush(meshKey(redis, 'batch:emails'), 'a', 'b');
+
+    const reply = await scripts.finalizeBatch(redis, 'emails', 'batch-1', 'm1', 'email');
+
+    expect(reply).toMatchObject({
+      success: true, batchId: 'batch-1', jobIds: ['a', 'b'], count: 2,
+    });
+    expect(await meta(redis, 'a')).toMatchObject({ status: 'batched', batchId: 'batch-1' });
+    expect(await redis.lrange(meshKey(redis, 'batch:batch-1:jobs'), 0, -1)).toEqual(['a', 'b']);
+    expect(await redis.hgetall(meshKey(redis, 'batch:batch-1:meta'))).toMatchObject({ size: '2', status: 'pending' });
+    expect(await redis.zrange(meshKey(redis, 'queue:email:p5'), 0, -1)).toEqual(['batch-1']);
+    expect(await redis.exists(meshKey(redis, 'batch:emails'))).toBe(0);
+  });
+
+  test('reports an empty batch', async () => {
+    expect(await scripts.finalizeBatch(redis, 'emails', 'batch-1', 'm1', 'email'))
+      .toEqual({ success: false, error: 'No jobs in batch' });
+  });
+});
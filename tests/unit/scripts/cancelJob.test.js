@@ -0,0 +1,68 @@
+const msgpack = require('msgpack-lite');
+const scripts = require('../../../src/scripts');
+const Namespace = require('../../../src/utils/Namespace');
+const { backends } = require('../../helpers/backends');
+const {
+  seedJob,
+  claim,
+  meta,
+  meshKey,
+} = require('../../helpers/fixtures');
+
+describe.each(backends().map((backend) => [backend.name, backend]))('cancelJob.lua (%s)', (name, backend) => {
+  let redis;
+
+  beforeEach(async () => {
+    redis = await backend.create();
+    await scripts.load(redis);
+  });
+
+  afterEach(async () => {
+    await backend.destroy(redis);
+  });
+
+  test('takes a pending job off its queues', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+
+    expect(await scripts.cancelJob(redis, 'j1', 'm1')).toEqual({ cancelled: true, status: 'pending', serverId: '' });
+    expect((await meta(redis, 'j1')).status).toBe('cancelled');
+    expect(await redis.zcard(meshKey(redis, 'pending'))).toBe(0);
+    expect(await claim(redis)).toBeNull();
+    expect(await redis.hget(meshKey(redis, 'stats:counters'), 'total:cancelled')).toBe('1');
+  });
+
+  test('takes a delayed job off the delayed set', async () => {
+    await seedJob(redis, { jobId: 'j1', config: { schedule: { delay: 60000 } } });
+
+    await scripts.cancelJob(redis, 'j1', 'm1');
+
+    expect(await redis.zcard(meshKey(redis, 'delayed'))).toBe(0);
+  });
+
+  test('signals the server running an active job', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claim(redis, { serverId: 's1' });
+    const subscriber = redis.duplicate();
+    const received = new Promise((resolve) => {
+      subscriber.on('messageBuffer', (channel, message) => resolve(msgpack.decode(message)));
+    });
+    await subscriber.subscribe(`${Namespace.of(redis)}:events:server:s1`);
+
+    expect(await scripts.cancelJob(redis, 'j1', 'm1')).toEqual({ cancelled: true, status: 'active', serverId: 's1' });
+    expect(await received).toMatchObject({ event: 'job.cancel', jobId: 'j1' });
+    expect((await meta(redis, 'j1')).status).toBe('cancelled');
+    subscriber.disconnect();
+  });
+
+  test('leaves finished jobs alone', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claim(redis);
+    await scripts.completeJob(redis, 'j1', 'm1', 's1', {}, 'completed', 'token-1');
+
+    expect(await scripts.cancelJob(redis, 'j1', 'm1')).toEqual({ cancelled: false, status: 'completed' });
+  });
+
+  test('reports unknown jobs', async () => {
+    expect(await scripts.cancelJob(redis, 'nope', 'm1')).toEqual({ cancelled: false, error: 'Job not found' });
+  });
+});
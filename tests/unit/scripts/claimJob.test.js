@@ -0,0 +1,81 @@
+const scripts = require('../../../src/scripts');
+const { backends } = require('../../helpers/backends');
+const {
+  seedJob,
+  claim,
+  meta,
+  meshKey,
+} = require('../../helpers/fixtures');
+
+describe.each(backends().map((backend) => [backend.name, backend]))('claimJob.lua (%s)', (name, backend) => {
+  let redis;
+
+  beforeEach(async () => {
+    redis = await backend.create();
+    await scripts.load(redis);
+  });
+
+  afterEach(async () => {
+    await backend.destroy(redis);
+  });
+
+  test('claims the job and takes its lease', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+
+    expect(await claim(redis, { serverId: 's1', lockToken: 'lease' })).toBe('j1');
+    expect(await meta(redis, 'j1')).toMatchObject({
+      status: 'active',
+      processedBy: 's1',
+      lockToken: 'lease',
+    });
+    expect(await redis.get(meshKey(redis, 'job:j1:lock'))).toBe('lease');
+    expect(await redis.pttl(meshKey(redis, 'job:j1:lock'))).toBeGreaterThan(0);
+    expect(await redis.hexists(meshKey(redis, 'active:s1'), 'j1')).toBe(1);
+    expect(await redis.zscore(meshKey(redis, 'pending'), 'j1')).toBeNull();
+  });
+
+  test('returns null when nothing is pending', async () => {
+    expect(await claim(redis)).toBeNull();
+  });
+
+  test('takes higher priority queues first', async () => {
+    await seedJob(redis, { jobId: 'low', config: { priority: 2 } });
+    await seedJob(redis, { jobId: 'high', config: { priority: 9 } });
+
+    expect(await claim(redis)).toBe('high');
+    expect(await claim(redis)).toBe('low');
+    expect(await claim(redis)).toBeNull();
+  });
+
+  test('skips jobs the server lacks the capability for', async () => {
+    await seedJob(redis, { jobId: 'gpu', type: 'render', config: { target: { capabilities: ['gpu'] } } });
+
+    expect(await claim(redis, { capabilities: ['cpu'] })).toBeNull();
+    expect(await claim(redis, { capabilities: ['gpu'] })).toBe('gpu');
+  });
+
+  test('skips rate-limited jobs', async () => {
+    await seedJob(redis, { jobId: 'j1', config: { rateLimit: { key: 'api', max: 1 } } });
+    await redis.set(meshKey(redis, 'ratelimit:api'), '1');
+
+    expect(await claim(redis)).toBeNull();
+
+    await redis.del(meshKey(redis, 'ratelimit:api'));
+    expect(await claim(redis)).toBe('j1');
+  });
+
+  test('unregisters drained queues', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claim(redis);
+    await claim(redis);
+
+    expect(await redis.zcard(meshKey(redis, 'queues'))).toBe(0);
+  });
+
+  test('only claims from its own mesh', async () => {
+    await seedJob(redis, { jobId: 'j1', meshId: 'm2' });
+
+    expect(await claim(redis, { meshId: 'm1' })).toBeNull();
+    expect(await claim(redis, { meshId: 'm2' })).toBe('j1');
+  });
+});
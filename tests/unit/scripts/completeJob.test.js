@@ -0,0 +1,176 @@
+const scripts = require('../../../src/scripts');
+const JobStorage = require('../../../src/storage/JobStorage');
+const ChainStorage = require('../../../src/storage/ChainStorage');
+const Namespace = require('../../../src/utils/Namespace');
+const { backends } = require('../../helpers/backends');
+const {
+  seedJob,
+  claim,
+  meta,
+  meshKey,
+} = require('../../helpers/fixtures');
+
+describe.each(backends().map((backend) => [backend.name, backend]))('completeJob.lua (%s)', (name, backend) => {
+  let redis;
+
+  beforeEach(async () => {
+    redis = await backend.create();
+    await scripts.load(redis);
+  });
+
+  afterEach(async () => {
+    await backend.destroy(redis);
+  });
+
+  /**
+   * Claim and complete the next job
+   * @param {Object} result - Handler result
+   * @returns {Promise<Object>} Script reply
+   */
+  async function runNext(result = { ok: true }) {
+    const jobId = await claim(redis);
+    return scripts.completeJob(redis, jobId, 'm1', 's1', result, 'completed', 'token-1');
+  }
+
+  test('stores the result and releases the lease', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+
+    const reply = await runNext({ sent: 3 });
+
+    expect(reply).toMatchObject({ success: true, status: 'completed' });
+    expect((await meta(redis, 'j1')).status).toBe('completed');
+    expect(JSON.parse(await redis.get(meshKey(redis, 'job:j1:result')))).toEqual({ sent: 3 });
+    expect(await redis.exists(meshKey(redis, 'job:j1:lock'))).toBe(0);
+    expect(await redis.hlen(meshKey(redis, 'active:s1'))).toBe(0);
+    expect(await redis.hget(meshKey(redis, 'stats:counters'), 'total:completed')).toBe('1');
+  });
+
+  test('refuses a server that does not own the job', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claim(redis);
+
+    expect(await scripts.completeJob(redis, 'j1', 'm1', 's2', {}, 'completed', 'token-1'))
+      .toMatchObject({ success: false, error: 'Job not owned by this server' });
+    expect((await meta(redis, 'j1')).status).toBe('active');
+  });
+
+  test('refuses a stale lease token', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claim(redis);
+
+    expect(await scripts.completeJob(redis, 'j1', 'm1', 's1', {}, 'completed', 'old'))
+      .toMatchObject({ success: false, error: 'Lock token mismatch' });
+  });
+
+  test('drops the result of a job cancelled while running', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claim(redis);
+    await scripts.cancelJob(redis, 'j1', 'm1');
+
+    expect(await scripts.completeJob(redis, 'j1', 'm1', 's1', {}, 'completed', 'token-1'))
+      .toMatchObject({ success: false, cancelled: true });
+    expect(await redis.exists(meshKey(redis, 'job:j1:result'))).toBe(0);
+    expect(await redis.hlen(meshKey(redis, 'active:s1'))).toBe(0);
+  });
+
+  test('releases jobs waiting on it', async () => {
+    await seedJob(redis, { jobId: 'parent' });
+    await seedJob(redis, { jobId: 'child', config: { dependencies: { waitFor: ['parent'] } } });
+
+    const reply = await runNext();
+
+    expect(reply.triggered).toEqual(['child']);
+    expect((await meta(redis, 'child')).status).toBe('pending');
+    expect(await claim(redis)).toBe('child');
+  });
+
+  test('queues a flow parent once its last child completes', async () => {
+    await JobStorage.createFlow(redis, scripts, [
+      {
+        jobId: 'root', type: 'report', config: {}, meshId: 'm1', payload: {}, waitingChildren: true,
+      },
+      {
+        jobId: 'a', type: 'part', config: {}, meshId: 'm1', payload: {}, parentId: 'root',
+      },
+      {
+        jobId: 'b', type: 'part', config: {}, meshId: 'm1', payload: {}, parentId: 'root',
+      },
+    ]);
+
+    // cjson encodes an empty table as {}
+    expect((await runNext({ part: 1 })).triggered).toEqual({});
+    expect((await runNext({ part: 2 })).triggered).toEqual(['root']);
+
+    const results = await redis.hgetall(meshKey(redis, 'job:root:children-results'));
+    expect(Object.keys(results).sort()).toEqual(['a', 'b']);
+    expect(JSON.parse(results.a).status).toBe('completed');
+    expect(await claim(redis)).toBe('root');
+  });
+
+  test('records workflow step results', async () => {
+    await seedJob(redis, { jobId: 'j1', config: { workflow: { workflowId: 'w1', stepId: 'fetch' } } });
+
+    await runNext({ rows: 2 });
+
+    expect(JSON.parse(await redis.hget(meshKey(redis, 'workflow:w1:results'), 'fetch'))).toEqual({ rows: 2 });
+  });
+
+  test('deletes the job with removeOnComplete', async () => {
+    await seedJob(redis, { jobId: 'j1', config: { behavior: { removeOnComplete: true } } });
+
+    await runNext();
+
+    expect(await meta(redis, 'j1')).toEqual({});
+    expect(await redis.exists(meshKey(redis, 'job:j1:payload'))).toBe(0);
+    expect(await redis.zscore(meshKey(redis, 'jobs'), 'j1')).toBeNull();
+  });
+
+  test('creates the next chain link with a copy of this result', async () => {
+    const config = (index) => ({ priority: 5, chain: { chainId: 'ch', index } });
+    await ChainStorage.saveChain(redis, {
+      chainId: 'ch',
+      meshId: 'm1',
+      links: [
+        { jobId: 'l0' },
+        {
+          jobId: 'l1',
+          type: 'email',
+          meshId: 'm1',
+          priority: 5,
+          config: JSON.stringify(config(1)),
+          payload: await JobStorage.preparePayload(redis, 'l1', { to: 'a' }),
+        },
+      ],
+    });
+    await seedJob(redis, {
+      jobId: 'l0',
+      config: { ...config(0), behavior: { removeOnComplete: true } },
+    });
+
+    expect(await runNext({ sent: 1 })).toMatchObject({ triggered: ['l1'] });
+    expect(await meta(redis, 'l1')).toMatchObject({ status: 'pending', chainInput: 'previousResult' });
+    expect(await meta(redis, 'l1')).not.toHaveProperty('chainSource');
+    expect(await redis.exists(meshKey(redis, 'job:l0:result'))).toBe(0);
+    expect(await JobStorage.getJobPayload(redis, 'l1', 'm1')).toEqual({ to: 'a', previousResult: { sent: 1 } });
+
+    await runNext();
+
+    expect(await redis.hget(meshKey(redis, 'chain:ch'), 'status')).toBe('completed');
+  });
+
+  test('publishes the result on the job channel', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    const subscriber = redis.duplicate();
+    const received = new Promise((resolve) => {
+      subscriber.on('message', (channel, message) => resolve(JSON.parse(message)));
+    });
+    await subscriber.subscribe(`${Namespace.of(redis)}:events:job:j1`);
+
+    await runNext({ done: 1 });
+
+    const event = await received;
+    expect(event).toMatchObject({ event: 'job.completed', jobId: 'j1', status: 'completed' });
+    expect(JSON.parse(event.result)).toEqual({ done: 1 });
+    subscriber.disconnect();
+  });
+});
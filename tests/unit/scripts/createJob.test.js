@@ -0,0 +1,157 @@
+const scripts = require('../../../src/scripts');
+const JobStorage = require('../../../src/storage/JobStorage');
+const { backends } = require('../../helpers/backends');
+const { seedJob, meta, meshKey } = require('../../helpers/fixtures');
+
+describe.each(backends().map((backend) => [backend.name, backend]))('createJob.lua (%s)', (name, backend) => {
+  let redis;
+
+  beforeEach(async () => {
+    redis = await backend.create();
+    await scripts.load(redis);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await backend.destroy(redis);
+  });
+
+  test('creates a pending job in its priority queue', async () => {
+    const jobId = await seedJob(redis, { jobId: 'j1', type: 'email', config: { priority: 7 } });
+
+    expect(jobId).toBe('j1');
+    expect(await meta(redis, 'j1')).toMatchObject({
+      jobId: 'j1',
+      type: 'email',
+      meshId: 'm1',
+      status: 'pending',
+      priority: '7',
+      attempt: '0',
+    });
+    expect(await redis.zscore(meshKey(redis, 'queue:email:p7'), 'j1')).not.toBeNull();
+    expect(await redis.zscore(meshKey(redis, 'pending'), 'j1')).toBe('7');
+    expect(await redis.zscore(meshKey(redis, 'queues'), meshKey(redis, 'queue:email:p7'))).toBe('7');
+    expect(await redis.zscore(meshKey(redis, 'jobs'), 'j1')).not.toBeNull();
+    expect(await redis.lrange(meshKey(redis, 'wake'), 0, -1)).toEqual(['j1']);
+  });
+
+  test('counts created jobs but not duplicates', async () => {
+    await seedJob(redis, { jobId: 'j1', fingerprintHash: 'abc' });
+    await seedJob(redis, { jobId: 'j2', fingerprintHash: 'abc' });
+    await seedJob(redis, { jobId: 'j3' });
+
+    expect(await redis.hget(meshKey(redis, 'stats:counters'), 'total:created')).toBe('2');
+  });
+
+  test('returns the existing job for a known idempotency key', async () => {
+    await seedJob(redis, { jobId: 'j1', idempotencyKey: 'order-1' });
+    const prepared = await JobStorage._prepareJob(redis, {
+      jobId: 'j2',
+      type: 'email',
+      config: { priority: 5 },
+      meshId: 'm1',
+      payload: {},
+      idempotencyKey: 'order-1',
+    });
+
+    expect(await scripts.createJob(redis, prepared)).toEqual({
+      jobId: 'j1',
+      created: false,
+      existing: true,
+      reason: 'idempotency',
+    });
+    expect(await meta(redis, 'j2')).toEqual({});
+  });
+
+  test('returns the existing job for a known fingerprint', async () => {
+    await seedJob(redis, { jobId: 'j1', fingerprintHash: 'abc' });
+    await seedJob(redis, { jobId: 'j2', fingerprintHash: 'abc' });
+
+    expect(await meta(redis, 'j2')).toEqual({});
+    expect(await redis.ttl(meshKey(redis, 'fingerprint:abc'))).toBeGreaterThan(0);
+  });
+
+  test('puts delayed jobs in the delayed set only', async () => {
+    await seedJob(redis, { jobId: 'j1', config: { schedule: { delay: 60000 } } });
+
+    expect((await meta(redis, 'j1')).status).toBe('scheduled');
+    expect(await redis.zscore(meshKey(redis, 'delayed'), 'j1')).not.toBeNull();
+    expect(await redis.zcard(meshKey(redis, 'pending'))).toBe(0);
+  });
+
+  test('holds jobs back until their dependencies complete', async () => {
+    await seedJob(redis, { jobId: 'parent' });
+    await seedJob(redis, { jobId: 'child', config: { dependencies: { waitFor: ['parent', 'gone'] } } });
+
+    expect((await meta(redis, 'child')).status).toBe('waiting');
+    expect(await redis.smembers(meshKey(redis, 'job:child:depends'))).toEqual(['parent']);
+    expect(await redis.smembers(meshKey(redis, 'job:parent:waiters'))).toEqual(['child']);
+    expect(await redis.zscore(meshKey(redis, 'pending'), 'child')).toBeNull();
+  });
+
+  test('sets a TTL on job keys with lifecycle.ttl', async () => {
+    await seedJob(redis, { jobId: 'j1', config: { lifecycle: { ttl: 60 } } });
+
+    expect(await redis.ttl(meshKey(redis, 'job:j1:meta'))).toBeGreaterThan(0);
+    expect(await redis.ttl(meshKey(redis, 'job:j1:payload'))).toBeGreaterThan(0);
+  });
+
+  test('rejects keys outside the mesh prefix', async () => {
+    const prepared = await JobStorage._prepareJob(redis, {
+      jobId: 'j1', type: 'email', config: {}, meshId: 'm1', payload: {},
+    });
+    const { keys, args } = scripts._createJobArgs(redis, prepared, Date.now());
+    // Same slot, outside the prefix: only the script's own check catches it
+    keys[4] = 'other:{m1}:pending';
+
+    await expect(redis.evalsha(scripts.scripts.createJob.sha, keys.length, ...keys, ...args))
+      .rejects.toThrow(/CROSSSLOT/);
+  });
+
+  describe('createJobs', () => {
+    /**
+     * Script input for a job in mesh m1
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} Prepared job
+     */
+    function prepare(jobId) {
+      return JobStorage._prepareJob(redis, {
+        jobId, type: 'email', config: {}, meshId: 'm1', payload: {},
+      });
+    }
+
+    test('creates every job in one MULTI', async () => {
+      const multi = jest.spyOn(redis, 'multi');
+      const jobs = [await prepare('j1'), await prepare('j2')];
+
+      expect(await scripts.createJobs(redis, jobs)).toEqual([
+        { jobId: 'j1', created: true, existing: false },
+        { jobId: 'j2', created: true, existing: false },
+      ]);
+      expect(multi).toHaveBeenCalledTimes(1);
+      expect(await redis.hget(meshKey(redis, 'stats:counters'), 'total:created')).toBe('2');
+    });
+
+    test('reloads the script and reruns the whole MULTI on NOSCRIPT', async () => {
+      // A MULTI run as if the script cache had been flushed
+      let queued = 0;
+      const batch = {
+        evalsha: () => {
+          queued += 1;
+          return batch;
+        },
+        exec: async () => Array.from({ length: queued }, () => [new Error('NOSCRIPT No matching script'), null]),
+      };
+      const multi = jest.spyOn(redis, 'multi').mockReturnValueOnce(batch);
+      const single = jest.spyOn(scripts, 'createJob');
+      const jobs = [await prepare('j1'), await prepare('j2')];
+
+      const results = await scripts.createJobs(redis, jobs);
+
+      expect(results.map((result) => result.created)).toEqual([true, true]);
+      expect(multi).toHaveBeenCalledTimes(2);
+      expect(single).not.toHaveBeenCalled();
+      expect(await redis.zcard(meshKey(redis, 'jobs'))).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const scripts = require('../../../src/scripts');
+const { backends } = require('../../helpers/backends');
+const {
+  seedJob,
+  claim,
+  meta,
+  meshKey,
+} = require('../../helpers/fixtures');
+
+describe.each(backends().map((backend) => [backend.name, backend]))('detectStalled.lua (%s)', (name, backend) => {
+  let redis;
+
+  beforeEach(async () => {
+    redis = await backend.create();
+    await scripts.load(redis);
+  });
+
+  afterEach(async () => {
+    await backend.destroy(redis);
+  });
+
+  /**
+   * Claim a job and let its lease lapse, as when its worker dies
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async function claimAndDrop(jobId) {
+    expect(await claim(redis)).toBe(jobId);
+    await redis.del(meshKey(redis, `job:${jobId}:lock`));
+  }
+
+  /**
+   * Run detection for server s1
+   * @param {Object} options - { serverAlive, maxStallCount, quarantineAfter }
+   * @returns {Promise<Object>} Script reply
+   */
+  function detect(options = {}) {
+    return scripts.detectStalled(
+      redis,
+      'm1',
+      's1',
+      options.serverAlive || false,
+      300000,
+      options.maxStallCount || 3,
+      options.quarantineAfter !== undefined ? options.quarantineAfter : 3,
+    );
+  }
+
+  test('leaves jobs whose lease is held alone', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claim(redis);
+
+    expect(await detect()).toMatchObject({ detected: 0, recovered: 0, active: 1 });
+    expect((await meta(redis, 'j1')).status).toBe('active');
+  });
+
+  test('requeues a job whose lease lapsed', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claimAndDrop('j1');
+
+    expect(await detect()).toMatchObject({ detected: 1, recovered: 1, active: 0 });
+    expect(await meta(redis, 'j1')).toMatchObject({ status: 'pending', stalledCount: '1', crashCount: '1' });
+    expect(await claim(redis)).toBe('j1');
+  });
+
+  test('records a crash fingerprint', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claimAndDrop('j1');
+
+    await detect();
+
+    const [crash] = await redis.lrange(meshKey(redis, 'job:j1:crashes'), 0, -1);
+    expect(JSON.parse(crash)).toMatchObject({
+      serverId: 's1', serverAlive: false, attempt: 0, coActiveCount: 0,
+    });
+  });
+
+  test('moves the job to the DLQ after maxStallCount stalls', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claimAndDrop('j1');
+
+    expect(await detect({ maxStallCount: 1, quarantineAfter: 0 })).toMatchObject({ movedToDLQ: 1 });
+    expect((await meta(redis, 'j1')).status).toBe('failed');
+    expect(await redis.lrange(meshKey(redis, 'dlq'), 0, -1)).toEqual(['j1']);
+
+    const [entry] = await redis.lrange(meshKey(redis, 'job:j1:errors'), 0, -1);
+    expect(JSON.parse(JSON.parse(entry).error)).toEqual({ message: 'Job exceeded max stall count' });
+  });
+
+  test('cancels the jobs waiting on a job moved to the DLQ', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await seedJob(redis, { jobId: 'next', config: { dependencies: { waitFor: ['j1'] } } });
+    await claimAndDrop('j1');
+
+    await detect({ maxStallCount: 1, quarantineAfter: 0 });
+
+    expect(await meta(redis, 'next')).toMatchObject({ status: 'cancelled', cancelReason: 'dependency_failed' });
+    expect(await redis.exists(meshKey(redis, 'job:next:depends'))).toBe(0);
+  });
+
+  test('quarantines a job after quarantineAfter crashes', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claimAndDrop('j1');
+    await detect({ quarantineAfter: 2 });
+    await claimAndDrop('j1');
+
+    expect(await detect({ quarantineAfter: 2 })).toMatchObject({ quarantined: 1 });
+    expect(await meta(redis, 'j1')).toMatchObject({ status: 'quarantined', crashCount: '2' });
+    expect(await redis.zscore(meshKey(redis, 'quarantine'), 'j1')).not.toBeNull();
+    expect(await redis.hget(meshKey(redis, 'stats:counters'), 'total:quarantined')).toBe('1');
+  });
+
+  test('does not count a crash while the server is alive', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await redis.hset(meshKey(redis, 'job:j1:meta'), 'crashCount', 1);
+    await claimAndDrop('j1');
+
+    expect(await detect({ serverAlive: true, quarantineAfter: 2 })).toMatchObject({ recovered: 1, quarantined: 0 });
+    expect(await meta(redis, 'j1')).toMatchObject({ status: 'pending', crashCount: '1' });
+
+    const [crash] = await redis.lrange(meshKey(redis, 'job:j1:crashes'), 0, -1);
+    expect(JSON.parse(crash)).toMatchObject({ serverAlive: true });
+  });
+
+  test('counts a crash once the heartbeat expires after the lease', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claimAndDrop('j1');
+    await detect({ serverAlive: true, quarantineAfter: 1 });
+
+    expect(await detect({ quarantineAfter: 1 })).toMatchObject({ detected: 0, quarantined: 1 });
+    expect(await meta(redis, 'j1')).toMatchObject({ status: 'quarantined', crashCount: '1' });
+    expect(await redis.zscore(meshKey(redis, 'pending'), 'j1')).toBeNull();
+    expect(await redis.exists(meshKey(redis, 'suspects:s1'))).toBe(0);
+
+    const [crash] = await redis.lrange(meshKey(redis, 'job:j1:crashes'), 0, -1);
+    expect(JSON.parse(crash)).toMatchObject({ serverAlive: false, confirmedAt: expect.any(Number) });
+  });
+
+  test('does not count a lease loss the server outlived', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claimAndDrop('j1');
+    await detect({ serverAlive: true });
+    expect(await claim(redis)).toBe('j1');
+
+    await detect();
+
+    expect(await meta(redis, 'j1')).not.toHaveProperty('crashCount');
+  });
+
+  test('releases a cancelled job without requeueing it', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claimAndDrop('j1');
+    await scripts.cancelJob(redis, 'j1', 'm1');
+
+    await detect();
+
+    expect((await meta(redis, 'j1')).status).toBe('cancelled');
+    expect(await redis.zcard(meshKey(redis, 'pending'))).toBe(0);
+  });
+});
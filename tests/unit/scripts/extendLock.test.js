@@ -0,0 +1,41 @@
+const scripts = require('../../../src/scripts');
+const { backends } = require('../../helpers/backends');
+const { seedJob, claim, meshKey } = require('../../helpers/fixtures');
+
+describe.each(backends().map((backend) => [backend.name, backend]))('extendLock.lua (%s)', (name, backend) => {
+  let redis;
+
+  beforeEach(async () => {
+    redis = await backend.create();
+    await scripts.load(redis);
+  });
+
+  afterEach(async () => {
+    await backend.destroy(redis);
+  });
+
+  test('renews a lease held with the same token', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claim(redis, { lockDurationMs: 1000 });
+
+    expect(await scripts.extendLock(redis, 'j1', 'm1', 'token-1', 60000)).toBe(true);
+    expect(await redis.pttl(meshKey(redis, 'job:j1:lock'))).toBeGreaterThan(1000);
+  });
+
+  test('takes back a lapsed lease the job still holds', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claim(redis);
+    await redis.del(meshKey(redis, 'job:j1:lock'));
+
+    expect(await scripts.extendLock(redis, 'j1', 'm1', 'token-1', 60000)).toBe(true);
+    expect(await redis.get(meshKey(redis, 'job:j1:lock'))).toBe('token-1');
+  });
+
+  test('refuses a stale token', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claim(redis);
+
+    expect(await scripts.extendLock(redis, 'j1', 'm1', 'other', 60000)).toBe(false);
+    expect(await redis.get(meshKey(redis, 'job:j1:lock'))).toBe('token-1');
+  });
+});
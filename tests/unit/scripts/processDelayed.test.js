@@ -0,0 +1,43 @@
+const scripts = require('../../../src/scripts');
+const { backends } = require('../../helpers/backends');
+const {
+  seedJob,
+  claim,
+  meta,
+  meshKey,
+} = require('../../helpers/fixtures');
+
+describe.each(backends().map((backend) => [backend.name, backend]))('processDelayed.lua (%s)', (name, backend) => {
+  let redis;
+
+  beforeEach(async () => {
+    redis = await backend.create();
+    await scripts.load(redis);
+  });
+
+  afterEach(async () => {
+    await backend.destroy(redis);
+  });
+
+  test('moves due scheduled jobs to their queues', async () => {
+    await seedJob(redis, { jobId: 'due', config: { schedule: { delay: 60000 } } });
+    await seedJob(redis, { jobId: 'later', config: { schedule: { delay: 600000 } } });
+    await redis.zadd(meshKey(redis, 'delayed'), Date.now() - 1, 'due');
+
+    const reply = await scripts.processDelayed(redis, 'm1');
+
+    expect(reply).toMatchObject({ processed: 1, jobIds: ['due'] });
+    expect((await meta(redis, 'due')).status).toBe('pending');
+    expect((await meta(redis, 'later')).status).toBe('scheduled');
+    expect(await claim(redis)).toBe('due');
+  });
+
+  test('leaves entries whose job is no longer scheduled', async () => {
+    await seedJob(redis, { jobId: 'j1', config: { schedule: { delay: 60000 } } });
+    await redis.hset(meshKey(redis, 'job:j1:meta'), 'status', 'cancelled');
+    await redis.zadd(meshKey(redis, 'delayed'), Date.now() - 1, 'j1');
+
+    expect(await scripts.processDelayed(redis, 'm1')).toMatchObject({ processed: 0 });
+    expect(await redis.zcard(meshKey(redis, 'pending'))).toBe(0);
+  });
+});
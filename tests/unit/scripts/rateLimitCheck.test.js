@@ -0,0 +1,42 @@
+const scripts = require('../../../src/scripts');
+const { backends } = require('../../helpers/backends');
+const { meshKey } = require('../../helpers/fixtures');
+
+describe.each(backends().map((backend) => [backend.name, backend]))('rateLimitCheck.lua (%s)', (name, backend) => {
+  let redis;
+
+  beforeEach(async () => {
+    redis = await backend.create();
+    await scripts.load(redis);
+  });
+
+  afterEach(async () => {
+    await backend.destroy(redis);
+  });
+
+  test('counts requests in the window', async () => {
+    expect(await scripts.rateLimitCheck(redis, 'm1', 'api', 2, 60))
+      .toMatchObject({
+        allowed: true, current: 1, limit: 2, remaining: 1,
+      });
+    expect(await scripts.rateLimitCheck(redis, 'm1', 'api', 2, 60))
+      .toMatchObject({ allowed: true, current: 2, remaining: 0 });
+    expect(await redis.ttl(meshKey(redis, 'ratelimit:api'))).toBeGreaterThan(0);
+  });
+
+  test('denies over the limit and queues the job', async () => {
+    await scripts.rateLimitCheck(redis, 'm1', 'api', 1, 60);
+
+    const reply = await scripts.rateLimitCheck(redis, 'm1', 'api', 1, 60, 'j1');
+
+    expect(reply).toMatchObject({ allowed: false, current: 1, remaining: 0 });
+    expect(reply.reset).toBeGreaterThan(Date.now());
+    expect(await redis.lrange(meshKey(redis, 'ratelimitqueue:api'), 0, -1)).toEqual(['j1']);
+  });
+
+  test('keeps limits per mesh', async () => {
+    await scripts.rateLimitCheck(redis, 'm1', 'api', 1, 60);
+
+    expect(await scripts.rateLimitCheck(redis, 'm2', 'api', 1, 60)).toMatchObject({ allowed: true });
+  });
+});
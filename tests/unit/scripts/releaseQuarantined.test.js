@@ -0,0 +1,63 @@
+const scripts = require('../../../src/scripts');
+const { backends } = require('../../helpers/backends');
+const {
+  seedJob,
+  claim,
+  meta,
+  meshKey,
+} = require('../../helpers/fixtures');
+
+describe.each(backends().map((backend) => [backend.name, backend]))('releaseQuarantined.lua (%s)', (name, backend) => {
+  let redis;
+
+  beforeEach(async () => {
+    redis = await backend.create();
+    await scripts.load(redis);
+  });
+
+  afterEach(async () => {
+    await backend.destroy(redis);
+  });
+
+  /**
+   * Create a job and crash its worker until it is quarantined
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async function quarantine(jobId) {
+    await seedJob(redis, { jobId });
+    await claim(redis);
+    await redis.del(meshKey(redis, `job:${jobId}:lock`));
+    await scripts.detectStalled(redis, 'm1', 's1', false, 300000, 3, 1);
+  }
+
+  test('moves a quarantined job back to its queue', async () => {
+    await quarantine('j1');
+
+    expect(await scripts.releaseQuarantined(redis, 'j1', 'm1', { resetCrashes: true }))
+      .toEqual({ released: true, status: 'pending', crashCount: 0 });
+    expect(await meta(redis, 'j1')).toMatchObject({ status: 'pending', crashCount: '0', stalledCount: '0' });
+    expect(await redis.zcard(meshKey(redis, 'quarantine'))).toBe(0);
+    expect(await redis.llen(meshKey(redis, 'job:j1:crashes'))).toBe(1);
+    expect(await claim(redis)).toBe('j1');
+  });
+
+  test('keeps the crash count unless asked to reset it', async () => {
+    await quarantine('j1');
+
+    expect(await scripts.releaseQuarantined(redis, 'j1', 'm1')).toMatchObject({ released: true, crashCount: 1 });
+  });
+
+  test('refuses jobs that are not quarantined', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+
+    expect(await scripts.releaseQuarantined(redis, 'j1', 'm1')).toEqual({ released: false, status: 'pending' });
+  });
+
+  test('drops entries whose job is gone', async () => {
+    await redis.zadd(meshKey(redis, 'quarantine'), 1, 'gone');
+
+    expect(await scripts.releaseQuarantined(redis, 'gone', 'm1')).toMatchObject({ released: false });
+    expect(await redis.zcard(meshKey(redis, 'quarantine'))).toBe(0);
+  });
+});
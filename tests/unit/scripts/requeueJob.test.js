@@ -0,0 +1,125 @@
+const scripts = require('../../../src/scripts');
+const JobStorage = require('../../../src/storage/JobStorage');
+const { backends } = require('../../helpers/backends');
+const {
+  seedJob,
+  claim,
+  meta,
+  meshKey,
+} = require('../../helpers/fixtures');
+
+describe.each(backends().map((backend) => [backend.name, backend]))('requeueJob.lua (%s)', (name, backend) => {
+  let redis;
+
+  beforeEach(async () => {
+    redis = await backend.create();
+    await scripts.load(redis);
+  });
+
+  afterEach(async () => {
+    await backend.destroy(redis);
+  });
+
+  /**
+   * Create a job and fail it into the DLQ
+   * @param {string} jobId - Job ID
+   * @param {Object} config - Extra job config
+   * @returns {Promise<void>}
+   */
+  async function deadLetter(jobId, config = {}) {
+    await seedJob(redis, { jobId, config: { ...config, retry: { maxAttempts: 1 } } });
+    await claim(redis);
+    await scripts.retryJob(redis, jobId, 'm1', 's1', { message: 'boom' }, 'token-1');
+  }
+
+  /**
+   * Create a flow (root with children a and b, a fails on its first attempt)
+   * and fail a into the DLQ
+   * @param {string} onChildFailure - root's onChildFailure policy
+   * @returns {Promise<void>}
+   */
+  async function failFlowChild(onChildFailure) {
+    await JobStorage.createFlow(redis, scripts, [
+      {
+        jobId: 'root', type: 'report', config: { flow: { onChildFailure } }, meshId: 'm1', payload: {}, waitingChildren: true,
+      },
+      {
+        jobId: 'a', type: 'part', config: { retry: { maxAttempts: 1 } }, meshId: 'm1', payload: {}, parentId: 'root',
+      },
+      {
+        jobId: 'b', type: 'part', config: {}, meshId: 'm1', payload: {}, parentId: 'root',
+      },
+    ]);
+    expect(await claim(redis)).toBe('a');
+    await scripts.retryJob(redis, 'a', 'm1', 's1', { message: 'boom' }, 'token-1');
+  }
+
+  test('moves a DLQ job back to its queue', async () => {
+    await deadLetter('j1');
+
+    expect(await scripts.requeueJob(redis, 'j1', 'm1')).toEqual({ requeued: true, status: 'pending', attempt: 1 });
+    expect(await meta(redis, 'j1')).toMatchObject({ status: 'pending', attempt: '1', stalledCount: '0' });
+    expect(await redis.llen(meshKey(redis, 'dlq'))).toBe(0);
+    expect(await redis.hget(meshKey(redis, 'stats:counters'), 'total:requeued')).toBe('1');
+    expect(await claim(redis)).toBe('j1');
+  });
+
+  test('restarts the attempt count and replaces the payload on request', async () => {
+    await deadLetter('j1');
+
+    expect(await scripts.requeueJob(redis, 'j1', 'm1', { resetAttempts: true, payload: '{"fixed":true}' }))
+      .toMatchObject({ requeued: true, attempt: 0 });
+    expect(await redis.get(meshKey(redis, 'job:j1:payload'))).toBe('{"fixed":true}');
+  });
+
+  test('refuses jobs that have not failed', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+
+    expect(await scripts.requeueJob(redis, 'j1', 'm1')).toEqual({ requeued: false, status: 'pending' });
+  });
+
+  test('refuses failed jobs that are not in the DLQ', async () => {
+    await deadLetter('j1');
+    await redis.lrem(meshKey(redis, 'dlq'), 0, 'j1');
+
+    expect(await scripts.requeueJob(redis, 'j1', 'm1')).toMatchObject({ requeued: false, error: 'Job not in DLQ' });
+  });
+
+  test('refuses a flow child whose parent failed', async () => {
+    await failFlowChild('fail');
+
+    expect(await scripts.requeueJob(redis, 'a', 'm1'))
+      .toEqual({ requeued: false, status: 'failed', error: 'Flow parent root is failed' });
+    expect(await redis.lrange(meshKey(redis, 'dlq'), 0, -1)).toEqual(['a', 'root']);
+  });
+
+  test('requeues a flow child while its parent waits for children', async () => {
+    await failFlowChild('continue');
+
+    expect(await scripts.requeueJob(redis, 'a', 'm1')).toMatchObject({ requeued: true });
+    expect(await redis.smembers(meshKey(redis, 'job:root:pending-children'))).toEqual(expect.arrayContaining(['a', 'b']));
+    expect(await redis.hexists(meshKey(redis, 'job:root:children-results'), 'a')).toBe(0);
+  });
+
+  test('refuses a saga step once the saga has left its phase', async () => {
+    await redis.set(meshKey(redis, 'transaction:tx'), JSON.stringify({ transactionId: 'tx', status: 'compensating' }));
+    await deadLetter('act', { transaction: { transactionId: 'tx', step: 0, phase: 'forward' } });
+
+    expect(await scripts.requeueJob(redis, 'act', 'm1'))
+      .toEqual({ requeued: false, status: 'failed', error: 'Saga tx is compensating' });
+  });
+
+  test('requeues a compensation while its saga compensates', async () => {
+    await redis.set(meshKey(redis, 'transaction:tx'), JSON.stringify({ transactionId: 'tx', status: 'compensating' }));
+    await deadLetter('undo', { transaction: { transactionId: 'tx', step: 0, phase: 'compensate' } });
+
+    expect(await scripts.requeueJob(redis, 'undo', 'm1')).toMatchObject({ requeued: true });
+  });
+
+  test('drops DLQ entries whose job is gone', async () => {
+    await redis.rpush(meshKey(redis, 'dlq'), 'gone');
+
+    expect(await scripts.requeueJob(redis, 'gone', 'm1')).toEqual({ requeued: false, error: 'Job not found' });
+    expect(await redis.llen(meshKey(redis, 'dlq'))).toBe(0);
+  });
+});
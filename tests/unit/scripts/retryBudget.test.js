@@ -0,0 +1,111 @@
+const scripts = require('../../../src/scripts');
+const { backends } = require('../../helpers/backends');
+const {
+  seedJob,
+  claim,
+  meta,
+  meshKey,
+} = require('../../helpers/fixtures');
+
+const BUDGET = {
+  windowMs: 60000,
+  bucketMs: 6000,
+  ratio: 0.5,
+  minRetries: 0,
+};
+
+describe.each(backends().map((backend) => [backend.name, backend]))('retryBudget.lua (%s)', (name, backend) => {
+  let redis;
+
+  beforeEach(async () => {
+    redis = await backend.create();
+    await scripts.load(redis);
+  });
+
+  afterEach(async () => {
+    await backend.destroy(redis);
+  });
+
+  /**
+   * Run the script for budget key 'email'
+   * @param {string} mode - Script mode
+   * @param {Object} settings - Budget settings
+   * @param {string} jobId - Parked job (release mode)
+   * @returns {Promise<Object>} Script reply
+   */
+  function budget(mode, settings = BUDGET, jobId = '') {
+    return scripts.retryBudget(redis, mode, 'm1', 'email', settings, jobId);
+  }
+
+  test('allows retries up to ratio x first attempts', async () => {
+    for (let i = 0; i < 4; i += 1) {
+      await budget('attempt');
+    }
+
+    expect(await budget('retry')).toMatchObject({
+      allowed: true, attempts: 4, retries: 1, limit: 2,
+    });
+    expect(await budget('retry')).toMatchObject({ allowed: true, retries: 2 });
+    expect(await budget('retry')).toMatchObject({ allowed: false, retries: 2 });
+  });
+
+  test('always allows minRetries', async () => {
+    expect(await budget('retry', { ...BUDGET, minRetries: 1 })).toMatchObject({ allowed: true, limit: 1 });
+    expect(await budget('retry', { ...BUDGET, minRetries: 1 })).toMatchObject({ allowed: false });
+  });
+
+  test('refunds a retry from the newest bucket holding one', async () => {
+    const key = meshKey(redis, 'retry-budget:email');
+    const bucket = Math.floor(Date.now() / BUDGET.bucketMs);
+    await redis.hset(key, `a:${bucket}`, 4, `r:${bucket - 1}`, 1, `r:${bucket}`, 1);
+
+    expect(await budget('refund')).toMatchObject({ retries: 1 });
+    expect(await redis.hexists(key, `r:${bucket}`)).toBe(0);
+    expect(await budget('refund')).toMatchObject({ retries: 0 });
+    expect(await budget('refund')).toMatchObject({ retries: 0 });
+    expect(await budget('retry')).toMatchObject({ allowed: true, retries: 1 });
+  });
+
+  test('peek reports without counting', async () => {
+    await budget('attempt');
+
+    expect(await budget('peek')).toMatchObject({ attempts: 1, retries: 0 });
+    expect(await budget('peek')).toMatchObject({ attempts: 1, retries: 0 });
+  });
+
+  test('drops buckets that left the window', async () => {
+    const key = meshKey(redis, 'retry-budget:email');
+    const old = Math.floor((Date.now() - 2 * BUDGET.windowMs) / BUDGET.bucketMs);
+    await redis.hset(key, `a:${old}`, 10);
+
+    expect(await budget('peek')).toMatchObject({ attempts: 0 });
+    expect(await redis.hexists(key, `a:${old}`)).toBe(0);
+  });
+
+  test('releases a parked job once the budget allows it', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claim(redis);
+    await scripts.retryJob(redis, 'j1', 'm1', 's1', {}, 'token-1', false, { parkKey: 'email' });
+
+    expect(await budget('release', BUDGET, 'j1')).toMatchObject({ allowed: false, released: false });
+    expect((await meta(redis, 'j1')).status).toBe('parked');
+
+    await budget('attempt');
+    await budget('attempt');
+
+    expect(await budget('release', BUDGET, 'j1')).toMatchObject({ allowed: true, released: true });
+    expect((await meta(redis, 'j1')).status).toBe('pending');
+    expect(await redis.zcard(meshKey(redis, 'parked'))).toBe(0);
+    expect(await redis.zcard(meshKey(redis, 'parked:email'))).toBe(0);
+    expect(await redis.smembers(meshKey(redis, 'parked-keys'))).toEqual([]);
+    expect(await claim(redis)).toBe('j1');
+  });
+
+  test('drops parked entries whose job is no longer parked', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await redis.zadd(meshKey(redis, 'parked'), 1, 'j1');
+
+    expect(await budget('release', BUDGET, 'j1')).toEqual({ allowed: false, released: false, status: 'pending' });
+    expect(await redis.zcard(meshKey(redis, 'parked'))).toBe(0);
+  });
+});
@@ -0,0 +1,177 @@
+const scripts = require('../../../src/scripts');
+const JobStorage = require('../../../src/storage/JobStorage');
+const { backends } = require('../../helpers/backends');
+const {
+  seedJob,
+  claim,
+  meta,
+  meshKey,
+} = require('../../helpers/fixtures');
+
+describe.each(backends().map((backend) => [backend.name, backend]))('retryJob.lua (%s)', (name, backend) => {
+  let redis;
+
+  beforeEach(async () => {
+    redis = await backend.create();
+    await scripts.load(redis);
+  });
+
+  afterEach(async () => {
+    await backend.destroy(redis);
+  });
+
+  /**
+   * Claim the next job and fail it
+   * @param {Object} options - { fatal, overrides }
+   * @returns {Promise<Object>} Script reply
+   */
+  async function failNext(options = {}) {
+    const jobId = await claim(redis);
+    return scripts.retryJob(
+      redis,
+      jobId,
+      'm1',
+      's1',
+      { message: 'boom' },
+      'token-1',
+      options.fatal || false,
+      options.overrides || {},
+    );
+  }
+
+  test('schedules a retry with backoff', async () => {
+    await seedJob(redis, { jobId: 'j1', config: { retry: { maxAttempts: 3, baseDelayMs: 1000 } } });
+
+    const reply = await failNext();
+
+    expect(reply).toMatchObject({
+      willRetry: true, movedToDLQ: false, attempt: 1, maxAttempts: 3,
+    });
+    expect(reply.delay).toBeGreaterThanOrEqual(800);
+    expect(reply.delay).toBeLessThanOrEqual(1200);
+    expect(await meta(redis, 'j1')).toMatchObject({ status: 'scheduled', attempt: '1', lockToken: '' });
+    expect(await redis.zscore(meshKey(redis, 'delayed'), 'j1')).toBe(String(reply.nextRun));
+    expect(await redis.hlen(meshKey(redis, 'active:s1'))).toBe(0);
+
+    const [entry] = await redis.lrange(meshKey(redis, 'job:j1:errors'), 0, -1);
+    expect(JSON.parse(JSON.parse(entry).error)).toEqual({ message: 'boom' });
+  });
+
+  test('requeues at once with a zero delay', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+
+    const reply = await failNext({ overrides: { delayMs: 0 } });
+
+    expect(reply).toMatchObject({ willRetry: true, delay: 0 });
+    expect((await meta(redis, 'j1')).status).toBe('pending');
+    expect(await claim(redis)).toBe('j1');
+  });
+
+  test('moves the job to the DLQ after its last attempt', async () => {
+    await seedJob(redis, { jobId: 'j1', config: { retry: { maxAttempts: 1 } } });
+
+    expect(await failNext()).toMatchObject({ willRetry: false, movedToDLQ: true, attempt: 1 });
+    expect((await meta(redis, 'j1')).status).toBe('failed');
+    expect(await redis.lrange(meshKey(redis, 'dlq'), 0, -1)).toEqual(['j1']);
+    expect(await redis.hget(meshKey(redis, 'stats:counters'), 'total:failed')).toBe('1');
+  });
+
+  test('moves fatal errors straight to the DLQ', async () => {
+    await seedJob(redis, { jobId: 'j1', config: { retry: { maxAttempts: 5 } } });
+
+    expect(await failNext({ fatal: true })).toMatchObject({ movedToDLQ: true, attempt: 1 });
+  });
+
+  test('uses the policy max attempts over the job config', async () => {
+    await seedJob(redis, { jobId: 'j1', config: { retry: { maxAttempts: 5 } } });
+
+    expect(await failNext({ overrides: { maxAttempts: 1 } })).toMatchObject({ movedToDLQ: true, maxAttempts: 1 });
+  });
+
+  test('parks the job under its budget key', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+
+    expect(await failNext({ overrides: { parkKey: 'email' } })).toMatchObject({ willRetry: false, parked: true });
+    expect(await meta(redis, 'j1')).toMatchObject({ status: 'parked', budgetKey: 'email', attempt: '1' });
+    expect(await redis.zscore(meshKey(redis, 'parked'), 'j1')).not.toBeNull();
+  });
+
+  test('releases a job cancelled while running without retrying it', async () => {
+    await seedJob(redis, { jobId: 'j1' });
+    await claim(redis);
+    await scripts.cancelJob(redis, 'j1', 'm1');
+
+    expect(await scripts.retryJob(redis, 'j1', 'm1', 's1', {}, 'token-1'))
+      .toMatchObject({ willRetry: false, cancelled: true });
+    expect(await redis.zcard(meshKey(redis, 'delayed'))).toBe(0);
+  });
+
+  test('cancels the jobs waiting on a job that fails for good', async () => {
+    await seedJob(redis, { jobId: 'a', config: { retry: { maxAttempts: 1 } } });
+    await seedJob(redis, { jobId: 'other' });
+    await seedJob(redis, { jobId: 'b', config: { dependencies: { waitFor: ['a', 'other'] } } });
+    await seedJob(redis, { jobId: 'c', config: { dependencies: { waitFor: ['b'] } } });
+
+    await failNext();
+
+    expect(await meta(redis, 'b')).toMatchObject({
+      status: 'cancelled', cancelReason: 'dependency_failed', failedDependency: 'a',
+    });
+    expect(await meta(redis, 'c')).toMatchObject({ status: 'cancelled', failedDependency: 'a' });
+    expect(await redis.exists(
+      meshKey(redis, 'job:a:waiters'),
+      meshKey(redis, 'job:b:waiters'),
+      meshKey(redis, 'job:b:depends'),
+      meshKey(redis, 'job:c:depends'),
+      meshKey(redis, 'job:other:waiters'),
+    )).toBe(0);
+    expect(await redis.hget(meshKey(redis, 'stats:counters'), 'total:cancelled')).toBe('2');
+  });
+
+  test('leaves waiters alone while the job still has retries', async () => {
+    await seedJob(redis, { jobId: 'a', config: { retry: { maxAttempts: 2 } } });
+    await seedJob(redis, { jobId: 'b', config: { dependencies: { waitFor: ['a'] } } });
+
+    await failNext();
+
+    expect((await meta(redis, 'b')).status).toBe('waiting');
+    expect(await redis.smembers(meshKey(redis, 'job:a:waiters'))).toEqual(['b']);
+  });
+
+  test('fails the flow parent when a child fails for good', async () => {
+    await JobStorage.createFlow(redis, scripts, [
+      {
+        jobId: 'root', type: 'report', config: {}, meshId: 'm1', payload: {}, waitingChildren: true,
+      },
+      {
+        jobId: 'a', type: 'part', config: { retry: { maxAttempts: 1 } }, meshId: 'm1', payload: {}, parentId: 'root',
+      },
+    ]);
+
+    await failNext();
+
+    expect((await meta(redis, 'root')).status).toBe('failed');
+    expect(await redis.lrange(meshKey(redis, 'dlq'), 0, -1)).toEqual(['a', 'root']);
+  });
+
+  test('queues the flow parent when its policy is continue', async () => {
+    await JobStorage.createFlow(redis, scripts, [
+      {
+        jobId: 'root',
+        type: 'report',
+        config: { flow: { onChildFailure: 'continue' } },
+        meshId: 'm1',
+        payload: {},
+        waitingChildren: true,
+      },
+      {
+        jobId: 'a', type: 'part', config: { retry: { maxAttempts: 1 } }, meshId: 'm1', payload: {}, parentId: 'root',
+      },
+    ]);
+
+    await failNext();
+
+    expect((await meta(redis, 'root')).status).toBe('pending');
+    expect(JSON.parse(await redis.hget(meshKey(redis, 'job:root:children-results'), 'a')).status).toBe('failed');
+  });
+});
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryDriver = require('../../../../src/storage/drivers/MemoryDriver');
+const MemoryStore = require('../../../../src/storage/drivers/MemoryStore');
+const { connectDriver } = require('../../../../src/storage/drivers');
+
+const CLAIM_JOB = fs.readFileSync(path.join(__dirname, '../../../../src/scripts/claimJob.lua'), 'utf8');
+
+/**
+ * Wait for an event on a connection
+ * @param {EventEmitter} emitter - Connection
+ * @param {string} event - Event name
+ * @returns {Promise<Array>} Event arguments
+ */
+function once(emitter, event) {
+  return new Promise((resolve) => {
+    emitter.once(event, (...args) => resolve(args));
+  });
+}
+
+describe('MemoryDriver', () => {
+  let store;
+  let redis;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    redis = new MemoryDriver(store);
+  });
+
+  afterEach(() => {
+    redis.disconnect();
+  });
+
+  describe('commands', () => {
+    test('stores strings and counters', async () => {
+      expect(await redis.set('k', 'v')).toBe('OK');
+      expect(await redis.get('k')).toBe('v');
+      expect(await redis.incrby('n', 5)).toBe(5);
+      expect(await redis.get('missing')).toBeNull();
+    });
+
+    test('returns HGETALL as an object and accepts objects for HSET', async () => {
+      await redis.hset('h', { a: 1, b: 'two' });
+
+      expect(await redis.hgetall('h')).toEqual({ a: '1', b: 'two' });
+      expect(await redis.hgetall('missing')).toEqual({});
+      expect(await redis.call('hgetall', 'h')).toEqual({ a: '1', b: 'two' });
+    });
+
+    test('orders sorted sets by score', async () => {
+      await redis.zadd('z', 3, 'c', 1, 'a', 2, 'b');
+
+      expect(await redis.zrange('z', 0, -1)).toEqual(['a', 'b', 'c']);
+      expect(await redis.zrangebyscore('z', 2, '+inf', 'WITHSCORES')).toEqual(['b', '2', 'c', '3']);
+    });
+
+    test('deletes empty collections', async () => {
+      await redis.sadd('s', 'x');
+      await redis.srem('s', 'x');
+
+      expect(await redis.exists('s')).toBe(0);
+    });
+
+    test('rejects commands against the wrong type', async () => {
+      await redis.set('k', 'v');
+
+      await expect(redis.hget('k', 'f')).rejects.toThrow(/^WRONGTYPE/);
+    });
+
+    test('expires keys', async () => {
+      await redis.set('k', 'v');
+      await redis.pexpire('k', 1000);
+
+      expect(await redis.ttl('k')).toBe(1);
+
+      store.data.get('k').expiresAt = Date.now() - 1;
+
+      expect(await redis.get('k')).toBeNull();
+      expect(await redis.ttl('k')).toBe(-2);
+    });
+
+    test('shares the store between duplicates', async () => {
+      const other = redis.duplicate();
+      await other.set('k', 'v');
+
+      expect(await redis.get('k')).toBe('v');
+      other.disconnect();
+    });
+  });
+
+  describe('batches', () => {
+    test('runs multi() in order and reports errors per command', async () => {
+      await redis.set('k', 'v');
+
+      const results = await redis.multi()
+        .incr('n')
+        .hget('k', 'f')
+        .incr('n')
+        .exec();
+
+      expect(results[0]).toEqual([null, 1]);
+      expect(results[1][0].message).toMatch(/^WRONGTYPE/);
+      expect(results[2]).toEqual([null, 2]);
+    });
+
+    test('runs pipeline() like multi()', async () => {
+      expect(await redis.pipeline().set('a', 1).get('a').exec()).toEqual([[null, 'OK'], [null, '1']]);
+    });
+  });
+
+  describe('scripts', () => {
+    test('loads scripts by the SHA1 of the Lua source', async () => {
+      const sha = await redis.script('LOAD', CLAIM_JOB);
+
+      expect(sha).toMatch(/^[0-9a-f]{40}$/);
+      expect(await redis.script('EXISTS', sha, 'nope')).toEqual([1, 0]);
+    });
+
+    test('runs any Lua script against the store', async () => {
+      const sha = await redis.script('LOAD', `
+        redis.call('SET', KEYS[1], ARGV[1])
+        return { redis.call('GET', KEYS[1]), redis.call('INCRBY', KEYS[2], 2), redis.call('GET', 'none') }
+      `);
+
+      expect(await redis.evalsha(sha, 2, 'a', 'n', 'x')).toEqual(['x', 2, null]);
+      expect(await redis.get('a')).toBe('x');
+    });
+
+    test('converts Lua values like Redis does', async () => {
+      const sha = await redis.script('LOAD', `
+        local decoded = cjson.decode(ARGV[1])
+        return { 3.7, true, redis.status_reply('DONE'), cjson.encode({}), decoded.list[2], tostring(math.pow(2, 3)) }
+      `);
+
+      expect(await redis.evalsha(sha, 0, '{"list":[1,2]}')).toEqual([3, 1, 'DONE', '{}', 2, '8']);
+    });
+
+    test('rejects with the error reply of a failing command or error_reply()', async () => {
+      await redis.set('s', 'text');
+      const failing = await redis.script('LOAD', "return redis.call('HGET', KEYS[1], 'f')");
+      const refusing = await redis.script('LOAD', "return redis.error_reply('CROSSSLOT no')");
+
+      await expect(redis.evalsha(failing, 1, 's')).rejects.toThrow(/^WRONGTYPE/);
+      await expect(redis.evalsha(refusing, 0)).rejects.toThrow('CROSSSLOT no');
+    });
+
+    test('refuses scripts that do not compile', async () => {
+      await expect(redis.script('LOAD', 'return (')).rejects.toThrow(/^ERR Error compiling script/);
+    });
+
+    test('rejects unknown SHAs with NOSCRIPT', async () => {
+      await expect(redis.evalsha('0'.repeat(40), 0)).rejects.toThrow(/^NOSCRIPT/);
+    });
+  });
+
+  describe('pub/sub', () => {
+    test('delivers channel messages as strings and Buffers', async () => {
+      const subscriber = redis.duplicate();
+      await subscriber.subscribe('events');
+      const message = once(subscriber, 'message');
+      const buffer = once(subscriber, 'messageBuffer');
+
+      expect(await redis.publish('events', 'hello')).toBe(1);
+      expect(await message).toEqual(['events', 'hello']);
+      expect((await buffer)[1]).toEqual(Buffer.from('hello'));
+      subscriber.disconnect();
+    });
+
+    test('delivers pattern messages', async () => {
+      const subscriber = redis.duplicate();
+      await subscriber.psubscribe('jobs:*');
+      const message = once(subscriber, 'pmessage');
+
+      await redis.publish('jobs:done', 'x');
+
+      expect(await message).toEqual(['jobs:*', 'jobs:done', 'x']);
+      subscriber.disconnect();
+    });
+
+    test('stops delivery after unsubscribe', async () => {
+      const subscriber = redis.duplicate();
+      await subscriber.subscribe('events');
+
+      expect(await subscriber.unsubscribe()).toBe(0);
+      expect(await redis.publish('events', 'x')).toBe(0);
+      subscriber.disconnect();
+    });
+  });
+
+  describe('blpop', () => {
+    test('pops an element that is already there', async () => {
+      await redis.rpush('l', 'a');
+
+      expect(await redis.blpop('l', 1)).toEqual(['l', 'a']);
+    });
+
+    test('wakes when an element is pushed', async () => {
+      const blocking = redis.duplicate();
+      const popped = blocking.blpop('l', 0);
+
+      await redis.rpush('l', 'a');
+
+      expect(await popped).toEqual(['l', 'a']);
+      expect(await redis.llen('l')).toBe(0);
+      blocking.disconnect();
+    });
+
+    test('rejects when the connection closes', async () => {
+      const blocking = redis.duplicate();
+      const popped = blocking.blpop('l', 0);
+
+      blocking.disconnect();
+
+      await expect(popped).rejects.toThrow('Connection is closed.');
+    });
+  });
+
+  describe('disconnect', () => {
+    test('rejects commands on a closed connection', async () => {
+      const closed = once(redis, 'end');
+      redis.disconnect();
+
+      await closed;
+      expect(redis.status).toBe('end');
+      await expect(redis.get('k')).rejects.toThrow('Connection is closed.');
+    });
+  });
+
+  describe('connectDriver', () => {
+    test('connects a MemoryStore instance', async () => {
+      const driver = await connectDriver(store);
+      await driver.set('k', 'v');
+
+      expect(await redis.get('k')).toBe('v');
+      driver.disconnect();
+    });
+
+    test('rejects unknown backends', async () => {
+      await expect(connectDriver('sqlite')).rejects.toMatchObject({ code: 1002 });
+    });
+  });
+});